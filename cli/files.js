@@ -0,0 +1,164 @@
+/**
+ * files.js — File and glob arguments of the command-line tool
+ *
+ * Expands the paths and glob patterns given on the command line into
+ * File-like objects that project.readSourceFiles() accepts, so the CLI skips
+ * files for exactly the same reasons as a folder dropped into the browser.
+ *
+ * Globs support `*`, `?` and `**` (any number of directories); most shells
+ * expand unquoted patterns themselves, so this matters for quoted ones.
+ * Directories and glob matches only include supported source files, and
+ * dependency folders are never entered. A file named explicitly is always
+ * passed on, so an unsupported one is reported as skipped.
+ *
+ * Exports:
+ *   expandPatterns(patterns, cwd?)  → Promise<SourceCandidate[]>
+ *   outputPath(outDir, path)        → string
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { basename, isAbsolute, join, relative, resolve, sep } from 'node:path';
+import { IGNORED_DIRECTORIES, languageFromPath } from '../src/js/project.js';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * The subset of the browser File API that readSourceFiles() uses.
+ *
+ * @typedef  {object} SourceCandidate
+ * @property {string}                name
+ * @property {string}                relativePath - Path as reported, with "/" separators.
+ * @property {() => Promise<string>} text
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const GLOB_CHARS = /[*?]/;
+
+/**
+ * Converts a glob pattern (with "/" separators) to a regular expression.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more whole directories
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:[^/]*/)*' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists every file below `directory`, skipping dependency folders.
+ *
+ * @param {string} directory - Absolute path.
+ * @returns {Promise<string[]>} Absolute paths.
+ */
+async function walk(directory) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  const files   = await Promise.all(entries.map((entry) => {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) return IGNORED_DIRECTORIES.has(entry.name) ? [] : walk(path);
+    return entry.isFile() ? [path] : [];
+  }));
+  return files.flat();
+}
+
+/**
+ * Path of a file as shown in reports: relative to the working directory when
+ * inside it, absolute otherwise; always with "/" separators.
+ *
+ * @param {string} absolute
+ * @param {string} cwd
+ * @returns {string}
+ */
+function displayPath(absolute, cwd) {
+  const rel  = relative(cwd, absolute);
+  const path = rel.startsWith('..') || isAbsolute(rel) ? absolute : rel;
+  return path.split(sep).join('/');
+}
+
+/**
+ * @param {string} absolute
+ * @param {string} cwd
+ * @returns {SourceCandidate}
+ */
+function candidate(absolute, cwd) {
+  return {
+    name:         basename(absolute),
+    relativePath: displayPath(absolute, cwd),
+    text:         () => readFile(absolute, 'utf8'),
+  };
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Expands file paths, directories and glob patterns. Each file is listed once,
+ * however many patterns match it.
+ *
+ * @param {string[]} patterns
+ * @param {string}   [cwd=process.cwd()]
+ * @returns {Promise<SourceCandidate[]>}
+ * @throws  {Error} If a path does not exist or a pattern matches nothing.
+ */
+export async function expandPatterns(patterns, cwd = process.cwd()) {
+  const found = new Map();
+  const add   = (absolute) => found.set(absolute, candidate(absolute, cwd));
+
+  for (const pattern of patterns) {
+    const normalised = pattern.split(sep).join('/');
+
+    if (!GLOB_CHARS.test(normalised)) {
+      const absolute = resolve(cwd, pattern);
+      const info     = await stat(absolute).catch(() => null);
+      if (!info) throw new Error(`No such file or directory: ${pattern}`);
+
+      if (info.isDirectory()) {
+        (await walk(absolute)).filter((path) => languageFromPath(path)).forEach(add);
+      } else {
+        add(absolute);
+      }
+      continue;
+    }
+
+    // Walk from the longest directory prefix without glob characters
+    const segments = normalised.split('/');
+    const fixed    = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+    const base     = resolve(cwd, segments.slice(0, fixed).join('/') || '.');
+    const matcher  = globToRegExp(segments.slice(fixed).join('/'));
+
+    const matches = (await walk(base).catch(() => []))
+      .filter((path) => matcher.test(relative(base, path).split(sep).join('/')))
+      .filter((path) => languageFromPath(path));
+    if (matches.length === 0) throw new Error(`No source files match ${pattern}`);
+    matches.forEach(add);
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Where a refactored file is written: its report path below `outDir`, with
+ * any leading "/" or "../" removed so nothing is written outside it.
+ *
+ * @param {string} outDir
+ * @param {string} path - A SourceCandidate's relativePath.
+ * @returns {string}
+ */
+export function outputPath(outDir, path) {
+  const inside = path.replace(/^[a-zA-Z]:/, '').replace(/^(?:\/|\.\.\/)+/, '');
+  return join(outDir, ...inside.split('/').filter((part) => part !== '..'));
+}
@@ -0,0 +1,332 @@
+/**
+ * main.js — Command-line code smell analysis
+ *
+ * Runs the browser app's analysis from Node, for pre-commit hooks and CI:
+ * the same local rule checks (detectors.js), the same prompt and response
+ * validation (api.analyzeCode()), and the same provider settings from
+ * config.json. No browser modules with DOM access are imported.
+ *
+ * The API key may also come from an environment variable named after the
+ * provider (GEMINI_API_KEY, OPENAI_API_KEY, OLLAMA_API_KEY), which takes
+ * precedence over config.json — so CI secrets never have to be written to disk.
+ *
+ * config.json's `transport` works here too (FR-02.14): "record" saves every
+ * request and response to the fixtures file when the run ends, and "replay"
+ * answers from that file without network access or an API key.
+ *
+ * Exit codes: 0 — no smell at or above --fail-on; 1 — at least one such
+ * smell; 2 — a usage, configuration or API error (local findings are still
+ * reported).
+ *
+ * Exports:
+ *   USAGE              → string
+ *   main(argv, io?)    → Promise<number>  (the exit code)
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { analyzeCode, resolveSettings } from '../src/js/api.js';
+import { applyCatalogue, parseCatalogue } from '../src/js/catalogue.js';
+import { detectSmells, mergeSmells } from '../src/js/detectors.js';
+import { composeRefactoring } from '../src/js/edits.js';
+import { PROJECT_CONCURRENCY, readSourceFiles, runWithConcurrency } from '../src/js/project.js';
+import { SEVERITIES } from '../src/js/prompt.js';
+import { createMultiFileReport } from '../src/js/report.js';
+import { configureTransport, getRecording } from '../src/js/transport.js';
+import { expandPatterns, outputPath } from './files.js';
+import { formatTerminalReport } from './terminal.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+export const USAGE = `Usage: node index.js [options] <file|directory|glob>...
+
+Analyses source files for code smells with the provider configured in
+config.json, merged with the local rule checks. With a smell catalogue, only
+its smells are reported, under its names and severities.
+
+Options:
+  --format <text|json|sarif>  Output format (default: text)
+  --fail-on <severity>        Exit with status 1 if a smell of this severity or
+                              worse is found: Critical, Major or Minor
+  --out-dir <dir>             Write the refactored files below <dir>
+  --config <path>             Config file (default: ./config.json)
+  --catalogue <path>          Smell catalogue (default: ./smell-catalogue.json
+                              if it exists)
+  --rules-only                Only run the local rule checks; no API calls
+  -h, --help                  Show this help
+
+The API key may also be set in GEMINI_API_KEY, OPENAI_API_KEY or OLLAMA_API_KEY.
+
+Exit status: 0 no failing smells, 1 failing smells found, 2 error.`;
+
+const OUTPUT_FORMATS = ['text', 'json', 'sarif'];
+
+const EXIT_OK     = 0;
+const EXIT_SMELLS = 1;
+const EXIT_ERROR  = 2;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parses and checks the command-line arguments.
+ *
+ * @param {string[]} argv
+ * @returns {{patterns: string[], format: string, failOn: string|null, outDir: string|null,
+ *            config: string|null, catalogue: string|null, rulesOnly: boolean, help: boolean}}
+ * @throws  {Error} With a usage message for invalid arguments.
+ */
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args:             argv,
+    allowPositionals: true,
+    options: {
+      'format':     { type: 'string', default: 'text' },
+      'fail-on':    { type: 'string' },
+      'out-dir':    { type: 'string' },
+      'config':     { type: 'string' },
+      'catalogue':  { type: 'string' },
+      'rules-only': { type: 'boolean', default: false },
+      'help':       { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const format = values.format.toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown --format "${values.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+
+  let failOn = null;
+  if (values['fail-on'] !== undefined) {
+    failOn = SEVERITIES.find((severity) => severity.toLowerCase() === values['fail-on'].toLowerCase());
+    if (!failOn) {
+      throw new Error(`Unknown --fail-on "${values['fail-on']}". Use one of: ${SEVERITIES.join(', ')}.`);
+    }
+  }
+
+  if (!values.help && positionals.length === 0) {
+    throw new Error('No files given.');
+  }
+
+  return {
+    patterns:  positionals,
+    format,
+    failOn,
+    outDir:    values['out-dir'] ?? null,
+    config:    values.config ?? null,
+    catalogue: values.catalogue ?? null,
+    rulesOnly: values['rules-only'],
+    help:      values.help,
+  };
+}
+
+/**
+ * Reads config.json and applies an API key from the environment. A missing
+ * default config.json is treated as empty, so an environment key suffices.
+ * Its transport is then put in place; a fixtures path is relative to the
+ * working directory.
+ *
+ * @param {string|null}                     path - From --config, or null for ./config.json.
+ * @param {Record<string, string|undefined>} env
+ * @returns {Promise<import('../src/js/providers.js').ProviderSettings>}
+ * @throws  {Error} With a human-readable message.
+ */
+async function loadSettings(path, env) {
+  let config = {};
+  try {
+    config = JSON.parse(await readFile(path ?? 'config.json', 'utf8'));
+  } catch (err) {
+    if (path !== null || err.code !== 'ENOENT') {
+      throw new Error(`Could not load ${path ?? 'config.json'}: ${err.message}`);
+    }
+  }
+
+  const provider = config.provider ?? 'gemini';
+  const envKey   = env[`${provider.toUpperCase()}_API_KEY`];
+  if (envKey) {
+    config = { ...config, [provider]: { ...config[provider], api_key: envKey } };
+  }
+  const settings = resolveSettings(config);
+  await configureTransport(settings.transport, async (fixtures) => JSON.parse(await readFile(fixtures, 'utf8')));
+  return settings;
+}
+
+/**
+ * Saves the requests recorded in "record" mode to the fixtures file.
+ *
+ * @param {string} path - Relative to the working directory.
+ * @returns {Promise<number>} The number of exchanges saved.
+ */
+async function saveRecording(path) {
+  const recording = await getRecording();
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, `${JSON.stringify(recording, null, 2)}\n`);
+  return recording.exchanges.length;
+}
+
+/**
+ * Reads and validates the smell catalogue. A missing default
+ * smell-catalogue.json means no catalogue.
+ *
+ * @param {string|null} path - From --catalogue, or null for ./smell-catalogue.json.
+ * @returns {Promise<import('../src/js/catalogue.js').Catalogue|null>}
+ * @throws  {Error} With a human-readable message.
+ */
+async function loadCatalogueFile(path) {
+  let text;
+  try {
+    text = await readFile(path ?? 'smell-catalogue.json', 'utf8');
+  } catch (err) {
+    if (path === null && err.code === 'ENOENT') return null;
+    throw new Error(`Could not load ${path ?? 'smell-catalogue.json'}: ${err.message}`);
+  }
+  try {
+    return parseCatalogue(JSON.parse(text));
+  } catch (err) {
+    throw new Error(`Invalid ${path ?? 'smell-catalogue.json'}: ${err.message}`);
+  }
+}
+
+/**
+ * Analyses one file: local rules, then the model unless running rules-only.
+ * A failed model call keeps the local findings and records the error.
+ *
+ * @param {import('../src/js/project.js').ProjectFile} file - Updated in place.
+ * @param {import('../src/js/providers.js').ProviderSettings|null} settings
+ * @param {import('../src/js/catalogue.js').Catalogue|null} catalogue
+ * @param {NodeJS.WritableStream} stderr - Receives a notice before each retry.
+ */
+async function analyzeFile(file, settings, catalogue, stderr) {
+  const detected   = detectSmells(file.code, file.language);
+  const ruleSmells = catalogue ? applyCatalogue(detected, catalogue, file.language) : detected;
+  file.result = {
+    summary:         'Local rule checks only — no model analysis.',
+    smells:          ruleSmells,
+    refactored_code: file.code,
+  };
+
+  if (settings) {
+    try {
+      const onRetry = ({ retry, maxRetries, delayMs, status }) => stderr.write(
+        `code-smells: ${file.path}: HTTP ${status}, retry ${retry} of ${maxRetries} in ${Math.ceil(delayMs / 1000)} s\n`);
+      const result  = await analyzeCode(file.code, file.language, settings, { catalogue, onRetry });
+      result.smells = mergeSmells(ruleSmells, result.smells);
+      file.result   = result;
+    } catch (err) {
+      file.error = err.message;
+    }
+  }
+  file.status = file.error ? 'error' : 'done';
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Runs the command line.
+ *
+ * @param {string[]} argv - Arguments after `node index.js`.
+ * @param {object}   [io]
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Receives the report.
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Receives errors and notices.
+ * @param {Record<string, string|undefined>} [io.env=process.env]
+ * @returns {Promise<number>} The process exit code.
+ */
+export async function main(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  const fail = (message) => {
+    stderr.write(`code-smells: ${message}\n`);
+    return EXIT_ERROR;
+  };
+
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (err) {
+    return fail(`${err.message}\n\n${USAGE}`);
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+
+  let settings = null;
+  let catalogue;
+  let sources;
+  let skipped;
+  try {
+    catalogue = await loadCatalogueFile(options.catalogue);
+    if (!options.rulesOnly) settings = await loadSettings(options.config, env);
+    ({ sources, skipped } = await readSourceFiles(await expandPatterns(options.patterns)));
+  } catch (err) {
+    return fail(err.message);
+  }
+
+  for (const { path, reason } of skipped) {
+    stderr.write(`code-smells: skipped ${path} — ${reason}\n`);
+  }
+  if (sources.length === 0) {
+    return fail('No supported source files to analyse.');
+  }
+
+  /** @type {import('../src/js/project.js').ProjectFile[]} */
+  const files = sources.map((source) => ({
+    ...source, status: 'pending', result: null, error: null, runId: null,
+  }));
+  await runWithConcurrency(files, PROJECT_CONCURRENCY, (file) => analyzeFile(file, settings, catalogue, stderr));
+
+  // Every edit is accepted, as in the browser before any is rejected
+  const createdAt = new Date();
+  const reports   = files.map((file) => ({
+    result:         file.result,
+    code:           file.code,
+    refactoredCode: composeRefactoring(file.code, file.result, new Set()).code,
+    language:       file.language,
+    path:           file.path,
+    createdAt,
+    weights:        settings?.qualityWeights,
+  }));
+
+  stdout.write(options.format === 'text'
+    ? formatTerminalReport(files, { color: Boolean(stdout.isTTY) && !env.NO_COLOR })
+    : createMultiFileReport(options.format, reports));
+
+  if (options.outDir) {
+    const changed = reports.filter((report) => report.refactoredCode !== report.code);
+    try {
+      for (const report of changed) {
+        const target = outputPath(options.outDir, report.path);
+        await mkdir(dirname(target), { recursive: true });
+        await writeFile(target, report.refactoredCode);
+      }
+    } catch (err) {
+      return fail(`Could not write the refactored files: ${err.message}`);
+    }
+    stderr.write(`code-smells: wrote ${changed.length} refactored file${changed.length === 1 ? '' : 's'} to ${options.outDir}\n`);
+  }
+
+  if (settings?.transport.mode === 'record') {
+    try {
+      const count = await saveRecording(settings.transport.fixtures);
+      stderr.write(`code-smells: recorded ${count} exchange${count === 1 ? '' : 's'} to ${settings.transport.fixtures}\n`);
+    } catch (err) {
+      return fail(`Could not save the recording: ${err.message}`);
+    }
+  }
+
+  // The text report already names the files whose model analysis failed
+  const failed = files.filter((file) => file.error);
+  if (failed.length > 0) {
+    if (options.format !== 'text') {
+      for (const file of failed) stderr.write(`code-smells: ${file.path}: ${file.error}\n`);
+    }
+    return EXIT_ERROR;
+  }
+
+  if (options.failOn) {
+    const threshold = SEVERITIES.indexOf(options.failOn);
+    const failing   = files.some((file) =>
+      file.result.smells.some((smell) => SEVERITIES.indexOf(smell.severity) <= threshold));
+    if (failing) return EXIT_SMELLS;
+  }
+  return EXIT_OK;
+}
@@ -0,0 +1,94 @@
+/**
+ * terminal.js — Human-readable report of the command-line tool
+ *
+ * Prints the analysed files worst first (project.rankFiles()), each with its
+ * smells and their line ranges, followed by a one-line total. Colours are
+ * used only when the output is a terminal.
+ *
+ * Exports:
+ *   formatTerminalReport(files, { color })  → string
+ */
+
+import { rankFiles, severityScore } from '../src/js/project.js';
+import { SEVERITIES } from '../src/js/prompt.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** ANSI colours of each severity, matching the app's red / amber / blue. */
+const SEVERITY_COLORS = { Critical: 31, Major: 33, Minor: 34 };
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Wraps text in an ANSI colour (or style) code when colour is enabled.
+ *
+ * @param {boolean} color
+ * @param {number}  code - e.g. 31 for red, 1 for bold, 2 for dim.
+ * @param {string}  text
+ * @returns {string}
+ */
+function paint(color, code, text) {
+  return color ? `\x1b[${code}m${text}\x1b[0m` : text;
+}
+
+/**
+ * @param {import('../src/js/state.js').Smell} smell
+ * @returns {string} e.g. "3-5", "7", or "-" without a line range.
+ */
+function lineColumn(smell) {
+  if (!Number.isInteger(smell.start_line)) return '-';
+  const end = smell.end_line ?? smell.start_line;
+  return end === smell.start_line ? `${smell.start_line}` : `${smell.start_line}-${end}`;
+}
+
+/**
+ * @param {number} count
+ * @returns {string} "1 smell" / "3 smells"
+ */
+function smellCount(count) {
+  return `${count} smell${count === 1 ? '' : 's'}`;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Formats analysed files as a plain-text report.
+ *
+ * @param {import('../src/js/project.js').ProjectFile[]} files - Each with a result.
+ * @param {object}  [options]
+ * @param {boolean} [options.color=false] - Use ANSI colours.
+ * @returns {string}
+ */
+export function formatTerminalReport(files, { color = false } = {}) {
+  const out = [];
+
+  for (const file of rankFiles(files)) {
+    const { smells } = file.result;
+    out.push(`${paint(color, 1, file.path)}  ${paint(color, 2,
+      `(${smellCount(smells.length)}, score ${severityScore(smells)})`)}`);
+
+    if (file.error) {
+      out.push(`  ${paint(color, 31, `Model analysis failed: ${file.error}`)} Local rule checks only.`);
+    }
+    if (smells.length === 0) {
+      out.push('  No code smells detected.');
+    }
+    for (const smell of smells) {
+      const severity = paint(color, SEVERITY_COLORS[smell.severity] ?? 0, smell.severity.padEnd(8));
+      out.push(`  ${lineColumn(smell).padEnd(7)} ${severity}  ${smell.name}`);
+      out.push(`  ${' '.repeat(17)} ${paint(color, 2, smell.explanation.replace(/\s*\n\s*/g, ' '))}`);
+    }
+    out.push('');
+  }
+
+  const all    = files.flatMap((file) => file.result.smells);
+  const counts = SEVERITIES
+    .map((severity) => [severity, all.filter((smell) => smell.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`);
+
+  out.push(`${files.length} file${files.length === 1 ? '' : 's'} analysed · ${smellCount(all.length)}`
+    + (counts.length ? ` (${counts.join(', ')})` : ''));
+
+  return out.join('\n') + '\n';
+}
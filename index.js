@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * index.js — Command-line entry point
+ *
+ * `node index.js --help` for usage; see cli/main.js.
+ */
+
+import { main } from './cli/main.js';
+
+process.exitCode = await main(process.argv.slice(2));
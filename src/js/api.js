@@ -1,36 +1,121 @@
 /**
- * api.js — Gemini API wrapper (FR-02)
+ * api.js — LLM API wrapper (FR-02)
  *
- * All network calls to the Gemini REST API are centralised here. No other
- * module calls fetch() directly. This ensures that error handling, the
+ * All network calls to the configured LLM backend are centralised here. No
+ * other module calls fetch() directly. This ensures that error handling, the
  * 30-second timeout, and API-key security (NFR-04) are enforced in one place.
+ * The requests themselves go out through transport.js, which can record them
+ * and replay them offline instead (FR-02.14).
  *
- * Authentication: the API key is sent via the `x-goog-api-key` request
- * header — never in the URL query string (satisfies NFR-04).
+ * Responses are streamed: callers may pass a callback that receives the text
+ * generated so far after every chunk, so the UI can render while the model is
+ * still writing. The timeout is therefore an idle timeout — it only fires when
+ * no chunk has arrived for the configured number of seconds (30 by default).
+ *
+ * Refactored code that does not parse (syntax.js) is sent back for one
+ * correction, quoting the parser error.
+ *
+ * Every response's token usage is captured and priced (usage.js). Completed
+ * analyses are cached by content (cache.js), so analysing the same code again
+ * costs nothing unless the caller asks for a fresh run.
+ *
+ * Callers may cancel a request with an AbortSignal. Rate limits and transient
+ * server errors are retried with exponential backoff, honouring the wait the
+ * server asks for (Retry-After, or Gemini's retryDelay).
+ *
+ * Backend-specific details (endpoint, headers, body and response shape, HTTP
+ * error meanings) live in providers.js; the backend is chosen by the
+ * `provider` field of config.json and defaults to Gemini. Settings entered in
+ * the app's Settings dialog (settings.js) override config.json.
+ *
+ * Authentication: API keys are always sent in a request header — never in
+ * the URL query string (satisfies NFR-04).
  */
 
-import { buildAnalysisPrompt, buildFollowUpPrompt } from './prompt.js';
+import {
+  PROMPT_VERSION, SAMPLE_INPUTS_RESPONSE_SCHEMA, buildAnalysisPrompt, buildAnalysisResponseSchema,
+  buildFollowUpMessages, buildRepairPrompt, buildSampleInputsPrompt, buildSyntaxFixPrompt, countLines,
+  estimateTokens,
+} from './prompt.js';
+import {
+  applyCatalogue, catalogueEntriesFor, parseCatalogue, unknownSmellErrors,
+} from './catalogue.js';
+import { LOCALES, getLocale, t } from './i18n.js';
+import { PROVIDERS, getProvider } from './providers.js';
+import { parseQualityWeights } from './quality.js';
+import { cacheKey, getCached, putCached } from './cache.js';
+import { composeRefactoring, normaliseEdit, normaliseLineRange } from './edits.js';
+import { SETTING_LIMITS, applyStoredSettings, loadStoredSettings } from './settings.js';
+import { checkSyntax, formatSyntaxProblem } from './syntax.js';
+import { configureTransport, getTransportMode, parseTransport, sendRequest, transportFromQuery } from './transport.js';
+import { DEFAULT_PRICES, addUsage, createUsage } from './usage.js';
+import { validateAnalysisResult } from './validate.js';
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 
-/** Gemini 2.0 Flash content-generation endpoint. */
-const GEMINI_ENDPOINT =
-  'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent';
+/** Backend used when config.json does not name one. */
+const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Default idle timeout for every LLM request (FR-02.6): the longest we wait
+ * for the response headers or for the next streamed chunk. It is reset on
+ * every chunk, so a long answer that keeps streaming is never cut off
+ * (config.json `timeout_seconds` overrides it).
+ */
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+/**
+ * Transient HTTP statuses worth retrying: rate limits (429) and server
+ * errors (500, 503). Other errors are reported at once.
+ */
+const RETRY_STATUSES = [429, 500, 503];
 
-/** Hard timeout for every Gemini request (FR-02.6). */
-const REQUEST_TIMEOUT_MS = 30_000;
+/** Retries after the first attempt, so at most MAX_RETRIES + 1 requests. */
+const MAX_RETRIES = 3;
+
+/** Backoff without a server hint: 1 s, 2 s, 4 s. */
+const BACKOFF_BASE_MS = 1_000;
+
+/** Upper bound on any single wait, whatever the server asks for. */
+const MAX_RETRY_DELAY_MS = 60_000;
+
+/**
+ * Default budget, in estimated tokens, for the earlier chat turns sent with a
+ * follow-up question; older turns are condensed (config.json
+ * `max_history_tokens` overrides it).
+ */
+const DEFAULT_MAX_HISTORY_TOKENS = 4_000;
+
+/**
+ * Default budget, in estimated prompt tokens, above which the user is asked
+ * before a request is sent (config.json `input_token_budget` overrides it).
+ * A full 20,000-character snippet stays well below it.
+ */
+const DEFAULT_INPUT_TOKEN_BUDGET = 8_000;
+
+/** Placeholder keys shipped in config.example.json and the docs. */
+const PLACEHOLDER_KEYS = ['PLACEHOLDER', 'PASTE_YOUR_GEMINI_API_KEY_HERE'];
 
 // ─── Config loading ───────────────────────────────────────────────────────────
 
 /**
- * Fetches and validates the Gemini API key from config.json (FR-02.4).
- * Must be called once during app initialisation.
+ * Fetches config.json and resolves the settings for the selected provider
+ * (FR-02.4), with the settings saved from the Settings dialog applied on top
+ * (FR-02.10). Called during app initialisation and after the settings change.
+ *
+ * A transport named in the page URL (`?transport=replay&fixtures=…`)
+ * overrides config.json's, and is then put in place (FR-02.14).
  *
- * @returns {Promise<string>} The validated API key.
- * @throws  {Error}          With a human-readable message on any failure.
+ * config.json is optional once settings have been saved in the app, and when
+ * replaying recorded requests.
+ *
+ * @returns {Promise<import('./providers.js').ProviderSettings>}
+ * @throws  {Error} With a human-readable message on any failure.
  */
 export async function loadConfig() {
-  let config;
+  const stored    = loadStoredSettings();
+  const transport = transportFromQuery(globalThis.location?.search ?? '');
+  let config      = {};
 
   try {
     const response = await fetch('../config.json');
@@ -39,138 +124,794 @@ export async function loadConfig() {
     }
     config = await response.json();
   } catch {
-    throw new Error(
-      'Could not load config.json. Make sure it exists at the project root.'
-    );
+    if (!stored && transport?.mode !== 'replay') {
+      throw new Error(t('errors.config'));
+    }
   }
 
-  const key = config?.gemini?.api_key;
-  if (!key || key === 'PLACEHOLDER' || key === 'PASTE_YOUR_GEMINI_API_KEY_HERE') {
-    throw new Error(
-      'Invalid or missing API key. Open config.json and replace the placeholder with your Gemini API key.'
-    );
-  }
+  const merged = applyStoredSettings(config, stored);
+  if (transport) merged.transport = { ...merged.transport, ...transport };
 
-  return key;
+  const settings = resolveSettings(merged);
+  await configureTransport(settings.transport, fetchJson);
+  return settings;
 }
 
-// ─── Internal helper ──────────────────────────────────────────────────────────
+/**
+ * Fetches a JSON file below the project root.
+ *
+ * @param {string} path - e.g. "fixtures/demo.json".
+ * @returns {Promise<*>}
+ * @throws  {Error} If the file is missing or not JSON.
+ */
+async function fetchJson(path) {
+  const response = await fetch(`../${path}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+/**
+ * @param {*} value
+ * @param {{min: number, max: number}} range
+ * @returns {number|null} The value as a number if it is one within range, else null.
+ */
+function inRange(value, { min, max }) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
 
 /**
- * Sends a prompt to the Gemini API and returns the raw response text.
+ * The well-formed entries of config.json's price table.
+ *
+ * @param {*} prices
+ * @returns {Record<string, import('./usage.js').Price>}
+ */
+function validPrices(prices) {
+  const isPrice = (value) => Number.isFinite(value) && value >= 0;
+  return Object.fromEntries(Object.entries(prices && typeof prices === 'object' ? prices : {})
+    .filter(([, price]) => isPrice(price?.input) && isPrice(price?.output))
+    .map(([model, { input, output }]) => [model, { input, output }]));
+}
+
+/**
+ * Resolves the settings for the selected provider from a parsed config.json.
+ * Shared by loadConfig() and the command-line tool, which reads the file
+ * itself.
+ *
+ * config.json shape:
+ *   {
+ *     "provider": "gemini" | "openai" | "ollama",   // optional, default gemini
+ *     "max_history_tokens": 4000,                   // optional chat history budget
+ *     "timeout_seconds": 30,                        // optional idle timeout
+ *     "input_token_budget": 8000,                   // optional warning threshold
+ *     "prices": { "<model>": { "input": 0.1, "output": 0.4 } },  // optional, USD per 1M tokens
+ *     "quality_weights": { "Critical": 5, "Major": 3, "Minor": 1 },  // optional, quality score
+ *     "transport": { "mode": "live" | "record" | "replay", "fixtures": "fixtures/recording.json" },  // optional
+ *     "<provider>": { "api_key": "…", "model": "…", "base_url": "…",
+ *                     "temperature": 0.2, "max_output_tokens": 8192 }
+ *   }
+ * Only api_key is required, and only for providers that need one — and not
+ * when replaying recorded requests. Invalid optional numbers fall back to
+ * their defaults.
  *
- * @param {string}  prompt    - Fully formed prompt string.
- * @param {string}  apiKey    - Gemini API key (sent in header, not URL).
- * @param {boolean} forceJson - When true, sets response_mime_type to application/json.
- * @returns {Promise<string>} Text from candidates[0].content.parts[0].text.
- * @throws  {Error}           With a human-readable message on any failure.
+ * @param {object} config - Parsed config.json.
+ * @returns {import('./providers.js').ProviderSettings}
+ * @throws  {Error} With a human-readable message if the provider or
+ *   transport mode is unknown, or the key is missing.
  */
-async function callGemini(prompt, apiKey, forceJson) {
-  const requestBody = {
-    contents: [{ parts: [{ text: prompt }] }],
+export function resolveSettings(config) {
+  const name     = config?.provider ?? DEFAULT_PROVIDER;
+  const provider = getProvider(name);
+  if (!provider) {
+    throw new Error(t('errors.unknownProvider', { name, names: Object.keys(PROVIDERS).join(', ') }));
+  }
+  const transport = parseTransport(config?.transport);
+
+  const section = config?.[name] ?? {};
+  let key = section.api_key;
+  if (!key || PLACEHOLDER_KEYS.includes(key)) {
+    key = null;
+  }
+  if (provider.requiresKey && !key && transport.mode !== 'replay') {
+    throw new Error(t('errors.missingKey', { provider: provider.label }));
+  }
+
+  const budget      = Number(config?.max_history_tokens);
+  const inputBudget = Number(config?.input_token_budget);
+  const maxTokens = inRange(section.max_output_tokens, SETTING_LIMITS.maxOutputTokens);
+  const timeout   = inRange(config?.timeout_seconds, SETTING_LIMITS.timeoutSeconds);
+
+  return {
+    provider:         name,
+    apiKey:           key,
+    model:            section.model || provider.defaultModel,
+    baseUrl:          (section.base_url || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    maxHistoryTokens: Number.isInteger(budget) && budget >= 0 ? budget : DEFAULT_MAX_HISTORY_TOKENS,
+    temperature:      inRange(section.temperature, SETTING_LIMITS.temperature),
+    maxOutputTokens:  Number.isInteger(maxTokens) ? maxTokens : null,
+    timeoutMs:        (timeout ?? DEFAULT_TIMEOUT_SECONDS) * 1000,
+    prices:           { ...DEFAULT_PRICES, ...validPrices(config?.prices) },
+    inputTokenBudget: Number.isInteger(inputBudget) && inputBudget > 0 ? inputBudget : DEFAULT_INPUT_TOKEN_BUDGET,
+    qualityWeights:   parseQualityWeights(config?.quality_weights),
+    transport,
   };
+}
 
-  if (forceJson) {
-    requestBody.generationConfig = { response_mime_type: 'application/json' };
+/**
+ * Fetches and validates the team's smell catalogue, smell-catalogue.json at
+ * the project root. The catalogue is optional: without the file the model
+ * names smells freely.
+ *
+ * @returns {Promise<import('./catalogue.js').Catalogue|null>} Null if there is no catalogue.
+ * @throws  {Error} With a human-readable message if the file is invalid.
+ */
+export async function loadCatalogue() {
+  let data;
+  try {
+    const response = await fetch('../smell-catalogue.json');
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    data = await response.json();
+  } catch (err) {
+    throw new Error(t('errors.catalogueLoad', { error: err.message }));
   }
 
-  let response;
   try {
-    response = await fetch(GEMINI_ENDPOINT, {
-      method:  'POST',
-      headers: {
-        'Content-Type':    'application/json',
-        'x-goog-api-key':  apiKey,           // header — not URL (NFR-04)
-      },
-      body:   JSON.stringify(requestBody),
-      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS), // FR-02.6
-    });
+    return parseCatalogue(data);
   } catch (err) {
-    if (err.name === 'TimeoutError' || err.name === 'AbortError') {
-      throw new Error('Request timed out. Please try again.');
+    throw new Error(t('errors.catalogueInvalid', { error: err.message }));
+  }
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+/**
+ * Reads a streamed response body and hands every parsed chunk to `onChunk`.
+ * Understands both Server-Sent Events (`data: {…}` events separated by blank
+ * lines) and newline-delimited JSON.
+ *
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {'sse'|'ndjson'}             format
+ * @param {(chunk: object) => void}    onChunk
+ * @param {() => void}                 onActivity - Called whenever bytes arrive.
+ * @throws {SyntaxError} If a chunk is not valid JSON.
+ */
+async function readStream(body, format, onChunk, onActivity) {
+  const reader  = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer    = '';
+  let eventData = [];
+
+  const dispatch = (payload) => {
+    if (payload.trim() === '' || payload.trim() === '[DONE]') return;
+    onChunk(JSON.parse(payload));
+  };
+
+  const handleLine = (line) => {
+    if (format === 'ndjson') {
+      dispatch(line);
+      return;
+    }
+    // SSE: accumulate data lines; a blank line ends the event
+    if (line === '') {
+      dispatch(eventData.join('\n'));
+      eventData = [];
+    } else if (line.startsWith('data:')) {
+      eventData.push(line.slice(5).replace(/^ /, ''));
     }
-    throw new Error('Network error. Please check your connection.');
+  };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      onActivity();
+
+      buffer += value;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+
+    // Flush whatever the server sent without a trailing newline
+    if (buffer !== '') handleLine(buffer);
+    if (eventData.length > 0) dispatch(eventData.join('\n'));
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
   }
+}
 
-  // FR-02.7 — classify HTTP error codes
-  if (response.status === 400) {
-    throw new Error('Invalid or missing API key.');
+/**
+ * How long to wait before retrying a failed attempt: the server's own
+ * Retry-After header or retry hint if it sent one, else exponential backoff.
+ *
+ * @param {Response} response - The failed response; its body is consumed.
+ * @param {import('./providers.js').Provider} provider
+ * @param {number}   retry    - 1 for the first retry.
+ * @returns {Promise<number>} Milliseconds, at most MAX_RETRY_DELAY_MS.
+ */
+async function retryDelay(response, provider, retry) {
+  let delayMs = null;
+
+  const header = response.headers.get('retry-after');
+  if (header) {
+    // Either a number of seconds or an HTTP date
+    delayMs = /^\d+$/.test(header.trim()) ? Number(header) * 1000 : Date.parse(header) - Date.now();
   }
-  if (response.status === 401 || response.status === 403) {
-    throw new Error('API key is unauthorised. Check that your key is valid and active.');
+  if (!Number.isFinite(delayMs)) {
+    const data = await response.json().catch(() => null);
+    delayMs = provider.extractRetryDelay?.(data) ?? null;
   }
-  if (response.status === 429) {
-    throw new Error('API rate limit exceeded. Please wait a moment and try again.');
+  if (!Number.isFinite(delayMs)) {
+    delayMs = BACKOFF_BASE_MS * 2 ** (retry - 1);
   }
-  if (!response.ok) {
-    throw new Error(`Gemini API error (HTTP ${response.status}). Please try again.`);
+  return Math.min(Math.max(delayMs, 0), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Waits before a retry, unless the request is cancelled first.
+ *
+ * @param {number}      ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ * @throws  {Error} If the signal aborts while waiting.
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error(t('errors.cancelled')));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error(t('errors.cancelled')));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Sends messages to the configured provider and returns the full response
+ * text, reporting progress as it streams in.
+ *
+ * Rate limits and server errors (RETRY_STATUSES) are retried up to
+ * MAX_RETRIES times before their error is shown. Only the response status is
+ * retried: once text has streamed in, a failure is final.
+ *
+ * @param {import('./providers.js').ChatMessage[]} messages - The conversation, ending with a user message.
+ * @param {import('./providers.js').ProviderSettings} settings - From loadConfig().
+ * @param {object|null} responseSchema - Structured-output schema, or null for free text.
+ * @param {RequestOptions & {onText?: (textSoFar: string) => void}} [options]
+ *   onText is called after every chunk.
+ * @returns {Promise<{text: string, usage: import('./usage.js').Usage|null}>}
+ *   The complete generated text, and its token usage if the backend reported it.
+ * @throws  {Error} With a human-readable message on any failure.
+ */
+async function callProvider(messages, settings, responseSchema, { onText, signal, onRetry, onUsage } = {}) {
+  const provider = getProvider(settings.provider);
+  const { url, headers, body } = provider.buildRequest(settings, messages, responseSchema);
+
+  for (let retry = 0; ; retry++) {
+    if (signal?.aborted) throw new Error(t('errors.cancelled'));
+
+    // FR-02.6 — idle timeout, re-armed whenever the server sends something.
+    // Cancelling aborts the same controller.
+    const controller = new AbortController();
+    const onCancel   = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onCancel, { once: true });
+
+    let idleTimer;
+    const armIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(
+        () => controller.abort(new DOMException('Idle timeout', 'TimeoutError')),
+        settings.timeoutMs
+      );
+    };
+    const abortError = () => new Error(t(signal?.aborted ? 'errors.cancelled' : 'errors.timeout'));
+
+    let text   = '';
+    let counts = null;
+    try {
+      armIdleTimer();
+
+      let response;
+      try {
+        response = await sendRequest(url, {
+          method:  'POST',
+          headers,
+          body:    JSON.stringify(body),
+          signal:  controller.signal,
+        }, settings.apiKey);
+      } catch (err) {
+        if (controller.signal.aborted) {
+          throw abortError();
+        }
+        // Replay never touches the network; its errors say what is missing
+        if (getTransportMode() === 'replay') throw err;
+        throw new Error(t('errors.network'));
+      }
+
+      // FR-02.7 — each provider classifies its own HTTP error codes
+      if (!response.ok) {
+        if (RETRY_STATUSES.includes(response.status) && retry < MAX_RETRIES) {
+          const delayMs = await retryDelay(response, provider, retry + 1);
+          clearTimeout(idleTimer);
+          onRetry?.({ retry: retry + 1, maxRetries: MAX_RETRIES, delayMs, status: response.status });
+          await wait(delayMs, signal);
+          continue;
+        }
+        throw new Error(provider.describeHttpError(response.status, settings));
+      }
+
+      const contentType = response.headers.get('content-type') ?? '';
+
+      try {
+        if (contentType.includes('application/json')) {
+          // The backend answered in one piece instead of streaming
+          const data = await response.json();
+          text   = provider.extractText(data) ?? '';
+          counts = provider.extractUsage(data);
+          onText?.(text);
+        } else {
+          await readStream(response.body, provider.streamFormat, (chunk) => {
+            if (chunk.error) {
+              throw new Error(t('errors.providerReported', {
+                provider: provider.label, message: chunk.error.message ?? chunk.error,
+              }));
+            }
+            counts = provider.extractUsage(chunk) ?? counts;
+            const delta = provider.extractDelta(chunk);
+            if (delta) {
+              text += delta;
+              onText?.(text);
+            }
+          }, armIdleTimer);
+        }
+      } catch (err) {
+        if (controller.signal.aborted) {
+          throw abortError();
+        }
+        if (err instanceof SyntaxError) {
+          throw new Error(t('errors.malformed', { provider: provider.label }));
+        }
+        if (err instanceof TypeError) {
+          throw new Error(t('errors.network'));
+        }
+        throw err;
+      }
+    } finally {
+      clearTimeout(idleTimer);
+      signal?.removeEventListener('abort', onCancel);
+    }
+
+    // The tokens are spent whether or not the text turns out to be usable
+    const usage = counts && createUsage(
+      counts.promptTokens, counts.outputTokens, counts.totalTokens, settings.prices?.[settings.model] ?? null
+    );
+    if (usage) onUsage?.(usage);
+
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw new Error(t('errors.noContent', { provider: provider.label }));
+    }
+
+    return { text, usage };
   }
+}
 
-  let data;
+/**
+ * Removes markdown fences the model may wrap around JSON despite the
+ * JSON-output constraint (satisfies the requirements note about stripping
+ * ```json``` fences before parsing). Also tolerates a still-open fence, so it
+ * can be applied to partially streamed text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function stripFences(text) {
+  return text
+    .replace(/^\s*```(?:json)?\s*/i, '')
+    .replace(/\s*```\s*$/i, '')
+    .trim();
+}
+
+/**
+ * Parses and validates the text of an analysis response.
+ *
+ * @param {string} rawText
+ * @returns {{result: object|null, errors: string[]}} errors is empty when the
+ *   result is a valid AnalysisResult.
+ */
+function parseAnalysis(rawText) {
+  let result;
   try {
-    data = await response.json();
-  } catch {
-    throw new Error('Malformed response from Gemini.');
+    result = JSON.parse(stripFences(rawText));
+  } catch (err) {
+    return { result: null, errors: [t('validation.notJson', { error: err.message })] };
   }
+  return { result, errors: validateAnalysisResult(result) };
+}
 
-  const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (typeof text !== 'string' || text.trim() === '') {
-    throw new Error('Malformed response from Gemini — no content returned.');
+/**
+ * Best-effort parse of a JSON document that has been cut off mid-stream:
+ * closes any open string, drops a dangling key or separator, and closes all
+ * open arrays and objects.
+ *
+ * @param {string} text - A prefix of a JSON document.
+ * @returns {object|null} The parsed value, or null if no sensible repair exists.
+ */
+function parsePartialJson(text) {
+  const closers = [];
+  let inString  = false;
+  let escaped   = false;
+
+  for (const ch of text) {
+    if (inString) {
+      if (escaped)          escaped  = false;
+      else if (ch === '\\') escaped  = true;
+      else if (ch === '"')  inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      closers.push('}');
+    } else if (ch === '[') {
+      closers.push(']');
+    } else if (ch === '}' || ch === ']') {
+      closers.pop();
+    }
   }
 
-  return text;
+  let repaired = text;
+  if (inString) {
+    repaired = repaired.replace(/\\$/, '') + '"';
+  }
+
+  // Drop a trailing separator, a key without a value, or a partial literal
+  repaired = repaired
+    .replace(/,\s*$/, '')
+    .replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, '')
+    .replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*(?:-|t|tr|tru|f|fa|fal|fals|n|nu|nul)$/, '')
+    .replace(/[{,]\s*"(?:[^"\\]|\\.)*"$/, (m) => (m.startsWith('{') ? '{' : ''));
+
+  try {
+    return JSON.parse(repaired + closers.reverse().join(''));
+  } catch {
+    return null;
+  }
 }
 
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
- * Submits source code to Gemini for code-smell analysis (FR-02.1 – FR-02.3).
+ * A retry about to happen, as passed to the onRetry callback.
+ *
+ * @typedef  {object} RetryInfo
+ * @property {number} retry      - 1 for the first retry.
+ * @property {number} maxRetries
+ * @property {number} delayMs    - Wait before the retry is sent.
+ * @property {number} status     - HTTP status of the failed attempt.
+ */
+
+/**
+ * Options shared by analyzeCode() and sendFollowUp().
+ *
+ * @typedef  {object} RequestOptions
+ * @property {AbortSignal} [signal] - Aborting it cancels the request, including
+ *   any retry wait; the call then rejects with "Request cancelled."
+ * @property {(info: RetryInfo) => void} [onRetry] - Called before each retry.
+ * @property {(usage: import('./usage.js').Usage) => void} [onUsage] - Called with
+ *   the token usage of every request sent, including repair requests and
+ *   responses that fail validation.
+ */
+
+/**
+ * A partially streamed analysis, as passed to analyzeCode()'s onProgress
+ * callback. Only smells whose JSON object has been fully received are
+ * included, so a card never renders with a half-written severity.
+ *
+ * @typedef  {object} PartialAnalysis
+ * @property {string} summary - May still be growing.
+ * @property {Array}  smells
+ */
+
+/**
+ * @returns {string} The language the model writes its prose in: that of the
+ *   interface (FR-06.5), e.g. "Hebrew".
+ */
+function replyLanguage() {
+  return LOCALES[getLocale()].languageName;
+}
+
+/**
+ * The prompt and response schema of an analysis request.
+ *
+ * @param {string} code
+ * @param {string} language
+ * @param {import('./catalogue.js').Catalogue|null} catalogue
+ * @returns {{prompt: string, schema: object}}
+ */
+function buildAnalysisRequest(code, language, catalogue) {
+  const entries = catalogue ? catalogueEntriesFor(catalogue, language) : null;
+  return {
+    prompt: buildAnalysisPrompt(code, language, entries, replyLanguage()),
+    schema: buildAnalysisResponseSchema(entries?.map((entry) => entry.name) ?? null),
+  };
+}
+
+/**
+ * The response cache key of an analysis request: everything that shapes the
+ * answer (FR-02.13).
+ *
+ * @param {{prompt: string, schema: object}} request - From buildAnalysisRequest().
+ * @param {import('./providers.js').ProviderSettings} settings
+ * @returns {Promise<string|null>}
+ */
+function analysisCacheKey({ prompt, schema }, settings) {
+  // Recording and replaying must reach the transport, not stop at the cache
+  if ((settings.transport?.mode ?? 'live') !== 'live') return Promise.resolve(null);
+  return cacheKey([
+    PROMPT_VERSION, settings.provider, settings.baseUrl, settings.model,
+    settings.temperature, settings.maxOutputTokens, prompt, schema,
+  ]);
+}
+
+/**
+ * The cached result of an identical earlier analysis, if any (FR-02.13).
+ * Takes the same arguments as analyzeCode().
+ *
+ * @param {string} code
+ * @param {string} language
+ * @param {import('./providers.js').ProviderSettings} settings
+ * @param {{catalogue?: import('./catalogue.js').Catalogue|null}} [options]
+ * @returns {Promise<object|null>} As returned by analyzeCode(), with
+ *   `cached: true` and no usage; or null on a miss.
+ */
+export async function findCachedAnalysis(code, language, settings, { catalogue = null } = {}) {
+  const key    = await analysisCacheKey(buildAnalysisRequest(code, language, catalogue), settings);
+  const cached = await getCached(key);
+  return cached && { ...cached, usage: null, cached: true };
+}
+
+/**
+ * Submits source code to the configured LLM for code-smell analysis
+ * (FR-02.1 – FR-02.3).
+ *
+ * The response is validated strictly (validate.js). If it is invalid, one
+ * repair request listing the validation errors is sent before giving up with
+ * a "Malformed response" error that names the first offending field.
+ *
+ * With a smell catalogue, its applicable smells are the only ones the model
+ * may report. Names outside it also trigger the repair request, and the
+ * repaired response is held to the same rule; disabled or inapplicable
+ * catalogue smells are dropped (see catalogue.applyCatalogue()).
+ *
+ * If the refactored code — with every edit applied — does not parse, one
+ * correction request quoting the parser error is sent (FR-04.6). A valid
+ * corrected response whose code parses replaces the first; otherwise, or
+ * if the correction fails, the first is kept and the UI shows the syntax
+ * error.
+ *
+ * A result cached for the same request is returned at once, without a call
+ * (see findCachedAnalysis()); every new result is cached unless its code
+ * still does not parse, so the next run asks the model again.
  *
  * @param {string} code     - Source code to analyse.
  * @param {string} language - Language identifier (e.g. "Python") or "auto".
- * @param {string} apiKey   - Gemini API key.
- * @returns {Promise<{summary: string, smells: Array, refactored_code: string}>}
+ * @param {import('./providers.js').ProviderSettings} settings - From loadConfig().
+ * @param {RequestOptions} [options]
+ * @param {(partial: PartialAnalysis) => void} [options.onProgress] - Called as the result streams in.
+ * @param {import('./catalogue.js').Catalogue|null} [options.catalogue] - From loadCatalogue().
+ * @param {boolean} [options.fresh=false] - Ignore a cached result and ask the model again.
+ * @returns {Promise<{summary: string, smells: Array, refactored_code: string,
+ *   usage: import('./usage.js').Usage|null, cached?: boolean}>}
+ *   Each smell's `edit` is validated against the code, or null. `usage`
+ *   covers the analysis and any repair or correction request; a cached
+ *   result has none.
  * @throws  {Error} With a human-readable message on any failure.
  */
-export async function analyzeCode(code, language, apiKey) {
-  const prompt  = buildAnalysisPrompt(code, language);
-  const rawText = await callGemini(prompt, apiKey, true);
+export async function analyzeCode(code, language, settings, {
+  onProgress, catalogue = null, fresh = false, signal, onRetry, onUsage,
+} = {}) {
+  const request = buildAnalysisRequest(code, language, catalogue);
+  const key     = await analysisCacheKey(request, settings);
+  const cached  = fresh ? null : await getCached(key);
+  if (cached) return { ...cached, usage: null, cached: true };
 
-  // Strip markdown fences defensively, in case the model wraps output despite
-  // the response_mime_type constraint (satisfies the requirements note about
-  // stripping ```json``` fences before parsing).
-  const cleaned = rawText
-    .replace(/^```(?:json)?\s*/i, '')
-    .replace(/\s*```$/i, '')
-    .trim();
+  const { prompt, schema } = request;
 
-  let result;
-  try {
-    result = JSON.parse(cleaned);
-  } catch {
-    throw new Error('Malformed response from Gemini. Could not parse the analysis result.');
+  const onText = onProgress && ((textSoFar) => {
+    const partial = parsePartialJson(stripFences(textSoFar));
+    if (!partial || typeof partial !== 'object') return;
+
+    const smells = Array.isArray(partial.smells) ? partial.smells : [];
+    // The schema lists refactored_code after smells, so until it appears the
+    // last smell object may still be incomplete.
+    const complete = 'refactored_code' in partial ? smells : smells.slice(0, -1);
+
+    onProgress({
+      summary: typeof partial.summary === 'string' ? partial.summary : '',
+      smells:  catalogue
+        ? applyCatalogue(complete.filter((smell) => typeof smell?.name === 'string'), catalogue, language)
+        : complete,
+    });
+  });
+
+  const check = (text) => {
+    const parsed = parseAnalysis(text);
+    if (parsed.errors.length === 0 && catalogue) {
+      parsed.errors = unknownSmellErrors(parsed.result.smells, catalogue, language);
+    }
+    return parsed;
+  };
+
+  const first = await callProvider(
+    [{ role: 'user', text: prompt }], settings, schema, { onText, signal, onRetry, onUsage }
+  );
+  let rawText = first.text;
+  let usage   = first.usage;
+  let { result, errors } = check(rawText);
+
+  // One automatic repair attempt, telling the model exactly what was wrong.
+  // It is not streamed: the cards of the first attempt stay until it is done.
+  if (errors.length > 0) {
+    const repairPrompt = buildRepairPrompt(prompt, rawText, errors);
+    const repair = await callProvider(
+      [{ role: 'user', text: repairPrompt }], settings, schema, { signal, onRetry, onUsage }
+    );
+    rawText = repair.text;
+    usage   = addUsage(usage, repair.usage);
+    ({ result, errors } = check(rawText));
+  }
+
+  if (errors.length > 0) {
+    const more = errors.length > 1 ? t('errors.moreProblems', { count: errors.length - 1 }) : '';
+    throw new Error(t('errors.invalidResult', {
+      provider: getProvider(settings.provider).label, error: errors[0], more,
+    }));
   }
 
-  // Normalise: guarantee required fields are present so UI code can rely on them.
-  if (!Array.isArray(result.smells))           result.smells          = [];
-  if (typeof result.summary !== 'string')      result.summary         = '';
-  if (typeof result.refactored_code !== 'string') result.refactored_code = code;
+  const lineCount = countLines(code);
+  const finish = (analysis) => {
+    if (catalogue) analysis.smells = applyCatalogue(analysis.smells, catalogue, language);
+    for (const smell of analysis.smells) {
+      normaliseLineRange(smell, lineCount);
+      smell.edit = normaliseEdit(smell.edit, lineCount);
+    }
+    return analysis;
+  };
+  result = finish(result);
 
+  // One correction request if the refactored code does not parse (FR-04.6)
+  const syntaxOf = (analysis) => checkSyntax(composeRefactoring(code, analysis, new Set()).code, language);
+  let syntaxProblem = syntaxOf(result);
+  if (syntaxProblem) {
+    try {
+      const correction = await callProvider(
+        [{ role: 'user', text: buildSyntaxFixPrompt(prompt, rawText, formatSyntaxProblem(syntaxProblem)) }],
+        settings, schema, { signal, onRetry, onUsage }
+      );
+      usage = addUsage(usage, correction.usage);
+      const corrected = check(correction.text);
+      if (corrected.errors.length === 0) {
+        const candidate = finish(corrected.result);
+        if (!syntaxOf(candidate)) {
+          result        = candidate;
+          syntaxProblem = null;
+        }
+      }
+    } catch (err) {
+      // Keep the first result; the UI reports its syntax error
+      if (signal?.aborted) throw err;
+    }
+  }
+
+  result.usage = usage;
+  if (!syntaxProblem) await putCached(key, result);
   return result;
 }
 
 /**
- * Sends a follow-up chat question with the original analysis as context
- * (FR-05.2).
+ * Sends a follow-up chat question with the original analysis and the earlier
+ * conversation as context (FR-05.2). Earlier turns beyond the settings'
+ * history budget are condensed (see prompt.buildFollowUpMessages()).
  *
  * @param {string} question       - The user's follow-up question.
  * @param {string} originalCode   - The original source code that was analysed.
  * @param {object} analysisResult - The parsed result returned by analyzeCode().
- * @param {string} apiKey         - Gemini API key.
- * @returns {Promise<string>} Gemini's plain-text reply.
+ * @param {import('./state.js').ChatEntry[]} history - Earlier chat messages, without the question.
+ * @param {import('./providers.js').ProviderSettings} settings - From loadConfig().
+ * @param {RequestOptions} [options]
+ * @param {(textSoFar: string) => void} [options.onText] - Called as the reply streams in.
+ * @returns {Promise<{reply: string, condensed: number, usage: import('./usage.js').Usage|null}>}
+ *   The model's complete plain-text reply, how many history messages were
+ *   sent only condensed, and the reply's token usage.
  * @throws  {Error} With a human-readable message on any failure.
  */
-export async function sendFollowUp(question, originalCode, analysisResult, apiKey) {
-  const prompt = buildFollowUpPrompt(question, originalCode, analysisResult);
-  return callGemini(prompt, apiKey, false);
+export async function sendFollowUp(question, originalCode, analysisResult, history, settings, {
+  onText, signal, onRetry, onUsage,
+} = {}) {
+  const { messages, condensed } = buildFollowUpMessages(
+    question, originalCode, analysisResult, history,
+    settings.maxHistoryTokens ?? DEFAULT_MAX_HISTORY_TOKENS, replyLanguage()
+  );
+  const { text, usage } = await callProvider(messages, settings, null, { onText, signal, onRetry, onUsage });
+  return { reply: text, condensed, usage };
+}
+
+/**
+ * Asks the model for sample inputs to the behavioural-equivalence check
+ * (FR-04.5). Inputs that are not JSON arrays are dropped.
+ *
+ * @param {string} code         - The original JavaScript code.
+ * @param {string} functionName - The function to test, or '' to let the model pick.
+ * @param {import('./providers.js').ProviderSettings} settings - From loadConfig().
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{functionName: string, inputs: string[]}>} The inputs are
+ *   JSON arrays of arguments, one per call.
+ * @throws  {Error} With a human-readable message on any failure.
+ */
+export async function proposeSampleInputs(code, functionName, settings, { signal, onRetry, onUsage } = {}) {
+  const { text } = await callProvider(
+    [{ role: 'user', text: buildSampleInputsPrompt(code, functionName) }],
+    settings, SAMPLE_INPUTS_RESPONSE_SCHEMA, { signal, onRetry, onUsage }
+  );
+
+  let data = null;
+  try {
+    data = JSON.parse(stripFences(text));
+  } catch {
+    // Reported below
+  }
+  const isArgumentList = (input) => {
+    try {
+      return Array.isArray(JSON.parse(input));
+    } catch {
+      return false;
+    }
+  };
+  const inputs = Array.isArray(data?.inputs)
+    ? data.inputs.filter((input) => typeof input === 'string' && isArgumentList(input))
+    : [];
+
+  if (typeof data?.function !== 'string' || inputs.length === 0) {
+    throw new Error(t('errors.noSampleInputs', { provider: getProvider(settings.provider).label }));
+  }
+  return { functionName: functionName || data.function.trim(), inputs };
+}
+
+/**
+ * Estimated prompt tokens of an analysis request, for the budget warning
+ * before it is sent (FR-02.12).
+ *
+ * @param {string} code
+ * @param {string} language
+ * @param {import('./catalogue.js').Catalogue|null} [catalogue=null]
+ * @returns {number}
+ */
+export function estimateAnalysisTokens(code, language, catalogue = null) {
+  return estimateTokens(buildAnalysisRequest(code, language, catalogue).prompt);
+}
+
+/**
+ * Estimated prompt tokens of a follow-up request, for the budget warning
+ * before it is sent (FR-02.12). Takes the same arguments as sendFollowUp().
+ *
+ * @param {string} question
+ * @param {string} originalCode
+ * @param {object} analysisResult
+ * @param {import('./state.js').ChatEntry[]} history
+ * @param {import('./providers.js').ProviderSettings} settings
+ * @returns {number}
+ */
+export function estimateFollowUpTokens(question, originalCode, analysisResult, history, settings) {
+  const { messages } = buildFollowUpMessages(
+    question, originalCode, analysisResult, history,
+    settings.maxHistoryTokens ?? DEFAULT_MAX_HISTORY_TOKENS, replyLanguage()
+  );
+  return messages.reduce((sum, message) => sum + estimateTokens(message.text), 0);
 }
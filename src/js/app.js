@@ -2,18 +2,37 @@
  * app.js — Application entry point
  *
  * Responsibilities:
- *   1. Boot: load config.json, store the API key, enable the UI.
+ *   1. Boot: open a shared analysis from the URL fragment, if any; load
+ *      config.json and the saved settings, store the provider settings,
+ *      enable the UI.
  *   2. Bind all user-interaction event listeners.
- *   3. Orchestrate calls between api.js, state.js, and ui.js.
+ *   3. Orchestrate calls between api.js, detectors.js, history.js, state.js,
+ *      and ui.js.
  *
  * This module is the only one that wires event listeners to DOM elements.
  * It delegates all network work to api.js, all state to state.js, and all
  * DOM mutations to ui.js.
  */
 
-import * as api   from './api.js';
-import * as state from './state.js';
-import * as ui    from './ui.js';
+import * as api     from './api.js';
+import * as history from './history.js';
+import * as state   from './state.js';
+import * as ui      from './ui.js';
+import { applyCatalogue } from './catalogue.js';
+import { detectSmells, mergeSmells } from './detectors.js';
+import { createPatch } from './diff.js';
+import { composeRefactoring } from './edits.js';
+import { indentLines, indentUnit, insertNewline, outdentLines } from './editor.js';
+import { checkEquivalence, parseSampleInputs } from './equivalence.js';
+import { getLocale, loadStoredLocale, matchLocale, setLocale, storeLocale, t } from './i18n.js';
+import * as project from './project.js';
+import { DEFAULT_QUALITY_WEIGHTS, qualityScore } from './quality.js';
+import { refineUntilClean, roundLimit } from './refine.js';
+import { REPORT_FORMATS, createReport } from './report.js';
+import * as settingsStore from './settings.js';
+import { MAX_LINK_LENGTH, createShareFile, createShareFragment, readShareFile, readShareFragment } from './share.js';
+import { getRecording } from './transport.js';
+import { estimateInputCost, formatCost, formatTokens } from './usage.js';
 
 // ─── DOM element references (app.js only) ────────────────────────────────────
 // ui.js owns the full element map; app.js only needs the elements it attaches
@@ -24,26 +43,170 @@ const languageSelect = document.getElementById('language-select');
 const analyzeBtn    = document.getElementById('analyze-btn');
 const clearBtn      = document.getElementById('clear-btn');
 const copyBtn       = document.getElementById('copy-btn');
+const viewToggle    = document.getElementById('view-toggle');
+const diffView      = document.getElementById('diff-view');
+const downloadPatchBtn = document.getElementById('download-patch-btn');
 const chatInput     = document.getElementById('chat-input');
 const chatSendBtn   = document.getElementById('chat-send-btn');
 const exportChatBtn = document.getElementById('export-chat-btn');
+const exportReportBtn = document.getElementById('export-report-btn');
+const shareBtn        = document.getElementById('share-btn');
+const downloadRecordingBtn = document.getElementById('download-recording-btn');
+const sharedCloseBtn  = document.getElementById('shared-close-btn');
 const errorDismiss  = document.getElementById('error-dismiss');
+const smellsList    = document.getElementById('smells-list');
+const originalCode  = document.getElementById('original-code');
+const historyToggleBtn = document.getElementById('history-toggle-btn');
+const historyPanel     = document.getElementById('history-panel');
+const historyCloseBtn  = document.getElementById('history-close-btn');
+const historySearch    = document.getElementById('history-search');
+const historyList      = document.getElementById('history-list');
+const clearHistoryBtn  = document.getElementById('clear-history-btn');
+const inputPanel       = document.querySelector('.input-panel');
+const fileInput        = document.getElementById('file-input');
+const folderInput      = document.getElementById('folder-input');
+const openFilesBtn     = document.getElementById('open-files-btn');
+const openFolderBtn    = document.getElementById('open-folder-btn');
+const projectFileList  = document.getElementById('project-file-list');
+const refineBtn        = document.getElementById('refine-btn');
+const roundsList       = document.getElementById('rounds-list');
+const settingsBtn      = document.getElementById('settings-btn');
+const settingsForm     = document.getElementById('settings-form');
+const settingsProvider = document.getElementById('settings-provider');
+const settingsCloseBtn = document.getElementById('settings-close-btn');
+const settingsResetBtn = document.getElementById('settings-reset-btn');
+const cancelBtn        = document.getElementById('cancel-btn');
+const chatCancelBtn    = document.getElementById('chat-cancel-btn');
+const rerunFreshBtn    = document.getElementById('rerun-fresh-btn');
+const equivalenceSuggestBtn = document.getElementById('equivalence-suggest-btn');
+const equivalenceRunBtn     = document.getElementById('equivalence-run-btn');
+const localeSelect     = document.getElementById('locale-select');
 
 // ─── Boot ─────────────────────────────────────────────────────────────────────
 
 /**
  * Initialises the app:
- *   - Fetches and validates the Gemini API key from config.json.
- *   - Stores the key in session state.
+ *   - Shows the page in the user's language (FR-06.5).
+ *   - Loads the team's smell catalogue, if the project has one.
+ *   - Fetches config.json, applies the saved settings, and resolves the
+ *     selected LLM provider's settings.
+ *   - Stores the settings in session state.
  *   - Shows an error banner if the key is missing or invalid (AC-02.3).
  */
 async function init() {
+  setLocale(loadStoredLocale() ?? matchLocale(navigator.languages));
+  ui.applyLocale();
+  ui.renderEditor();
+  await openSharedAnalysis();
+
   try {
-    const key = await api.loadConfig();
-    state.setApiKey(key);
+    state.setCatalogue(await api.loadCatalogue());
   } catch (err) {
     ui.showError(err.message);
   }
+
+  const problem = await reloadSettings();
+  if (problem) ui.showError(problem);
+}
+
+/**
+ * Resolves the provider settings from config.json and the saved settings
+ * into session state. Without valid settings only local rules run.
+ *
+ * @returns {Promise<string|null>} Why the settings are unusable, or null.
+ */
+async function reloadSettings() {
+  try {
+    const settings = await api.loadConfig();
+    state.setProviderSettings(settings);
+    ui.setModelLabel(settings);
+    ui.setQualityWeights(qualityWeights());
+    ui.setTransportStatus(settings.transport);
+    return null;
+  } catch (err) {
+    state.setProviderSettings(null);
+    ui.setQualityWeights(qualityWeights());
+    ui.setTransportStatus(null);
+    return err.message;
+  }
+}
+
+/**
+ * Severity weights of the quality score (FR-03.8): config.json's, or the
+ * defaults while no settings are loaded.
+ *
+ * @returns {import('./quality.js').QualityWeights}
+ */
+function qualityWeights() {
+  return state.getProviderSettings()?.qualityWeights ?? DEFAULT_QUALITY_WEIGHTS;
+}
+
+// ─── Cancellation ─────────────────────────────────────────────────────────────
+
+/** Aborts the running analysis (single snippet, project or rounds), or null. */
+let analysisController = null;
+
+/** Aborts the follow-up question being answered, or null. */
+let chatController = null;
+
+/** Cancels the running analysis; local results stay on screen. */
+function onCancelAnalysis() {
+  analysisController?.abort();
+}
+
+/** Cancels the follow-up question being answered. */
+function onCancelChat() {
+  chatController?.abort();
+}
+
+// ─── Token usage (FR-02.12) ───────────────────────────────────────────────────
+
+/**
+ * Adds a request's usage to the session total in the header. Passed to the
+ * API as onUsage, so repair requests and failed responses count too.
+ *
+ * @param {import('./usage.js').Usage} usage
+ */
+function recordUsage(usage) {
+  state.addSessionUsage(usage);
+  ui.setSessionUsage(state.getSessionUsage());
+}
+
+/**
+ * Asks before sending a request whose estimated prompt exceeds the input
+ * token budget.
+ *
+ * @param {number} tokens - Estimated prompt tokens.
+ * @param {import('./providers.js').ProviderSettings} settings
+ * @returns {boolean} Whether to send it.
+ */
+function confirmTokenBudget(tokens, settings) {
+  if (tokens <= settings.inputTokenBudget) return true;
+  const cost = estimateInputCost(tokens, settings.prices[settings.model]);
+  return window.confirm(t('budget.confirm', {
+    tokens: formatTokens(tokens),
+    cost:   cost === null ? '' : t('budget.cost', { cost: formatCost(cost) }),
+    budget: formatTokens(settings.inputTokenBudget),
+  }));
+}
+
+/**
+ * Asks before analysing sources whose uncached prompts together exceed the
+ * input token budget. Results in the response cache cost nothing.
+ *
+ * @param {{code: string, language: string}[]} sources
+ * @param {import('./providers.js').ProviderSettings} settings
+ * @param {boolean} fresh - The cache will be ignored.
+ * @returns {Promise<boolean>} Whether to send them.
+ */
+async function confirmAnalysis(sources, settings, fresh) {
+  const catalogue = state.getCatalogue();
+  let tokens = 0;
+  for (const { code, language } of sources) {
+    if (!fresh && await api.findCachedAnalysis(code, language, settings, { catalogue })) continue;
+    tokens += api.estimateAnalysisTokens(code, language, catalogue);
+  }
+  return confirmTokenBudget(tokens, settings);
 }
 
 // ─── Event handlers ───────────────────────────────────────────────────────────
@@ -54,93 +217,1077 @@ function onCodeInput() {
   state.setCurrentCode(value);
   ui.updateCharCount(value.length);
   ui.setAnalyzeButtonEnabled(value.length >= 10); // FR-01.7
+  ui.renderEditor();
 }
 
 /** Keeps state in sync when the user picks a language (FR-01.4). */
 function onLanguageChange() {
   state.setCurrentLanguage(languageSelect.value);
+  ui.renderEditor();
+}
+
+/** Set by Escape: the next Tab leaves the code editor instead of indenting. */
+let editorTabReleased = false;
+
+/**
+ * Editing keys in the code editor (FR-01.9): Tab and Shift+Tab indent and
+ * outdent, Enter keeps the indentation. After Escape, Tab moves the focus
+ * on as usual, so the editor is no keyboard trap.
+ *
+ * @param {KeyboardEvent} event
+ */
+function onCodeKeyDown(event) {
+  const released = editorTabReleased;
+  editorTabReleased = event.key === 'Escape';
+  if (codeInput.readOnly || event.altKey || event.ctrlKey || event.metaKey || event.isComposing) return;
+
+  const tab   = event.key === 'Tab' && !released;
+  const enter = event.key === 'Enter' && !event.shiftKey;
+  if (!tab && !enter) return;
+  event.preventDefault();
+
+  const { value, selectionStart: start, selectionEnd: end } = codeInput;
+  const unit = indentUnit(value, languageSelect.value);
+  let change;
+  if (enter)               change = insertNewline(value, start, end, unit);
+  else if (event.shiftKey) change = outdentLines(value, start, end, unit);
+  else                     change = indentLines(value, start, end, unit);
+  if (change) ui.applyEditorChange(change);
+}
+
+/** Keeps the editor's highlighting and gutter aligned with the code input. */
+function onCodeScroll() {
+  ui.syncEditorScroll();
+}
+
+/**
+ * Runs the local rule checks, mapped onto the team's smell catalogue when
+ * there is one (so rule and model smells share names and severities).
+ *
+ * @param {string} code
+ * @param {string} language
+ * @returns {import('./state.js').Smell[]}
+ */
+function detectRuleSmells(code, language) {
+  const smells    = detectSmells(code, language);
+  const catalogue = state.getCatalogue();
+  return catalogue ? applyCatalogue(smells, catalogue, language) : smells;
+}
+
+/**
+ * Builds the summary shown for rule-based results before (or without) the
+ * model's own summary.
+ *
+ * @param {number}  count        - Number of rule smells.
+ * @param {boolean} modelPending - Whether a model analysis is still running.
+ * @returns {string}
+ */
+function describeRuleSmells(count, modelPending) {
+  const found = count === 0 ? t('rules.foundNone') : t('rules.found', { count });
+  return t(modelPending ? 'rules.pending' : 'rules.only', { found });
+}
+
+/** Handles the Analyze button click (FR-02.1). */
+function onAnalyze() {
+  analyzeCurrentCode();
+}
+
+/** Analyses the code again, ignoring its cached result (FR-02.13). */
+function onRerunFresh() {
+  analyzeCurrentCode({ fresh: true });
 }
 
 /**
- * Handles the Analyze button click (FR-02.1):
- *   - Validates that an API key is loaded.
+ * Analyses the code in the input panel:
+ *   - Runs the local rule-based detectors and renders their results at once.
+ *   - Validates that provider settings are loaded; without them the local
+ *     results are all the user gets. So they are if the user declines to
+ *     send a prompt above the input token budget (FR-02.12).
  *   - Shows the loading indicator.
- *   - Calls the Gemini API, stores the result, and renders it.
- *   - On failure, shows a human-readable error (FR-02.7).
+ *   - Calls the LLM API — which answers a repeated analysis from its cache
+ *     unless `fresh` is set — merges its smells with the local ones, stores
+ *     the result, and renders it.
+ *   - On failure, shows a human-readable error (FR-02.7) and keeps the local
+ *     results on screen. Cancelling keeps them too, without an error.
+ *
+ * @param {{fresh?: boolean}} [options]
  */
-async function onAnalyze() {
+async function analyzeCurrentCode({ fresh = false } = {}) {
   const code     = state.getCurrentCode();
   const language = state.getCurrentLanguage();
-  const apiKey   = state.getApiKey();
+  const settings = state.getProviderSettings();
 
-  if (!apiKey) {
-    ui.showError(
-      'Invalid or missing API key. Open config.json and add your Gemini API key.'
-    );
+  ui.hideError();
+  if (state.getCurrentProjectPath() !== null) {
+    state.setCurrentProjectPath(null);
+    renderProject();
+  }
+  if (state.getCurrentRound() !== null) {
+    state.setCurrentRound(null);
+    renderRefinement();
+  }
+
+  // Deterministic local findings first — instant, and work without a key.
+  // They are on screen before the cache lookup and the budget check.
+  const ruleSmells  = detectRuleSmells(code, language);
+  const localResult = {
+    summary:         describeRuleSmells(ruleSmells.length, Boolean(settings)),
+    smells:          ruleSmells,
+    refactored_code: code,
+  };
+  state.setAnalysisResult(localResult);
+  ui.renderResults(localResult, code, language);
+  ui.renderChatHistory([]);
+
+  if (!settings) {
+    ui.showError(t('errors.keyRulesOnly'));
+    await saveSessionToHistory();
+    return;
+  }
+
+  // Declining the token budget warning leaves just the local findings
+  if (!await confirmAnalysis([{ code, language }], settings, fresh)) {
+    localResult.summary = describeRuleSmells(ruleSmells.length, false);
+    ui.renderResults(localResult, code, language);
+    await saveSessionToHistory();
     return;
   }
 
-  ui.hideError();
   ui.setLoading(true);
+  const controller = new AbortController();
+  analysisController = controller;
+
+  // Model results fill in progressively as the response streams (summary
+  // first, then each smell card as soon as its JSON object is complete),
+  // after the local findings.
+  const onProgress = (partial) => {
+    ui.renderPartialResults({
+      summary: partial.summary,
+      smells:  [...ruleSmells, ...partial.smells],
+    });
+  };
 
   try {
-    const result = await api.analyzeCode(code, language, apiKey);
+    const result = await api.analyzeCode(code, language, settings, {
+      onProgress, catalogue: state.getCatalogue(), fresh, signal: controller.signal, onRetry: ui.showRetry,
+      onUsage: recordUsage,
+    });
+    result.smells = mergeSmells(ruleSmells, result.smells);
     state.setAnalysisResult(result);
-    ui.renderResults(result, code, language);
+
+    // Every edit starts out accepted; show the code composed from them
+    const composition = composeRefactoring(code, result, state.getRejectedEdits());
+    ui.renderResults({ ...result, refactored_code: composition.code }, code, language);
+    ui.updateEditControls(state.getRejectedEdits(), composition.conflicts);
     ui.showChatPanel();
+    await saveSessionToHistory();
   } catch (err) {
-    ui.showError(err.message);
+    // Fall back to the local findings rather than a half-streamed result
+    localResult.summary = describeRuleSmells(ruleSmells.length, false);
+    ui.renderResults(localResult, code, language);
+    if (!controller.signal.aborted) ui.showError(err.message);
   } finally {
+    analysisController = null;
     ui.setLoading(false);
     // Re-evaluate button state — input may still be valid after an error
     ui.setAnalyzeButtonEnabled(code.length >= 10);
   }
 }
 
+// ─── History ──────────────────────────────────────────────────────────────────
+
+/**
+ * Saves a completed analysis to the persistent history. A failure to save is
+ * reported but does not affect the analysis.
+ *
+ * @param {object} run - See history.saveRun().
+ * @returns {Promise<number|null>} The new run's id, or null if saving failed.
+ */
+async function saveToHistory(run) {
+  try {
+    const id = await history.saveRun(run);
+    if (ui.isHistoryPanelOpen()) await refreshHistory();
+    return id;
+  } catch (err) {
+    ui.showError(err.message);
+    return null;
+  }
+}
+
+/** Saves the session's analysis to the history and links the session to it. */
+async function saveSessionToHistory() {
+  const id = await saveToHistory({
+    code:          state.getCurrentCode(),
+    language:      state.getCurrentLanguage(),
+    result:        state.getAnalysisResult(),
+    rejectedEdits: [...state.getRejectedEdits()],
+    chat:          state.getChatHistory(),
+  });
+  if (id !== null) state.setCurrentRunId(id);
+}
+
+/**
+ * Saves later changes (chat, edit decisions) to the session's history entry.
+ * @param {object} changes - Fields to update, see history.updateRun().
+ */
+async function updateSavedRun(changes) {
+  const id = state.getCurrentRunId();
+  if (id === null) return;
+  try {
+    await history.updateRun(id, changes);
+  } catch (err) {
+    ui.showError(err.message);
+  }
+}
+
+/** Re-lists the saved runs that match the current search query. */
+async function refreshHistory() {
+  const query = ui.getHistoryQuery();
+  try {
+    const runs = await history.listRuns(query);
+    // A newer search may have started while this one was reading
+    if (query !== ui.getHistoryQuery()) return;
+    ui.renderHistory(runs, state.getCurrentRunId());
+  } catch (err) {
+    ui.showError(err.message);
+  }
+}
+
+/**
+ * Loads a saved run back into the session — input, results, edit decisions
+ * and chat — and closes the sidebar.
+ *
+ * @param {number} id
+ */
+async function reopenRun(id) {
+  let run;
+  try {
+    run = await history.getRun(id);
+  } catch (err) {
+    ui.showError(err.message);
+    return;
+  }
+  if (!run) {
+    ui.showError(t('history.gone'));
+    await refreshHistory();
+    return;
+  }
+
+  showRun(run);
+  if (state.getCurrentProjectPath() !== null) {
+    state.setCurrentProjectPath(null);
+    renderProject();
+  }
+  if (state.getCurrentRound() !== null) {
+    state.setCurrentRound(null);
+    renderRefinement();
+  }
+  renderQualityTrend(run.path ?? null);
+  ui.setHistoryPanelOpen(false);
+}
+
+/**
+ * Loads a run — saved, or from the current project — into the session and
+ * renders it: input, results, edit decisions and chat.
+ *
+ * @param {import('./history.js').HistoryRun} run
+ */
+function showRun(run) {
+  state.restoreRun(run);
+  ui.hideError();
+  ui.restoreInput(run.code, run.language);
+
+  const composition = composeAccepted();
+  ui.renderResults({ ...run.result, refactored_code: composition.code }, run.code, run.language);
+  ui.updateEditControls(state.getRejectedEdits(), composition.conflicts);
+  ui.renderChatHistory(run.chat);
+  if (state.getProviderSettings() || run.chat.length > 0) ui.showChatPanel();
+}
+
+/** Saved analyses of a file shown in its trend; older ones are left out. */
+const MAX_TREND_POINTS = 12;
+
+/** Counts trend renders, so a slow history read cannot replace a newer trend. */
+let trendRequest = 0;
+
+/** File path of the last trend rendered, to redraw it in another language. */
+let trendPath = null;
+
+/**
+ * Shows how the quality score of the shown code developed (FR-03.8): over
+ * the rounds of the "refactor until clean" run when one of its rounds is
+ * shown, else over the saved analyses of the same project file.
+ *
+ * @param {string|null} path - File path of the shown run, if it has one.
+ */
+async function renderQualityTrend(path) {
+  const request    = ++trendRequest;
+  trendPath        = path;
+  const weights    = qualityWeights();
+  const refinement = state.getRefinement();
+  const round      = state.getCurrentRound();
+
+  if (refinement && round !== null) {
+    const points = refinement.rounds.map(({ number, code, result }) =>
+      ({ label: t('rounds.round', { number }), score: qualityScore(result.smells, code, weights).score }));
+    ui.renderQualityTrend(points, t('quality.trendRounds', { count: points.length }), round);
+    return;
+  }
+  if (!path) {
+    ui.renderQualityTrend(null);
+    return;
+  }
+
+  let runs;
+  try {
+    runs = (await history.listRuns()).filter((run) => run.path === path).slice(0, MAX_TREND_POINTS).reverse();
+  } catch {
+    runs = [];
+  }
+  if (request !== trendRequest) return;
+
+  const points = runs.map(({ createdAt, code, result }) =>
+    ({ label: createdAt.toLocaleString(getLocale()), score: qualityScore(result.smells, code, weights).score }));
+  const current = runs.findIndex((run) => run.id === state.getCurrentRunId());
+  ui.renderQualityTrend(points, t('quality.trendFile', { count: points.length, path }), current === -1 ? null : current);
+}
+
+/** Opens or closes the history sidebar, refreshing the list on open. */
+function onHistoryToggle() {
+  const open = !ui.isHistoryPanelOpen();
+  ui.setHistoryPanelOpen(open);
+  if (open) refreshHistory();
+}
+
+/** Closes the history sidebar. */
+function onHistoryClose() {
+  ui.setHistoryPanelOpen(false);
+}
+
+/**
+ * Closes the history sidebar on Escape.
+ * @param {KeyboardEvent} event
+ */
+function onHistoryKeyDown(event) {
+  if (event.key === 'Escape') ui.setHistoryPanelOpen(false);
+}
+
+/** Filters the history list as the user types a search query. */
+function onHistorySearch() {
+  refreshHistory();
+}
+
+/**
+ * Reopens or deletes the run whose button was clicked in the history list.
+ * @param {MouseEvent} event
+ */
+async function onHistoryClick(event) {
+  const target = ui.historyActionAt(event.target);
+  if (!target) return;
+
+  if (target.action === 'open') {
+    await reopenRun(target.id);
+    return;
+  }
+
+  try {
+    await history.deleteRun(target.id);
+    if (state.getCurrentRunId() === target.id) state.setCurrentRunId(null);
+  } catch (err) {
+    ui.showError(err.message);
+  }
+  await refreshHistory();
+}
+
+/** Deletes every saved run after the user confirms. */
+async function onClearHistory() {
+  if (!window.confirm(t('history.confirmClear'))) return;
+
+  try {
+    await history.clearHistory();
+    state.setCurrentRunId(null);
+  } catch (err) {
+    ui.showError(err.message);
+  }
+  await refreshHistory();
+}
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+/** Opens the Settings dialog with the saved settings (FR-02.10). */
+function onSettingsOpen() {
+  ui.openSettings(
+    settingsStore.loadStoredSettings(),
+    state.getProviderSettings()?.provider ?? 'gemini',
+    settingsStore.isRemembered()
+  );
+}
+
+/** Closes the Settings dialog without saving. */
+function onSettingsClose() {
+  ui.closeSettings();
+}
+
+/** Offers the newly chosen provider's models in the dialog. */
+function onSettingsProviderChange() {
+  ui.setSettingsProvider(settingsProvider.value);
+}
+
+/**
+ * Validates and saves the dialog's settings, then applies them. A problem
+ * is shown inside the dialog, which stays open so it can be corrected.
+ *
+ * @param {SubmitEvent} event
+ */
+async function onSettingsSave(event) {
+  event.preventDefault();
+  const { settings, remember } = ui.getSettingsForm();
+
+  const invalid = settingsStore.validateSettings(settings);
+  if (invalid) {
+    ui.setSettingsError(invalid);
+    return;
+  }
+
+  try {
+    settingsStore.saveStoredSettings(settings, remember);
+  } catch (err) {
+    ui.setSettingsError(err.message);
+    return;
+  }
+
+  const problem = await reloadSettings();
+  if (problem) {
+    ui.setSettingsError(problem);
+    return;
+  }
+  ui.hideError();
+  ui.closeSettings();
+}
+
+/** Forgets the saved settings, so config.json applies again. */
+async function onSettingsReset() {
+  settingsStore.clearStoredSettings();
+  const problem = await reloadSettings();
+  ui.closeSettings();
+  if (problem) ui.showError(problem);
+  else         ui.hideError();
+}
+
+// ─── Project (multi-file) analysis ────────────────────────────────────────────
+
+/** Skipped files of the current project, listed under its report. */
+let projectSkipped = [];
+
+/** Re-renders the project report, if a project is open. */
+function renderProject() {
+  const files = state.getProjectFiles();
+  if (files) ui.renderProjectReport(project.rankFiles(files), projectSkipped, state.getCurrentProjectPath());
+}
+
+/**
+ * Analyses one project file: local rules, then the model (without streaming)
+ * merged with them. If the model fails, the file keeps its local results and
+ * the error is shown in its report row. Like a single analysis, the result
+ * is saved to the history only if it completed: not after a failure, and not
+ * once the project analysis is cancelled.
+ *
+ * @param {import('./project.js').ProjectFile} file
+ * @param {import('./providers.js').ProviderSettings|null} settings - Null for
+ *   local rule checks only.
+ * @param {AbortSignal} signal - Cancels the whole project analysis.
+ */
+async function analyzeProjectFile(file, settings, signal) {
+  const ruleSmells = detectRuleSmells(file.code, file.language);
+
+  state.updateProjectFile(file.path, { status: 'running' });
+  renderProject();
+
+  let result = {
+    summary:         describeRuleSmells(ruleSmells.length, false),
+    smells:          ruleSmells,
+    refactored_code: file.code,
+  };
+  let error = null;
+
+  if (settings) {
+    try {
+      result = await api.analyzeCode(file.code, file.language, settings, {
+        catalogue: state.getCatalogue(), signal, onRetry: ui.showRetry, onUsage: recordUsage,
+      });
+      result.smells = mergeSmells(ruleSmells, result.smells);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  state.updateProjectFile(file.path, { status: error ? 'error' : 'done', result, error });
+  renderProject();
+  if (error || signal.aborted) return;
+
+  const runId = await saveToHistory({
+    code:          file.code,
+    language:      file.language,
+    path:          file.path,
+    result,
+    rejectedEdits: [],
+    chat:          [],
+  });
+  state.updateProjectFile(file.path, { runId });
+}
+
+/**
+ * Analyses picked or dropped files. A single file is simply loaded into the
+ * code input — or, if it is a file from "Share link", opened as a shared
+ * analysis; several files become a project, analysed PROJECT_CONCURRENCY at
+ * a time and ranked in the project report as results arrive.
+ *
+ * @param {Iterable<File>} files
+ */
+async function analyzeFiles(files) {
+  ui.hideError();
+  if (await openSharedFile([...files])) return;
+
+  let sources, skipped;
+  try {
+    ({ sources, skipped } = await project.readSourceFiles(files));
+  } catch (err) {
+    ui.showError(t('files.readFailed', { error: err.message }));
+    return;
+  }
+
+  if (sources.length === 0) {
+    ui.showError(t('files.noneSupported'));
+    return;
+  }
+
+  if (sources.length === 1 && skipped.length === 0) {
+    const [{ code, language }] = sources;
+    state.setCurrentCode(code);
+    state.setCurrentLanguage(language);
+    ui.restoreInput(code, language);
+    return;
+  }
+
+  projectSkipped = skipped;
+  state.setProjectFiles(sources.map((source) => ({
+    ...source, status: 'pending', result: null, error: null, runId: null,
+  })));
+  renderProject();
+
+  // Declining the token budget warning leaves the local rule checks
+  let settings = state.getProviderSettings();
+  if (!settings) {
+    ui.showError(t('errors.keyRulesOnly'));
+  } else if (!await confirmAnalysis(sources, settings, false)) {
+    settings = null;
+  }
+
+  ui.setLoading(true);
+  const controller = new AbortController();
+  analysisController = controller;
+  try {
+    await project.runWithConcurrency(
+      state.getProjectFiles(), project.PROJECT_CONCURRENCY,
+      (file) => analyzeProjectFile(file, settings, controller.signal)
+    );
+  } finally {
+    analysisController = null;
+    ui.setLoading(false);
+    ui.setAnalyzeButtonEnabled(state.getCurrentCode().length >= 10);
+  }
+}
+
+/**
+ * Opens the file picker for individual files or for a folder.
+ * @param {MouseEvent} event
+ */
+function onOpenFiles(event) {
+  ui.openFilePicker(event.currentTarget === openFolderBtn ? 'folder' : 'files');
+}
+
+/**
+ * Analyses the files chosen in a file picker.
+ * @param {Event} event
+ */
+function onFilesChosen(event) {
+  const files = [...event.target.files];
+  if (files.length > 0) analyzeFiles(files);
+}
+
+/**
+ * Accepts files dragged over the input panel.
+ * @param {DragEvent} event
+ */
+function onDragOver(event) {
+  if (!event.dataTransfer.types.includes('Files') || ui.isLoading()) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'copy';
+  ui.setDropTargetActive(true);
+}
+
+/**
+ * Clears the drop highlight once the drag leaves the input panel.
+ * @param {DragEvent} event
+ */
+function onDragLeave(event) {
+  if (!inputPanel.contains(event.relatedTarget)) ui.setDropTargetActive(false);
+}
+
+/**
+ * Analyses files or folders dropped on the input panel. Dropped text is left
+ * to the textarea's default handling.
+ * @param {DragEvent} event
+ */
+async function onDrop(event) {
+  ui.setDropTargetActive(false);
+  if (!event.dataTransfer.types.includes('Files') || ui.isLoading()) return;
+  event.preventDefault();
+
+  let files;
+  try {
+    files = await project.collectDroppedFiles(event.dataTransfer);
+  } catch (err) {
+    ui.showError(t('files.dropFailed', { error: err.message }));
+    return;
+  }
+  await analyzeFiles(files);
+}
+
+/**
+ * Opens the smell/refactor view of a file in the project report, with its
+ * edit decisions and chat from the history where available.
+ * @param {MouseEvent} event
+ */
+async function onProjectFileClick(event) {
+  const path = ui.projectPathAt(event.target);
+  const file = path && state.getProjectFiles()?.find((candidate) => candidate.path === path);
+  if (!file) return;
+
+  let run = null;
+  if (file.runId !== null) {
+    try {
+      run = await history.getRun(file.runId);
+    } catch {
+      // Fall back to the in-memory result below
+    }
+  }
+  run ??= {
+    id:            file.runId,
+    code:          file.code,
+    language:      file.language,
+    result:        file.result,
+    rejectedEdits: [],
+    chat:          [],
+  };
+
+  showRun(run);
+  state.setCurrentProjectPath(path);
+  renderProject();
+  if (state.getCurrentRound() !== null) {
+    state.setCurrentRound(null);
+    renderRefinement();
+  }
+  renderQualityTrend(path);
+  ui.scrollToResults();
+}
+
+// ─── Refactor until clean (FR-04.7) ───────────────────────────────────────────
+
+/** Re-renders the rounds timeline, if a "refactor until clean" run is open. */
+function renderRefinement() {
+  ui.renderRounds(state.getRefinement(), state.getCurrentRound());
+}
+
+/**
+ * Handles the "Refactor until clean" click: analyses the code, then each
+ * round's refactored code (every edit accepted), until no smell at or above
+ * the chosen severity remains, the code stops changing, or the round limit
+ * is hit. Every round is saved to the history and added to the timeline as
+ * it completes; the last one is shown at the end. Cancelling, or a round
+ * that fails, keeps the rounds completed so far.
+ */
+async function onRefactorUntilClean() {
+  const code     = state.getCurrentCode();
+  const language = state.getCurrentLanguage();
+  const settings = state.getProviderSettings();
+  const { threshold, maxRounds } = ui.getRefineOptions();
+  const limit    = roundLimit(maxRounds);
+
+  ui.hideError();
+  if (!settings) {
+    ui.showError(t('errors.keyRefine'));
+    return;
+  }
+
+  // Every round's code is about the size of the first, so budget for all of them
+  const tokens = api.estimateAnalysisTokens(code, language, state.getCatalogue()) * limit;
+  if (!confirmTokenBudget(tokens, settings)) return;
+
+  if (state.getCurrentProjectPath() !== null) {
+    state.setCurrentProjectPath(null);
+    renderProject();
+  }
+  const refinement = { rounds: [], language, threshold, stopReason: null };
+  state.setRefinement(refinement);
+  renderRefinement();
+
+  ui.setLoading(true);
+  const controller = new AbortController();
+  analysisController = controller;
+
+  const analyze = async (roundCode, number) => {
+    ui.showRoundProgress(number, limit);
+    const ruleSmells = detectRuleSmells(roundCode, language);
+    const result = await api.analyzeCode(roundCode, language, settings, {
+      catalogue: state.getCatalogue(), signal: controller.signal, onRetry: ui.showRetry, onUsage: recordUsage,
+    });
+    result.smells = mergeSmells(ruleSmells, result.smells);
+    return { result, refactoredCode: composeRefactoring(roundCode, result, new Set()).code };
+  };
+
+  const onRound = async (round) => {
+    round.runId = await saveToHistory({
+      code:          round.code,
+      language,
+      result:        round.result,
+      rejectedEdits: [],
+      chat:          [],
+    });
+    refinement.rounds.push(round);
+    renderRefinement();
+  };
+
+  try {
+    refinement.stopReason = await refineUntilClean(code, { threshold, maxRounds: limit, analyze, onRound });
+  } catch (err) {
+    refinement.stopReason = 'stopped';
+    if (!controller.signal.aborted) ui.showError(err.message);
+  } finally {
+    analysisController = null;
+    ui.setLoading(false);
+    ui.setAnalyzeButtonEnabled(code.length >= 10);
+  }
+
+  if (refinement.rounds.length === 0) {
+    state.setRefinement(null);
+    renderRefinement();
+    return;
+  }
+  await showRound(refinement.rounds.length - 1);
+}
+
+/**
+ * Makes one round of the "refactor until clean" run the session's result:
+ * its code in the input, the code refactored from it in the results, with
+ * edit decisions and chat from the history where available.
+ *
+ * @param {number} index
+ */
+async function showRound(index) {
+  const refinement = state.getRefinement();
+  const round      = refinement?.rounds[index];
+  if (!round) return;
+
+  let run = null;
+  if (round.runId !== null) {
+    try {
+      run = await history.getRun(round.runId);
+    } catch {
+      // Fall back to the in-memory result below
+    }
+  }
+  run ??= {
+    id:            round.runId,
+    code:          round.code,
+    language:      refinement.language,
+    result:        round.result,
+    rejectedEdits: [],
+    chat:          [],
+  };
+
+  showRun(run);
+  state.setCurrentRound(index);
+  renderRefinement();
+  renderQualityTrend(null);
+  if (state.getCurrentProjectPath() !== null) {
+    state.setCurrentProjectPath(null);
+    renderProject();
+  }
+}
+
+/**
+ * Picks the round clicked in the timeline as the result.
+ * @param {MouseEvent} event
+ */
+async function onRoundClick(event) {
+  const index = ui.roundIndexAt(event.target);
+  if (index === null) return;
+  await showRound(index);
+  ui.scrollToResults();
+}
+
 /**
  * Resets all state and UI to the initial empty state (FR-01.8, FR-06.2).
  */
 function onClear() {
   state.reset();
   ui.reset();
+  // Leaving a shared analysis: drop it from the address bar too
+  if (location.hash) window.history.replaceState(null, '', location.pathname + location.search);
 }
 
 /**
- * Copies the refactored code to the clipboard (FR-04.2).
+ * Builds the refactored code from the edits the user has accepted, falling
+ * back to the model's complete refactored_code for results without edits.
+ *
+ * @returns {import('./edits.js').Composition|null} Null before any analysis.
+ */
+function composeAccepted() {
+  const result = state.getAnalysisResult();
+  if (!result) return null;
+  return composeRefactoring(state.getCurrentCode(), result, state.getRejectedEdits());
+}
+
+/**
+ * Accepts or rejects one smell's edit, then recomposes the refactored code
+ * from the accepted edits and re-renders it.
+ *
+ * @param {number} index - Index into the analysis result's smells.
+ */
+function onToggleEdit(index) {
+  state.setEditAccepted(index, state.getRejectedEdits().has(index));
+
+  const composition = composeAccepted();
+  ui.renderRefactoredCode(state.getCurrentCode(), composition.code, state.getCurrentLanguage());
+  ui.updateEditControls(state.getRejectedEdits(), composition.conflicts);
+  updateSavedRun({ rejectedEdits: [...state.getRejectedEdits()] });
+}
+
+/**
+ * Copies the refactored code — composed from the accepted edits — to the
+ * clipboard (FR-04.2).
  */
 function onCopy() {
+  const composition = composeAccepted();
+  if (composition?.code) {
+    ui.copyToClipboard(composition.code);
+  }
+}
+
+/** File extensions used for the path in downloaded patches and reports. */
+const PATCH_EXTENSIONS = {
+  python:     'py',
+  javascript: 'js',
+  typescript: 'ts',
+  java:       'java',
+  'c++':      'cpp',
+  go:         'go',
+};
+
+/**
+ * Builds a filesystem-safe timestamp for download file names.
+ * @returns {string} e.g. "2024-05-01T12-30-00"
+ */
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+/**
+ * Downloads the refactoring as a unified .patch file. The patch
+ * targets `snippet.<ext>`, so it applies with `git apply` once the original
+ * code is saved under that name.
+ */
+function onDownloadPatch() {
+  const composition = composeAccepted();
+  if (!composition) return;
+
+  const language  = state.getCurrentLanguage();
+  const extension = PATCH_EXTENSIONS[language.toLowerCase()] ?? 'txt';
+  const patch     = createPatch(state.getCurrentCode(), composition.code, `snippet.${extension}`);
+
+  if (!patch) {
+    ui.showError(t('errors.identicalPatch'));
+    return;
+  }
+  ui.downloadFile(patch, `refactor-${fileTimestamp()}.patch`, 'text/x-diff;charset=utf-8');
+}
+
+/**
+ * Downloads the analysis — summary, smells, original and refactored code — as
+ * a report in the format chosen next to the button (Markdown, HTML, JSON or
+ * SARIF).
+ */
+function onExportReport() {
+  const composition = composeAccepted();
+  if (!composition) return;
+
+  // Snippets are reported as `snippet.<ext>`, like the patch
+  const sourceExtension = PATCH_EXTENSIONS[state.getCurrentLanguage().toLowerCase()] ?? 'txt';
+  const format = ui.getReportFormat();
+  const report = createReport(format, {
+    result:         state.getAnalysisResult(),
+    code:           state.getCurrentCode(),
+    refactoredCode: composition.code,
+    language:       state.getCurrentLanguage(),
+    path:           state.getCurrentProjectPath() ?? `snippet.${sourceExtension}`,
+    createdAt:      new Date(),
+    weights:        qualityWeights(),
+  });
+  const { extension, mimeType } = REPORT_FORMATS[format];
+  ui.downloadFile(report, `smell-report-${fileTimestamp()}.${extension}`, mimeType);
+}
+
+// ─── Recorded requests (FR-02.14) ─────────────────────────────────────────────
+
+/**
+ * Downloads the requests recorded so far as a fixtures file, named after the
+ * one configured, so it can be saved in its place and replayed.
+ */
+async function onDownloadRecording() {
+  const recording = await getRecording();
+  const fileName  = state.getProviderSettings()?.transport.fixtures.split('/').pop() ?? 'recording.json';
+  ui.downloadFile(`${JSON.stringify(recording, null, 2)}\n`, fileName, 'application/json;charset=utf-8');
+}
+
+// ─── Share links (FR-06.4) ────────────────────────────────────────────────────
+
+/**
+ * Creates a link that opens the current analysis — code, result, edit
+ * decisions and optionally the chat — from the URL fragment alone. An
+ * analysis too large for a practical link is downloaded as a small HTML file
+ * holding it instead, which opens when dropped or picked in the app.
+ */
+async function onShareLink() {
   const result = state.getAnalysisResult();
-  if (result?.refactored_code) {
-    ui.copyToClipboard(result.refactored_code);
+  if (!result) return;
+
+  try {
+    const fragment = await createShareFragment({
+      code:          state.getCurrentCode(),
+      language:      state.getCurrentLanguage(),
+      result,
+      rejectedEdits: [...state.getRejectedEdits()],
+      chat:          ui.getShareIncludesChat() ? state.getChatHistory() : [],
+    });
+    const appUrl = `${location.origin}${location.pathname}`;
+    const link   = `${appUrl}#${fragment}`;
+    if (link.length <= MAX_LINK_LENGTH) {
+      await ui.showShareLink(link);
+    } else {
+      ui.downloadFile(createShareFile(fragment, appUrl), `shared-analysis-${fileTimestamp()}.html`, 'text/html;charset=utf-8');
+      await ui.showShareLink(null);
+    }
+  } catch (err) {
+    ui.showError(t('share.failed', { error: err.message }));
+  }
+}
+
+/**
+ * Opens the analysis of a share link in the address bar, read-only and
+ * without any API call. Other fragments are ignored.
+ */
+async function openSharedAnalysis() {
+  let shared;
+  try {
+    shared = await readShareFragment(location.hash);
+  } catch (err) {
+    ui.showError(err.message);
+    return;
+  }
+  if (!shared) return;
+
+  showRun({ id: null, ...shared });
+  ui.setSharedView(true);
+}
+
+/**
+ * Opens a file downloaded by "Share link" in place of a link, read-only and
+ * without any API call.
+ *
+ * @param {File[]} files - Picked or dropped.
+ * @returns {Promise<boolean>} Whether it was such a file (opened or damaged).
+ */
+async function openSharedFile(files) {
+  if (files.length !== 1 || !/\.html?$/i.test(files[0].name)) return false;
+  let shared;
+  try {
+    shared = await readShareFile(await files[0].text());
+  } catch (err) {
+    ui.showError(err.message);
+    return true;
   }
+  if (!shared) return false;
+
+  showRun({ id: null, ...shared });
+  ui.setSharedView(true);
+  return true;
+}
+
+/**
+ * Switches between the split diff, unified diff and full-file views.
+ * @param {MouseEvent} event
+ */
+function onViewToggle(event) {
+  ui.setComparisonViewAt(event.target);
+}
+
+/**
+ * Expands a collapsed run of unchanged lines in the diff view.
+ * @param {MouseEvent} event
+ */
+function onDiffClick(event) {
+  ui.expandDiffGapAt(event.target);
 }
 
 /**
  * Handles sending a follow-up chat message (FR-05.2):
  *   - Appends the user's question to the chat log and state.
- *   - Calls Gemini with the original code and analysis as context.
- *   - Appends Gemini's reply.
+ *   - Calls the LLM with the original code, the analysis and the earlier
+ *     conversation as context, condensing the oldest turns if needed.
+ *   - Streams the reply into a new chat bubble, with its token usage below.
  */
 async function onChatSend() {
   const question      = chatInput.value.trim();
-  const apiKey        = state.getApiKey();
+  const settings      = state.getProviderSettings();
   const originalCode  = state.getCurrentCode();
   const analysisResult = state.getAnalysisResult();
 
-  if (!question || !apiKey || !analysisResult) return;
+  if (!question || !settings || !analysisResult) return;
+
+  const history = state.getChatHistory();
+  const tokens  = api.estimateFollowUpTokens(question, originalCode, analysisResult, history, settings);
+  if (!confirmTokenBudget(tokens, settings)) return;
 
   state.appendChat('user', question);
   ui.appendChatMessage('user', question);
   ui.clearChatInput();
   ui.setChatSending(true);
+  const controller = new AbortController();
+  chatController = controller;
+
+  // The reply bubble is created on the first streamed token and grows from there
+  let bubble = null;
+  const onText = (textSoFar) => {
+    bubble ??= ui.appendChatMessage('gemini', '');
+    bubble.update(textSoFar);
+  };
 
   try {
-    const reply = await api.sendFollowUp(question, originalCode, analysisResult, apiKey);
-    state.appendChat('gemini', reply);
-    ui.appendChatMessage('gemini', reply);
+    const { reply, condensed, usage } = await api.sendFollowUp(
+      question, originalCode, analysisResult, history, settings,
+      { onText, signal: controller.signal, onUsage: recordUsage }
+    );
+    state.appendChat('gemini', reply, usage);
+    onText(reply);
+    bubble.setUsage(usage);
+    ui.setChatCondensed(condensed);
+    await updateSavedRun({ chat: state.getChatHistory() });
   } catch (err) {
-    ui.showError(err.message);
+    bubble?.remove();
+    if (!controller.signal.aborted) ui.showError(err.message);
   } finally {
+    chatController = null;
     ui.setChatSending(false);
   }
 }
@@ -164,21 +1311,49 @@ function onChatKeyDown(event) {
 function onExportChat() {
   const log = state.getChatLog();
   if (!log) {
-    ui.showError('No chat history to export yet.');
+    ui.showError(t('chat.nothingToExport'));
+    return;
+  }
+
+  ui.downloadFile(log, `chat-export-${fileTimestamp()}.txt`, 'text/plain;charset=utf-8');
+}
+
+/**
+ * Toggles a smell's edit when its Accept/Reject button is clicked; otherwise
+ * highlights the lines of the clicked smell card in the original code pane.
+ * @param {MouseEvent} event
+ */
+function onSmellClick(event) {
+  const editIndex = ui.editIndexAt(event.target);
+  if (editIndex !== null) {
+    onToggleEdit(editIndex);
     return;
   }
+  ui.selectSmellAt(event.target);
+}
+
+/**
+ * Keyboard equivalent of onSmellClick for focused smell cards (NFR-03).
+ * Buttons inside a card keep their native Enter/Space behaviour.
+ * @param {KeyboardEvent} event
+ */
+function onSmellKeyDown(event) {
+  if ((event.key === 'Enter' || event.key === ' ') && ui.selectSmellAt(event.target)) {
+    event.preventDefault();
+  }
+}
 
-  const blob      = new Blob([log], { type: 'text/plain;charset=utf-8' });
-  const url       = URL.createObjectURL(blob);
-  const anchor    = document.createElement('a');
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+/**
+ * Highlights the smell cards that touch the hovered line of original code.
+ * @param {MouseEvent} event
+ */
+function onCodeHover(event) {
+  ui.linkSmellsToLineAt(event.target);
+}
 
-  anchor.href     = url;
-  anchor.download = `chat-export-${timestamp}.txt`;
-  document.body.appendChild(anchor);
-  anchor.click();
-  document.body.removeChild(anchor);
-  URL.revokeObjectURL(url);
+/** Clears the hover highlight when the pointer leaves the code pane. */
+function onCodeLeave() {
+  ui.linkSmellsToLineAt(null);
 }
 
 /** Dismisses the error banner when the user clicks the ✕ button. */
@@ -186,17 +1361,142 @@ function onDismissError() {
   ui.hideError();
 }
 
+// ─── Behaviour check (FR-04.5) ────────────────────────────────────────────────
+
+/**
+ * Asks the model for sample inputs to the chosen function — or to a function
+ * of its choosing, if none is entered — and fills them in.
+ */
+async function onEquivalenceSuggest() {
+  const settings = state.getProviderSettings();
+  if (!settings) {
+    ui.showError(t('equivalence.needsKey'));
+    return;
+  }
+
+  ui.hideError();
+  ui.setEquivalenceBusy(true, t('equivalence.asking'));
+  try {
+    const { functionName, inputs } = await api.proposeSampleInputs(
+      state.getCurrentCode(), ui.getEquivalenceInput().functionName, settings, { onUsage: recordUsage }
+    );
+    ui.setEquivalenceInput(functionName, inputs);
+  } catch (err) {
+    ui.showError(err.message);
+  } finally {
+    ui.setEquivalenceBusy(false);
+  }
+}
+
+/**
+ * Runs the original and the refactored code — composed from the accepted
+ * edits — on every sample input in sandboxed workers, and shows where they
+ * behave differently.
+ */
+async function onEquivalenceRun() {
+  const composition = composeAccepted();
+  if (!composition) return;
+
+  ui.hideError();
+  const { functionName, inputs } = ui.getEquivalenceInput();
+  try {
+    const argumentLists = parseSampleInputs(inputs);
+    ui.setEquivalenceBusy(true, t('equivalence.progress', { done: 0, total: argumentLists.length }));
+    const results = await checkEquivalence(state.getCurrentCode(), composition.code, functionName, argumentLists, {
+      onProgress: (done, total) => ui.setEquivalenceBusy(true, t('equivalence.progress', { done, total })),
+    });
+    // An edit toggled meanwhile makes the results stale
+    if (composeAccepted()?.code === composition.code) ui.renderEquivalenceResults(results);
+  } catch (err) {
+    ui.showError(err.message);
+  } finally {
+    ui.setEquivalenceBusy(false);
+  }
+}
+
+// ─── Interface language (FR-06.5) ─────────────────────────────────────────────
+
+/**
+ * Switches the interface language, remembers the choice, and redraws what is
+ * shown in the old one. While a request is in flight only the page's own text
+ * changes, so the streamed results are not redrawn from under it.
+ */
+function onLocaleChange() {
+  storeLocale(setLocale(localeSelect.value));
+  ui.applyLocale();
+  ui.setSessionUsage(state.getSessionUsage());
+  ui.setTransportStatus(state.getProviderSettings()?.transport ?? null);
+  ui.setSettingsProvider(settingsProvider.value);
+  if (ui.isHistoryPanelOpen()) refreshHistory();
+  if (analysisController || chatController) return;
+
+  renderProject();
+  renderRefinement();
+  if (state.hasAnalysis()) {
+    const composition = composeAccepted();
+    ui.renderResults(
+      { ...state.getAnalysisResult(), refactored_code: composition.code },
+      state.getCurrentCode(),
+      state.getCurrentLanguage()
+    );
+    ui.updateEditControls(state.getRejectedEdits(), composition.conflicts);
+    ui.renderChatHistory(state.getChatHistory());
+    renderQualityTrend(trendPath);
+  }
+}
+
 // ─── Event listener registration ─────────────────────────────────────────────
 
 codeInput.addEventListener('input',   onCodeInput);
+codeInput.addEventListener('keydown', onCodeKeyDown);
+codeInput.addEventListener('scroll',  onCodeScroll);
 languageSelect.addEventListener('change', onLanguageChange);
 analyzeBtn.addEventListener('click',  onAnalyze);
 clearBtn.addEventListener('click',    onClear);
 copyBtn.addEventListener('click',     onCopy);
+viewToggle.addEventListener('click',  onViewToggle);
+diffView.addEventListener('click',    onDiffClick);
+downloadPatchBtn.addEventListener('click', onDownloadPatch);
+exportReportBtn.addEventListener('click', onExportReport);
+shareBtn.addEventListener('click',        onShareLink);
+downloadRecordingBtn.addEventListener('click', onDownloadRecording);
+sharedCloseBtn.addEventListener('click',  onClear);
+window.addEventListener('hashchange',     openSharedAnalysis);
 chatInput.addEventListener('keydown', onChatKeyDown);
 chatSendBtn.addEventListener('click', onChatSend);
 exportChatBtn.addEventListener('click', onExportChat);
 errorDismiss.addEventListener('click',  onDismissError);
+smellsList.addEventListener('click',    onSmellClick);
+smellsList.addEventListener('keydown',  onSmellKeyDown);
+originalCode.addEventListener('mouseover',  onCodeHover);
+originalCode.addEventListener('mouseleave', onCodeLeave);
+historyToggleBtn.addEventListener('click', onHistoryToggle);
+historyCloseBtn.addEventListener('click',  onHistoryClose);
+historyPanel.addEventListener('keydown',   onHistoryKeyDown);
+historySearch.addEventListener('input',    onHistorySearch);
+historyList.addEventListener('click',      onHistoryClick);
+clearHistoryBtn.addEventListener('click',  onClearHistory);
+openFilesBtn.addEventListener('click',     onOpenFiles);
+openFolderBtn.addEventListener('click',    onOpenFiles);
+fileInput.addEventListener('change',       onFilesChosen);
+folderInput.addEventListener('change',     onFilesChosen);
+inputPanel.addEventListener('dragover',    onDragOver);
+inputPanel.addEventListener('dragleave',   onDragLeave);
+inputPanel.addEventListener('drop',        onDrop);
+projectFileList.addEventListener('click',  onProjectFileClick);
+refineBtn.addEventListener('click',        onRefactorUntilClean);
+roundsList.addEventListener('click',       onRoundClick);
+settingsBtn.addEventListener('click',      onSettingsOpen);
+settingsForm.addEventListener('submit',    onSettingsSave);
+settingsProvider.addEventListener('change', onSettingsProviderChange);
+settingsCloseBtn.addEventListener('click', onSettingsClose);
+settingsResetBtn.addEventListener('click', onSettingsReset);
+cancelBtn.addEventListener('click',        onCancelAnalysis);
+chatCancelBtn.addEventListener('click',    onCancelChat);
+rerunFreshBtn.addEventListener('click',    onRerunFresh);
+equivalenceSuggestBtn.addEventListener('click', onEquivalenceSuggest);
+equivalenceRunBtn.addEventListener('click',     onEquivalenceRun);
+localeSelect.addEventListener('change',         onLocaleChange);
 
 // ─── Start ────────────────────────────────────────────────────────────────────
 
@@ -0,0 +1,139 @@
+/**
+ * cache.js — Content-addressed response cache in IndexedDB (FR-02.13)
+ *
+ * Analysing the same code again with the same model and prompt pays for an
+ * answer we already have. api.analyzeCode() therefore keeps each completed
+ * AnalysisResult under a SHA-256 hash of everything that shaped it — the
+ * prompt text (code, language, catalogue), the response schema, the backend
+ * and model, the generation parameters and prompt.PROMPT_VERSION — and
+ * returns it instantly next time.
+ *
+ * Because the key covers the full prompt text, editing a prompt template
+ * invalidates every entry made with the old one: they are never hit again
+ * and age out of the cache.
+ *
+ * The cache holds at most MAX_ENTRIES results and MAX_BYTES of JSON; the
+ * least recently used entries are evicted first.
+ *
+ * A cache is only an optimisation: without IndexedDB or crypto.subtle (e.g.
+ * in Node, or on a non-secure origin), or when a read or write fails, every
+ * lookup is a miss and nothing is stored. None of these functions reject.
+ *
+ * Exports:
+ *   cacheKey(parts)        → Promise<string|null>
+ *   getCached(key)         → Promise<object|null>
+ *   putCached(key, value)  → Promise<void>
+ */
+
+import { STORES, promisify, withStore } from './idb.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** Most results kept. */
+const MAX_ENTRIES = 200;
+
+/** Most JSON characters kept in total (about 5 MB). */
+const MAX_BYTES = 5_000_000;
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} CacheEntry
+ * @property {string} key        - Hex SHA-256 from cacheKey().
+ * @property {object} value
+ * @property {number} size       - Length of the value's JSON.
+ * @property {Date}   lastUsedAt - When it was stored or last hit.
+ */
+
+// ─── Database access ──────────────────────────────────────────────────────────
+
+/**
+ * Runs `work` against the cache store in one read-write transaction (see
+ * idb.withStore()), resolving with `fallback` if anything fails.
+ *
+ * @param {(store: IDBObjectStore) => Promise<*>} work
+ * @param {*} fallback
+ * @returns {Promise<*>}
+ */
+async function withCache(work, fallback) {
+  try {
+    return await withStore(STORES.RESPONSES, 'readwrite', work);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Deletes the least recently used entries until the cache is within its
+ * limits. `keep` is the entry just stored, which is evicted last.
+ *
+ * @param {IDBObjectStore} store
+ * @param {string}         keep
+ * @returns {Promise<void>}
+ */
+async function evict(store, keep) {
+  const entries = await promisify(store.getAll());
+  entries.sort((a, b) => (a.key === keep) - (b.key === keep) || a.lastUsedAt - b.lastUsedAt);
+
+  let count = entries.length;
+  let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries) {
+    if (count <= MAX_ENTRIES && bytes <= MAX_BYTES) break;
+    await promisify(store.delete(entry.key));
+    count -= 1;
+    bytes -= entry.size;
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Hashes the inputs of a request into a cache key.
+ *
+ * @param {Array} parts - JSON-serialisable values; order matters.
+ * @returns {Promise<string|null>} Hex SHA-256, or null without crypto.subtle.
+ */
+export async function cacheKey(parts) {
+  if (!globalThis.crypto?.subtle) return null;
+  try {
+    const bytes  = new TextEncoder().encode(JSON.stringify(parts));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Looks up a cached value and marks it as recently used.
+ *
+ * @param {string|null} key
+ * @returns {Promise<object|null>} A copy of the value, or null on a miss.
+ */
+export function getCached(key) {
+  if (!key) return Promise.resolve(null);
+  return withCache(async (store) => {
+    const entry = await promisify(store.get(key));
+    if (!entry) return null;
+    await promisify(store.put({ ...entry, lastUsedAt: new Date() }));
+    return entry.value;
+  }, null);
+}
+
+/**
+ * Stores a value, replacing any under the same key, then evicts the least
+ * recently used entries beyond the limits. A value larger than the whole
+ * cache is not stored.
+ *
+ * @param {string|null} key
+ * @param {object}      value - Must survive structured cloning.
+ * @returns {Promise<void>}
+ */
+export function putCached(key, value) {
+  const size = JSON.stringify(value).length;
+  if (!key || size > MAX_BYTES) return Promise.resolve();
+  return withCache(async (store) => {
+    await promisify(store.put({ key, value, size, lastUsedAt: new Date() }));
+    await evict(store, key);
+  }, undefined);
+}
@@ -0,0 +1,181 @@
+/**
+ * catalogue.js — Team smell catalogue
+ *
+ * Pure functions, no DOM access. A smell catalogue (smell-catalogue.json at
+ * the project root, see smell-catalogue.example.json) is the team's fixed
+ * vocabulary of smells: canonical names with aliases, descriptions,
+ * severities, enabled flags and the languages each smell applies to.
+ *
+ * The applicable entries are listed in the analysis prompt as the only
+ * allowed smells; afterwards applyCatalogue() maps every reported name to its
+ * canonical entry (by name or alias), gives it the catalogue's severity —
+ * which is how a team treats e.g. "God Class" as Critical — and drops smells
+ * that are disabled, not applicable, or unknown.
+ *
+ * Exports:
+ *   parseCatalogue(data)                        → Catalogue
+ *   catalogueEntriesFor(catalogue, language)    → CatalogueEntry[]
+ *   unknownSmellErrors(smells, catalogue, language)  → string[]
+ *   applyCatalogue(smells, catalogue, language) → Smell[]
+ */
+
+import { t } from './i18n.js';
+import { SEVERITIES } from './prompt.js';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} CatalogueEntry
+ * @property {string}        name        - Canonical smell name.
+ * @property {string[]}      aliases     - Other names the model may use for it.
+ * @property {string}        description - What the smell is, for the prompt.
+ * @property {'Critical'|'Major'|'Minor'} severity
+ * @property {boolean}       enabled
+ * @property {string[]|null} languages   - Language selector values, or null for all.
+ */
+
+/**
+ * @typedef  {object} Catalogue
+ * @property {CatalogueEntry[]} entries
+ * @property {Map<string, CatalogueEntry>} byKey - Every name and alias, by matchKey().
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Normalises a smell name for matching: case, punctuation and a plural "s"
+ * are ignored, so "Magic Numbers" and "magic-number" match "Magic Number".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function matchKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().replace(/s$/, '');
+}
+
+/**
+ * Whether an entry applies to the analysed language. Auto-detected and
+ * unlisted languages get every entry.
+ *
+ * @param {CatalogueEntry} entry
+ * @param {string}         language
+ * @returns {boolean}
+ */
+function appliesTo(entry, language) {
+  if (!entry.languages || language === 'auto' || language === 'other') return true;
+  return entry.languages.some((listed) => listed.toLowerCase() === language.toLowerCase());
+}
+
+/**
+ * Checks that `value` is an array of non-empty strings.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim() !== '');
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Validates a parsed smell-catalogue.json and indexes it for matching.
+ *
+ * @param {*} data - The parsed file: `{ "smells": [ … ] }`.
+ * @returns {Catalogue}
+ * @throws  {Error} Naming the first invalid field, e.g.
+ *   `smells[3].severity must be one of Critical, Major, Minor.`
+ */
+export function parseCatalogue(data) {
+  if (!Array.isArray(data?.smells)) {
+    throw new Error(t('catalogue.notObject'));
+  }
+
+  const entries = [];
+  const byKey   = new Map();
+
+  data.smells.forEach((smell, index) => {
+    const path = `smells[${index}]`;
+    if (typeof smell?.name !== 'string' || smell.name.trim() === '') {
+      throw new Error(t('catalogue.badName', { path: `${path}.name` }));
+    }
+    if (!SEVERITIES.includes(smell.severity)) {
+      throw new Error(t('catalogue.badSeverity', { path: `${path}.severity`, allowed: SEVERITIES.join(', ') }));
+    }
+    if (smell.aliases !== undefined && !isStringList(smell.aliases)) {
+      throw new Error(t('catalogue.badAliases', { path: `${path}.aliases` }));
+    }
+    if (smell.languages !== undefined && !isStringList(smell.languages)) {
+      throw new Error(t('catalogue.badLanguages', { path: `${path}.languages` }));
+    }
+    if (smell.enabled !== undefined && typeof smell.enabled !== 'boolean') {
+      throw new Error(t('catalogue.badEnabled', { path: `${path}.enabled` }));
+    }
+
+    const entry = {
+      name:        smell.name.trim(),
+      aliases:     smell.aliases ?? [],
+      description: typeof smell.description === 'string' ? smell.description.trim() : '',
+      severity:    smell.severity,
+      enabled:     smell.enabled ?? true,
+      languages:   smell.languages ?? null,
+    };
+
+    for (const name of [entry.name, ...entry.aliases]) {
+      const clash = byKey.get(matchKey(name));
+      if (clash) {
+        throw new Error(t('catalogue.nameClash', { path, name, other: clash.name }));
+      }
+      byKey.set(matchKey(name), entry);
+    }
+    entries.push(entry);
+  });
+
+  return { entries, byKey };
+}
+
+/**
+ * The enabled entries that apply to a language — the vocabulary given to
+ * the model.
+ *
+ * @param {Catalogue} catalogue
+ * @param {string}    language - Language selector value, e.g. "Python" or "auto".
+ * @returns {CatalogueEntry[]}
+ */
+export function catalogueEntriesFor(catalogue, language) {
+  return catalogue.entries.filter((entry) => entry.enabled && appliesTo(entry, language));
+}
+
+/**
+ * Validation errors for smells whose name matches no catalogue entry, in the
+ * style of validate.js, so they can drive the repair request.
+ *
+ * @param {Array}     smells
+ * @param {Catalogue} catalogue
+ * @param {string}    language
+ * @returns {string[]}
+ */
+export function unknownSmellErrors(smells, catalogue, language) {
+  const allowed = catalogueEntriesFor(catalogue, language).map((entry) => entry.name);
+  return smells.flatMap((smell, index) => (catalogue.byKey.has(matchKey(smell.name))
+    ? []
+    : [t('catalogue.unknownSmell', {
+      path: `smells[${index}].name`, allowed: allowed.join(', '), value: JSON.stringify(smell.name),
+    })]));
+}
+
+/**
+ * Maps smells onto the catalogue: canonical name, catalogue severity. Smells
+ * that are unknown, disabled, or not applicable to the language are dropped.
+ *
+ * @param {Array}     smells
+ * @param {Catalogue} catalogue
+ * @param {string}    language
+ * @returns {Array} New smell objects, in the original order.
+ */
+export function applyCatalogue(smells, catalogue, language) {
+  return smells.flatMap((smell) => {
+    const entry = catalogue.byKey.get(matchKey(smell.name));
+    if (!entry || !entry.enabled || !appliesTo(entry, language)) return [];
+    return [{ ...smell, name: entry.name, severity: entry.severity }];
+  });
+}
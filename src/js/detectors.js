@@ -0,0 +1,789 @@
+/**
+ * detectors.js — Deterministic local smell detection
+ *
+ * A small, rule-based static analyser for JavaScript/TypeScript and Python
+ * that runs entirely in the browser. It needs no API key and returns the same
+ * result for the same input on every run, so it is used both on its own (no
+ * key configured, or the model request failed) and alongside the model, whose
+ * findings are merged in with mergeSmells().
+ *
+ * The analysis is heuristic rather than a full parse: comments and string
+ * literals are blanked out first (preserving line numbers), then functions,
+ * blocks and declarations are found by scanning the remaining source.
+ *
+ * Exports:
+ *   resolveLanguage(code, language)      → 'javascript' | 'python' | null
+ *   detectSmells(code, language)         → Smell[]   (each tagged source: 'rule')
+ *   mergeSmells(ruleSmells, modelSmells) → Smell[]   (de-duplicated, tagged)
+ */
+
+import { t } from './i18n.js';
+
+/** @typedef {import('./state.js').Smell} Smell */
+
+// ─── Thresholds ───────────────────────────────────────────────────────────────
+
+/** Function bodies longer than this many lines are reported. */
+const MAX_FUNCTION_LINES = 30;
+
+/** Control blocks nested deeper than this inside one function are reported. */
+const MAX_NESTING_DEPTH = 3;
+
+/** Functions taking more parameters than this are reported. */
+const MAX_PARAMETERS = 4;
+
+/** Minimum run of identical, non-trivial lines reported as duplication. */
+const MIN_DUPLICATE_LINES = 3;
+
+/** Numeric literals that are self-explanatory and never reported. */
+const ALLOWED_NUMBERS = new Set(['0', '1', '2']);
+
+/** Single-character identifiers that are conventional and never reported. */
+const ALLOWED_SHORT_NAMES = new Set(['_', '$', 'i', 'j', 'k']);
+
+/** Maximum number of examples listed in one aggregated smell's location. */
+const MAX_EXAMPLES = 5;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Replaces every character except newlines with a space. */
+const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+/** 1-based line number of a character offset. */
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+/** Formats a line range the same way the model is asked to ("lines 3–5"). */
+function formatLines(start, end) {
+  return start === end ? t('lineRange.one', { start }) : t('lineRange.many', { start, end });
+}
+
+/**
+ * Returns a smell's line range: its start_line/end_line when present,
+ * otherwise whatever can be read from a free-text location such as
+ * "line 4", "lines 3–5" or "function foo (lines 10 to 12)".
+ *
+ * @param {Smell} smell
+ * @returns {{start: number, end: number}|null}
+ */
+function lineRangeOf(smell) {
+  if (Number.isInteger(smell.start_line)) {
+    return { start: smell.start_line, end: smell.end_line ?? smell.start_line };
+  }
+  const match = /\blines?\s+(\d+)(?:\s*(?:-|–|—|to)\s*(\d+))?/i.exec(smell.location ?? '');
+  if (!match) return null;
+  const start = Number(match[1]);
+  return { start, end: match[2] ? Number(match[2]) : start };
+}
+
+/**
+ * Splits a parameter list on commas that are not nested inside brackets.
+ * @param {string} text
+ * @returns {string[]} Trimmed, non-empty parameters.
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth   = 0;
+  let current = '';
+  let prev    = '';
+  for (const ch of text) {
+    if ('([{<'.includes(ch)) depth++;
+    if (')]}'.includes(ch) || (ch === '>' && prev !== '=')) depth--;
+    prev = ch;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Picks which of the supported rule sets applies to the input.
+ *
+ * @param {string} code
+ * @param {string} language - Language selector value, e.g. "Python" or "auto".
+ * @returns {'javascript'|'python'|null} Null when no rule set applies.
+ */
+export function resolveLanguage(code, language) {
+  const key = (language ?? '').toLowerCase();
+  if (key === 'javascript' || key === 'typescript') return 'javascript';
+  if (key === 'python') return 'python';
+  if (key !== 'auto') return null;
+
+  // Auto-detect: Python definitions end in a colon and use no braces
+  const looksPython = /^\s*(?:async\s+)?(?:def|class)\s+\w+.*:\s*$/m.test(code)
+    || /^\s*(?:from\s+\S+\s+)?import\s+\w+[^;{]*$/m.test(code) && !code.includes('{');
+  if (looksPython) return 'python';
+
+  const looksJs = /\bfunction\b|=>|\b(?:const|let|var)\s+[\w${[]/.test(code);
+  return looksJs ? 'javascript' : null;
+}
+
+// ─── JavaScript / TypeScript scanning ─────────────────────────────────────────
+
+const JS_CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with']);
+
+/**
+ * Blanks out comments, string and template literals, preserving offsets.
+ * @param {string} code
+ * @returns {string}
+ */
+function sanitiseJs(code) {
+  let out = '';
+  let i   = 0;
+  while (i < code.length) {
+    const ch   = code[i];
+    const next = code[i + 1];
+    let stop   = i + 1;
+
+    if (ch === '/' && next === '/') {
+      stop = code.indexOf('\n', i);
+      if (stop === -1) stop = code.length;
+    } else if (ch === '/' && next === '*') {
+      stop = code.indexOf('*/', i + 2);
+      stop = stop === -1 ? code.length : stop + 2;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      stop = i + 1;
+      while (stop < code.length && code[stop] !== ch) {
+        if (code[stop] === '\\') stop++;
+        else if (code[stop] === '\n' && ch !== '`') break;
+        stop++;
+      }
+      stop = Math.min(stop + 1, code.length);
+    } else {
+      out += ch;
+      i++;
+      continue;
+    }
+
+    out += blank(code.slice(i, stop));
+    i = stop;
+  }
+  return out;
+}
+
+/**
+ * Decides what an opening brace at `index` starts.
+ *
+ * @param {string}              src         - Sanitised source.
+ * @param {number}              index       - Offset of the `{`.
+ * @param {Map<number, number>} parenOpenAt - Offset of `)` → offset of its `(`.
+ * @returns {{kind: 'function', name: string, params: string, anonymous: boolean}
+ *          |{kind: 'block'}|{kind: 'other'}}
+ */
+function classifyJsBrace(src, index, parenOpenAt) {
+  let j = index - 1;
+  while (j >= 0 && /\s/.test(src[j])) j--;
+
+  // `(…) {` — control statement, named function, or method
+  if (src[j] === ')' && parenOpenAt.has(j)) {
+    const open   = parenOpenAt.get(j);
+    const params = src.slice(open + 1, j);
+    const before = src.slice(0, open).trimEnd();
+
+    const word = /([A-Za-z_$][\w$]*)$/.exec(before)?.[1];
+    if (word && JS_CONTROL_KEYWORDS.has(word)) return { kind: 'block' };
+
+    const named = /function\s*\*?\s*([A-Za-z_$][\w$]*)$/.exec(before);
+    if (named) return { kind: 'function', name: named[1], params, anonymous: false };
+
+    if (word === 'function') {
+      const assigned = /([A-Za-z_$][\w$]*)\s*[:=]\s*(?:async\s+)?function\s*\*?$/.exec(before);
+      return {
+        kind: 'function', name: assigned?.[1] ?? '(anonymous)', params, anonymous: !assigned,
+      };
+    }
+
+    // TypeScript return annotations (`): Foo {`) are not handled; a bare
+    // identifier before the parentheses is a method definition.
+    if (word) return { kind: 'function', name: word, params, anonymous: false };
+    return { kind: 'other' };
+  }
+
+  // `=> {` — arrow function with a block body
+  if (src[j] === '>' && src[j - 1] === '=') {
+    let k = j - 2;
+    while (k >= 0 && /\s/.test(src[k])) k--;
+
+    let params;
+    let before;
+    if (src[k] === ')' && parenOpenAt.has(k)) {
+      const open = parenOpenAt.get(k);
+      params = src.slice(open + 1, k);
+      before = src.slice(0, open);
+    } else {
+      const single = /([A-Za-z_$][\w$]*)$/.exec(src.slice(0, k + 1));
+      params = single?.[1] ?? '';
+      before = src.slice(0, k + 1 - params.length);
+    }
+
+    const assigned = /([A-Za-z_$][\w$]*)\s*[:=]\s*(?:async\s*)?$/.exec(before.trimEnd());
+    return {
+      kind: 'function', name: assigned?.[1] ?? '(anonymous)', params, anonymous: !assigned,
+    };
+  }
+
+  if (/\b(?:else|try|finally|do)$/.test(src.slice(0, j + 1))) return { kind: 'block' };
+  return { kind: 'other' };
+}
+
+/**
+ * @typedef  {object} FunctionInfo
+ * @property {string}   name
+ * @property {string[]} params
+ * @property {boolean}  anonymous
+ * @property {number}   startLine
+ * @property {number}   endLine
+ * @property {number}   maxDepth      - Deepest control-block nesting inside.
+ * @property {number}   maxDepthLine  - Line where maxDepth was reached.
+ */
+
+/**
+ * Finds every function with a block body and measures its nesting.
+ * Code outside any function is reported as a pseudo-function "(top level)".
+ *
+ * @param {string} src - Sanitised source.
+ * @returns {FunctionInfo[]}
+ */
+function scanJsFunctions(src) {
+  const topLevel = {
+    name: '(top level)', params: [], anonymous: true,
+    startLine: 1, endLine: 1, maxDepth: 0, maxDepthLine: 1,
+  };
+  const functions   = [topLevel];
+  const braceStack  = [];
+  const parenStack  = [];
+  const parenOpenAt = new Map();
+  let line = 1;
+
+  const blockDepth = () => {
+    let depth = 0;
+    for (let s = braceStack.length - 1; s >= 0 && braceStack[s].kind !== 'function'; s--) {
+      if (braceStack[s].kind === 'block') depth++;
+    }
+    return depth;
+  };
+  const owner = () => {
+    for (let s = braceStack.length - 1; s >= 0; s--) {
+      if (braceStack[s].kind === 'function') return braceStack[s].fn;
+    }
+    return topLevel;
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '\n') {
+      line++;
+    } else if (ch === '(') {
+      parenStack.push(i);
+    } else if (ch === ')') {
+      const open = parenStack.pop();
+      if (open !== undefined) parenOpenAt.set(i, open);
+    } else if (ch === '{') {
+      const brace = classifyJsBrace(src, i, parenOpenAt);
+      if (brace.kind === 'function') {
+        const fn = {
+          name:      brace.name,
+          params:    splitTopLevel(brace.params),
+          anonymous: brace.anonymous,
+          startLine: line,
+          endLine:   line,
+          maxDepth:  0,
+          maxDepthLine: line,
+        };
+        functions.push(fn);
+        braceStack.push({ kind: 'function', fn });
+      } else if (brace.kind === 'block') {
+        const fn    = owner();
+        const depth = blockDepth() + 1;
+        if (depth > fn.maxDepth) {
+          fn.maxDepth     = depth;
+          fn.maxDepthLine = line;
+        }
+        braceStack.push({ kind: 'block' });
+      } else {
+        braceStack.push({ kind: 'other' });
+      }
+    } else if (ch === '}') {
+      const top = braceStack.pop();
+      if (top?.kind === 'function') top.fn.endLine = line;
+    }
+  }
+
+  topLevel.endLine = line;
+  return functions;
+}
+
+/**
+ * Collects single-character identifiers introduced by declarations.
+ * @param {string}         src       - Sanitised source.
+ * @param {FunctionInfo[]} functions
+ * @returns {{name: string, line: number}[]}
+ */
+function findShortJsNames(src, functions) {
+  const found = [];
+
+  for (const fn of functions) {
+    if (fn.anonymous) continue; // short lambda parameters (x => …) are idiomatic
+    if (fn.name.length === 1) found.push({ name: fn.name, line: fn.startLine });
+    for (const param of fn.params) {
+      const name = /^(?:\.\.\.)?([A-Za-z_$][\w$]*)\??\s*(?:[:=][\s\S]*)?$/.exec(param)?.[1];
+      if (name?.length === 1) found.push({ name, line: fn.startLine });
+    }
+  }
+
+  src.split('\n').forEach((text, index) => {
+    if (/\bfor\s*\(/.test(text)) return; // loop counters are conventional
+    for (const match of text.matchAll(/\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\b/g)) {
+      if (match[1].length === 1) found.push({ name: match[1], line: index + 1 });
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Runs every rule over JavaScript or TypeScript source.
+ * @param {string} code
+ * @returns {Smell[]}
+ */
+function detectJs(code) {
+  const src       = sanitiseJs(code);
+  const functions = scanJsFunctions(src);
+  const named     = functions.filter((fn) => fn.name !== '(top level)');
+
+  const isConstantLine = (text) => /\bconst\s+[A-Z][A-Z0-9_]*\s*=/.test(text);
+
+  return [
+    ...functionSmells(named, functions),
+    ...shortNameSmells(findShortJsNames(src, named)),
+    ...magicNumberSmells(src, isConstantLine),
+    ...duplicateSmells(code, src),
+  ];
+}
+
+// ─── Python scanning ──────────────────────────────────────────────────────────
+
+/** Matches the header line of a Python control block. */
+const PY_CONTROL_HEADER =
+  /^(?:if|elif|else|for|while|with|try|except|finally|match|case|async\s+for|async\s+with)\b.*:\s*$/;
+
+/**
+ * Blanks out comments and string literals (including triple-quoted ones),
+ * preserving offsets.
+ * @param {string} code
+ * @returns {string}
+ */
+function sanitisePython(code) {
+  let out = '';
+  let i   = 0;
+  while (i < code.length) {
+    const ch = code[i];
+    let stop;
+
+    if (ch === '#') {
+      stop = code.indexOf('\n', i);
+      if (stop === -1) stop = code.length;
+    } else if (ch === '"' || ch === "'") {
+      const triple = code.startsWith(ch.repeat(3), i);
+      const quote  = triple ? ch.repeat(3) : ch;
+      stop = i + quote.length;
+      while (stop < code.length && !code.startsWith(quote, stop)) {
+        if (code[stop] === '\\') stop++;
+        else if (code[stop] === '\n' && !triple) break;
+        stop++;
+      }
+      stop = Math.min(stop + quote.length, code.length);
+    } else {
+      out += ch;
+      i++;
+      continue;
+    }
+
+    out += blank(code.slice(i, stop));
+    i = stop;
+  }
+  return out;
+}
+
+/** Width of a line's leading whitespace. */
+const indentOf = (text) => /^[ \t]*/.exec(text)[0].length;
+
+/**
+ * Finds every `def` and measures its length and nesting.
+ * @param {string} src - Sanitised source.
+ * @returns {FunctionInfo[]}
+ */
+function scanPythonFunctions(src) {
+  const lines     = src.split('\n');
+  const functions = [];
+
+  for (const match of src.matchAll(/^([ \t]*)(?:async\s+)?def\s+([A-Za-z_]\w*)\s*\(/gm)) {
+    const defIndent = match[1].length;
+    const open      = match.index + match[0].length - 1;
+
+    // Parameters may span several lines — find the matching parenthesis
+    let depth = 0;
+    let close = open;
+    for (; close < src.length; close++) {
+      if (src[close] === '(') depth++;
+      if (src[close] === ')' && --depth === 0) break;
+    }
+
+    const startLine = lineAt(src, match.index);
+    const headerEnd = lineAt(src, close);
+    const params    = splitTopLevel(src.slice(open + 1, close))
+      .filter((p) => !/^(?:self|cls|\*|\/)$/.test(p));
+
+    const fn = {
+      name: match[2], params, anonymous: false,
+      startLine, endLine: headerEnd, maxDepth: 0, maxDepthLine: startLine,
+    };
+
+    // Body: following lines indented deeper than the def; track open
+    // control blocks on a stack, resetting at nested defs and classes.
+    const stack = [];
+    for (let n = headerEnd; n < lines.length; n++) {
+      const text = lines[n];
+      if (text.trim() === '') continue;
+      const indent = indentOf(text);
+      if (indent <= defIndent) break;
+
+      fn.endLine = n + 1;
+      while (stack.length > 0 && stack.at(-1).indent >= indent) stack.pop();
+
+      const trimmed = text.trim();
+      if (/^(?:async\s+)?(?:def|class)\b/.test(trimmed)) {
+        stack.push({ indent, kind: 'scope' });
+      } else if (PY_CONTROL_HEADER.test(trimmed)) {
+        let nested = 1;
+        for (let s = stack.length - 1; s >= 0 && stack[s].kind !== 'scope'; s--) nested++;
+        if (stack.every((entry) => entry.kind !== 'scope') && nested > fn.maxDepth) {
+          fn.maxDepth     = nested;
+          fn.maxDepthLine = n + 1;
+        }
+        stack.push({ indent, kind: 'control' });
+      }
+    }
+
+    functions.push(fn);
+  }
+
+  return functions;
+}
+
+/**
+ * Collects single-character identifiers introduced by defs and assignments.
+ * @param {string}         src       - Sanitised source.
+ * @param {FunctionInfo[]} functions
+ * @returns {{name: string, line: number}[]}
+ */
+function findShortPythonNames(src, functions) {
+  const found = [];
+
+  for (const fn of functions) {
+    if (fn.name.length === 1) found.push({ name: fn.name, line: fn.startLine });
+    for (const param of fn.params) {
+      const name = /^\**([A-Za-z_]\w*)\s*(?:[:=][\s\S]*)?$/.exec(param)?.[1];
+      if (name?.length === 1) found.push({ name, line: fn.startLine });
+    }
+  }
+
+  src.split('\n').forEach((text, index) => {
+    const target = /^\s*([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/.exec(text)?.[1];
+    if (target?.length === 1) found.push({ name: target, line: index + 1 });
+  });
+
+  return found;
+}
+
+/**
+ * Runs every rule over Python source.
+ * @param {string} code
+ * @returns {Smell[]}
+ */
+function detectPython(code) {
+  const src       = sanitisePython(code);
+  const functions = scanPythonFunctions(src);
+
+  const isConstantLine = (text) => /^\s*[A-Z][A-Z0-9_]*\s*(?::[^=]+)?=/.test(text);
+
+  return [
+    ...functionSmells(functions, functions),
+    ...shortNameSmells(findShortPythonNames(src, functions)),
+    ...magicNumberSmells(src, isConstantLine),
+    ...duplicateSmells(code, src),
+  ];
+}
+
+// ─── Rules (language-independent) ─────────────────────────────────────────────
+
+/**
+ * Long Function, Long Parameter List and Deep Nesting.
+ *
+ * @param {FunctionInfo[]} named     - Functions checked for length and parameters.
+ * @param {FunctionInfo[]} nestables - Functions (and top level) checked for nesting.
+ * @returns {Smell[]}
+ */
+function functionSmells(named, nestables) {
+  const smells = [];
+
+  for (const fn of named) {
+    const length = fn.endLine - fn.startLine + 1;
+    if (length > MAX_FUNCTION_LINES) {
+      smells.push({
+        name:        'Long Function',
+        severity:    length > MAX_FUNCTION_LINES * 2 ? 'Critical' : 'Major',
+        location:    t('detector.location', {
+          where: t('detector.function', { name: fn.name }),
+          lines: formatLines(fn.startLine, fn.endLine),
+        }),
+        start_line:  fn.startLine,
+        end_line:    fn.endLine,
+        explanation: t('detector.longFunction', { name: fn.name, length, limit: MAX_FUNCTION_LINES }),
+      });
+    }
+
+    if (fn.params.length > MAX_PARAMETERS) {
+      smells.push({
+        name:        'Long Parameter List',
+        severity:    'Major',
+        location:    t('detector.location', {
+          where: t('detector.function', { name: fn.name }),
+          lines: formatLines(fn.startLine, fn.startLine),
+        }),
+        start_line:  fn.startLine,
+        end_line:    fn.startLine,
+        explanation: t('detector.longParameterList', {
+          name: fn.name, count: fn.params.length, limit: MAX_PARAMETERS,
+        }),
+      });
+    }
+  }
+
+  for (const fn of nestables) {
+    if (fn.maxDepth > MAX_NESTING_DEPTH) {
+      const where = fn.name === '(top level)'
+        ? t('detector.topLevel')
+        : t('detector.function', { name: fn.name });
+      smells.push({
+        name:        'Deep Nesting',
+        severity:    fn.maxDepth > MAX_NESTING_DEPTH + 2 ? 'Critical' : 'Major',
+        location:    t('detector.location', { where, lines: formatLines(fn.maxDepthLine, fn.maxDepthLine) }),
+        start_line:  fn.maxDepthLine,
+        end_line:    fn.maxDepthLine,
+        explanation: t('detector.deepNesting', { depth: fn.maxDepth, limit: MAX_NESTING_DEPTH }),
+      });
+    }
+  }
+
+  return smells;
+}
+
+/**
+ * Single-letter Names, aggregated into one smell.
+ * @param {{name: string, line: number}[]} found
+ * @returns {Smell[]}
+ */
+function shortNameSmells(found) {
+  const reported = found.filter(({ name }) => !ALLOWED_SHORT_NAMES.has(name));
+  if (reported.length === 0) return [];
+
+  const names = [...new Set(reported.map(({ name }) => name))];
+  const lines = reported.map(({ line }) => line);
+  const start = Math.min(...lines);
+  const end   = Math.max(...lines);
+
+  return [{
+    name:        'Single-letter Names',
+    severity:    'Minor',
+    location:    t('detector.location', {
+      where: names.slice(0, MAX_EXAMPLES).join(', '),
+      lines: formatLines(start, end),
+    }),
+    start_line:  start,
+    end_line:    end,
+    explanation: t('detector.shortNames', {
+      count: names.length,
+      names: names.map((n) => `"${n}"`).join(', '),
+    }),
+  }];
+}
+
+/**
+ * Magic Numbers, aggregated into one smell.
+ * @param {string}                     src            - Sanitised source.
+ * @param {(line: string) => boolean}  isConstantLine - True for named-constant declarations.
+ * @returns {Smell[]}
+ */
+function magicNumberSmells(src, isConstantLine) {
+  const found = [];
+
+  src.split('\n').forEach((text, index) => {
+    if (isConstantLine(text)) return;
+    const numbers = /(?<![\w$.])(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)(?![\w$])/g;
+    for (const match of text.matchAll(numbers)) {
+      if (!ALLOWED_NUMBERS.has(match[0])) found.push({ value: match[0], line: index + 1 });
+    }
+  });
+
+  if (found.length === 0) return [];
+
+  const values = [...new Set(found.map(({ value }) => value))];
+  const lines  = found.map(({ line }) => line);
+  const start  = Math.min(...lines);
+  const end    = Math.max(...lines);
+
+  return [{
+    name:        'Magic Numbers',
+    severity:    'Minor',
+    location:    t('detector.location', {
+      where: values.slice(0, MAX_EXAMPLES).join(', '),
+      lines: formatLines(start, end),
+    }),
+    start_line:  start,
+    end_line:    end,
+    explanation: t('detector.magicNumbers', { count: values.length, values: values.join(', ') }),
+  }];
+}
+
+/**
+ * Duplicated Code: runs of MIN_DUPLICATE_LINES or more identical,
+ * non-trivial lines that appear more than once.
+ *
+ * @param {string} code - Original source (string contents matter here).
+ * @param {string} src  - Sanitised source (used to skip comment-only lines).
+ * @returns {Smell[]}
+ */
+function duplicateSmells(code, src) {
+  const original  = code.split('\n');
+  const sanitised = src.split('\n');
+
+  // Significant lines, normalised for whitespace, with their line numbers
+  const lines = [];
+  original.forEach((text, index) => {
+    const normalised = text.trim().replace(/\s+/g, ' ');
+    const meaningful = sanitised[index].replace(/[\s{}()[\];:,]/g, '').length > 0;
+    if (meaningful && normalised.length > 3) {
+      lines.push({ text: normalised, line: index + 1 });
+    }
+  });
+
+  const firstSeen = new Map();
+  const smells    = [];
+  let coveredUpTo = -1; // index into `lines` up to which duplicates are already reported
+
+  for (let i = 0; i + MIN_DUPLICATE_LINES <= lines.length; i++) {
+    const key = lines.slice(i, i + MIN_DUPLICATE_LINES).map((l) => l.text).join('\n');
+    const first = firstSeen.get(key);
+
+    if (first === undefined) {
+      firstSeen.set(key, i);
+      continue;
+    }
+    if (i <= coveredUpTo || first + MIN_DUPLICATE_LINES > i) continue;
+
+    // Extend the match as far as both copies keep agreeing
+    let length = MIN_DUPLICATE_LINES;
+    while (i + length < lines.length && first + length < i
+      && lines[first + length].text === lines[i + length].text) {
+      length++;
+    }
+    coveredUpTo = i + length - 1;
+
+    const a = formatLines(lines[first].line, lines[first + length - 1].line);
+    const b = formatLines(lines[i].line, lines[i + length - 1].line);
+    smells.push({
+      name:        'Duplicated Code',
+      severity:    'Major',
+      location:    t('detector.duplicateLocation', { lines: b, original: a }),
+      start_line:  lines[i].line,
+      end_line:    lines[i + length - 1].line,
+      explanation: t('detector.duplicatedCode', { count: length }),
+    });
+  }
+
+  return smells;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Runs the local rule set over the input. Languages other than
+ * JavaScript/TypeScript and Python (or undetectable "auto" input) yield no
+ * smells rather than guesses.
+ *
+ * @param {string} code
+ * @param {string} language - Language selector value, e.g. "Python" or "auto".
+ * @returns {Smell[]} Each smell is tagged `source: 'rule'`.
+ */
+export function detectSmells(code, language) {
+  const detected = resolveLanguage(code, language);
+  const smells   = detected === 'python'     ? detectPython(code)
+                 : detected === 'javascript' ? detectJs(code)
+                 : [];
+  return smells.map((smell) => ({ ...smell, source: 'rule' }));
+}
+
+/**
+ * Smell categories used to recognise the same finding under different names
+ * ("Magic Number" vs. "Hard-coded Constant"). Checked in order.
+ */
+const SMELL_CATEGORIES = [
+  ['parameters',  /param|argument/i],
+  ['nesting',     /nest|arrow code|pyramid/i],
+  ['duplication', /duplicat|repeated|copy|clone/i],
+  ['magic',       /magic|hard-?coded|literal/i],
+  ['naming',      /\bnam(?:e|es|ing)\b|identifier/i],
+  ['length',      /long (?:function|method)|large function|too long/i],
+];
+
+/** @returns {string|null} The category of a smell name, if recognised. */
+function categoryOf(name) {
+  return SMELL_CATEGORIES.find(([, pattern]) => pattern.test(name ?? ''))?.[0] ?? null;
+}
+
+/**
+ * Merges rule-based and model-reported smells. A rule smell is folded into a
+ * model smell of the same category when their line ranges overlap (or either
+ * location has no line numbers); the model's wording is kept because it is
+ * usually more specific, and the smell is tagged `source: 'both'`. A model
+ * smell without a line range takes the rule's.
+ *
+ * @param {Smell[]} ruleSmells  - From detectSmells().
+ * @param {Smell[]} modelSmells - From the model's AnalysisResult.
+ * @returns {Smell[]} Model smells (in their original order) followed by the
+ *                    rule smells the model did not report.
+ */
+export function mergeSmells(ruleSmells, modelSmells) {
+  const merged    = modelSmells.map((smell) => ({ ...smell, source: 'model' }));
+  const unmatched = [];
+
+  for (const rule of ruleSmells) {
+    const category  = categoryOf(rule.name);
+    const ruleLines = lineRangeOf(rule);
+
+    const match = category && merged.find((smell) => {
+      if (categoryOf(smell.name) !== category) return false;
+      const lines = lineRangeOf(smell);
+      return !lines || !ruleLines
+        || (lines.start <= ruleLines.end && ruleLines.start <= lines.end);
+    });
+
+    if (match) {
+      match.source = 'both';
+      // The rule knows exactly where it looked; the model may not have said
+      if (!Number.isInteger(match.start_line) && ruleLines) {
+        match.start_line = ruleLines.start;
+        match.end_line   = ruleLines.end;
+      }
+    } else {
+      unmatched.push(rule);
+    }
+  }
+
+  return [...merged, ...unmatched];
+}
@@ -0,0 +1,303 @@
+/**
+ * diff.js — Line-level diff between original and refactored code
+ *
+ * Pure functions, no DOM access. computeDiff() runs a Myers diff over the two
+ * sources' lines; diffBlocks() groups the result into display blocks for the
+ * split and unified diff views (with long unchanged runs collapsed); and
+ * createPatch() serialises it as a unified diff that `git apply` accepts.
+ *
+ * Lines are compared together with their line terminator, so a missing final
+ * newline counts as a change — exactly as git sees it. CRLF and LF count as
+ * the same terminator, so a model's LF refactoring of CRLF code only shows
+ * its real changes; the patch keeps the original's line endings, and its
+ * added lines take them too, so it applies to the original file as is.
+ *
+ * Exports:
+ *   computeDiff(original, refactored)          → DiffOp[]
+ *   diffStats(ops)                             → { added, removed }
+ *   diffBlocks(ops, context?)                  → DiffBlock[]
+ *   createPatch(original, refactored, path)    → string  ('' when identical)
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** Unchanged lines kept around each change, in both the views and the patch. */
+const CONTEXT_LINES = 3;
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * One line of the edit script.
+ *
+ * @typedef  {object} DiffOp
+ * @property {'equal'|'delete'|'insert'} type
+ * @property {string}      text    - Line content with its terminator ("\n" or "\r\n"), if any.
+ *                                  Unchanged lines are taken from the original.
+ * @property {number|null} oldLine - 1-based line in the original (null for inserts).
+ * @property {number|null} newLine - 1-based line in the refactored code (null for deletes).
+ */
+
+/**
+ * @typedef  {object} DiffLine
+ * @property {number} number - 1-based line number on its side.
+ * @property {string} text   - Line content without its terminator.
+ */
+
+/**
+ * A run of lines as shown in the diff views:
+ *   equal  — unchanged lines (both sides)
+ *   change — lines removed from the original and lines added in their place
+ *   gap    — a collapsed run of unchanged lines
+ *
+ * @typedef  {object} DiffBlock
+ * @property {'equal'|'change'|'gap'} kind
+ * @property {{old: DiffLine, new: DiffLine}[]} [lines]   - equal and gap blocks
+ * @property {DiffLine[]}                       [removed] - change blocks
+ * @property {DiffLine[]}                       [added]   - change blocks
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Splits text into lines, each keeping its "\n" or "\r\n" terminator.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  return text.match(/[^\n]*\n|[^\n]+$/g);
+}
+
+/** Line content without its terminator. */
+const stripEol = (line) => line.replace(/\r?\n$/, '');
+
+/** A line as compared: a CRLF terminator counts as LF. */
+const compareKey = (line) => line.replace(/\r\n$/, '\n');
+
+/**
+ * Myers' O((N+M)·D) shortest edit script.
+ *
+ * @param {string[]} a - Original lines.
+ * @param {string[]} b - Refactored lines.
+ * @returns {DiffOp[]}
+ */
+function myers(a, b) {
+  const n      = a.length;
+  const m      = b.length;
+  const max    = n + m;
+  const offset = max + 1;
+  const v      = new Int32Array(2 * max + 3);
+  const trace  = [];
+
+  // Forward pass: v[k] is the furthest x reached on diagonal k
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+
+  // Backtrack through the saved frontiers to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const frontier = trace[d];
+    const k        = x - y;
+    const prevK    = (k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1]))
+      ? k + 1
+      : k - 1;
+    const prevX    = frontier[offset + prevK];
+    const prevY    = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', text: b[y - 1], oldLine: x, newLine: y });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', text: b[y - 1], oldLine: null, newLine: y });
+      } else {
+        ops.push({ type: 'delete', text: a[x - 1], oldLine: x, newLine: null });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Computes the line-level edit script from `original` to `refactored`.
+ * A shared prefix and suffix are stripped before running Myers, which keeps
+ * the common "few lines changed in a long file" case fast.
+ *
+ * @param {string} original
+ * @param {string} refactored
+ * @returns {DiffOp[]}
+ */
+export function computeDiff(original, refactored) {
+  const rawA = splitLines(original);
+  const rawB = splitLines(refactored);
+  const a    = rawA.map(compareKey);
+  const b    = rawB.map(compareKey);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const middle = myers(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix))
+    .map((op) => {
+      const oldLine = op.oldLine === null ? null : op.oldLine + prefix;
+      const newLine = op.newLine === null ? null : op.newLine + prefix;
+      const text    = op.type === 'insert' ? rawB[newLine - 1] : rawA[oldLine - 1];
+      return { ...op, text, oldLine, newLine };
+    });
+
+  const equal = (index, shiftOld, shiftNew) => ({
+    type: 'equal', text: rawA[index], oldLine: index + 1 + shiftOld, newLine: index + 1 + shiftNew,
+  });
+
+  return [
+    ...a.slice(0, prefix).map((_, i) => equal(i, 0, 0)),
+    ...middle,
+    ...a.slice(a.length - suffix).map((_, i) =>
+      equal(a.length - suffix + i, 0, b.length - a.length)),
+  ];
+}
+
+/**
+ * Counts added and removed lines.
+ * @param {DiffOp[]} ops
+ * @returns {{added: number, removed: number}}
+ */
+export function diffStats(ops) {
+  let added   = 0;
+  let removed = 0;
+  for (const op of ops) {
+    if (op.type === 'insert') added++;
+    if (op.type === 'delete') removed++;
+  }
+  return { added, removed };
+}
+
+/**
+ * Groups an edit script into display blocks, collapsing unchanged runs longer
+ * than `2 × context` lines into a gap (only `context` lines are kept next to
+ * each change, and none at the very start or end of the file).
+ *
+ * @param {DiffOp[]} ops
+ * @param {number}   [context=CONTEXT_LINES]
+ * @returns {DiffBlock[]}
+ */
+export function diffBlocks(ops, context = CONTEXT_LINES) {
+  const blocks = [];
+
+  // First pass: alternate equal and change blocks
+  for (const op of ops) {
+    const last = blocks.at(-1);
+    if (op.type === 'equal') {
+      const line = {
+        old: { number: op.oldLine, text: stripEol(op.text) },
+        new: { number: op.newLine, text: stripEol(op.text) },
+      };
+      if (last?.kind === 'equal') last.lines.push(line);
+      else blocks.push({ kind: 'equal', lines: [line] });
+    } else {
+      const block = last?.kind === 'change' ? last : { kind: 'change', removed: [], added: [] };
+      if (block !== last) blocks.push(block);
+      if (op.type === 'delete') block.removed.push({ number: op.oldLine, text: stripEol(op.text) });
+      else                      block.added.push({ number: op.newLine, text: stripEol(op.text) });
+    }
+  }
+
+  // Second pass: collapse the middle of long unchanged runs
+  return blocks.flatMap((block, index) => {
+    if (block.kind !== 'equal') return [block];
+
+    const keepBefore = index === 0 ? 0 : context;                 // after a change
+    const keepAfter  = index === blocks.length - 1 ? 0 : context; // before a change
+    if (block.lines.length <= keepBefore + keepAfter + 1) return [block];
+
+    const head = block.lines.slice(0, keepBefore);
+    const gap  = block.lines.slice(keepBefore, block.lines.length - keepAfter);
+    const tail = block.lines.slice(block.lines.length - keepAfter);
+    return [
+      ...(head.length ? [{ kind: 'equal', lines: head }] : []),
+      { kind: 'gap', lines: gap },
+      ...(tail.length ? [{ kind: 'equal', lines: tail }] : []),
+    ];
+  });
+}
+
+/**
+ * Serialises the diff as a git-style unified diff for a single file.
+ *
+ * @param {string} original
+ * @param {string} refactored
+ * @param {string} path - Repository-relative path used in the headers.
+ * @returns {string} The patch text, or '' when the sources are identical.
+ */
+export function createPatch(original, refactored, path) {
+  const ops     = computeDiff(original, refactored);
+  const changed = ops.map((op, index) => (op.type === 'equal' ? -1 : index)).filter((i) => i >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose unchanged gap is small enough to share context
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks.at(-1);
+    if (last && index - last.end <= 2 * CONTEXT_LINES + 1) last.end = index;
+    else hunks.push({ start: index, end: index });
+  }
+
+  // Added lines end like the original's lines, so the file stays consistent
+  const eol = original.includes('\r\n') ? '\r\n' : '\n';
+  const out = [
+    `diff --git a/${path} b/${path}\n`,
+    `--- a/${path}\n`,
+    `+++ b/${path}\n`,
+  ];
+
+  for (const hunk of hunks) {
+    const from  = Math.max(0, hunk.start - CONTEXT_LINES);
+    const to    = Math.min(ops.length - 1, hunk.end + CONTEXT_LINES);
+    const slice = ops.slice(from, to + 1);
+
+    const oldBefore = ops.slice(0, from).filter((op) => op.type !== 'insert').length;
+    const newBefore = ops.slice(0, from).filter((op) => op.type !== 'delete').length;
+    const oldCount  = slice.filter((op) => op.type !== 'insert').length;
+    const newCount  = slice.filter((op) => op.type !== 'delete').length;
+
+    // An empty side is addressed by the line *before* the hunk (git convention)
+    const oldStart = oldCount === 0 ? oldBefore : oldBefore + 1;
+    const newStart = newCount === 0 ? newBefore : newBefore + 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`);
+
+    for (const op of slice) {
+      const sign = op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+';
+      if (!op.text.endsWith('\n')) {
+        out.push(`${sign}${op.text}\n`, '\\ No newline at end of file\n');
+      } else {
+        out.push(sign + (op.type === 'insert' ? stripEol(op.text) + eol : op.text));
+      }
+    }
+  }
+
+  return out.join('');
+}
@@ -0,0 +1,206 @@
+/**
+ * editor.js — Code editor text handling (FR-01.9)
+ *
+ * Pure functions, no DOM access. The code input stays a <textarea>, drawn
+ * over a syntax-highlighted copy of its text with a line-number gutter (see
+ * ui.renderEditor()); these functions compute what the editing keys do. Each
+ * returns a Change for ui.applyEditorChange(), which replaces the range so
+ * that the browser's undo history keeps working.
+ *
+ * Exports:
+ *   indentUnit(code, language)                      → string
+ *   indentLines(value, start, end, unit)            → Change
+ *   outdentLines(value, start, end, unit)           → Change|null
+ *   insertNewline(value, start, end, unit)          → Change
+ *   editorMarkers(smells)                           → Map<number, Marker>
+ */
+
+import { resolveLanguage } from './detectors.js';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * Replace value[from..to) with `text`, then select
+ * selectionStart..selectionEnd of the new value.
+ *
+ * @typedef  {object} Change
+ * @property {number} from
+ * @property {number} to
+ * @property {string} text
+ * @property {number} selectionStart
+ * @property {number} selectionEnd
+ */
+
+/**
+ * The gutter marker of one line: the most severe smell touching it, and the
+ * names of every smell that does.
+ *
+ * @typedef  {object} Marker
+ * @property {'Critical'|'Major'|'Minor'} severity
+ * @property {string[]}                   names
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** Characters after which Enter indents the next line one level deeper. */
+const BLOCK_OPENERS = new Set(['{', '[', '(', ':']);
+
+/** Closing partner of each opener, for Enter between e.g. "{" and "}". */
+const CLOSERS = { '{': '}', '[': ']', '(': ')' };
+
+const SEVERITY_RANK = { Critical: 3, Major: 2, Minor: 1 };
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} value
+ * @param {number} index
+ * @returns {number} Index of the start of the line containing `index`.
+ */
+function lineStart(value, index) {
+  return value.lastIndexOf('\n', index - 1) + 1;
+}
+
+/**
+ * The whole lines a selection touches. A selection ending at the very start
+ * of a line does not touch that line.
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @returns {{from: number, to: number}}
+ */
+function touchedLines(value, start, end) {
+  const last = end > start && value[end - 1] === '\n' ? end - 1 : end;
+  const to   = value.indexOf('\n', last);
+  return { from: lineStart(value, start), to: to === -1 ? value.length : to };
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * The indentation one level adds: a tab if the code already indents with
+ * tabs, else the smallest indentation it uses, else four spaces for Python
+ * and two for everything else.
+ *
+ * @param {string} code
+ * @param {string} language - Language selector value, e.g. "Python" or "auto".
+ * @returns {string}
+ */
+export function indentUnit(code, language) {
+  if (/^\t/m.test(code)) return '\t';
+
+  const widths = [...code.matchAll(/^( +)\S/gm)].map((match) => match[1].length).filter((width) => width <= 8);
+  if (widths.length > 0) return ' '.repeat(Math.min(...widths));
+
+  const python = language.toLowerCase() === 'python' || resolveLanguage(code, language) === 'python';
+  return ' '.repeat(python ? 4 : 2);
+}
+
+/**
+ * Tab: inserts one indentation unit at the caret, or indents every line of
+ * a selection that spans lines.
+ *
+ * @param {string} value
+ * @param {number} start - Selection start.
+ * @param {number} end   - Selection end.
+ * @param {string} unit  - From indentUnit().
+ * @returns {Change}
+ */
+export function indentLines(value, start, end, unit) {
+  if (!value.slice(start, end).includes('\n')) {
+    const caret = start + unit.length;
+    return { from: start, to: end, text: unit, selectionStart: caret, selectionEnd: caret };
+  }
+
+  const { from, to } = touchedLines(value, start, end);
+  const lines = value.slice(from, to).split('\n');
+  const text  = lines.map((line) => (line === '' ? line : unit + line)).join('\n');
+  return {
+    from, to, text,
+    selectionStart: start === from ? start : start + unit.length,
+    selectionEnd:   end + (text.length - (to - from)),
+  };
+}
+
+/**
+ * Shift+Tab: removes up to one indentation unit from every line the
+ * selection (or the caret) touches.
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {string} unit
+ * @returns {Change|null} Null if no line is indented.
+ */
+export function outdentLines(value, start, end, unit) {
+  const { from, to } = touchedLines(value, start, end);
+  const lines = value.slice(from, to).split('\n');
+
+  let removedBeforeStart = 0;
+  const outdented = lines.map((line, index) => {
+    const indent  = line.match(/^[ \t]*/)[0];
+    const removed = indent.startsWith('\t') ? 1 : Math.min(indent.length, unit === '\t' ? 4 : unit.length);
+    if (index === 0) removedBeforeStart = Math.min(removed, start - from);
+    return line.slice(removed);
+  });
+
+  const text = outdented.join('\n');
+  if (text.length === to - from) return null;
+  return {
+    from, to, text,
+    selectionStart: start - removedBeforeStart,
+    selectionEnd:   Math.max(start - removedBeforeStart, end - ((to - from) - text.length)),
+  };
+}
+
+/**
+ * Enter: starts the new line at the current line's indentation, one unit
+ * deeper after an opening bracket or a colon. Between a bracket and its
+ * partner, the closing one moves to a line of its own.
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {string} unit
+ * @returns {Change}
+ */
+export function insertNewline(value, start, end, unit) {
+  const lineBegin = lineStart(value, start);
+  const indent    = value.slice(lineBegin, start).match(/^[ \t]*/)[0];
+  const before    = value.slice(lineBegin, start).trimEnd().at(-1);
+  const after     = value[end];
+
+  if (!BLOCK_OPENERS.has(before)) {
+    const caret = start + 1 + indent.length;
+    return { from: start, to: end, text: `\n${indent}`, selectionStart: caret, selectionEnd: caret };
+  }
+
+  const inner = `\n${indent}${unit}`;
+  const text  = CLOSERS[before] && after === CLOSERS[before] ? `${inner}\n${indent}` : inner;
+  const caret = start + inner.length;
+  return { from: start, to: end, text, selectionStart: caret, selectionEnd: caret };
+}
+
+/**
+ * Gutter markers for an analysis: every line a smell's range covers.
+ * Smells without a line range are not marked.
+ *
+ * @param {Array} smells
+ * @returns {Map<number, Marker>} Line number (1-based) → marker.
+ */
+export function editorMarkers(smells) {
+  const markers = new Map();
+  for (const smell of smells) {
+    if (!Number.isInteger(smell.start_line)) continue;
+    for (let line = smell.start_line; line <= (smell.end_line ?? smell.start_line); line++) {
+      const marker = markers.get(line) ?? { severity: smell.severity, names: [] };
+      if ((SEVERITY_RANK[smell.severity] ?? 0) > (SEVERITY_RANK[marker.severity] ?? 0)) {
+        marker.severity = smell.severity;
+      }
+      marker.names.push(smell.name);
+      markers.set(line, marker);
+    }
+  }
+  return markers;
+}
@@ -0,0 +1,160 @@
+/**
+ * edits.js — Per-smell refactoring edits
+ *
+ * Pure functions, no DOM access. The model returns one edit per smell — a
+ * replacement for a range of lines of the original code — so the user can
+ * accept or reject each fix on its own. composeRefactoring() rebuilds the
+ * refactored code from only the accepted edits, and reports edits that could
+ * not be applied because they overlap an edit that was.
+ *
+ * Results without any edits (local rule checks, or a model that ignored the
+ * edit field) fall back to the model's complete refactored_code.
+ *
+ * Edits and the smells' own line ranges are checked against the code they
+ * were made for whenever a result arrives, from the model or a share link.
+ *
+ * Exports:
+ *   normaliseEdit(edit, lineCount)                   → Edit | null
+ *   normaliseLineRange(smell, lineCount)             → void  (mutates smell)
+ *   hasEdits(result)                                 → boolean
+ *   composeRefactoring(code, result, rejected)       → Composition
+ */
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * Replaces lines start_line..end_line (1-based, inclusive) of the original
+ * code. An edit with end_line === start_line - 1 replaces nothing: it inserts
+ * its replacement before start_line (or at the end, for lineCount + 1).
+ *
+ * @typedef  {object} Edit
+ * @property {number} start_line
+ * @property {number} end_line
+ * @property {string} replacement - Replacement lines; '' deletes the range.
+ */
+
+/**
+ * @typedef  {object} Composition
+ * @property {string}              code      - Refactored code built from the accepted edits.
+ * @property {Map<number, number>} conflicts - Smell index of each accepted edit that was not
+ *                                             applied → index of the applied edit it overlaps.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Splits code into lines without terminators. A trailing newline does not
+ * start an extra line (matches prompt.countLines); it is re-added on join.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  return text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Whether two edits touch the same original lines. Two insertions conflict
+ * only at the same position; an insertion conflicts with a replacement only
+ * when it falls strictly inside the replaced range.
+ *
+ * @param {{from: number, to: number}} a - Half-open, 0-based line interval.
+ * @param {{from: number, to: number}} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+  if (a.from === a.to && b.from === b.to) return a.from === b.from;
+  if (a.from === a.to) return b.from < a.from && a.from < b.to;
+  if (b.from === b.to) return a.from < b.from && b.from < a.to;
+  return a.from < b.to && b.from < a.to;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Validates an edit returned by the model against the analysed code.
+ *
+ * @param {*}      edit      - The smell's `edit` field, as parsed.
+ * @param {number} lineCount - Number of lines in the analysed code.
+ * @returns {Edit|null} Null when the edit is missing or does not fit the code.
+ */
+export function normaliseEdit(edit, lineCount) {
+  if (!edit || typeof edit !== 'object' || typeof edit.replacement !== 'string') return null;
+
+  const start = Number(edit.start_line);
+  const end   = edit.end_line == null ? start : Number(edit.end_line);
+
+  const valid = Number.isInteger(start) && Number.isInteger(end)
+    && start >= 1 && end >= start - 1 && end <= lineCount;
+
+  return valid ? { start_line: start, end_line: end, replacement: edit.replacement } : null;
+}
+
+/**
+ * Validates a smell's start_line/end_line against the analysed code. Ranges
+ * that are missing, non-numeric or outside the code are replaced with null so
+ * the UI never highlights lines that do not exist; a reversed range is
+ * swapped, and a missing end_line defaults to start_line.
+ *
+ * @param {object} smell     - Mutated in place.
+ * @param {number} lineCount - Number of lines in the analysed code.
+ */
+export function normaliseLineRange(smell, lineCount) {
+  let start = Number(smell.start_line);
+  let end   = smell.end_line == null ? start : Number(smell.end_line);
+
+  if (start > end) [start, end] = [end, start];
+
+  const valid = Number.isInteger(start) && Number.isInteger(end)
+    && start >= 1 && end <= lineCount;
+
+  smell.start_line = valid ? start : null;
+  smell.end_line   = valid ? end   : null;
+}
+
+/**
+ * Whether any smell in the result carries an edit.
+ * @param {{smells: Array}} result
+ * @returns {boolean}
+ */
+export function hasEdits(result) {
+  return result.smells.some((smell) => smell.edit);
+}
+
+/**
+ * Builds the refactored code from the original and every accepted edit.
+ * Edits are considered in smell order; an edit that overlaps one already
+ * applied is skipped and reported as a conflict.
+ *
+ * @param {string}      code     - The original code the edits refer to.
+ * @param {{smells: Array, refactored_code: string}} result
+ * @param {Set<number>} rejected - Indexes (into result.smells) of rejected edits.
+ * @returns {Composition}
+ */
+export function composeRefactoring(code, result, rejected) {
+  const conflicts = new Map();
+  if (!hasEdits(result)) return { code: result.refactored_code, conflicts };
+
+  const applied = [];
+  result.smells.forEach((smell, index) => {
+    if (!smell.edit || rejected.has(index)) return;
+
+    const range = { index, from: smell.edit.start_line - 1, to: smell.edit.end_line, edit: smell.edit };
+    const clash = applied.find((other) => overlaps(range, other));
+    if (clash) conflicts.set(index, clash.index);
+    else       applied.push(range);
+  });
+
+  // Apply bottom-up so earlier line numbers stay valid. At the same position
+  // the replacement goes first, so an insertion lands above it.
+  applied.sort((a, b) => b.from - a.from || (b.to - b.from) - (a.to - a.from));
+
+  const lines = splitLines(code);
+  for (const { from, to, edit } of applied) {
+    lines.splice(from, to - from, ...splitLines(edit.replacement));
+  }
+
+  const trailingNewline = code === '' || /\n$/.test(code);
+  return { code: lines.join('\n') + (trailingNewline && lines.length ? '\n' : ''), conflicts };
+}
@@ -0,0 +1,157 @@
+/**
+ * equivalence-worker.js — Runs one call of a code snippet (FR-04.5)
+ *
+ * Started by equivalence.js, inside its sandbox frame, as a fresh classic
+ * worker for every call, so calls share no state; it is terminated from
+ * outside if it does not answer in time. The frame's Content Security
+ * Policy already denies every connection and every script that is not
+ * inline, which this worker inherits. On top of that, the network, storage,
+ * worker and messaging APIs are removed from the global object and from
+ * every prototype on its chain before the code runs, and the only way to
+ * report an outcome is a function the code cannot reach.
+ *
+ * The code still shares this worker's built-ins (Object, JSON, Array…) with
+ * describe(): code that deliberately rewrites them can distort its own
+ * outcome, but cannot reach anything outside the worker.
+ *
+ * Message in:  { source, functionName, args }
+ * Message out: Outcome — { kind: 'return'|'throw'|'error', value: string,
+ *                          problem?: 'load'|'notFunction' }
+ *              An 'error' names its problem; equivalence.js words the message
+ *              in the user's language, with `value` as its detail.
+ */
+
+// Everything is in this closure: a classic worker's top-level declarations
+// would be globals that the code under test could call or replace.
+(() => {
+  // ─── Sandbox ────────────────────────────────────────────────────────────────
+
+  /** APIs the code must not reach. */
+  const BLOCKED_APIS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts',
+    'indexedDB', 'caches', 'BroadcastChannel', 'MessageChannel', 'Worker', 'SharedWorker',
+    'postMessage', 'onmessage', 'addEventListener', 'dispatchEvent',
+  ];
+
+  const scope  = self;
+  const post   = scope.postMessage.bind(scope);
+  const hasOwn = Object.prototype.hasOwnProperty;
+
+  /** Reports the outcome of the call; only the first report counts. */
+  let report = (outcome) => {
+    report = () => {};
+    post(outcome);
+  };
+
+  /**
+   * Removes an API from the global object and from the prototypes it is
+   * inherited from (fetch and postMessage live on WorkerGlobalScope.prototype
+   * and DedicatedWorkerGlobalScope.prototype, not on `self`), then pins it to
+   * undefined so it cannot be put back.
+   *
+   * @param {string} name
+   */
+  function removeApi(name) {
+    for (let target = scope; target && target !== Object.prototype; target = Object.getPrototypeOf(target)) {
+      if (!hasOwn.call(target, name)) continue;
+      try {
+        delete target[name];
+      } catch {
+        // Left in place; shadowed on the global object below
+      }
+    }
+    try {
+      Object.defineProperty(scope, name, { value: undefined, configurable: false });
+    } catch {
+      // Not every worker has every API
+    }
+  }
+
+  // ─── Describing values ──────────────────────────────────────────────────────
+
+  /**
+   * A canonical description of a value for comparison: object keys are
+   * sorted, and values JSON cannot represent (undefined, NaN, -0, functions,
+   * Maps, …) are spelled out.
+   *
+   * @param {*}           value
+   * @param {Set<object>} [seen] - Objects on the current path, to detect cycles.
+   * @returns {string}
+   */
+  function describe(value, seen = new Set()) {
+    if (value === undefined) return 'undefined';
+    if (typeof value === 'number') return Object.is(value, -0) ? '-0' : String(value);
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol') return value.toString();
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+    try {
+      if (value instanceof Error) return `${value.name}: ${value.message}`;
+      if (value instanceof Date) return `Date(${Number.isNaN(value.getTime()) ? 'Invalid' : value.toISOString()})`;
+      if (value instanceof RegExp) return String(value);
+      if (Array.isArray(value)) return `[${value.map((item) => describe(item, seen)).join(', ')}]`;
+      if (value instanceof Map) {
+        return `Map {${[...value].map(([key, item]) => `${describe(key, seen)} => ${describe(item, seen)}`).join(', ')}}`;
+      }
+      if (value instanceof Set) return `Set {${[...value].map((item) => describe(item, seen)).join(', ')}}`;
+
+      const entries = Object.keys(value).sort()
+        .map((key) => `${JSON.stringify(key)}: ${describe(value[key], seen)}`);
+      return `{${entries.join(', ')}}`;
+    } finally {
+      seen.delete(value);
+    }
+  }
+
+  /**
+   * @param {*} error - Whatever was thrown.
+   * @returns {string}
+   */
+  function describeThrown(error) {
+    return error instanceof Error ? `${error.name}: ${error.message}` : describe(error);
+  }
+
+  // ─── Message handler ────────────────────────────────────────────────────────
+
+  /**
+   * Loads the snippet and makes the call.
+   *
+   * @param {{source: string, functionName: string, args: Array}} call
+   */
+  async function run({ source, functionName, args }) {
+    // "Cart.total" is called on Cart, so methods keep their `this`
+    const dot   = functionName.lastIndexOf('.');
+    const owner = dot === -1 ? 'undefined' : functionName.slice(0, dot);
+
+    let fn, receiver;
+    try {
+      // The snippet's declarations are local to this function body
+      [receiver, fn] = new Function(`${source}\n;return [${owner}, ${functionName}];`)();
+    } catch (err) {
+      report({ kind: 'error', problem: 'load', value: describeThrown(err) });
+      return;
+    }
+    if (typeof fn !== 'function') {
+      report({ kind: 'error', problem: 'notFunction', value: functionName });
+      return;
+    }
+
+    try {
+      // Async functions are awaited, so a rejection counts as a throw
+      const value = await fn.apply(receiver, args);
+      report({ kind: 'return', value: describe(value) });
+    } catch (err) {
+      report({ kind: 'throw', value: describeThrown(err) });
+    }
+  }
+
+  // One call per worker: the listener is gone before the code runs, so the
+  // code cannot feed it a call of its own, and the APIs go with it.
+  scope.addEventListener('message', ({ data }) => {
+    BLOCKED_APIS.forEach(removeApi);
+    run(data);
+  }, { once: true });
+})();
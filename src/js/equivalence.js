@@ -0,0 +1,319 @@
+/**
+ * equivalence.js — Behavioural-equivalence check of refactored JavaScript (FR-04.5)
+ *
+ * The model is asked for runnable refactored code, but nothing proves that a
+ * refactoring kept the behaviour. For JavaScript, the user names a function
+ * and lists sample inputs (or has the model propose them); the original and
+ * the refactored code then each call that function with every input, and
+ * the return values and thrown errors are compared case by case.
+ *
+ * Every call runs in its own classic Web Worker (equivalence-worker.js),
+ * started inside a hidden sandboxed iframe: the frame has an opaque origin,
+ * so no cookies, storage or access to this page, and a Content Security
+ * Policy that allows no connections and no scripts from anywhere, which the
+ * workers inherit — no fetch, XMLHttpRequest, WebSocket, importScripts() or
+ * import(). Calls share no state, and a worker is terminated if it has not
+ * answered within the time limit, so an endless loop costs one case rather
+ * than the tab. The worker itself keeps its result channel out of the
+ * code's reach, so the code cannot report an outcome of its own.
+ *
+ * Values are compared by a canonical description (see the worker's
+ * describe()), so e.g. objects with the same entries in a different key
+ * order are equal, and -0, NaN and undefined are told apart from 0 and null.
+ *
+ * Exports:
+ *   EQUIVALENCE_TIMEOUT_MS                     → number
+ *   canCheckEquivalence(code, language)        → boolean
+ *   findFunctionNames(code)                    → string[]
+ *   parseSampleInputs(text)                    → Array[]
+ *   checkEquivalence(original, refactored, functionName, inputs, options?)
+ *                                              → Promise<CaseResult[]>
+ */
+
+import { resolveLanguage } from './detectors.js';
+import { t } from './i18n.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** Time limit of one call, in milliseconds. */
+export const EQUIVALENCE_TIMEOUT_MS = 2_000;
+
+/** Most sample inputs checked in one run. */
+const MAX_CASES = 50;
+
+/** Plain or dotted function names, e.g. "total" or "Cart.total". */
+const FUNCTION_NAME = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/;
+
+/**
+ * Policy of the sandbox frame, inherited by its workers: inline scripts and
+ * eval (the snippet is run with `new Function`), blob: workers, nothing else.
+ */
+const SANDBOX_POLICY = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src blob:";
+
+/**
+ * The sandbox frame's script. It turns the worker source it is sent once
+ * into a blob: URL, starts a worker per call and relays the outcome; it
+ * answers only this page.
+ */
+const SANDBOX_SCRIPT = `
+let workerUrl = null;
+const workers = new Map();
+onmessage = ({ source, data }) => {
+  if (source !== parent) return;
+  if (data.type === 'init') {
+    workerUrl = URL.createObjectURL(new Blob([data.workerSource], { type: 'text/javascript' }));
+    parent.postMessage({ type: 'ready' }, '*');
+  } else if (data.type === 'stop') {
+    workers.get(data.id)?.terminate();
+    workers.delete(data.id);
+  } else if (data.type === 'run') {
+    const worker = new Worker(workerUrl);
+    const finish = (outcome) => {
+      worker.terminate();
+      workers.delete(data.id);
+      parent.postMessage({ type: 'outcome', id: data.id, outcome }, '*');
+    };
+    workers.set(data.id, worker);
+    worker.onmessage = (event) => finish(event.data);
+    worker.onerror   = (event) => {
+      event.preventDefault();
+      finish({ kind: 'error', value: event.message || null });
+    };
+    worker.postMessage(data.call);
+  }
+};`;
+
+const SANDBOX_HTML = `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="${SANDBOX_POLICY}">
+<script>${SANDBOX_SCRIPT}</script>`;
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * What one call did.
+ *
+ * @typedef  {object} Outcome
+ * @property {'return'|'throw'|'timeout'|'error'} kind - 'error' means the code
+ *   could not be run at all (syntax error, function not found).
+ * @property {string} value - The described return value, thrown error or problem.
+ */
+
+/**
+ * @typedef  {object} CaseResult
+ * @property {string}  input      - The arguments as JSON, without the brackets.
+ * @property {Outcome} original
+ * @property {Outcome} refactored
+ * @property {boolean} same       - Whether both returned or threw the same.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Messages for the problems the worker reports, given the worker's detail. */
+const WORKER_PROBLEMS = {
+  load:        (error) => t('equivalence.loadFailed', { error }),
+  notFunction: (name)  => t('equivalence.notFunction', { name }),
+};
+
+/**
+ * Words an outcome relayed from the sandbox in the user's language.
+ * @param {{kind: string, value: ?string, problem?: string}} outcome
+ * @returns {Outcome}
+ */
+function toOutcome({ kind, value, problem }) {
+  if (Object.hasOwn(WORKER_PROBLEMS, problem ?? '')) {
+    return { kind, value: WORKER_PROBLEMS[problem](value) };
+  }
+  return { kind, value: value ?? t('equivalence.notRun') };
+}
+
+/** @type {Promise<string>|null} Source of equivalence-worker.js. */
+let workerSourcePromise = null;
+
+/**
+ * Opens a sandbox frame (see the module header) for one check.
+ *
+ * @returns {Promise<{run: (call: object, timeoutMs: number) => Promise<Outcome>, close: () => void}>}
+ *   `run` makes one call in a fresh worker; `close` removes the frame.
+ * @throws  {Error} If the worker could not be loaded.
+ */
+async function openSandbox() {
+  workerSourcePromise ??= fetch(new URL('./equivalence-worker.js', import.meta.url))
+    .then((response) => (response.ok ? response.text() : Promise.reject(new Error(response.statusText))));
+  workerSourcePromise.catch(() => { workerSourcePromise = null; });
+  let workerSource;
+  try {
+    workerSource = await workerSourcePromise;
+  } catch {
+    throw new Error(t('equivalence.unavailable'));
+  }
+
+  const frame = document.createElement('iframe');
+  frame.setAttribute('sandbox', 'allow-scripts');
+  frame.hidden = true;
+  frame.srcdoc = SANDBOX_HTML;
+
+  const pending = new Map();
+  let onReady;
+  const ready = new Promise((resolve) => { onReady = resolve; });
+  const onMessage = ({ source, data }) => {
+    if (source !== frame.contentWindow) return;
+    if (data?.type === 'ready') onReady();
+    if (data?.type === 'outcome') pending.get(data.id)?.(toOutcome(data.outcome));
+  };
+  window.addEventListener('message', onMessage);
+
+  const loaded = new Promise((resolve) => frame.addEventListener('load', resolve, { once: true }));
+  document.body.append(frame);
+  await loaded;
+  frame.contentWindow.postMessage({ type: 'init', workerSource }, '*');
+  await ready;
+
+  let nextId = 0;
+  const run = (call, timeoutMs) => new Promise((resolve) => {
+    const id = nextId++;
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      pending.delete(id);
+      resolve(outcome);
+    };
+    const timer = setTimeout(() => {
+      frame.contentWindow?.postMessage({ type: 'stop', id }, '*');
+      finish({ kind: 'timeout', value: t('equivalence.noResult', { seconds: timeoutMs / 1000 }) });
+    }, timeoutMs);
+    pending.set(id, finish);
+    frame.contentWindow.postMessage({ type: 'run', id, call }, '*');
+  });
+  const close = () => {
+    window.removeEventListener('message', onMessage);
+    frame.remove();
+  };
+  return { run, close };
+}
+
+/**
+ * Makes a snippet runnable as a function body: `export` keywords are
+ * removed, since the worker does not load the code as a module.
+ *
+ * @param {string} code
+ * @returns {string}
+ * @throws  {Error} If the code imports other modules, which are not available.
+ */
+function prepareSource(code) {
+  if (/^\s*import\s[^(]/m.test(code) || /\brequire\s*\(/.test(code)) {
+    throw new Error(t('equivalence.imports'));
+  }
+  return code
+    .replace(/^(\s*)export\s+default\s+(?=(?:async\s+)?(?:function|class)\b)/gm, '$1')
+    .replace(/^(\s*)export\s+(?=(?:async\s+)?(?:function|class|const|let|var)\b)/gm, '$1')
+    .replace(/^\s*export\s*\{[^}]*\};?\s*$/gm, '');
+}
+
+/**
+ * @param {Outcome} a
+ * @param {Outcome} b
+ * @returns {boolean}
+ */
+function sameOutcome(a, b) {
+  return a.kind === b.kind && a.value === b.value;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Whether the check applies: plain JavaScript, chosen or auto-detected.
+ * TypeScript would need compiling first.
+ *
+ * @param {string} code
+ * @param {string} language - Language selector value, e.g. "JavaScript" or "auto".
+ * @returns {boolean}
+ */
+export function canCheckEquivalence(code, language) {
+  return language.toLowerCase() !== 'typescript' && resolveLanguage(code, language) === 'javascript';
+}
+
+/**
+ * Names of the functions the code declares at the start of a line —
+ * `function f(`, `const f = (…) =>`, `const f = function` — as candidates
+ * for the check, in order of appearance.
+ *
+ * @param {string} code
+ * @returns {string[]}
+ */
+export function findFunctionNames(code) {
+  const names = new Set();
+  const declaration = /^\s*(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*\(|^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^()]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/gm;
+  for (const match of code.matchAll(declaration)) names.add(match[1] ?? match[2]);
+  return [...names];
+}
+
+/**
+ * Parses sample inputs: one JSON array of arguments per line, e.g.
+ * `[1, "two", {"three": 3}]`. Blank lines are ignored.
+ *
+ * @param {string} text
+ * @returns {Array[]} The argument lists.
+ * @throws  {Error} Naming the first line that is not a JSON array.
+ */
+export function parseSampleInputs(text) {
+  const inputs = [];
+  text.split('\n').forEach((line, index) => {
+    if (line.trim() === '') return;
+    let args;
+    try {
+      args = JSON.parse(line);
+    } catch {
+      args = null;
+    }
+    if (!Array.isArray(args)) {
+      throw new Error(t('equivalence.badInput', { line: index + 1 }));
+    }
+    inputs.push(args);
+  });
+
+  if (inputs.length === 0) throw new Error(t('equivalence.noInputs'));
+  if (inputs.length > MAX_CASES) throw new Error(t('equivalence.tooManyInputs', { max: MAX_CASES }));
+  return inputs;
+}
+
+/**
+ * Calls `functionName` with every input in the original and in the
+ * refactored code and compares what happened.
+ *
+ * @param {string}  original
+ * @param {string}  refactored
+ * @param {string}  functionName - A function both versions define.
+ * @param {Array[]} inputs       - From parseSampleInputs().
+ * @param {object}  [options]
+ * @param {number}  [options.timeoutMs=EQUIVALENCE_TIMEOUT_MS] - Per call.
+ * @param {(done: number, total: number) => void} [options.onProgress] - After each case.
+ * @returns {Promise<CaseResult[]>}
+ * @throws  {Error} If the function name or either version cannot be used.
+ */
+export async function checkEquivalence(original, refactored, functionName, inputs, {
+  timeoutMs = EQUIVALENCE_TIMEOUT_MS, onProgress,
+} = {}) {
+  if (!FUNCTION_NAME.test(functionName)) {
+    throw new Error(t('equivalence.noFunction'));
+  }
+  const sources = [prepareSource(original), prepareSource(refactored)];
+
+  const sandbox = await openSandbox();
+  try {
+    const results = [];
+    for (const args of inputs) {
+      const [before, after] = await Promise.all(
+        sources.map((source) => sandbox.run({ source, functionName, args }, timeoutMs))
+      );
+      results.push({
+        input:      JSON.stringify(args).slice(1, -1),
+        original:   before,
+        refactored: after,
+        same:       sameOutcome(before, after),
+      });
+      onProgress?.(results.length, inputs.length);
+    }
+    return results;
+  } finally {
+    sandbox.close();
+  }
+}
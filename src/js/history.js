@@ -0,0 +1,146 @@
+/**
+ * history.js — Persistent analysis history in IndexedDB (FR-06.3)
+ *
+ * state.js holds only the current session; this module keeps every completed
+ * analysis — code, language, AnalysisResult, edit decisions and chat — in the
+ * browser's IndexedDB (idb.js) so past runs survive a reload and can be
+ * reopened.
+ *
+ * All functions are async and reject with a plain Error carrying a
+ * human-readable message (FR-02.7 style); callers decide whether a history
+ * failure is worth interrupting the user for.
+ *
+ * Exports:
+ *   saveRun(run)             → Promise<number>        (the new run's id)
+ *   updateRun(id, changes)   → Promise<void>
+ *   getRun(id)               → Promise<HistoryRun|null>
+ *   listRuns(query?)         → Promise<HistoryRun[]>  (newest first)
+ *   deleteRun(id)            → Promise<void>
+ *   clearHistory()           → Promise<void>
+ */
+
+import { t } from './i18n.js';
+import { STORES, promisify, withStore } from './idb.js';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * One saved analysis.
+ *
+ * @typedef  {object} HistoryRun
+ * @property {number}   id            - Assigned by IndexedDB.
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt     - Last chat message or edit decision.
+ * @property {string}   code
+ * @property {string}   language
+ * @property {string}   [path]        - File path, for runs from a project analysis.
+ * @property {import('./state.js').AnalysisResult} result
+ * @property {number[]} rejectedEdits - Indexes of rejected per-smell edits.
+ * @property {import('./state.js').ChatEntry[]} chat
+ */
+
+// ─── Database access ──────────────────────────────────────────────────────────
+
+/**
+ * Runs `work` against the history store in one transaction (see
+ * idb.withStore()), turning any failure into a readable error.
+ *
+ * @param {'readonly'|'readwrite'}              mode
+ * @param {string}                              failure - Message key of the error, e.g. "history.saveFailed".
+ * @param {(store: IDBObjectStore) => Promise<*>} work
+ * @returns {Promise<*>} Whatever `work` resolved with.
+ */
+async function withHistory(mode, failure, work) {
+  try {
+    return await withStore(STORES.ANALYSES, mode, work);
+  } catch (err) {
+    const reason = (err?.message || t('history.unknownError')).replace(/\.$/, '');
+    throw new Error(t(failure, { reason }));
+  }
+}
+
+// ─── Search ───────────────────────────────────────────────────────────────────
+
+/**
+ * Full-text match over a run's code, smell names and file path: every
+ * whitespace-separated term of the query must occur (case-insensitively) in
+ * one of them.
+ *
+ * @param {HistoryRun} run
+ * @param {string[]}   terms - Lower-cased query terms.
+ * @returns {boolean}
+ */
+function matches(run, terms) {
+  const haystack = [run.path ?? '', run.code, ...run.result.smells.map((smell) => smell.name ?? '')]
+    .join('\n')
+    .toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Saves a completed analysis.
+ *
+ * @param {Omit<HistoryRun, 'id'|'createdAt'|'updatedAt'>} run
+ * @returns {Promise<number>} The id of the new run.
+ */
+export function saveRun(run) {
+  const now = new Date();
+  return withHistory('readwrite', 'history.saveFailed', (store) =>
+    promisify(store.add({ ...run, createdAt: now, updatedAt: now })));
+}
+
+/**
+ * Updates fields of a saved run, e.g. after a chat reply or an edit decision.
+ * Does nothing if the run has been deleted in the meantime.
+ *
+ * @param {number} id
+ * @param {Partial<Pick<HistoryRun, 'chat'|'rejectedEdits'>>} changes
+ * @returns {Promise<void>}
+ */
+export function updateRun(id, changes) {
+  return withHistory('readwrite', 'history.updateFailed', async (store) => {
+    const run = await promisify(store.get(id));
+    if (run) await promisify(store.put({ ...run, ...changes, updatedAt: new Date() }));
+  });
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<HistoryRun|null>} Null if no run has that id.
+ */
+export function getRun(id) {
+  return withHistory('readonly', 'history.readFailed', async (store) =>
+    (await promisify(store.get(id))) ?? null);
+}
+
+/**
+ * Lists saved runs, newest first, optionally filtered by a search query.
+ *
+ * @param {string} [query] - Terms to look for in the code and smell names.
+ * @returns {Promise<HistoryRun[]>}
+ */
+export async function listRuns(query = '') {
+  const runs  = await withHistory('readonly', 'history.readFailed', (store) => promisify(store.getAll()));
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return runs
+    .filter((run) => matches(run, terms))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteRun(id) {
+  return withHistory('readwrite', 'history.deleteFailed', (store) => promisify(store.delete(id)));
+}
+
+/**
+ * Deletes every saved run.
+ * @returns {Promise<void>}
+ */
+export function clearHistory() {
+  return withHistory('readwrite', 'history.clearFailed', (store) => promisify(store.clear()));
+}
@@ -0,0 +1,142 @@
+/**
+ * i18n.js — Interface language and message catalogues (FR-06.5)
+ *
+ * Every text the app shows comes from a message catalogue, one per locale
+ * (locales/*.js), looked up by key with t(). A key missing from a catalogue
+ * falls back to English, so a partly translated locale still works.
+ *
+ * Messages may hold {placeholders}, filled from t()'s parameters. A message
+ * that depends on a count is an object of plural forms ({ one, other }, plus
+ * whatever else the locale's plural rules use, e.g. Hebrew's "two"), chosen
+ * by the `count` parameter.
+ *
+ * The locale also sets the language the model writes its summaries,
+ * explanations and chat replies in (see prompt.js), and the text direction
+ * of the page. The choice is kept in localStorage; on the first visit the
+ * browser's preferred languages decide.
+ *
+ * Exports:
+ *   LOCALES                      → Record<string, LocaleInfo>
+ *   DEFAULT_LOCALE               → 'en'
+ *   t(key, params?)              → string
+ *   getLocale()                  → string
+ *   setLocale(code)              → string (the locale now in use)
+ *   matchLocale(preferred)       → string
+ *   loadStoredLocale()           → string|null
+ *   storeLocale(code)            → void
+ */
+
+import { MESSAGES as EN } from './locales/en.js';
+import { MESSAGES as ES } from './locales/es.js';
+import { MESSAGES as HE } from './locales/he.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} LocaleInfo
+ * @property {string}       nativeName   - Shown in the language switcher.
+ * @property {string}       languageName - In English, for the model's instructions.
+ * @property {'ltr'|'rtl'}  dir
+ */
+
+/**
+ * Forms of a message by Intl.PluralRules category; "other" is required.
+ * @typedef {{one?: string, two?: string, few?: string, many?: string, other: string}} PluralMessage
+ */
+
+/** @type {Record<string, LocaleInfo>} */
+export const LOCALES = Object.freeze({
+  en: { nativeName: 'English', languageName: 'English', dir: 'ltr' },
+  es: { nativeName: 'Español', languageName: 'Spanish', dir: 'ltr' },
+  he: { nativeName: 'עברית',   languageName: 'Hebrew',  dir: 'rtl' },
+});
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGUES = { en: EN, es: ES, he: HE };
+
+/** Older or regional language codes of the supported locales. */
+const ALIASES = { iw: 'he' };
+
+const STORAGE_KEY = 'code-smell-detector.locale';
+
+// ─── State ────────────────────────────────────────────────────────────────────
+
+let locale = DEFAULT_LOCALE;
+
+/** Intl.PluralRules of the current locale. */
+let pluralRules = new Intl.PluralRules(locale);
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Looks up a message in the current locale.
+ *
+ * @param {string} key
+ * @param {Record<string, string|number>} [params] - Fill the {placeholders};
+ *   `count` also picks the plural form.
+ * @returns {string} The message, or the key itself if no catalogue has it.
+ */
+export function t(key, params = {}) {
+  let message = CATALOGUES[locale][key] ?? EN[key] ?? key;
+  if (typeof message === 'object') {
+    message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/** @returns {string} The current locale code, e.g. "he". */
+export function getLocale() {
+  return locale;
+}
+
+/**
+ * Switches the locale. Unknown codes fall back to English.
+ *
+ * @param {string} code
+ * @returns {string} The locale now in use.
+ */
+export function setLocale(code) {
+  locale      = code in LOCALES ? code : DEFAULT_LOCALE;
+  pluralRules = new Intl.PluralRules(locale);
+  return locale;
+}
+
+/**
+ * Picks the supported locale closest to the user's preferences.
+ *
+ * @param {readonly string[]} preferred - e.g. navigator.languages: ["he-IL", "en"].
+ * @returns {string} A key of LOCALES.
+ */
+export function matchLocale(preferred) {
+  for (const tag of preferred ?? []) {
+    const language = tag.toLowerCase().split('-')[0];
+    const code     = ALIASES[language] ?? language;
+    if (code in LOCALES) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/** @returns {string|null} The locale the user chose earlier, if any. */
+export function loadStoredLocale() {
+  try {
+    const code = globalThis.localStorage?.getItem(STORAGE_KEY);
+    return code in LOCALES ? code : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remembers the user's choice of locale on this device. Unavailable storage
+ * only means the choice is not remembered.
+ *
+ * @param {string} code
+ */
+export function storeLocale(code) {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, code);
+  } catch {
+    // Nothing to do: the locale still applies to this page
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * idb.js — The app's IndexedDB database (FR-02.13, FR-06.3)
+ *
+ * The analysis history (history.js) and the response cache (cache.js) keep
+ * their data in object stores of one database, opened once and shared. The
+ * schema of every store lives here, so a new store or index is one more
+ * upgrade step below instead of a second database with its own version.
+ *
+ * Failures reject with a plain Error; each store decides what a failure
+ * means for it (the history reports it, the cache treats it as a miss).
+ *
+ * Exports:
+ *   STORES                        → { ANALYSES, RESPONSES }
+ *   promisify(request)            → Promise<*>
+ *   withStore(name, mode, work)   → Promise<*>
+ */
+
+import { t } from './i18n.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const DB_NAME = 'code-smell-detector';
+
+/** Object store names. */
+export const STORES = Object.freeze({
+  ANALYSES:  'analyses',  // history.js: one saved analysis per record
+  RESPONSES: 'responses', // cache.js: one cached model result per record
+});
+
+/**
+ * Schema changes, in order: step i upgrades a database at version i to
+ * version i + 1. The database version is the number of steps.
+ *
+ * @type {((db: IDBDatabase) => void)[]}
+ */
+const UPGRADES = [
+  (db) => db.createObjectStore(STORES.ANALYSES, { keyPath: 'id', autoIncrement: true }),
+  (db) => db.createObjectStore(STORES.RESPONSES, { keyPath: 'key' }),
+];
+
+// ─── Database access ──────────────────────────────────────────────────────────
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens (and creates or upgrades) the database. The connection is shared by
+ * every call; a failed open is retried on the next call. The connection is
+ * closed when another tab needs to upgrade the database.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!globalThis.indexedDB) {
+    return Promise.reject(new Error(t('storage.unavailable')));
+  }
+
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, UPGRADES.length);
+    request.onupgradeneeded = (event) => {
+      for (const upgrade of UPGRADES.slice(event.oldVersion)) upgrade(request.result);
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror   = () => reject(request.error);
+    request.onblocked = () => reject(new Error(t('storage.blocked')));
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+
+  return dbPromise;
+}
+
+/**
+ * Runs `work` against one store in one transaction and resolves once the
+ * transaction has committed.
+ *
+ * @param {string}                                name - One of STORES.
+ * @param {'readonly'|'readwrite'}                mode
+ * @param {(store: IDBObjectStore) => Promise<*>} work
+ * @returns {Promise<*>} Whatever `work` resolved with.
+ */
+export async function withStore(name, mode, work) {
+  const db = await openDatabase();
+  const tx = db.transaction(name, mode);
+  const committed = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onabort    = () => reject(tx.error);
+    tx.onerror    = () => reject(tx.error);
+  });
+  const [value] = await Promise.all([work(tx.objectStore(name)), committed]);
+  return value;
+}
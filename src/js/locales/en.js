@@ -0,0 +1,423 @@
+/**
+ * locales/en.js — English messages (FR-06.5)
+ *
+ * The reference catalogue: every key the app uses is defined here, and the
+ * other locales fall back to it for keys they lack. Keys are grouped by the
+ * part of the page they belong to; "html.*" keys are read by the data-i18n
+ * attributes of index.html.
+ *
+ * Exports:
+ *   MESSAGES → Record<string, string|PluralMessage>
+ */
+
+export const MESSAGES = {
+  // ── index.html ────────────────────────────────────────────────────────────
+  'html.pageTitle':            'Code Smells Detector & Refactorer',
+  'html.title':                'Code Smell Detector',
+  'html.subtitle':             '& Refactorer',
+  'html.poweredBy':            'Powered by',
+  'html.tagline':              'paste your code to detect and fix code smells instantly',
+  'html.language':             'Interface language',
+  'html.downloadRecording':    'Download recording',
+  'html.downloadRecordingLabel': 'Download the recorded requests as a fixtures file',
+  'html.settings':             'Settings',
+  'html.history':              'History',
+
+  'html.historyLabel':         'Analysis history',
+  'html.clearHistory':         'Clear all',
+  'html.clearHistoryLabel':    'Delete all saved analyses',
+  'html.closeHistory':         'Close history',
+  'html.historySearch':        'Search code and smell names…',
+  'html.historySearchLabel':   'Search analysis history',
+  'html.historyList':          'Saved analyses',
+
+  'html.closeSettings':        'Close settings',
+  'html.provider':             'Provider',
+  'html.providerOpenai':       'OpenAI-compatible API',
+  'html.apiKey':               'API key',
+  'html.model':                'Model',
+  'html.temperature':          'Temperature',
+  'html.maxTokens':            'Max output tokens',
+  'html.timeout':              'Timeout',
+  'html.seconds':              '(seconds)',
+  'html.modelDefault':         'Model default',
+  'html.remember':             'Remember on this device',
+  'html.settingsNoteStart':    'Empty fields use',
+  'html.settingsNoteEnd':      '. Settings are kept for this tab only, unless remembered — then the API key is stored in this browser until you reset.',
+  'html.resetSettings':        'Reset to config.json',
+  'html.save':                 'Save',
+
+  'html.sharedBanner':         'You are viewing a shared analysis. It is read-only and was not sent anywhere.',
+  'html.sharedClose':          'Start your own analysis',
+
+  'html.inputLabel':           'Code input',
+  'html.yourCode':             'Your Code',
+  'html.programmingLanguage':  'Programming language',
+  'html.languageSelect':       'Select programming language',
+  'html.autoDetect':           'Auto-detect',
+  'html.otherLanguage':        'Other',
+  'html.codePlaceholder':      'Paste your source code here, or drop files or a folder on this panel…',
+  'html.codeLabel':            'Source code input',
+  'html.editorHint':           'Tab indents and Shift+Tab outdents; press Escape, then Tab, to leave the editor.',
+  'html.openFiles':            'Open files',
+  'html.openFilesLabel':       'Analyze one or more source files',
+  'html.openFolder':           'Open folder',
+  'html.openFolderLabel':      'Analyze every source file in a folder',
+  'html.clear':                'Clear',
+  'html.clearLabel':           'Clear all input and output',
+  'html.analyze':              'Analyze',
+  'html.analyzeLabel':         'Analyze code for smells',
+  'html.refineThreshold':      'Until no smells at or above',
+  'html.maxRounds':            'Max rounds',
+  'html.refine':               'Refactor until clean',
+  'html.refineLabel':          'Analyze and refactor repeatedly until no smells at or above the chosen severity remain',
+
+  'html.dismissError':         'Dismiss error message',
+  'html.loadingLabel':         'Analyzing your code with Gemini',
+  'html.cancel':               'Cancel',
+  'html.cancelAnalysis':       'Cancel the analysis',
+
+  'html.projectLabel':         'Project report',
+  'html.projectTitle':         'Project Report',
+  'html.projectList':          'Files ranked by severity-weighted smell count',
+  'html.roundsLabel':          'Refactoring rounds',
+  'html.roundsTitle':          'Refactoring Rounds',
+  'html.roundsList':           'Smells found in each round, by severity',
+
+  'html.summaryLabel':         'Analysis summary',
+  'html.summaryTitle':         'Summary',
+  'html.cached':               'Cached result',
+  'html.cachedTitle':          'Returned from the response cache; no tokens were used',
+  'html.rerunFresh':           'Re-run fresh',
+  'html.rerunFreshLabel':      'Analyse the code again without the cached result',
+  'html.usageTitle':           'Tokens used and estimated cost of this analysis',
+  'html.reportFormat':         'Report format',
+  'html.reportFormatSelect':   'Select report format',
+  'html.exportReport':         'Export Report',
+  'html.exportReportLabel':    'Export the analysis report in the selected format',
+  'html.includeChat':          'Include chat',
+  'html.share':                'Share link',
+  'html.shareLabel':           'Create a link that opens this analysis',
+  'html.qualityScore':         'Quality score',
+  'html.bySeverity':           'By severity',
+  'html.byCategory':           'By category',
+
+  'html.smellsLabel':          'Detected code smells',
+  'html.smellsTitle':          'Smells Detected',
+  'html.smellsList':           'List of detected code smells',
+
+  'html.comparisonLabel':      'Code comparison',
+  'html.comparisonTitle':      'Code Comparison',
+  'html.comparisonView':       'Comparison view',
+  'html.splitDiff':            'Split diff',
+  'html.unifiedDiff':          'Unified diff',
+  'html.fullFiles':            'Full files',
+  'html.downloadPatch':        'Download .patch',
+  'html.downloadPatchLabel':   'Download the changes as a .patch file',
+  'html.diffLabel':            'Line-level diff between original and refactored code',
+  'html.original':             'Original',
+  'html.inputTag':             'INPUT',
+  'html.inputTagLabel':        'Input code',
+  'html.originalCode':         'Original source code',
+  'html.refactored':           'Refactored',
+  'html.outputTag':            'OUTPUT',
+  'html.outputTagLabel':       'Refactored output',
+  'html.refactoredCode':       'Refactored source code',
+
+  'html.equivalenceLabel':     'Behaviour check',
+  'html.equivalenceTitle':     'Behaviour Check',
+  'html.functionToCall':       'Function to call',
+  'html.functionPlaceholder':  'e.g. total or Cart.total',
+  'html.sampleInputs':         'Sample inputs',
+  'html.sampleInputsHint':     '— one JSON array of arguments per line',
+  'html.suggestInputs':        'Suggest Inputs',
+  'html.suggestInputsLabel':   'Ask the model to propose sample inputs',
+  'html.runCheck':             'Run Check',
+  'html.runCheckLabel':        'Run the original and refactored code on the sample inputs and compare',
+  'html.input':                'Input',
+  'html.result':               'Result',
+
+  'html.chatLabel':            'Follow-up chat with Gemini',
+  'html.chatTitle':            'Follow-up Questions',
+  'html.exportChat':           'Export Chat',
+  'html.exportChatLabel':      'Export chat history as a text file',
+  'html.chatLog':              'Chat message history',
+  'html.chatPlaceholder':      'Ask a follow-up question about the analysis…',
+  'html.chatInputLabel':       'Follow-up question input',
+  'html.sendLabel':            'Send follow-up question',
+  'html.cancelChat':           'Cancel the follow-up question',
+
+  // ── Shared words ──────────────────────────────────────────────────────────
+  'severity.Critical':         'Critical',
+  'severity.Major':            'Major',
+  'severity.Minor':            'Minor',
+  'severityChip':              '{count} {severity}',
+
+  'category.Bloaters':          'Bloaters',
+  'category.Couplers':          'Couplers',
+  'category.Change Preventers': 'Change Preventers',
+  'category.OO Abusers':        'OO Abusers',
+  'category.Dispensables':      'Dispensables',
+  'category.Naming & Clarity':  'Naming & Clarity',
+  'category.Other':             'Other',
+
+  'smellCount':                { one: '{count} smell', other: '{count} smells' },
+  'fileCount':                 { one: '{count} file', other: '{count} files' },
+  'lineRange.one':             'line {start}',
+  'lineRange.many':            'lines {start}–{end}',
+
+  // ── Loading and retries (FR-02.5, FR-02.9) ────────────────────────────────
+  'loading.text':              'Analyzing with Gemini…',
+  'retry.rateLimited':         'Rate limited',
+  'retry.serverError':         'Server error (HTTP {status})',
+  'retry.countdown':           '{reason} — retry {retry} of {maxRetries} in {seconds} s…',
+  'retry.now':                 '{reason} — retry {retry} of {maxRetries}…',
+
+  // ── Results ───────────────────────────────────────────────────────────────
+  'summary.none':              'No summary was provided.',
+  'quality.grade':             'Grade {grade}',
+  'quality.detail':            '{points} in {lines}',
+  'quality.points':            { one: '{count} weighted smell point', other: '{count} weighted smell points' },
+  'quality.lines':             { one: '{count} line', other: '{count} lines' },
+  'quality.noSmells':          'No smells',
+  'quality.trend':             'Trend',
+  'quality.trendRounds':       { one: 'Score over {count} round', other: 'Score over {count} rounds' },
+  'quality.trendFile':         { one: 'Score over the last {count} analysis of {path}', other: 'Score over the last {count} analyses of {path}' },
+
+  'source.rule':               'Rule',
+  'source.ruleDescription':    'Detected by a local rule check',
+  'source.model':              'Model',
+  'source.modelDescription':   'Reported by the language model',
+  'source.both':               'Rule + Model',
+  'source.bothDescription':    'Detected by a local rule check and reported by the language model',
+
+  'edit.applyLabel':           'Apply the fix for {name}',
+  'edit.thisSmell':            'this smell',
+  'edit.accepted':             '✓ Accepted',
+  'edit.rejected':             '✕ Rejected',
+  'edit.inserts':              'fix inserts before line {line}',
+  'edit.replaces':             'fix replaces {range}',
+  'edit.conflict':             '⚠ Not applied — overlaps the fix for "{name}". Reject one of them.',
+  'edit.anotherSmell':         'another smell',
+
+  'smell.cardLabel':           '{name} — severity {severity}',
+  'smell.cardLocated':         '{label}, {range}. Press Enter to highlight in the code.',
+  'smell.unnamed':             'Code smell',
+  'smell.unknown':             'Unknown Smell',
+  'smell.severityLabel':       'Severity: {severity}',
+  'smells.found':              { one: '{count} smell found', other: '{count} smells found' },
+  'smells.none':               '✓ No code smells detected.',
+  'smells.soFar':              { one: '{count} smell so far…', other: '{count} smells so far…' },
+
+  'rules.foundNone':           'found no smells',
+  'rules.found':               { one: 'found {count} smell', other: 'found {count} smells' },
+  'rules.pending':             'Local rule checks {found}. Waiting for the model\'s analysis…',
+  'rules.only':                'Local rule checks {found}. No model analysis is available, so the code was not refactored.',
+
+  'syntax.error':              'Syntax error in the refactored code at {problem}',
+  'syntax.position':           'line {line}, column {column}: {problem}',
+  'syntax.unterminatedString': 'Unterminated string',
+  'syntax.unterminatedTemplate': 'Unterminated template literal',
+  'syntax.unterminatedComment': 'Unterminated comment',
+  'syntax.unexpected':         'Unexpected \'{found}\'',
+  'syntax.mismatched':         'Expected \'{expected}\' to close \'{open}\' from line {openLine}, but found \'{found}\'',
+  'syntax.neverClosed':        '\'{open}\' is never closed',
+  'syntax.mixedIndent':        'Inconsistent use of tabs and spaces in indentation',
+  'syntax.expectedIndent':     'Expected an indented block after line {blockLine}',
+  'syntax.unexpectedIndent':   'Unexpected indent',
+  'syntax.unindentMismatch':   'Unindent does not match any outer indentation level',
+
+  'diff.showUnchanged':        { one: '⋯ Show {count} unchanged line', other: '⋯ Show {count} unchanged lines' },
+  'diff.identical':            'No changes — the refactored code is identical to the original.',
+  'diff.statsLabel':           '{added} lines added, {removed} lines removed',
+
+  'copy.copied':               'Copied!',
+  'copy.copiedLabel':          'Code copied to clipboard',
+  'copy.button':               'Copy to Clipboard',
+  'copy.buttonLabel':          'Copy refactored code to clipboard',
+  'copy.failed':               'Could not copy to clipboard. Please select and copy the code manually.',
+
+  // ── Local rule checks (detectors.js) ──────────────────────────────────────
+  'detector.function':         'function {name}',
+  'detector.topLevel':         'top-level code',
+  'detector.location':         '{where} ({lines})',
+  'detector.duplicateLocation': '{lines}, duplicating {original}',
+  'detector.longFunction':     '{name} spans {length} lines (limit {limit}). Long functions usually do several things at once; split it into smaller, well-named helpers.',
+  'detector.longParameterList': '{name} takes {count} parameters (limit {limit}). Long parameter lists are easy to call in the wrong order; group related values into an object.',
+  'detector.deepNesting':      'Control blocks are nested {depth} levels deep (limit {limit}). Deep nesting hides the main path through the code; use guard clauses or extract helpers.',
+  'detector.shortNames':       { one: 'The identifier {names} carries no meaning. Descriptive names document intent and make the code searchable.', other: 'The identifiers {names} carry no meaning. Descriptive names document intent and make the code searchable.' },
+  'detector.magicNumbers':     { one: 'The literal {values} appears without a name. Extract it into a named constant so its meaning is clear and it changes in one place.', other: 'The literals {values} appear without a name. Extract them into named constants so their meaning is clear and they change in one place.' },
+  'detector.duplicatedCode':   '{count} lines are repeated verbatim. Duplicated logic has to be fixed twice and tends to drift apart; extract it into a shared function.',
+
+  // ── Behaviour check (FR-04.5) ─────────────────────────────────────────────
+  'equivalence.throws':        'throws {value}',
+  'equivalence.timedOut':      'timed out — {value}',
+  'equivalence.same':          '✓ Same',
+  'equivalence.differs':       '✗ Differs',
+  'equivalence.cases':         { one: '{count} case', other: '{count} cases' },
+  'equivalence.allSame':       'All {cases} behave the same',
+  'equivalence.someDiffer':    '{differing} of {cases} differ',
+  'equivalence.flag':          '⚠ Behaviour differs in {differing} of {cases}',
+  'equivalence.asking':        'Asking for sample inputs…',
+  'equivalence.progress':      'Checked {done} of {total}…',
+  'equivalence.needsKey':      'Suggesting inputs needs an API key. Add your API key under Settings or in config.json, or enter inputs yourself.',
+  'equivalence.imports':       'Code that imports other modules cannot be checked in isolation.',
+  'equivalence.badInput':      'Sample input line {line} is not a JSON array of arguments, e.g. [1, "two"].',
+  'equivalence.noInputs':      'Enter at least one sample input.',
+  'equivalence.tooManyInputs': 'Enter at most {max} sample inputs.',
+  'equivalence.noFunction':    'Enter the name of the function to call, e.g. "total" or "Cart.total".',
+  'equivalence.unavailable':   'The behaviour check could not be started. Reload the page and try again.',
+  'equivalence.noResult':      'No result within {seconds} s',
+  'equivalence.notRun':        'The code could not be run.',
+  'equivalence.loadFailed':    'Could not load the code: {error}',
+  'equivalence.notFunction':   '{name} is not a function',
+
+  // ── Sharing (FR-06.4) ─────────────────────────────────────────────────────
+  'share.downloaded':          'Too long for a link — downloaded as a file instead. Drop it on the code panel, or pick it with Open files, to open the analysis.',
+  'share.copied':              'Link copied to the clipboard',
+  'share.copyManually':        'Copy the link above',
+  'share.failed':              'Could not create a share link: {error}',
+  'share.tooLarge':            'Shared analysis is too large.',
+  'share.damaged':             'This share link is damaged or incomplete. Ask for a new link.',
+  'share.fileTitle':           'Shared code smell analysis',
+  'share.fileHowTo':           'This file holds a shared analysis. Open {app} and drop this file on the code panel, or choose it with Open files.',
+
+  // ── Chat (FR-05) ──────────────────────────────────────────────────────────
+  'chat.you':                  'You',
+  'chat.model':                'Gemini',
+  'chat.messageLabel':         '{author}: {text}',
+  'chat.condensed':            {
+    one:   '{count} earlier message is condensed to a summary to keep the conversation within its size limit.',
+    other: '{count} earlier messages are condensed to a summary to keep the conversation within its size limit.',
+  },
+  'chat.send':                 'Send',
+  'chat.sending':              '…',
+  'chat.nothingToExport':      'No chat history to export yet.',
+
+  // ── Browser storage (idb.js) ──────────────────────────────────────────────
+  'storage.unavailable':       'IndexedDB is not available in this browser.',
+  'storage.blocked':           'close the app in other tabs and reload',
+
+  // ── History (FR-06) ───────────────────────────────────────────────────────
+  'history.reopenLabel':       'Reopen analysis from {when}: {smells}',
+  'history.deleteLabel':       'Delete analysis from {when}',
+  'history.noMatches':         'No saved analyses match your search.',
+  'history.empty':             'No saved analyses yet. Every analysis you run is saved here.',
+  'history.gone':              'That analysis is no longer in the history.',
+  'history.confirmClear':      'Delete all saved analyses? This cannot be undone.',
+  'history.unknownError':      'unknown error',
+  'history.saveFailed':        'Could not save to analysis history: {reason}.',
+  'history.updateFailed':      'Could not update analysis history: {reason}.',
+  'history.readFailed':        'Could not read analysis history: {reason}.',
+  'history.deleteFailed':      'Could not delete from analysis history: {reason}.',
+  'history.clearFailed':       'Could not clear analysis history: {reason}.',
+
+  // ── Header, usage and settings ────────────────────────────────────────────
+  'session.usage':             'Session: {tokens}',
+  'session.usageCost':         'Session: {tokens} · ~{cost}',
+  'usage.tokens':              { one: '{tokens} token', other: '{tokens} tokens' },
+  'usage.split':               '{total} ({input} in · {output} out)',
+  'budget.confirm':            'This request is estimated at about {tokens} of input{cost}, above the budget of {budget}. Send it anyway?',
+  'budget.cost':               ' (~{cost})',
+  'transport.replaying':       'Offline — replaying {fixtures}',
+  'transport.recording':       'Recording requests for {fixtures}',
+  'transport.needsCrypto':     'Recording and replaying requests needs crypto.subtle — open the app from localhost or over HTTPS.',
+  'transport.unknownMode':     'Unknown transport mode "{name}". Use one of: {modes}.',
+  'transport.notRecorded':     'No recorded response matches this request (prompt hash {hash}…). Record it first with the "record" transport mode.',
+  'transport.loadFailed':      'Could not load the replay fixtures {fixtures} ({error}).',
+  'transport.invalid':         'Invalid replay fixtures {fixtures}: {error}.',
+  'transport.badFile':         'expected { "version": {version}, "exchanges": [...] }',
+  'transport.noResponses':     'exchange {number} has no responses',
+  'transport.badExchange':     'exchange {number}: {problem}',
+  'transport.needsHash':       'exchange {number} needs a hash or a request body',
+  'transport.notObject':       'a response is not an object',
+  'transport.badStatus':       'status {status} is not an HTTP status',
+  'transport.badHeaders':      'response headers must map names to strings',
+  'transport.badBody':         'a response body must be a string',
+  'transport.badDelay':        'delay_ms must be a non-negative number',
+  'settings.keyFromConfig':    'From config.json',
+  'settings.keyNotRequired':   'Not required',
+  'settings.invalidNumber':    '{field} must be a number from {min} to {max}.',
+  'settings.invalidWholeNumber': '{field} must be a whole number from {min} to {max}.',
+  'settings.storageUnavailable': 'Could not save the settings: browser storage is unavailable.',
+
+  // ── Multi-file projects ───────────────────────────────────────────────────
+  'project.analysing':         '{language} · analysing…',
+  'project.queued':            '{language} · queued',
+  'project.score':             'score {score}',
+  'project.noSmells':          'no smells',
+  'project.fileError':         '⚠ {error} Showing local rule checks only.',
+  'project.progress':          '{finished} / {total} files analysed…',
+  'project.summary':           '{files} · {smells}',
+  'project.skipped':           { one: '{count} file skipped', other: '{count} files skipped' },
+  'project.unsupported':       'unsupported file type',
+  'project.overFileLimit':     'over the {max}-file limit',
+  'project.tooShort':          'fewer than 10 characters',
+  'project.tooLong':           'over {max} characters',
+  'files.readFailed':          'Could not read the selected files: {error}',
+  'files.dropFailed':          'Could not read the dropped files: {error}',
+  'files.noneSupported':       'None of the selected files can be analysed. Supported files are Python, JavaScript, TypeScript, Java, C++ and Go sources of 10 to 20,000 characters.',
+
+  // ── Refactor until clean (FR-04.7) ────────────────────────────────────────
+  'rounds.progress':           'Refactoring until clean — round {number} of at most {max}…',
+  'rounds.round':              'Round {number}',
+  'rounds.count':              { one: '{count} round', other: '{count} rounds' },
+  'rounds.shown':              'Shown below',
+  'rounds.use':                'Use this round',
+  'rounds.rowLabel':           'Round {number}: {counts}. {action}',
+  'rounds.clean':              'No {threshold} or worse smells after {rounds}',
+  'rounds.unchanged':          'Stopped after {rounds} — the code stopped changing',
+  'rounds.limit':              'Round limit reached — {remaining} {threshold} or worse left',
+  'rounds.stopped':            'Stopped after {rounds}',
+  'rounds.running':            '{rounds} done…',
+
+  // ── Response validation (validate.js) ─────────────────────────────────────
+  'validation.notJson':        'The response is not valid JSON ({error}).',
+  'validation.notJsonObject':  'The response must be a JSON object, but got {value}.',
+  'validation.notString':      '{path} must be a string, but got {value}.',
+  'validation.empty':          '{path} must not be empty.',
+  'validation.notInteger':     '{path} must be an integer, but got {value}.',
+  'validation.notIntegerOrNull': '{path} must be an integer or null, but got {value}.',
+  'validation.notArray':       '{path} must be an array, but got {value}.',
+  'validation.notObject':      '{path} must be an object, but got {value}.',
+  'validation.notObjectOrNull': '{path} must be an object or null, but got {value}.',
+  'validation.notOneOf':       '{path} must be one of {allowed}, but got {value}.',
+  'validation.nothing':        'nothing',
+  'validation.anArray':        'an array',
+  'validation.anObject':       'an object',
+
+  // ── Smell catalogue (catalogue.js) ────────────────────────────────────────
+  'catalogue.unknownSmell':    '{path} must be one of the catalogue smells ({allowed}), but got {value}.',
+  'catalogue.notObject':       'The smell catalogue must be an object with a "smells" array.',
+  'catalogue.badName':         '{path} must be a non-empty string.',
+  'catalogue.badSeverity':     '{path} must be one of {allowed}.',
+  'catalogue.badAliases':      '{path} must be a list of names.',
+  'catalogue.badLanguages':    '{path} must be a list of languages.',
+  'catalogue.badEnabled':      '{path} must be true or false.',
+  'catalogue.nameClash':       '{path}: the name "{name}" is already used by "{other}".',
+
+  // ── Errors (FR-02.7) ──────────────────────────────────────────────────────
+  'errors.keyRulesOnly':       'Invalid or missing API key. Add your API key under Settings or in config.json. Showing local rule checks only.',
+  'errors.keyRefine':          'Invalid or missing API key. Add your API key under Settings or in config.json. Refactoring needs the model.',
+  'errors.identicalPatch':     'The refactored code is identical to the original — there is nothing to patch.',
+  'errors.config':             'Could not load config.json. Make sure it exists at the project root, or enter your API key under Settings.',
+  'errors.unknownProvider':    'Unknown provider "{name}" in config.json. Use one of: {names}.',
+  'errors.missingKey':         'Invalid or missing API key. Enter your {provider} API key under Settings, or replace the placeholder in config.json.',
+  'errors.catalogueLoad':      'Could not load smell-catalogue.json ({error}). Smells are not checked against the catalogue.',
+  'errors.catalogueInvalid':   'Invalid smell-catalogue.json: {error} Smells are not checked against the catalogue.',
+  'errors.cancelled':          'Request cancelled.',
+  'errors.timeout':            'Request timed out. Please try again.',
+  'errors.network':            'Network error. Please check your connection.',
+  'errors.providerReported':   '{provider} reported an error: {message}',
+  'errors.malformed':          'Malformed response from {provider}.',
+  'errors.noContent':          'Malformed response from {provider} — no content returned.',
+  'errors.noSampleInputs':     'Malformed response from {provider} — no usable sample inputs returned.',
+  'errors.invalidResult':      'Malformed response from {provider}: {error}{more}',
+  'errors.moreProblems':       { one: ' (and {count} more problem)', other: ' (and {count} more problems)' },
+  'errors.invalidKey':         'Invalid or missing API key.',
+  'errors.unauthorised':       'API key is unauthorised. Check that your key is valid and active.',
+  'errors.rateLimit':          'API rate limit exceeded. Please wait a moment and try again.',
+  'errors.http':               '{service} error (HTTP {status}). Please try again.',
+  'errors.modelNotFound':      'Model "{model}" was not found at {baseUrl}. Check the model under Settings and the base_url in config.json.',
+  'errors.ollamaModel':        'Ollama has no model named "{model}". Run `ollama pull {model}` and try again.',
+};
@@ -0,0 +1,420 @@
+/**
+ * locales/es.js — Spanish messages (FR-06.5)
+ *
+ * Keys as in locales/en.js; any key missing here is shown in English.
+ *
+ * Exports:
+ *   MESSAGES → Record<string, string|PluralMessage>
+ */
+
+export const MESSAGES = {
+  // ── index.html ────────────────────────────────────────────────────────────
+  'html.pageTitle':            'Detector y refactorizador de code smells',
+  'html.title':                'Detector de code smells',
+  'html.subtitle':             'y refactorizador',
+  'html.poweredBy':            'Con la tecnología de',
+  'html.tagline':              'pega tu código para detectar y corregir code smells al instante',
+  'html.language':             'Idioma de la interfaz',
+  'html.downloadRecording':    'Descargar grabación',
+  'html.downloadRecordingLabel': 'Descargar las solicitudes grabadas como archivo de fixtures',
+  'html.settings':             'Ajustes',
+  'html.history':              'Historial',
+
+  'html.historyLabel':         'Historial de análisis',
+  'html.clearHistory':         'Borrar todo',
+  'html.clearHistoryLabel':    'Eliminar todos los análisis guardados',
+  'html.closeHistory':         'Cerrar el historial',
+  'html.historySearch':        'Buscar en el código y los nombres de smells…',
+  'html.historySearchLabel':   'Buscar en el historial de análisis',
+  'html.historyList':          'Análisis guardados',
+
+  'html.closeSettings':        'Cerrar los ajustes',
+  'html.provider':             'Proveedor',
+  'html.providerOpenai':       'API compatible con OpenAI',
+  'html.apiKey':               'Clave de API',
+  'html.model':                'Modelo',
+  'html.temperature':          'Temperatura',
+  'html.maxTokens':            'Máximo de tokens de salida',
+  'html.timeout':              'Tiempo de espera',
+  'html.seconds':              '(segundos)',
+  'html.modelDefault':         'Valor del modelo',
+  'html.remember':             'Recordar en este dispositivo',
+  'html.settingsNoteStart':    'Los campos vacíos usan',
+  'html.settingsNoteEnd':      '. Los ajustes se conservan solo en esta pestaña, salvo que los recuerdes; entonces la clave de API se guarda en este navegador hasta que restablezcas.',
+  'html.resetSettings':        'Restablecer a config.json',
+  'html.save':                 'Guardar',
+
+  'html.sharedBanner':         'Estás viendo un análisis compartido. Es de solo lectura y no se ha enviado a ningún sitio.',
+  'html.sharedClose':          'Empezar tu propio análisis',
+
+  'html.inputLabel':           'Código de entrada',
+  'html.yourCode':             'Tu código',
+  'html.programmingLanguage':  'Lenguaje de programación',
+  'html.languageSelect':       'Seleccionar el lenguaje de programación',
+  'html.autoDetect':           'Detección automática',
+  'html.otherLanguage':        'Otro',
+  'html.codePlaceholder':      'Pega aquí tu código fuente, o suelta archivos o una carpeta en este panel…',
+  'html.codeLabel':            'Entrada de código fuente',
+  'html.editorHint':           'Tab aplica sangría y Mayús+Tab la quita; pulsa Escape y luego Tab para salir del editor.',
+  'html.openFiles':            'Abrir archivos',
+  'html.openFilesLabel':       'Analizar uno o más archivos fuente',
+  'html.openFolder':           'Abrir carpeta',
+  'html.openFolderLabel':      'Analizar todos los archivos fuente de una carpeta',
+  'html.clear':                'Limpiar',
+  'html.clearLabel':           'Limpiar toda la entrada y la salida',
+  'html.analyze':              'Analizar',
+  'html.analyzeLabel':         'Analizar el código en busca de smells',
+  'html.refineThreshold':      'Hasta que no queden smells de nivel',
+  'html.maxRounds':            'Rondas máximas',
+  'html.refine':               'Refactorizar hasta limpiar',
+  'html.refineLabel':          'Analizar y refactorizar repetidamente hasta que no queden smells de la gravedad elegida o superior',
+
+  'html.dismissError':         'Cerrar el mensaje de error',
+  'html.loadingLabel':         'Analizando tu código con Gemini',
+  'html.cancel':               'Cancelar',
+  'html.cancelAnalysis':       'Cancelar el análisis',
+
+  'html.projectLabel':         'Informe del proyecto',
+  'html.projectTitle':         'Informe del proyecto',
+  'html.projectList':          'Archivos ordenados por smells ponderados por gravedad',
+  'html.roundsLabel':          'Rondas de refactorización',
+  'html.roundsTitle':          'Rondas de refactorización',
+  'html.roundsList':           'Smells encontrados en cada ronda, por gravedad',
+
+  'html.summaryLabel':         'Resumen del análisis',
+  'html.summaryTitle':         'Resumen',
+  'html.cached':               'Resultado en caché',
+  'html.cachedTitle':          'Devuelto desde la caché de respuestas; no se usaron tokens',
+  'html.rerunFresh':           'Volver a analizar',
+  'html.rerunFreshLabel':      'Analizar el código de nuevo sin el resultado en caché',
+  'html.usageTitle':           'Tokens usados y coste estimado de este análisis',
+  'html.reportFormat':         'Formato del informe',
+  'html.reportFormatSelect':   'Seleccionar el formato del informe',
+  'html.exportReport':         'Exportar informe',
+  'html.exportReportLabel':    'Exportar el informe del análisis en el formato elegido',
+  'html.includeChat':          'Incluir el chat',
+  'html.share':                'Enlace para compartir',
+  'html.shareLabel':           'Crear un enlace que abre este análisis',
+  'html.qualityScore':         'Puntuación de calidad',
+  'html.bySeverity':           'Por gravedad',
+  'html.byCategory':           'Por categoría',
+
+  'html.smellsLabel':          'Code smells detectados',
+  'html.smellsTitle':          'Smells detectados',
+  'html.smellsList':           'Lista de code smells detectados',
+
+  'html.comparisonLabel':      'Comparación de código',
+  'html.comparisonTitle':      'Comparación de código',
+  'html.comparisonView':       'Vista de comparación',
+  'html.splitDiff':            'Diff en paralelo',
+  'html.unifiedDiff':          'Diff unificado',
+  'html.fullFiles':            'Archivos completos',
+  'html.downloadPatch':        'Descargar .patch',
+  'html.downloadPatchLabel':   'Descargar los cambios como archivo .patch',
+  'html.diffLabel':            'Diff línea a línea entre el código original y el refactorizado',
+  'html.original':             'Original',
+  'html.inputTag':             'ENTRADA',
+  'html.inputTagLabel':        'Código de entrada',
+  'html.originalCode':         'Código fuente original',
+  'html.refactored':           'Refactorizado',
+  'html.outputTag':            'SALIDA',
+  'html.outputTagLabel':       'Salida refactorizada',
+  'html.refactoredCode':       'Código fuente refactorizado',
+
+  'html.equivalenceLabel':     'Comprobación de comportamiento',
+  'html.equivalenceTitle':     'Comprobación de comportamiento',
+  'html.functionToCall':       'Función a llamar',
+  'html.functionPlaceholder':  'p. ej. total o Cart.total',
+  'html.sampleInputs':         'Entradas de ejemplo',
+  'html.sampleInputsHint':     '— un array JSON de argumentos por línea',
+  'html.suggestInputs':        'Sugerir entradas',
+  'html.suggestInputsLabel':   'Pedir al modelo que proponga entradas de ejemplo',
+  'html.runCheck':             'Comprobar',
+  'html.runCheckLabel':        'Ejecutar el código original y el refactorizado con las entradas de ejemplo y compararlos',
+  'html.input':                'Entrada',
+  'html.result':               'Resultado',
+
+  'html.chatLabel':            'Chat de seguimiento con Gemini',
+  'html.chatTitle':            'Preguntas de seguimiento',
+  'html.exportChat':           'Exportar chat',
+  'html.exportChatLabel':      'Exportar el historial del chat como archivo de texto',
+  'html.chatLog':              'Historial de mensajes del chat',
+  'html.chatPlaceholder':      'Haz una pregunta de seguimiento sobre el análisis…',
+  'html.chatInputLabel':       'Pregunta de seguimiento',
+  'html.sendLabel':            'Enviar la pregunta de seguimiento',
+  'html.cancelChat':           'Cancelar la pregunta de seguimiento',
+
+  // ── Shared words ──────────────────────────────────────────────────────────
+  'severity.Critical':         'Crítico',
+  'severity.Major':            'Grave',
+  'severity.Minor':            'Leve',
+  'severityChip':              '{count} {severity}',
+
+  'category.Bloaters':          'Inflados',
+  'category.Couplers':          'Acopladores',
+  'category.Change Preventers': 'Impiden cambios',
+  'category.OO Abusers':        'Abusos de OO',
+  'category.Dispensables':      'Prescindibles',
+  'category.Naming & Clarity':  'Nombres y claridad',
+  'category.Other':             'Otros',
+
+  'smellCount':                { one: '{count} smell', other: '{count} smells' },
+  'fileCount':                 { one: '{count} archivo', other: '{count} archivos' },
+  'lineRange.one':             'línea {start}',
+  'lineRange.many':            'líneas {start}–{end}',
+
+  // ── Loading and retries (FR-02.5, FR-02.9) ────────────────────────────────
+  'loading.text':              'Analizando con Gemini…',
+  'retry.rateLimited':         'Límite de solicitudes alcanzado',
+  'retry.serverError':         'Error del servidor (HTTP {status})',
+  'retry.countdown':           '{reason} — reintento {retry} de {maxRetries} en {seconds} s…',
+  'retry.now':                 '{reason} — reintento {retry} de {maxRetries}…',
+
+  // ── Results ───────────────────────────────────────────────────────────────
+  'summary.none':              'No se proporcionó ningún resumen.',
+  'quality.grade':             'Nota {grade}',
+  'quality.detail':            '{points} en {lines}',
+  'quality.points':            { one: '{count} punto de smell ponderado', other: '{count} puntos de smell ponderados' },
+  'quality.lines':             { one: '{count} línea', other: '{count} líneas' },
+  'quality.noSmells':          'Sin smells',
+  'quality.trend':             'Tendencia',
+  'quality.trendRounds':       { one: 'Puntuación en {count} ronda', other: 'Puntuación en {count} rondas' },
+  'quality.trendFile':         { one: 'Puntuación del último análisis de {path}', other: 'Puntuación de los últimos {count} análisis de {path}' },
+
+  'source.rule':               'Regla',
+  'source.ruleDescription':    'Detectado por una comprobación de reglas local',
+  'source.model':              'Modelo',
+  'source.modelDescription':   'Indicado por el modelo de lenguaje',
+  'source.both':               'Regla + Modelo',
+  'source.bothDescription':    'Detectado por una comprobación de reglas local e indicado por el modelo de lenguaje',
+
+  'edit.applyLabel':           'Aplicar la corrección de {name}',
+  'edit.thisSmell':            'este smell',
+  'edit.accepted':             '✓ Aceptada',
+  'edit.rejected':             '✕ Rechazada',
+  'edit.inserts':              'la corrección inserta antes de la línea {line}',
+  'edit.replaces':             'la corrección reemplaza {range}',
+  'edit.conflict':             '⚠ No aplicada: se solapa con la corrección de «{name}». Rechaza una de las dos.',
+  'edit.anotherSmell':         'otro smell',
+
+  'smell.cardLabel':           '{name} — gravedad {severity}',
+  'smell.cardLocated':         '{label}, {range}. Pulsa Intro para resaltarlo en el código.',
+  'smell.unnamed':             'Code smell',
+  'smell.unknown':             'Smell desconocido',
+  'smell.severityLabel':       'Gravedad: {severity}',
+  'smells.found':              { one: '{count} smell encontrado', other: '{count} smells encontrados' },
+  'smells.none':               '✓ No se detectaron code smells.',
+  'smells.soFar':              { one: '{count} smell hasta ahora…', other: '{count} smells hasta ahora…' },
+
+  'rules.foundNone':           'no encontraron smells',
+  'rules.found':               { one: 'encontraron {count} smell', other: 'encontraron {count} smells' },
+  'rules.pending':             'Las comprobaciones de reglas locales {found}. Esperando el análisis del modelo…',
+  'rules.only':                'Las comprobaciones de reglas locales {found}. No hay análisis del modelo, así que el código no se refactorizó.',
+
+  'syntax.error':              'Error de sintaxis en el código refactorizado en {problem}',
+  'syntax.position':           'línea {line}, columna {column}: {problem}',
+  'syntax.unterminatedString': 'Cadena sin terminar',
+  'syntax.unterminatedTemplate': 'Plantilla literal sin terminar',
+  'syntax.unterminatedComment': 'Comentario sin terminar',
+  'syntax.unexpected':         '\'{found}\' inesperado',
+  'syntax.mismatched':         'Se esperaba \'{expected}\' para cerrar \'{open}\' de la línea {openLine}, pero se encontró \'{found}\'',
+  'syntax.neverClosed':        '\'{open}\' nunca se cierra',
+  'syntax.mixedIndent':        'Uso inconsistente de tabulaciones y espacios en la sangría',
+  'syntax.expectedIndent':     'Se esperaba un bloque sangrado después de la línea {blockLine}',
+  'syntax.unexpectedIndent':   'Sangría inesperada',
+  'syntax.unindentMismatch':   'La reducción de sangría no coincide con ningún nivel exterior',
+
+  'diff.showUnchanged':        { one: '⋯ Mostrar {count} línea sin cambios', other: '⋯ Mostrar {count} líneas sin cambios' },
+  'diff.identical':            'Sin cambios: el código refactorizado es idéntico al original.',
+  'diff.statsLabel':           '{added} líneas añadidas, {removed} líneas eliminadas',
+
+  'copy.copied':               '¡Copiado!',
+  'copy.copiedLabel':          'Código copiado al portapapeles',
+  'copy.button':               'Copiar al portapapeles',
+  'copy.buttonLabel':          'Copiar el código refactorizado al portapapeles',
+  'copy.failed':               'No se pudo copiar al portapapeles. Selecciona y copia el código manualmente.',
+
+  // ── Local rule checks (detectors.js) ──────────────────────────────────────
+  'detector.function':         'función {name}',
+  'detector.topLevel':         'código de nivel superior',
+  'detector.location':         '{where} ({lines})',
+  'detector.duplicateLocation': '{lines}, duplica {original}',
+  'detector.longFunction':     '{name} ocupa {length} líneas (límite {limit}). Las funciones largas suelen hacer varias cosas a la vez; divídela en funciones auxiliares más pequeñas y con buenos nombres.',
+  'detector.longParameterList': '{name} recibe {count} parámetros (límite {limit}). Las listas de parámetros largas son fáciles de llamar en el orden equivocado; agrupa los valores relacionados en un objeto.',
+  'detector.deepNesting':      'Los bloques de control están anidados {depth} niveles (límite {limit}). El anidamiento profundo oculta el camino principal del código; usa cláusulas de guarda o extrae funciones auxiliares.',
+  'detector.shortNames':       { one: 'El identificador {names} no transmite ningún significado. Los nombres descriptivos documentan la intención y hacen el código fácil de buscar.', other: 'Los identificadores {names} no transmiten ningún significado. Los nombres descriptivos documentan la intención y hacen el código fácil de buscar.' },
+  'detector.magicNumbers':     { one: 'El literal {values} aparece sin nombre. Extráelo a una constante con nombre para que su significado sea claro y cambie en un solo lugar.', other: 'Los literales {values} aparecen sin nombre. Extráelos a constantes con nombre para que su significado sea claro y cambien en un solo lugar.' },
+  'detector.duplicatedCode':   '{count} líneas se repiten literalmente. La lógica duplicada hay que corregirla dos veces y tiende a divergir; extráela a una función compartida.',
+
+  // ── Behaviour check (FR-04.5) ─────────────────────────────────────────────
+  'equivalence.throws':        'lanza {value}',
+  'equivalence.timedOut':      'tiempo agotado — {value}',
+  'equivalence.same':          '✓ Igual',
+  'equivalence.differs':       '✗ Distinto',
+  'equivalence.cases':         { one: '{count} caso', other: '{count} casos' },
+  'equivalence.allSame':       'Los {cases} se comportan igual',
+  'equivalence.someDiffer':    '{differing} de {cases} difieren',
+  'equivalence.flag':          '⚠ El comportamiento difiere en {differing} de {cases}',
+  'equivalence.asking':        'Pidiendo entradas de ejemplo…',
+  'equivalence.progress':      'Comprobados {done} de {total}…',
+  'equivalence.needsKey':      'Sugerir entradas requiere una clave de API. Añade tu clave de API en Ajustes o en config.json, o escribe las entradas tú mismo.',
+  'equivalence.imports':       'El código que importa otros módulos no se puede comprobar de forma aislada.',
+  'equivalence.badInput':      'La línea {line} de entradas de ejemplo no es un array JSON de argumentos, p. ej. [1, "two"].',
+  'equivalence.noInputs':      'Escribe al menos una entrada de ejemplo.',
+  'equivalence.tooManyInputs': 'Escribe como máximo {max} entradas de ejemplo.',
+  'equivalence.noFunction':    'Escribe el nombre de la función a llamar, p. ej. "total" o "Cart.total".',
+  'equivalence.unavailable':   'No se pudo iniciar la comprobación de comportamiento. Recarga la página y vuelve a intentarlo.',
+  'equivalence.noResult':      'Sin resultado en {seconds} s',
+  'equivalence.notRun':        'No se pudo ejecutar el código.',
+  'equivalence.loadFailed':    'No se pudo cargar el código: {error}',
+  'equivalence.notFunction':   '{name} no es una función',
+
+  // ── Sharing (FR-06.4) ─────────────────────────────────────────────────────
+  'share.downloaded':          'Demasiado largo para un enlace: se ha descargado como archivo. Suéltalo en el panel de código, o elígelo con Abrir archivos, para abrir el análisis.',
+  'share.copied':              'Enlace copiado al portapapeles',
+  'share.copyManually':        'Copia el enlace de arriba',
+  'share.failed':              'No se pudo crear un enlace para compartir: {error}',
+  'share.tooLarge':            'El análisis compartido es demasiado grande.',
+  'share.damaged':             'Este enlace está dañado o incompleto. Pide un enlace nuevo.',
+  'share.fileTitle':           'Análisis de code smells compartido',
+  'share.fileHowTo':           'Este archivo contiene un análisis compartido. Abre {app} y suelta este archivo en el panel de código, o elígelo con Abrir archivos.',
+
+  // ── Chat (FR-05) ──────────────────────────────────────────────────────────
+  'chat.you':                  'Tú',
+  'chat.model':                'Gemini',
+  'chat.messageLabel':         '{author}: {text}',
+  'chat.condensed':            {
+    one:   '{count} mensaje anterior se ha resumido para mantener la conversación dentro de su límite de tamaño.',
+    other: '{count} mensajes anteriores se han resumido para mantener la conversación dentro de su límite de tamaño.',
+  },
+  'chat.send':                 'Enviar',
+  'chat.sending':              '…',
+  'chat.nothingToExport':      'Todavía no hay historial de chat que exportar.',
+
+  // ── Browser storage (idb.js) ──────────────────────────────────────────────
+  'storage.unavailable':       'IndexedDB no está disponible en este navegador.',
+  'storage.blocked':           'cierra la aplicación en otras pestañas y recarga',
+
+  // ── History (FR-06) ───────────────────────────────────────────────────────
+  'history.reopenLabel':       'Volver a abrir el análisis del {when}: {smells}',
+  'history.deleteLabel':       'Eliminar el análisis del {when}',
+  'history.noMatches':         'Ningún análisis guardado coincide con la búsqueda.',
+  'history.empty':             'Todavía no hay análisis guardados. Cada análisis que ejecutes se guarda aquí.',
+  'history.gone':              'Ese análisis ya no está en el historial.',
+  'history.confirmClear':      '¿Eliminar todos los análisis guardados? Esta acción no se puede deshacer.',
+  'history.unknownError':      'error desconocido',
+  'history.saveFailed':        'No se pudo guardar en el historial de análisis: {reason}.',
+  'history.updateFailed':      'No se pudo actualizar el historial de análisis: {reason}.',
+  'history.readFailed':        'No se pudo leer el historial de análisis: {reason}.',
+  'history.deleteFailed':      'No se pudo eliminar del historial de análisis: {reason}.',
+  'history.clearFailed':       'No se pudo borrar el historial de análisis: {reason}.',
+
+  // ── Header, usage and settings ────────────────────────────────────────────
+  'session.usage':             'Sesión: {tokens}',
+  'session.usageCost':         'Sesión: {tokens} · ~{cost}',
+  'usage.tokens':              { one: '{tokens} token', other: '{tokens} tokens' },
+  'usage.split':               '{total} ({input} de entrada · {output} de salida)',
+  'budget.confirm':            'Se estima que esta solicitud usa unos {tokens} de entrada{cost}, por encima del presupuesto de {budget}. ¿Enviarla de todos modos?',
+  'budget.cost':               ' (~{cost})',
+  'transport.replaying':       'Sin conexión — reproduciendo {fixtures}',
+  'transport.recording':       'Grabando solicitudes en {fixtures}',
+  'transport.needsCrypto':     'Grabar y reproducir peticiones requiere crypto.subtle: abre la aplicación desde localhost o por HTTPS.',
+  'transport.unknownMode':     'Modo de transporte desconocido "{name}". Usa uno de: {modes}.',
+  'transport.notRecorded':     'Ninguna respuesta grabada coincide con esta petición (hash del prompt {hash}…). Grábala primero con el modo de transporte "record".',
+  'transport.loadFailed':      'No se pudieron cargar los fixtures de reproducción {fixtures} ({error}).',
+  'transport.invalid':         'Fixtures de reproducción no válidos {fixtures}: {error}.',
+  'transport.badFile':         'se esperaba { "version": {version}, "exchanges": [...] }',
+  'transport.noResponses':     'el intercambio {number} no tiene respuestas',
+  'transport.badExchange':     'intercambio {number}: {problem}',
+  'transport.needsHash':       'el intercambio {number} necesita un hash o un cuerpo de petición',
+  'transport.notObject':       'una respuesta no es un objeto',
+  'transport.badStatus':       'el estado {status} no es un estado HTTP',
+  'transport.badHeaders':      'las cabeceras de respuesta deben asociar nombres a cadenas',
+  'transport.badBody':         'el cuerpo de una respuesta debe ser una cadena',
+  'transport.badDelay':        'delay_ms debe ser un número no negativo',
+  'settings.keyFromConfig':    'Desde config.json',
+  'settings.keyNotRequired':   'No es necesaria',
+  'settings.invalidNumber':    '{field} debe ser un número entre {min} y {max}.',
+  'settings.invalidWholeNumber': '{field} debe ser un número entero entre {min} y {max}.',
+  'settings.storageUnavailable': 'No se pudieron guardar los ajustes: el almacenamiento del navegador no está disponible.',
+
+  // ── Multi-file projects ───────────────────────────────────────────────────
+  'project.analysing':         '{language} · analizando…',
+  'project.queued':            '{language} · en cola',
+  'project.score':             'puntuación {score}',
+  'project.noSmells':          'sin smells',
+  'project.fileError':         '⚠ {error} Solo se muestran las comprobaciones de reglas locales.',
+  'project.progress':          '{finished} / {total} archivos analizados…',
+  'project.summary':           '{files} · {smells}',
+  'project.skipped':           { one: '{count} archivo omitido', other: '{count} archivos omitidos' },
+  'project.unsupported':       'tipo de archivo no admitido',
+  'project.overFileLimit':     'supera el límite de {max} archivos',
+  'project.tooShort':          'menos de 10 caracteres',
+  'project.tooLong':           'más de {max} caracteres',
+  'files.readFailed':          'No se pudieron leer los archivos seleccionados: {error}',
+  'files.dropFailed':          'No se pudieron leer los archivos soltados: {error}',
+  'files.noneSupported':       'No se puede analizar ninguno de los archivos seleccionados. Se admiten fuentes de Python, JavaScript, TypeScript, Java, C++ y Go de 10 a 20.000 caracteres.',
+
+  // ── Refactor until clean (FR-04.7) ────────────────────────────────────────
+  'rounds.progress':           'Refactorizando hasta limpiar — ronda {number} de {max} como máximo…',
+  'rounds.round':              'Ronda {number}',
+  'rounds.count':              { one: '{count} ronda', other: '{count} rondas' },
+  'rounds.shown':              'Se muestra abajo',
+  'rounds.use':                'Usar esta ronda',
+  'rounds.rowLabel':           'Ronda {number}: {counts}. {action}',
+  'rounds.clean':              'Ningún smell de nivel {threshold} o peor tras {rounds}',
+  'rounds.unchanged':          'Detenido tras {rounds}: el código dejó de cambiar',
+  'rounds.limit':              'Límite de rondas alcanzado — quedan {remaining} de nivel {threshold} o peor',
+  'rounds.stopped':            'Detenido tras {rounds}',
+  'rounds.running':            '{rounds} completadas…',
+
+  // ── Response validation (validate.js) ─────────────────────────────────────
+  'validation.notJson':        'La respuesta no es JSON válido ({error}).',
+  'validation.notJsonObject':  'La respuesta debe ser un objeto JSON, pero se recibió {value}.',
+  'validation.notString':      '{path} debe ser una cadena, pero se recibió {value}.',
+  'validation.empty':          '{path} no debe estar vacío.',
+  'validation.notInteger':     '{path} debe ser un número entero, pero se recibió {value}.',
+  'validation.notIntegerOrNull': '{path} debe ser un número entero o null, pero se recibió {value}.',
+  'validation.notArray':       '{path} debe ser un array, pero se recibió {value}.',
+  'validation.notObject':      '{path} debe ser un objeto, pero se recibió {value}.',
+  'validation.notObjectOrNull': '{path} debe ser un objeto o null, pero se recibió {value}.',
+  'validation.notOneOf':       '{path} debe ser uno de {allowed}, pero se recibió {value}.',
+  'validation.nothing':        'nada',
+  'validation.anArray':        'un array',
+  'validation.anObject':       'un objeto',
+
+  // ── Smell catalogue (catalogue.js) ────────────────────────────────────────
+  'catalogue.unknownSmell':    '{path} debe ser uno de los smells del catálogo ({allowed}), pero se recibió {value}.',
+  'catalogue.notObject':       'El catálogo de smells debe ser un objeto con un array "smells".',
+  'catalogue.badName':         '{path} debe ser una cadena no vacía.',
+  'catalogue.badSeverity':     '{path} debe ser uno de {allowed}.',
+  'catalogue.badAliases':      '{path} debe ser una lista de nombres.',
+  'catalogue.badLanguages':    '{path} debe ser una lista de lenguajes.',
+  'catalogue.badEnabled':      '{path} debe ser true o false.',
+  'catalogue.nameClash':       '{path}: el nombre "{name}" ya lo usa "{other}".',
+
+  // ── Errors (FR-02.7) ──────────────────────────────────────────────────────
+  'errors.keyRulesOnly':       'Clave de API no válida o ausente. Añade tu clave de API en Ajustes o en config.json. Solo se muestran las comprobaciones de reglas locales.',
+  'errors.keyRefine':          'Clave de API no válida o ausente. Añade tu clave de API en Ajustes o en config.json. Refactorizar requiere el modelo.',
+  'errors.identicalPatch':     'El código refactorizado es idéntico al original: no hay nada que parchear.',
+  'errors.config':             'No se pudo cargar config.json. Comprueba que existe en la raíz del proyecto o escribe tu clave de API en Ajustes.',
+  'errors.unknownProvider':    'Proveedor desconocido "{name}" en config.json. Usa uno de: {names}.',
+  'errors.missingKey':         'Clave de API no válida o ausente. Escribe tu clave de API de {provider} en Ajustes o sustituye el marcador en config.json.',
+  'errors.catalogueLoad':      'No se pudo cargar smell-catalogue.json ({error}). Los smells no se comprueban con el catálogo.',
+  'errors.catalogueInvalid':   'smell-catalogue.json no es válido: {error} Los smells no se comprueban con el catálogo.',
+  'errors.cancelled':          'Solicitud cancelada.',
+  'errors.timeout':            'Se agotó el tiempo de la solicitud. Inténtalo de nuevo.',
+  'errors.network':            'Error de red. Comprueba tu conexión.',
+  'errors.providerReported':   '{provider} informó de un error: {message}',
+  'errors.malformed':          'Respuesta mal formada de {provider}.',
+  'errors.noContent':          'Respuesta mal formada de {provider}: no se devolvió contenido.',
+  'errors.noSampleInputs':     'Respuesta mal formada de {provider}: no se devolvieron entradas de ejemplo utilizables.',
+  'errors.invalidResult':      'Respuesta mal formada de {provider}: {error}{more}',
+  'errors.moreProblems':       { one: ' (y {count} problema más)', other: ' (y {count} problemas más)' },
+  'errors.invalidKey':         'Clave de API no válida o ausente.',
+  'errors.unauthorised':       'La clave de API no está autorizada. Comprueba que tu clave es válida y está activa.',
+  'errors.rateLimit':          'Se superó el límite de solicitudes de la API. Espera un momento e inténtalo de nuevo.',
+  'errors.http':               'Error de {service} (HTTP {status}). Inténtalo de nuevo.',
+  'errors.modelNotFound':      'No se encontró el modelo "{model}" en {baseUrl}. Comprueba el modelo en Ajustes y base_url en config.json.',
+  'errors.ollamaModel':        'Ollama no tiene ningún modelo llamado "{model}". Ejecuta `ollama pull {model}` e inténtalo de nuevo.',
+};
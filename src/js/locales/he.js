@@ -0,0 +1,423 @@
+/**
+ * locales/he.js — Hebrew messages (FR-06.5)
+ *
+ * Keys as in locales/en.js; any key missing here is shown in English.
+ * Hebrew is written right to left (see i18n.LOCALES); plural messages have
+ * a "two" form besides "one" and "other".
+ *
+ * Exports:
+ *   MESSAGES → Record<string, string|PluralMessage>
+ */
+
+export const MESSAGES = {
+  // ── index.html ────────────────────────────────────────────────────────────
+  'html.pageTitle':            'גלאי ומשכתב ריחות קוד',
+  'html.title':                'גלאי ריחות קוד',
+  'html.subtitle':             'ומשכתב',
+  'html.poweredBy':            'מופעל על ידי',
+  'html.tagline':              'הדביקו את הקוד כדי לאתר ולתקן ריחות קוד מיד',
+  'html.language':             'שפת הממשק',
+  'html.downloadRecording':    'הורדת ההקלטה',
+  'html.downloadRecordingLabel': 'הורדת הבקשות שהוקלטו כקובץ fixtures',
+  'html.settings':             'הגדרות',
+  'html.history':              'היסטוריה',
+
+  'html.historyLabel':         'היסטוריית ניתוחים',
+  'html.clearHistory':         'ניקוי הכול',
+  'html.clearHistoryLabel':    'מחיקת כל הניתוחים השמורים',
+  'html.closeHistory':         'סגירת ההיסטוריה',
+  'html.historySearch':        'חיפוש בקוד ובשמות הריחות…',
+  'html.historySearchLabel':   'חיפוש בהיסטוריית הניתוחים',
+  'html.historyList':          'ניתוחים שמורים',
+
+  'html.closeSettings':        'סגירת ההגדרות',
+  'html.provider':             'ספק',
+  'html.providerOpenai':       'API תואם OpenAI',
+  'html.apiKey':               'מפתח API',
+  'html.model':                'מודל',
+  'html.temperature':          'טמפרטורה',
+  'html.maxTokens':            'מקסימום טוקנים בפלט',
+  'html.timeout':              'זמן קצוב',
+  'html.seconds':              '(שניות)',
+  'html.modelDefault':         'ברירת המחדל של המודל',
+  'html.remember':             'לזכור במכשיר הזה',
+  'html.settingsNoteStart':    'שדות ריקים משתמשים בערכים מ־',
+  'html.settingsNoteEnd':      '. ההגדרות נשמרות רק בלשונית הזו, אלא אם בחרתם לזכור אותן — ואז מפתח ה־API נשמר בדפדפן הזה עד לאיפוס.',
+  'html.resetSettings':        'איפוס לערכי config.json',
+  'html.save':                 'שמירה',
+
+  'html.sharedBanner':         'אתם צופים בניתוח משותף. הוא לקריאה בלבד ולא נשלח לשום מקום.',
+  'html.sharedClose':          'התחלת ניתוח משלכם',
+
+  'html.inputLabel':           'קוד קלט',
+  'html.yourCode':             'הקוד שלכם',
+  'html.programmingLanguage':  'שפת תכנות',
+  'html.languageSelect':       'בחירת שפת התכנות',
+  'html.autoDetect':           'זיהוי אוטומטי',
+  'html.otherLanguage':        'אחרת',
+  'html.codePlaceholder':      'הדביקו כאן את קוד המקור, או גררו קבצים או תיקייה אל החלונית…',
+  'html.codeLabel':            'קלט קוד המקור',
+  'html.editorHint':           'Tab מוסיף הזחה ו־Shift+Tab מסיר אותה; כדי לצאת מהעורך לחצו Escape ואז Tab.',
+  'html.openFiles':            'פתיחת קבצים',
+  'html.openFilesLabel':       'ניתוח קובץ מקור אחד או יותר',
+  'html.openFolder':           'פתיחת תיקייה',
+  'html.openFolderLabel':      'ניתוח כל קובצי המקור בתיקייה',
+  'html.clear':                'ניקוי',
+  'html.clearLabel':           'ניקוי כל הקלט והפלט',
+  'html.analyze':              'ניתוח',
+  'html.analyzeLabel':         'ניתוח הקוד לאיתור ריחות',
+  'html.refineThreshold':      'עד שלא יישארו ריחות בדרגה',
+  'html.maxRounds':            'מקסימום סבבים',
+  'html.refine':               'שכתוב עד לניקיון',
+  'html.refineLabel':          'ניתוח ושכתוב חוזרים עד שלא יישארו ריחות בחומרה שנבחרה ומעליה',
+
+  'html.dismissError':         'סגירת הודעת השגיאה',
+  'html.loadingLabel':         'מנתח את הקוד שלכם עם Gemini',
+  'html.cancel':               'ביטול',
+  'html.cancelAnalysis':       'ביטול הניתוח',
+
+  'html.projectLabel':         'דוח פרויקט',
+  'html.projectTitle':         'דוח פרויקט',
+  'html.projectList':          'קבצים מדורגים לפי ספירת ריחות משוקללת בחומרה',
+  'html.roundsLabel':          'סבבי שכתוב',
+  'html.roundsTitle':          'סבבי שכתוב',
+  'html.roundsList':           'ריחות שנמצאו בכל סבב, לפי חומרה',
+
+  'html.summaryLabel':         'סיכום הניתוח',
+  'html.summaryTitle':         'סיכום',
+  'html.cached':               'תוצאה מהמטמון',
+  'html.cachedTitle':          'הוחזר ממטמון התשובות; לא נוצלו טוקנים',
+  'html.rerunFresh':           'ניתוח מחדש',
+  'html.rerunFreshLabel':      'ניתוח הקוד שוב בלי התוצאה מהמטמון',
+  'html.usageTitle':           'טוקנים שנוצלו ועלות משוערת של הניתוח',
+  'html.reportFormat':         'תבנית הדוח',
+  'html.reportFormatSelect':   'בחירת תבנית הדוח',
+  'html.exportReport':         'ייצוא דוח',
+  'html.exportReportLabel':    'ייצוא דוח הניתוח בתבנית שנבחרה',
+  'html.includeChat':          'כולל הצ׳אט',
+  'html.share':                'קישור לשיתוף',
+  'html.shareLabel':           'יצירת קישור שפותח את הניתוח הזה',
+  'html.qualityScore':         'ציון איכות',
+  'html.bySeverity':           'לפי חומרה',
+  'html.byCategory':           'לפי קטגוריה',
+
+  'html.smellsLabel':          'ריחות קוד שאותרו',
+  'html.smellsTitle':          'ריחות שאותרו',
+  'html.smellsList':           'רשימת ריחות הקוד שאותרו',
+
+  'html.comparisonLabel':      'השוואת קוד',
+  'html.comparisonTitle':      'השוואת קוד',
+  'html.comparisonView':       'תצוגת ההשוואה',
+  'html.splitDiff':            'השוואה זה לצד זה',
+  'html.unifiedDiff':          'השוואה מאוחדת',
+  'html.fullFiles':            'קבצים מלאים',
+  'html.downloadPatch':        'הורדת ‎.patch',
+  'html.downloadPatchLabel':   'הורדת השינויים כקובץ ‎.patch',
+  'html.diffLabel':            'השוואה שורה אחר שורה בין הקוד המקורי לקוד המשוכתב',
+  'html.original':             'מקור',
+  'html.inputTag':             'קלט',
+  'html.inputTagLabel':        'קוד הקלט',
+  'html.originalCode':         'קוד המקור המקורי',
+  'html.refactored':           'משוכתב',
+  'html.outputTag':            'פלט',
+  'html.outputTagLabel':       'הפלט המשוכתב',
+  'html.refactoredCode':       'קוד המקור המשוכתב',
+
+  'html.equivalenceLabel':     'בדיקת התנהגות',
+  'html.equivalenceTitle':     'בדיקת התנהגות',
+  'html.functionToCall':       'הפונקציה לקריאה',
+  'html.functionPlaceholder':  'לדוגמה total או Cart.total',
+  'html.sampleInputs':         'קלטים לדוגמה',
+  'html.sampleInputsHint':     '— מערך JSON אחד של ארגומנטים בכל שורה',
+  'html.suggestInputs':        'הצעת קלטים',
+  'html.suggestInputsLabel':   'בקשה מהמודל להציע קלטים לדוגמה',
+  'html.runCheck':             'הרצת הבדיקה',
+  'html.runCheckLabel':        'הרצת הקוד המקורי והמשוכתב על הקלטים לדוגמה והשוואתם',
+  'html.input':                'קלט',
+  'html.result':               'תוצאה',
+
+  'html.chatLabel':            'צ׳אט המשך עם Gemini',
+  'html.chatTitle':            'שאלות המשך',
+  'html.exportChat':           'ייצוא הצ׳אט',
+  'html.exportChatLabel':      'ייצוא היסטוריית הצ׳אט כקובץ טקסט',
+  'html.chatLog':              'היסטוריית הודעות הצ׳אט',
+  'html.chatPlaceholder':      'שאלו שאלת המשך על הניתוח…',
+  'html.chatInputLabel':       'שאלת המשך',
+  'html.sendLabel':            'שליחת שאלת ההמשך',
+  'html.cancelChat':           'ביטול שאלת ההמשך',
+
+  // ── Shared words ──────────────────────────────────────────────────────────
+  'severity.Critical':         'קריטי',
+  'severity.Major':            'חמור',
+  'severity.Minor':            'קל',
+  'severityChip':              '{count} {severity}',
+
+  'category.Bloaters':          'ניפוח',
+  'category.Couplers':          'צימוד',
+  'category.Change Preventers': 'מונעי שינוי',
+  'category.OO Abusers':        'שימוש לרעה ב־OO',
+  'category.Dispensables':      'מיותרים',
+  'category.Naming & Clarity':  'שמות ובהירות',
+  'category.Other':             'אחר',
+
+  'smellCount':                { one: 'ריח אחד', two: '2 ריחות', other: '{count} ריחות' },
+  'fileCount':                 { one: 'קובץ אחד', two: '2 קבצים', other: '{count} קבצים' },
+  'lineRange.one':             'שורה {start}',
+  'lineRange.many':            'שורות {start}–{end}',
+
+  // ── Loading and retries (FR-02.5, FR-02.9) ────────────────────────────────
+  'loading.text':              'מנתח עם Gemini…',
+  'retry.rateLimited':         'חריגה ממגבלת הקצב',
+  'retry.serverError':         'שגיאת שרת (HTTP {status})',
+  'retry.countdown':           '{reason} — ניסיון חוזר {retry} מתוך {maxRetries} בעוד {seconds} שניות…',
+  'retry.now':                 '{reason} — ניסיון חוזר {retry} מתוך {maxRetries}…',
+
+  // ── Results ───────────────────────────────────────────────────────────────
+  'summary.none':              'לא סופק סיכום.',
+  'quality.grade':             'ציון {grade}',
+  'quality.detail':            '{points} ב־{lines}',
+  'quality.points':            { one: 'נקודת ריח משוקללת אחת', other: '{count} נקודות ריח משוקללות' },
+  'quality.lines':             { one: 'שורה אחת', two: '2 שורות', other: '{count} שורות' },
+  'quality.noSmells':          'אין ריחות',
+  'quality.trend':             'מגמה',
+  'quality.trendRounds':       { one: 'הציון לאורך סבב אחד', two: 'הציון לאורך 2 סבבים', other: 'הציון לאורך {count} סבבים' },
+  'quality.trendFile':         { one: 'הציון בניתוח האחרון של {path}', two: 'הציון ב־2 הניתוחים האחרונים של {path}', other: 'הציון ב־{count} הניתוחים האחרונים של {path}' },
+
+  'source.rule':               'כלל',
+  'source.ruleDescription':    'אותר על ידי בדיקת כללים מקומית',
+  'source.model':              'מודל',
+  'source.modelDescription':   'דווח על ידי מודל השפה',
+  'source.both':               'כלל + מודל',
+  'source.bothDescription':    'אותר על ידי בדיקת כללים מקומית ודווח על ידי מודל השפה',
+
+  'edit.applyLabel':           'החלת התיקון של {name}',
+  'edit.thisSmell':            'הריח הזה',
+  'edit.accepted':             '✓ התקבל',
+  'edit.rejected':             '✕ נדחה',
+  'edit.inserts':              'התיקון מוסיף לפני שורה {line}',
+  'edit.replaces':             'התיקון מחליף את {range}',
+  'edit.conflict':             '⚠ לא הוחל — חופף לתיקון של „{name}”. דחו אחד מהם.',
+  'edit.anotherSmell':         'ריח אחר',
+
+  'smell.cardLabel':           '{name} — חומרה {severity}',
+  'smell.cardLocated':         '{label}, {range}. הקישו Enter כדי להדגיש בקוד.',
+  'smell.unnamed':             'ריח קוד',
+  'smell.unknown':             'ריח לא ידוע',
+  'smell.severityLabel':       'חומרה: {severity}',
+  'smells.found':              { one: 'נמצא ריח אחד', two: 'נמצאו 2 ריחות', other: 'נמצאו {count} ריחות' },
+  'smells.none':               '✓ לא אותרו ריחות קוד.',
+  'smells.soFar':              { one: 'ריח אחד עד כה…', two: '2 ריחות עד כה…', other: '{count} ריחות עד כה…' },
+
+  'rules.foundNone':           'לא מצאו ריחות',
+  'rules.found':               { one: 'מצאו ריח אחד', two: 'מצאו 2 ריחות', other: 'מצאו {count} ריחות' },
+  'rules.pending':             'בדיקות הכללים המקומיות {found}. ממתין לניתוח של המודל…',
+  'rules.only':                'בדיקות הכללים המקומיות {found}. אין ניתוח של המודל, ולכן הקוד לא שוכתב.',
+
+  'syntax.error':              'שגיאת תחביר בקוד המשוכתב ב־{problem}',
+  'syntax.position':           'שורה {line}, עמודה {column}: {problem}',
+  'syntax.unterminatedString': 'מחרוזת שלא נסגרה',
+  'syntax.unterminatedTemplate': 'תבנית מחרוזת שלא נסגרה',
+  'syntax.unterminatedComment': 'הערה שלא נסגרה',
+  'syntax.unexpected':         '\'{found}\' לא צפוי',
+  'syntax.mismatched':         'צפוי \'{expected}\' כדי לסגור את \'{open}\' משורה {openLine}, אך נמצא \'{found}\'',
+  'syntax.neverClosed':        '\'{open}\' לעולם אינו נסגר',
+  'syntax.mixedIndent':        'שימוש לא עקבי בטאבים וברווחים בהזחה',
+  'syntax.expectedIndent':     'צפוי בלוק מוזח אחרי שורה {blockLine}',
+  'syntax.unexpectedIndent':   'הזחה לא צפויה',
+  'syntax.unindentMismatch':   'ביטול ההזחה אינו תואם אף רמת הזחה חיצונית',
+
+  'diff.showUnchanged':        { one: '⋯ הצגת שורה אחת שלא השתנתה', two: '⋯ הצגת 2 שורות שלא השתנו', other: '⋯ הצגת {count} שורות שלא השתנו' },
+  'diff.identical':            'אין שינויים — הקוד המשוכתב זהה למקור.',
+  'diff.statsLabel':           '{added} שורות נוספו, {removed} שורות הוסרו',
+
+  'copy.copied':               'הועתק!',
+  'copy.copiedLabel':          'הקוד הועתק ללוח',
+  'copy.button':               'העתקה ללוח',
+  'copy.buttonLabel':          'העתקת הקוד המשוכתב ללוח',
+  'copy.failed':               'לא ניתן היה להעתיק ללוח. בחרו את הקוד והעתיקו אותו ידנית.',
+
+  // ── Local rule checks (detectors.js) ──────────────────────────────────────
+  'detector.function':         'הפונקציה {name}',
+  'detector.topLevel':         'קוד ברמה העליונה',
+  'detector.location':         '{where} ({lines})',
+  'detector.duplicateLocation': '{lines}, משכפל את {original}',
+  'detector.longFunction':     '{name} משתרעת על {length} שורות (המגבלה {limit}). פונקציות ארוכות עושות בדרך כלל כמה דברים בבת אחת; פצלו אותה לפונקציות עזר קטנות עם שמות ברורים.',
+  'detector.longParameterList': '{name} מקבלת {count} פרמטרים (המגבלה {limit}). קל לקרוא לרשימות פרמטרים ארוכות בסדר הלא נכון; קבצו ערכים קשורים לאובייקט.',
+  'detector.deepNesting':      'בלוקי הבקרה מקוננים לעומק {depth} רמות (המגבלה {limit}). קינון עמוק מסתיר את המסלול הראשי בקוד; השתמשו בתנאי שמירה או חלצו פונקציות עזר.',
+  'detector.shortNames':       { one: 'למזהה {names} אין משמעות. שמות תיאוריים מתעדים את הכוונה ומקלים על חיפוש בקוד.', other: 'למזהים {names} אין משמעות. שמות תיאוריים מתעדים את הכוונה ומקלים על חיפוש בקוד.' },
+  'detector.magicNumbers':     { one: 'הליטרל {values} מופיע ללא שם. חלצו אותו לקבוע בעל שם כדי שמשמעותו תהיה ברורה ושישתנה במקום אחד.', other: 'הליטרלים {values} מופיעים ללא שם. חלצו אותם לקבועים בעלי שם כדי שמשמעותם תהיה ברורה ושישתנו במקום אחד.' },
+  'detector.duplicatedCode':   '{count} שורות חוזרות מילה במילה. לוגיקה משוכפלת צריך לתקן פעמיים והיא נוטה להתפצל; חלצו אותה לפונקציה משותפת.',
+
+  // ── Behaviour check (FR-04.5) ─────────────────────────────────────────────
+  'equivalence.throws':        'זורק {value}',
+  'equivalence.timedOut':      'חריגה מהזמן — {value}',
+  'equivalence.same':          '✓ זהה',
+  'equivalence.differs':       '✗ שונה',
+  'equivalence.cases':         { one: 'מקרה אחד', two: '2 מקרים', other: '{count} מקרים' },
+  'equivalence.allSame':       'כל {cases} מתנהגים אותו דבר',
+  'equivalence.someDiffer':    '{differing} מתוך {cases} שונים',
+  'equivalence.flag':          '⚠ ההתנהגות שונה ב־{differing} מתוך {cases}',
+  'equivalence.asking':        'מבקש קלטים לדוגמה…',
+  'equivalence.progress':      'נבדקו {done} מתוך {total}…',
+  'equivalence.needsKey':      'הצעת קלטים דורשת מפתח API. הוסיפו את מפתח ה־API בהגדרות או ב־config.json, או הזינו קלטים בעצמכם.',
+  'equivalence.imports':       'לא ניתן לבדוק בבידוד קוד שמייבא מודולים אחרים.',
+  'equivalence.badInput':      'שורה {line} בקלטים לדוגמה אינה מערך JSON של ארגומנטים, לדוגמה [1, "two"].',
+  'equivalence.noInputs':      'הזינו לפחות קלט לדוגמה אחד.',
+  'equivalence.tooManyInputs': 'הזינו לכל היותר {max} קלטים לדוגמה.',
+  'equivalence.noFunction':    'הזינו את שם הפונקציה לקריאה, לדוגמה "total" או "Cart.total".',
+  'equivalence.unavailable':   'לא ניתן היה להפעיל את בדיקת ההתנהגות. טענו מחדש את הדף ונסו שוב.',
+  'equivalence.noResult':      'אין תוצאה בתוך {seconds} שניות',
+  'equivalence.notRun':        'לא ניתן היה להריץ את הקוד.',
+  'equivalence.loadFailed':    'לא ניתן היה לטעון את הקוד: {error}',
+  'equivalence.notFunction':   '{name} אינה פונקציה',
+
+  // ── Sharing (FR-06.4) ─────────────────────────────────────────────────────
+  'share.downloaded':          'ארוך מדי לקישור — הורד כקובץ במקום. גררו אותו ללוח הקוד, או בחרו אותו באמצעות פתיחת קבצים, כדי לפתוח את הניתוח.',
+  'share.copied':              'הקישור הועתק ללוח',
+  'share.copyManually':        'העתיקו את הקישור שלמעלה',
+  'share.failed':              'לא ניתן היה ליצור קישור לשיתוף: {error}',
+  'share.tooLarge':            'הניתוח המשותף גדול מדי.',
+  'share.damaged':             'קישור השיתוף פגום או חלקי. בקשו קישור חדש.',
+  'share.fileTitle':           'ניתוח ריחות קוד משותף',
+  'share.fileHowTo':           'הקובץ הזה מכיל ניתוח משותף. פתחו את {app} וגררו את הקובץ ללוח הקוד, או בחרו אותו באמצעות פתיחת קבצים.',
+
+  // ── Chat (FR-05) ──────────────────────────────────────────────────────────
+  'chat.you':                  'אתם',
+  'chat.model':                'Gemini',
+  'chat.messageLabel':         '{author}: {text}',
+  'chat.condensed':            {
+    one:   'הודעה קודמת אחת קוצרה לסיכום כדי לשמור על השיחה בתוך מגבלת הגודל שלה.',
+    two:   '2 הודעות קודמות קוצרו לסיכום כדי לשמור על השיחה בתוך מגבלת הגודל שלה.',
+    other: '{count} הודעות קודמות קוצרו לסיכום כדי לשמור על השיחה בתוך מגבלת הגודל שלה.',
+  },
+  'chat.send':                 'שליחה',
+  'chat.sending':              '…',
+  'chat.nothingToExport':      'אין עדיין היסטוריית צ׳אט לייצוא.',
+
+  // ── Browser storage (idb.js) ──────────────────────────────────────────────
+  'storage.unavailable':       'IndexedDB אינו זמין בדפדפן הזה.',
+  'storage.blocked':           'סגרו את האפליקציה בלשוניות אחרות וטענו מחדש',
+
+  // ── History (FR-06) ───────────────────────────────────────────────────────
+  'history.reopenLabel':       'פתיחה מחדש של הניתוח מ־{when}: {smells}',
+  'history.deleteLabel':       'מחיקת הניתוח מ־{when}',
+  'history.noMatches':         'אין ניתוחים שמורים שתואמים לחיפוש.',
+  'history.empty':             'אין עדיין ניתוחים שמורים. כל ניתוח שתריצו יישמר כאן.',
+  'history.gone':              'הניתוח הזה כבר לא נמצא בהיסטוריה.',
+  'history.confirmClear':      'למחוק את כל הניתוחים השמורים? אי אפשר לבטל את הפעולה.',
+  'history.unknownError':      'שגיאה לא ידועה',
+  'history.saveFailed':        'לא ניתן היה לשמור בהיסטוריית הניתוחים: {reason}.',
+  'history.updateFailed':      'לא ניתן היה לעדכן את היסטוריית הניתוחים: {reason}.',
+  'history.readFailed':        'לא ניתן היה לקרוא את היסטוריית הניתוחים: {reason}.',
+  'history.deleteFailed':      'לא ניתן היה למחוק מהיסטוריית הניתוחים: {reason}.',
+  'history.clearFailed':       'לא ניתן היה לנקות את היסטוריית הניתוחים: {reason}.',
+
+  // ── Header, usage and settings ────────────────────────────────────────────
+  'session.usage':             'הפעלה: {tokens}',
+  'session.usageCost':         'הפעלה: {tokens} · ~{cost}',
+  'usage.tokens':              { one: 'טוקן אחד', other: '{tokens} טוקנים' },
+  'usage.split':               '{total} ({input} קלט · {output} פלט)',
+  'budget.confirm':            'הבקשה הזו מוערכת בכ־{tokens} של קלט{cost}, מעל התקציב של {budget}. לשלוח בכל זאת?',
+  'budget.cost':               ' (~{cost})',
+  'transport.replaying':       'לא מקוון — משחזר את {fixtures}',
+  'transport.recording':       'מקליט בקשות אל {fixtures}',
+  'transport.needsCrypto':     'הקלטה והשמעה של בקשות דורשות crypto.subtle — פתחו את האפליקציה מ־localhost או דרך HTTPS.',
+  'transport.unknownMode':     'מצב תעבורה לא מוכר "{name}". השתמשו באחד מאלה: {modes}.',
+  'transport.notRecorded':     'אין תגובה מוקלטת שמתאימה לבקשה הזו (גיבוב ההנחיה {hash}…). הקליטו אותה קודם במצב התעבורה "record".',
+  'transport.loadFailed':      'לא ניתן היה לטעון את קובצי ההשמעה {fixtures} ({error}).',
+  'transport.invalid':         'קובצי השמעה לא תקינים {fixtures}: {error}.',
+  'transport.badFile':         'צפוי { "version": {version}, "exchanges": [...] }',
+  'transport.noResponses':     'לחילופי הדברים {number} אין תגובות',
+  'transport.badExchange':     'חילופי דברים {number}: {problem}',
+  'transport.needsHash':       'חילופי הדברים {number} צריכים גיבוב או גוף בקשה',
+  'transport.notObject':       'תגובה אינה אובייקט',
+  'transport.badStatus':       'הסטטוס {status} אינו סטטוס HTTP',
+  'transport.badHeaders':      'כותרות התגובה חייבות למפות שמות למחרוזות',
+  'transport.badBody':         'גוף תגובה חייב להיות מחרוזת',
+  'transport.badDelay':        'delay_ms חייב להיות מספר אי־שלילי',
+  'settings.keyFromConfig':    'מתוך config.json',
+  'settings.keyNotRequired':   'לא נדרש',
+  'settings.invalidNumber':    '{field} חייב להיות מספר בין {min} ל־{max}.',
+  'settings.invalidWholeNumber': '{field} חייב להיות מספר שלם בין {min} ל־{max}.',
+  'settings.storageUnavailable': 'לא ניתן היה לשמור את ההגדרות: האחסון של הדפדפן אינו זמין.',
+
+  // ── Multi-file projects ───────────────────────────────────────────────────
+  'project.analysing':         '{language} · בניתוח…',
+  'project.queued':            '{language} · בתור',
+  'project.score':             'ציון {score}',
+  'project.noSmells':          'אין ריחות',
+  'project.fileError':         '⚠ {error} מוצגות רק בדיקות הכללים המקומיות.',
+  'project.progress':          'נותחו {finished} / {total} קבצים…',
+  'project.summary':           '{files} · {smells}',
+  'project.skipped':           { one: 'קובץ אחד דולג', two: '2 קבצים דולגו', other: '{count} קבצים דולגו' },
+  'project.unsupported':       'סוג קובץ שאינו נתמך',
+  'project.overFileLimit':     'מעבר למגבלה של {max} קבצים',
+  'project.tooShort':          'פחות מ־10 תווים',
+  'project.tooLong':           'יותר מ־{max} תווים',
+  'files.readFailed':          'לא ניתן היה לקרוא את הקבצים שנבחרו: {error}',
+  'files.dropFailed':          'לא ניתן היה לקרוא את הקבצים שנגררו: {error}',
+  'files.noneSupported':       'אי אפשר לנתח אף אחד מהקבצים שנבחרו. נתמכים קובצי מקור של Python,‏ JavaScript,‏ TypeScript,‏ Java,‏ C++‎ ו־Go באורך 10 עד 20,000 תווים.',
+
+  // ── Refactor until clean (FR-04.7) ────────────────────────────────────────
+  'rounds.progress':           'משכתב עד לניקיון — סבב {number} מתוך {max} לכל היותר…',
+  'rounds.round':              'סבב {number}',
+  'rounds.count':              { one: 'סבב אחד', two: '2 סבבים', other: '{count} סבבים' },
+  'rounds.shown':              'מוצג למטה',
+  'rounds.use':                'שימוש בסבב הזה',
+  'rounds.rowLabel':           'סבב {number}: {counts}. {action}',
+  'rounds.clean':              'אין ריחות בדרגת {threshold} ומעלה אחרי {rounds}',
+  'rounds.unchanged':          'נעצר אחרי {rounds} — הקוד הפסיק להשתנות',
+  'rounds.limit':              'הגעה למגבלת הסבבים — נותרו {remaining} בדרגת {threshold} ומעלה',
+  'rounds.stopped':            'נעצר אחרי {rounds}',
+  'rounds.running':            'הושלמו {rounds}…',
+
+  // ── Response validation (validate.js) ─────────────────────────────────────
+  'validation.notJson':        'התגובה אינה JSON תקין ({error}).',
+  'validation.notJsonObject':  'התגובה חייבת להיות אובייקט JSON, אך התקבל {value}.',
+  'validation.notString':      '{path} חייב להיות מחרוזת, אך התקבל {value}.',
+  'validation.empty':          '{path} לא יכול להיות ריק.',
+  'validation.notInteger':     '{path} חייב להיות מספר שלם, אך התקבל {value}.',
+  'validation.notIntegerOrNull': '{path} חייב להיות מספר שלם או null, אך התקבל {value}.',
+  'validation.notArray':       '{path} חייב להיות מערך, אך התקבל {value}.',
+  'validation.notObject':      '{path} חייב להיות אובייקט, אך התקבל {value}.',
+  'validation.notObjectOrNull': '{path} חייב להיות אובייקט או null, אך התקבל {value}.',
+  'validation.notOneOf':       '{path} חייב להיות אחד מ־{allowed}, אך התקבל {value}.',
+  'validation.nothing':        'כלום',
+  'validation.anArray':        'מערך',
+  'validation.anObject':       'אובייקט',
+
+  // ── Smell catalogue (catalogue.js) ────────────────────────────────────────
+  'catalogue.unknownSmell':    '{path} חייב להיות אחד מה־smells בקטלוג ({allowed}), אך התקבל {value}.',
+  'catalogue.notObject':       'קטלוג ה־smells חייב להיות אובייקט עם מערך "smells".',
+  'catalogue.badName':         '{path} חייב להיות מחרוזת לא ריקה.',
+  'catalogue.badSeverity':     '{path} חייב להיות אחד מ־{allowed}.',
+  'catalogue.badAliases':      '{path} חייב להיות רשימת שמות.',
+  'catalogue.badLanguages':    '{path} חייב להיות רשימת שפות.',
+  'catalogue.badEnabled':      '{path} חייב להיות true או false.',
+  'catalogue.nameClash':       '{path}: השם "{name}" כבר משמש את "{other}".',
+
+  // ── Errors (FR-02.7) ──────────────────────────────────────────────────────
+  'errors.keyRulesOnly':       'מפתח API לא תקין או חסר. הוסיפו את מפתח ה־API בהגדרות או ב־config.json. מוצגות רק בדיקות הכללים המקומיות.',
+  'errors.keyRefine':          'מפתח API לא תקין או חסר. הוסיפו את מפתח ה־API בהגדרות או ב־config.json. השכתוב דורש את המודל.',
+  'errors.identicalPatch':     'הקוד המשוכתב זהה למקור — אין מה לכלול בקובץ patch.',
+  'errors.config':             'לא ניתן היה לטעון את config.json. ודאו שהוא נמצא בתיקיית השורש של הפרויקט, או הזינו את מפתח ה־API בהגדרות.',
+  'errors.unknownProvider':    'ספק לא מוכר "{name}" ב־config.json. השתמשו באחד מאלה: {names}.',
+  'errors.missingKey':         'מפתח API לא תקין או חסר. הזינו את מפתח ה־API של {provider} בהגדרות, או החליפו את ערך הדוגמה ב־config.json.',
+  'errors.catalogueLoad':      'לא ניתן היה לטעון את smell-catalogue.json ‏({error}). הריחות לא נבדקים מול הקטלוג.',
+  'errors.catalogueInvalid':   'קובץ smell-catalogue.json לא תקין: {error} הריחות לא נבדקים מול הקטלוג.',
+  'errors.cancelled':          'הבקשה בוטלה.',
+  'errors.timeout':            'תם הזמן לבקשה. נסו שוב.',
+  'errors.network':            'שגיאת רשת. בדקו את החיבור.',
+  'errors.providerReported':   '{provider} דיווח על שגיאה: {message}',
+  'errors.malformed':          'תשובה פגומה מ־{provider}.',
+  'errors.noContent':          'תשובה פגומה מ־{provider} — לא הוחזר תוכן.',
+  'errors.noSampleInputs':     'תשובה פגומה מ־{provider} — לא הוחזרו קלטים לדוגמה שמישים.',
+  'errors.invalidResult':      'תשובה פגומה מ־{provider}: {error}{more}',
+  'errors.moreProblems':       { one: ' (ועוד בעיה אחת)', two: ' (ועוד 2 בעיות)', other: ' (ועוד {count} בעיות)' },
+  'errors.invalidKey':         'מפתח API לא תקין או חסר.',
+  'errors.unauthorised':       'מפתח ה־API אינו מורשה. ודאו שהמפתח תקין ופעיל.',
+  'errors.rateLimit':          'חריגה ממגבלת הקצב של ה־API. המתינו רגע ונסו שוב.',
+  'errors.http':               'שגיאת {service} ‏(HTTP {status}). נסו שוב.',
+  'errors.modelNotFound':      'המודל "{model}" לא נמצא בכתובת {baseUrl}. בדקו את המודל בהגדרות ואת base_url ב־config.json.',
+  'errors.ollamaModel':        'ל־Ollama אין מודל בשם "{model}". הריצו `ollama pull {model}` ונסו שוב.',
+};
@@ -0,0 +1,250 @@
+/**
+ * project.js — Multi-file (project) analysis helpers
+ *
+ * Turns files picked with the file/folder inputs or dropped onto the input
+ * panel into analysable sources, runs per-file work with a concurrency limit,
+ * and ranks the analysed files for the project report. No DOM access: files
+ * are read through the File and FileSystemEntry APIs only.
+ *
+ * Exports:
+ *   PROJECT_CONCURRENCY              → number
+ *   IGNORED_DIRECTORIES              → Set<string>
+ *   languageFromPath(path)           → string | null
+ *   collectDroppedFiles(dataTransfer) → Promise<File[]>
+ *   readSourceFiles(files)           → Promise<{ sources, skipped }>
+ *   runWithConcurrency(items, limit, worker) → Promise<void>
+ *   severityScore(smells)            → number
+ *   rankFiles(files)                 → ProjectFile[]
+ */
+
+import { t } from './i18n.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** Files analysed at the same time; keeps us under typical API rate limits. */
+export const PROJECT_CONCURRENCY = 3;
+
+/** Same limit as the code textarea (FR-01.2). */
+const MAX_FILE_CHARS = 20_000;
+
+/** Upper bound on files per project, so a huge folder cannot exhaust the quota. */
+const MAX_PROJECT_FILES = 50;
+
+/** Maps file extensions to the language names used by the language selector. */
+const LANGUAGE_BY_EXTENSION = {
+  py:   'Python',
+  js:   'JavaScript',
+  mjs:  'JavaScript',
+  cjs:  'JavaScript',
+  jsx:  'JavaScript',
+  ts:   'TypeScript',
+  mts:  'TypeScript',
+  cts:  'TypeScript',
+  tsx:  'TypeScript',
+  java: 'Java',
+  cpp:  'C++',
+  cc:   'C++',
+  cxx:  'C++',
+  hpp:  'C++',
+  h:    'C++',
+  go:   'Go',
+};
+
+/** Directories that hold dependencies or build output rather than sources. */
+export const IGNORED_DIRECTORIES = new Set([
+  'node_modules', '.git', 'dist', 'build', 'vendor', '__pycache__', '.venv', 'venv',
+]);
+
+/** Weight of each severity in a file's score (FR-03.2 severities). */
+const SEVERITY_WEIGHTS = { Critical: 5, Major: 3, Minor: 1 };
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} SourceFile
+ * @property {string} path     - Relative path within the dropped/picked folder.
+ * @property {string} language - Inferred from the extension.
+ * @property {string} code
+ */
+
+/**
+ * One file of a project analysis.
+ *
+ * @typedef  {object} ProjectFile
+ * @property {string}  path
+ * @property {string}  language
+ * @property {string}  code
+ * @property {'pending'|'running'|'done'|'error'} status
+ * @property {import('./state.js').AnalysisResult|null} result
+ * @property {string|null} error  - Why the model analysis failed (local results remain).
+ * @property {number|null} runId  - History id once saved.
+ */
+
+// ─── Reading files ────────────────────────────────────────────────────────────
+
+/**
+ * Infers a file's language from its extension.
+ *
+ * @param {string} path
+ * @returns {string|null} A language selector value, or null if unsupported.
+ */
+export function languageFromPath(path) {
+  const match = /\.([^./\\]+)$/.exec(path);
+  return match ? LANGUAGE_BY_EXTENSION[match[1].toLowerCase()] ?? null : null;
+}
+
+/**
+ * Path of a picked or dropped file, relative to the chosen folder if any.
+ * @param {File} file
+ * @returns {string}
+ */
+function pathOf(file) {
+  return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+/**
+ * Reads every file below a dropped directory entry.
+ *
+ * @param {FileSystemDirectoryEntry} directory
+ * @returns {Promise<File[]>}
+ */
+async function readDirectoryEntry(directory) {
+  const reader  = directory.createReader();
+  const entries = [];
+
+  // readEntries() returns the listing in batches until it yields an empty one
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    entries.push(...batch);
+  }
+
+  const files = await Promise.all(entries.map(readEntry));
+  return files.flat();
+}
+
+/**
+ * Reads a dropped file or directory entry, recording each file's path
+ * relative to the drop.
+ *
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<File[]>}
+ */
+async function readEntry(entry) {
+  if (entry.isDirectory) {
+    if (IGNORED_DIRECTORIES.has(entry.name)) return [];
+    return readDirectoryEntry(entry);
+  }
+  const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+  Object.defineProperty(file, 'relativePath', { value: entry.fullPath.replace(/^\//, '') });
+  return [file];
+}
+
+/**
+ * Collects the files from a drop event, descending into dropped folders.
+ *
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  // Entries must be taken synchronously — the DataTransfer is emptied once
+  // the drop handler yields.
+  const entries = [...dataTransfer.items]
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) return [...dataTransfer.files];
+  const files = await Promise.all(entries.map(readEntry));
+  return files.flat();
+}
+
+/**
+ * Reads the supported source files among `files`. Files in dependency
+ * folders are ignored; unsupported, near-empty or oversized files (FR-01.2
+ * limits), and anything beyond the per-project file limit, are skipped with
+ * a reason.
+ *
+ * @param {Iterable<File>} files
+ * @returns {Promise<{sources: SourceFile[], skipped: {path: string, reason: string}[]}>}
+ */
+export async function readSourceFiles(files) {
+  const sources = [];
+  const skipped = [];
+
+  const sorted = [...files].sort((a, b) => pathOf(a).localeCompare(pathOf(b)));
+  for (const file of sorted) {
+    const path     = pathOf(file);
+    const language = languageFromPath(path);
+
+    if (path.split('/').some((part) => IGNORED_DIRECTORIES.has(part))) continue;
+    if (!language) {
+      skipped.push({ path, reason: t('project.unsupported') });
+      continue;
+    }
+    if (sources.length === MAX_PROJECT_FILES) {
+      skipped.push({ path, reason: t('project.overFileLimit', { max: MAX_PROJECT_FILES }) });
+      continue;
+    }
+
+    const code = await file.text();
+    if (code.trim().length < 10) {
+      skipped.push({ path, reason: t('project.tooShort') });
+    } else if (code.length > MAX_FILE_CHARS) {
+      skipped.push({ path, reason: t('project.tooLong', { max: MAX_FILE_CHARS.toLocaleString() }) });
+    } else {
+      sources.push({ path, language, code });
+    }
+  }
+
+  return { sources, skipped };
+}
+
+// ─── Running ──────────────────────────────────────────────────────────────────
+
+/**
+ * Calls `worker` on every item, with at most `limit` calls in flight. The
+ * worker is expected to handle its own errors.
+ *
+ * @template T
+ * @param {T[]}                     items
+ * @param {number}                  limit
+ * @param {(item: T) => Promise<*>} worker
+ * @returns {Promise<void>} Resolves once every item has been processed.
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+// ─── Ranking ──────────────────────────────────────────────────────────────────
+
+/**
+ * Severity-weighted smell count: Critical 5, Major 3, Minor 1.
+ *
+ * @param {Array} smells
+ * @returns {number}
+ */
+export function severityScore(smells) {
+  return smells.reduce((sum, smell) => sum + (SEVERITY_WEIGHTS[smell.severity] ?? 1), 0);
+}
+
+/**
+ * Orders project files worst first: analysed files by severity-weighted
+ * smell count, then by number of smells, then by path; files still waiting
+ * for a result come last.
+ *
+ * @param {ProjectFile[]} files
+ * @returns {ProjectFile[]} A new array.
+ */
+export function rankFiles(files) {
+  const score = (file) => (file.result ? severityScore(file.result.smells) : -1);
+  return [...files].sort((a, b) =>
+    score(b) - score(a)
+    || (b.result?.smells.length ?? 0) - (a.result?.smells.length ?? 0)
+    || a.path.localeCompare(b.path));
+}
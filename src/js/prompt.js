@@ -6,8 +6,19 @@
  * this file — no other module needs to change.
  *
  * Exports:
- *   buildAnalysisPrompt(code, language)  → string
- *   buildFollowUpPrompt(question, originalCode, analysisResult)  → string
+ *   PROMPT_VERSION                       → number
+ *   SEVERITIES                           → ['Critical', 'Major', 'Minor']
+ *   buildAnalysisResponseSchema(smellNames?)  → object (structured-output schema)
+ *   countLines(code)                     → number
+ *   estimateTokens(text)                 → number
+ *   DEFAULT_REPLY_LANGUAGE               → 'English'
+ *   buildAnalysisPrompt(code, language, catalogue?, replyLanguage?)  → string
+ *   buildRepairPrompt(analysisPrompt, invalidResponse, errors)  → string
+ *   buildSyntaxFixPrompt(analysisPrompt, response, syntaxError)  → string
+ *   SAMPLE_INPUTS_RESPONSE_SCHEMA        → object (structured-output schema)
+ *   buildSampleInputsPrompt(code, functionName)  → string
+ *   buildFollowUpMessages(question, originalCode, analysisResult, history, maxHistoryTokens, replyLanguage?)
+ *                                        → { messages, condensed }
  */
 
 // ─── JSON schema embedded in the analysis prompt ─────────────────────────────
@@ -19,12 +30,131 @@ const ANALYSIS_SCHEMA = `{
       "name": "<smell name>",
       "severity": "<Critical | Major | Minor>",
       "location": "<function name, line range, or description>",
-      "explanation": "<why this is a problem and its impact>"
+      "start_line": <first affected line, 1-based integer>,
+      "end_line": <last affected line, 1-based integer, inclusive>,
+      "explanation": "<why this is a problem and its impact>",
+      "edit": {
+        "start_line": <first original line the fix replaces, 1-based integer>,
+        "end_line": <last original line the fix replaces, inclusive>,
+        "replacement": "<source code that replaces those lines>"
+      }
     }
   ],
   "refactored_code": "<complete refactored source code as a string>"
 }`;
 
+/**
+ * Version of the analysis prompt templates, part of the response cache key
+ * (cache.js). The key also covers the complete prompt text, so rewording a
+ * template invalidates cached analyses by itself; bump this when a change
+ * alters the answers without changing the text sent, e.g. how api.js reads
+ * them.
+ */
+export const PROMPT_VERSION = 2;
+
+/**
+ * Language of the model's prose — summaries, explanations and chat replies —
+ * unless the interface asks for another (FR-06.5). Prompts in this language
+ * carry no extra instruction.
+ */
+export const DEFAULT_REPLY_LANGUAGE = 'English';
+
+/** The only severity values an analysis may use (FR-03.2). */
+export const SEVERITIES = Object.freeze(['Critical', 'Major', 'Minor']);
+
+/**
+ * The same schema in the OpenAPI subset used for structured output (Gemini's
+ * generationConfig.response_schema), so the model is constrained to it rather
+ * than only asked. propertyOrdering keeps refactored_code after smells, which
+ * progressive rendering relies on.
+ *
+ * @param {string[]|null} [smellNames=null] - Restricts smell names to a
+ *   catalogue's vocabulary; null allows any name.
+ * @returns {object}
+ */
+export function buildAnalysisResponseSchema(smellNames = null) {
+  const name = smellNames
+    ? { type: 'STRING', format: 'enum', enum: [...smellNames] }
+    : { type: 'STRING' };
+
+  return {
+    type: 'OBJECT',
+    properties: {
+      summary: { type: 'STRING' },
+      smells: {
+        type: 'ARRAY',
+        items: {
+          type: 'OBJECT',
+          properties: {
+            name,
+            severity:    { type: 'STRING', format: 'enum', enum: [...SEVERITIES] },
+            location:    { type: 'STRING' },
+            start_line:  { type: 'INTEGER', nullable: true },
+            end_line:    { type: 'INTEGER', nullable: true },
+            explanation: { type: 'STRING' },
+            edit: {
+              type: 'OBJECT',
+              nullable: true,
+              properties: {
+                start_line:  { type: 'INTEGER' },
+                end_line:    { type: 'INTEGER' },
+                replacement: { type: 'STRING' },
+              },
+              required: ['start_line', 'end_line', 'replacement'],
+              propertyOrdering: ['start_line', 'end_line', 'replacement'],
+            },
+          },
+          required: ['name', 'severity', 'location', 'explanation'],
+          propertyOrdering: ['name', 'severity', 'location', 'start_line', 'end_line', 'explanation', 'edit'],
+        },
+      },
+      refactored_code: { type: 'STRING' },
+    },
+    required: ['summary', 'smells', 'refactored_code'],
+    propertyOrdering: ['summary', 'smells', 'refactored_code'],
+  };
+}
+
+/** Condensed earlier questions are cut to this length. */
+const CONDENSED_QUESTION_CHARS = 200;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Counts the lines of a source string the way an editor numbers them: a
+ * trailing newline does not start an extra line.
+ *
+ * @param {string} code
+ * @returns {number}
+ */
+export function countLines(code) {
+  if (code === '') return 0;
+  return code.replace(/\r?\n$/, '').split(/\r?\n/).length;
+}
+
+/**
+ * Rough token count of a text (about four characters per token), good enough
+ * to keep a conversation within a budget without a provider-specific
+ * tokenizer.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Shortens text to at most `maxChars` characters, marking the cut with "…".
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function truncate(text, maxChars) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length <= maxChars ? flat : `${flat.slice(0, maxChars - 1)}…`;
+}
+
 // ─── Public builders ──────────────────────────────────────────────────────────
 
 /**
@@ -32,9 +162,14 @@ const ANALYSIS_SCHEMA = `{
  *
  * @param {string} code     - Raw source code to analyse.
  * @param {string} language - Language identifier (e.g. "Python"), or "auto".
+ * @param {import('./catalogue.js').CatalogueEntry[]|null} [catalogue=null]
+ *   The team's allowed smells for this language; null lets the model name
+ *   smells freely.
+ * @param {string} [replyLanguage=DEFAULT_REPLY_LANGUAGE] - Of the summary and
+ *   explanations, in English, e.g. "Hebrew". Smell names stay in English.
  * @returns {string} Complete prompt ready to send to Gemini.
  */
-export function buildAnalysisPrompt(code, language) {
+export function buildAnalysisPrompt(code, language, catalogue = null, replyLanguage = DEFAULT_REPLY_LANGUAGE) {
   const langDisplay = (language && language !== 'auto' && language !== 'other')
     ? language
     : 'the following';
@@ -43,17 +178,38 @@ export function buildAnalysisPrompt(code, language) {
     ? language
     : '';
 
+  const lineCount = countLines(code);
+
+  const vocabulary = catalogue ? `
+Report only smells from this catalogue, using exactly these names and severities:
+${catalogue.map((entry) => `- ${entry.name} (${entry.severity})${entry.description ? `: ${entry.description}` : ''}`).join('\n')}
+` : '';
+
+  const severityRule = catalogue
+    ? `- name MUST be exactly one of the catalogue names, and severity the severity listed with it.
+- Do not report problems that match none of the catalogue smells.`
+    : '- severity MUST be exactly one of: Critical, Major, Minor.';
+
+  const languageRule = replyLanguage === DEFAULT_REPLY_LANGUAGE ? '' : `
+- Write summary and every explanation in ${replyLanguage}. Keep name and severity in English
+  (the canonical smell names, e.g. "Long Method"), and leave code, identifiers and JSON keys unchanged.`;
+
   return `You are a senior software engineer specialising in code quality.
 
 Analyse the following ${langDisplay} code for code smells.
 Return your response as valid JSON matching this exact schema:
 
 ${ANALYSIS_SCHEMA}
-
+${vocabulary}
 Rules:
 - If no code smells are found, return an empty smells array.
-- severity MUST be exactly one of: Critical, Major, Minor.
-- refactored_code must contain the complete, runnable refactored source.
+${severityRule}${languageRule}
+- start_line and end_line refer to the code to analyse, which has ${lineCount} line${lineCount === 1 ? '' : 's'}
+  numbered from 1; end_line must be >= start_line and <= ${lineCount}.
+- Each smell's edit fixes only that smell, using line numbers of the original code.
+  Edits of different smells must not overlap. To insert code without replacing
+  any lines, set end_line to start_line - 1. Use null if the smell needs no code change.
+- refactored_code must contain the complete, runnable refactored source with every edit applied.
 - Do NOT include markdown fences or any text outside the JSON object.
 
 Code to analyse:
@@ -63,26 +219,188 @@ ${code}
 }
 
 /**
- * Builds a follow-up chat prompt that includes the prior analysis as context
- * (FR-05.2).
+ * Builds the one-off repair prompt sent when an analysis response fails
+ * validation: the original request, the rejected response, and exactly what
+ * was wrong with it.
+ *
+ * @param {string}   analysisPrompt  - The prompt that produced the invalid response.
+ * @param {string}   invalidResponse - The model's raw response text.
+ * @param {string[]} errors          - Validation errors, each naming the offending field.
+ * @returns {string} Complete prompt ready to send to Gemini.
+ */
+export function buildRepairPrompt(analysisPrompt, invalidResponse, errors) {
+  return `${analysisPrompt}
+
+Your previous response to this request was rejected because it does not match the schema:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Your previous response was:
+${invalidResponse}
+
+Return the corrected response: the complete JSON object, fixing every error listed above.
+Do NOT include markdown fences or any text outside the JSON object.`;
+}
+
+/**
+ * Builds the one-off correction prompt sent when an analysis response is
+ * valid but its refactored code does not parse (FR-04.6): the original
+ * request, the response, and the parser error.
+ *
+ * @param {string} analysisPrompt - The prompt that produced the response.
+ * @param {string} response       - The model's raw response text.
+ * @param {string} syntaxError    - e.g. "line 3, column 5: Unexpected '}'".
+ * @returns {string} Complete prompt ready to send to Gemini.
+ */
+export function buildSyntaxFixPrompt(analysisPrompt, response, syntaxError) {
+  return `${analysisPrompt}
+
+Your previous response to this request was:
+${response}
+
+Its refactored code — refactored_code, or the original code with every edit applied — does not parse:
+${syntaxError}
+
+Return the corrected response: the complete JSON object, with refactored_code and the edits fixed so
+that the refactored code is syntactically valid. Keep the smells and the refactoring otherwise unchanged.
+Do NOT include markdown fences or any text outside the JSON object.`;
+}
+
+/**
+ * Structured-output schema of a sample-inputs response: the function to call
+ * and its argument lists, each a JSON array in a string (the schema subset
+ * has no way to say "any JSON value").
+ */
+export const SAMPLE_INPUTS_RESPONSE_SCHEMA = Object.freeze({
+  type: 'OBJECT',
+  properties: {
+    function: { type: 'STRING' },
+    inputs:   { type: 'ARRAY', items: { type: 'STRING' } },
+  },
+  required: ['function', 'inputs'],
+  propertyOrdering: ['function', 'inputs'],
+});
+
+/**
+ * Builds the prompt asking the model for sample inputs to the
+ * behavioural-equivalence check (FR-04.5).
+ *
+ * @param {string} code         - The original JavaScript code.
+ * @param {string} functionName - The function to test, or '' to let the model pick.
+ * @returns {string} Complete prompt ready to send to Gemini.
+ */
+export function buildSampleInputsPrompt(code, functionName) {
+  const target = functionName
+    ? `the function \`${functionName}\``
+    : 'the most important function (use a dotted name such as "Cart.total" for a static method)';
+
+  return `You are a senior software engineer writing test inputs.
+
+Propose sample inputs for ${target} in the following JavaScript code. They will be
+used to check that a refactoring of the code did not change its behaviour.
+Return your response as valid JSON matching this exact schema:
+
+{
+  "function": "<name of the function to call>",
+  "inputs": ["<JSON array of the arguments of one call>"]
+}
+
+Rules:
+- Give 5 to 10 inputs: typical values, edge cases (empty, zero, negative, boundary
+  values) and at least one input that makes the function throw, if any does.
+- Each input is a string holding a JSON array of arguments, e.g. [1, "two", {"three": 3}].
+  Use only values JSON can represent.
+- Do NOT include markdown fences or any text outside the JSON object.
+
+Code:
+\`\`\`javascript
+${code}
+\`\`\``;
+}
+
+/**
+ * Builds the messages of a follow-up chat request (FR-05.2): the analysis
+ * context, the earlier conversation, and the new question, as alternating
+ * user/model turns.
+ *
+ * Earlier turns are kept newest first while they fit in `maxHistoryTokens`;
+ * the most recent exchange is always kept, so "make that shorter" still knows
+ * what "that" is. Older turns are condensed into a list of the questions that
+ * were asked, with their answers left out.
  *
  * @param {string} question       - The user's follow-up question.
  * @param {string} originalCode   - The original source code that was analysed.
  * @param {object} analysisResult - The parsed JSON result from the initial analysis.
- * @returns {string} Complete prompt ready to send to Gemini.
+ * @param {{role: 'user'|'gemini', text: string}[]} history - Earlier chat messages, oldest first.
+ * @param {number} maxHistoryTokens - Budget for the earlier turns kept verbatim.
+ * @param {string} [replyLanguage=DEFAULT_REPLY_LANGUAGE] - Of the replies, in English, e.g. "Spanish".
+ * @returns {{messages: import('./providers.js').ChatMessage[], condensed: number}}
+ *   The request messages, and how many history messages were condensed.
  */
-export function buildFollowUpPrompt(question, originalCode, analysisResult) {
-  return `You previously analysed the following code and produced this result:
+export function buildFollowUpMessages(
+  question, originalCode, analysisResult, history, maxHistoryTokens, replyLanguage = DEFAULT_REPLY_LANGUAGE
+) {
+  // A turn is a question together with the replies that followed it
+  const turns = [];
+  for (const entry of history) {
+    if (entry.role === 'user' || turns.length === 0) turns.push([]);
+    turns.at(-1).push(entry);
+  }
+
+  let kept   = 0;
+  let tokens = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    tokens += turns[i].reduce((sum, entry) => sum + estimateTokens(entry.text), 0);
+    if (kept > 0 && tokens > maxHistoryTokens) break;
+    kept++;
+  }
+
+  const dropped = turns.slice(0, turns.length - kept).flat();
+  const recent  = turns.slice(turns.length - kept).flat();
+
+  // Token usage, the cache flag and each smell's source and edit describe
+  // this session, not the analysis, and would only cost tokens
+  const { usage, cached, ...analysis } = analysisResult;
+  analysis.smells = analysis.smells.map(({ source, edit, ...smell }) => smell);
+
+  let context = `You previously analysed the following code and produced this result:
 
-${JSON.stringify(analysisResult, null, 2)}
+${JSON.stringify(analysis, null, 2)}
 
 Original code:
 \`\`\`
 ${originalCode}
 \`\`\`
 
-The user now asks: ${question}
-
+The user is asking follow-up questions about it.
 Answer conversationally. You may reference specific smells by name or line number.
-Be concise, clear, and helpful. Do not return JSON — respond in plain English.`;
+Be concise, clear, and helpful. Do not return JSON — respond in plain ${replyLanguage}.`;
+  if (replyLanguage !== DEFAULT_REPLY_LANGUAGE) {
+    context += `
+Call smells by their English names, and quote code and identifiers unchanged.`;
+  }
+
+  const earlierQuestions = dropped.filter((entry) => entry.role === 'user');
+  if (earlierQuestions.length > 0) {
+    context += `
+
+Earlier in this conversation the user asked the following (your answers are omitted to save space):
+${earlierQuestions.map((entry) => `- ${truncate(entry.text, CONDENSED_QUESTION_CHARS)}`).join('\n')}`;
+  }
+
+  // Consecutive messages with the same role (the context and the first
+  // question, or a question whose reply failed) are merged, because
+  // providers expect the roles to alternate.
+  const messages = [];
+  const turnsToSend = [
+    { role: 'user', text: context },
+    ...recent.map((entry) => ({ role: entry.role === 'user' ? 'user' : 'model', text: entry.text })),
+    { role: 'user', text: question },
+  ];
+  for (const message of turnsToSend) {
+    const last = messages.at(-1);
+    if (last?.role === message.role) last.text += `\n\n${message.text}`;
+    else messages.push({ ...message });
+  }
+
+  return { messages, condensed: dropped.length };
 }
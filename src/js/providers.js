@@ -0,0 +1,317 @@
+/**
+ * providers.js — LLM provider adapters (FR-02)
+ *
+ * A provider describes everything that differs between LLM backends: the
+ * endpoint URL, the authentication header, the request body shape, the
+ * streaming wire format, where the generated text lives in each streamed
+ * chunk, and how that backend's HTTP status codes map onto the human-readable
+ * error messages required by FR-02.7.
+ *
+ * Every request is a streaming request. A backend (or proxy) that ignores the
+ * streaming flag and answers with a single JSON body is still supported —
+ * api.js falls back to extractText() on the whole body.
+ *
+ * Providers never call fetch() themselves. api.js still owns the network
+ * call, the timeout and the network-failure handling; it simply asks the
+ * active provider for the backend-specific parts. Supporting a new backend
+ * means adding one entry to PROVIDERS — no other module needs to change.
+ *
+ * Exports:
+ *   PROVIDERS          → { gemini, openai, ollama }
+ *   getProvider(name)  → Provider | null
+ */
+
+import { t } from './i18n.js';
+
+// ─── Shared error messages (FR-02.7) ──────────────────────────────────────────
+// Message keys; the messages are in the interface language (locales/*.js).
+
+const ERROR_INVALID_KEY  = 'errors.invalidKey';
+const ERROR_UNAUTHORISED = 'errors.unauthorised';
+const ERROR_RATE_LIMIT   = 'errors.rateLimit';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolved provider settings, produced by api.loadConfig() from config.json
+ * and the app's Settings dialog.
+ *
+ * @typedef  {object} ProviderSettings
+ * @property {'gemini'|'openai'|'ollama'} provider
+ * @property {string|null}                apiKey  - Null when the backend needs none.
+ * @property {string}                     model
+ * @property {string}                     baseUrl - Without a trailing slash.
+ * @property {number}                     maxHistoryTokens - Budget for earlier chat turns.
+ * @property {number|null}                temperature      - Null for the backend's default.
+ * @property {number|null}                maxOutputTokens  - Null for the backend's default.
+ * @property {number}                     timeoutMs        - Idle timeout of each request.
+ * @property {Record<string, import('./usage.js').Price>} prices - By model name.
+ * @property {number}                     inputTokenBudget - Estimated prompt tokens above which the user is warned.
+ * @property {import('./quality.js').QualityWeights} qualityWeights - Severity weights of the quality score.
+ * @property {import('./transport.js').TransportSettings} transport - Live, recording or replaying (FR-02.14).
+ */
+
+/**
+ * Token counts a backend reports for one request.
+ *
+ * @typedef  {object} TokenCounts
+ * @property {number} promptTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ */
+
+/**
+ * One message of a request. 'model' marks the backend's own earlier replies
+ * in a multi-turn conversation; every provider maps it to its own role name.
+ *
+ * @typedef  {object} ChatMessage
+ * @property {'user'|'model'} role
+ * @property {string}         text
+ */
+
+/**
+ * @typedef  {object} ProviderRequest
+ * @property {string}                 url
+ * @property {Record<string, string>} headers
+ * @property {object}                 body    - Serialised by api.js.
+ */
+
+/**
+ * @typedef  {object} Provider
+ * @property {string}  label          - Display name used in error messages.
+ * @property {boolean} requiresKey    - Whether config.json must supply api_key.
+ * @property {string}  defaultModel
+ * @property {string[]} suggestedModels - Offered in the Settings dialog; any model name works.
+ * @property {string}  defaultBaseUrl
+ * @property {'sse'|'ndjson'} streamFormat - Wire format of the streamed response.
+ * @property {(settings: ProviderSettings, messages: ChatMessage[], responseSchema: object|null) => ProviderRequest} buildRequest
+ *   A non-null responseSchema asks for JSON output; backends with structured
+ *   output are constrained to the schema itself, the others only to JSON.
+ * @property {(data: object) => (string|undefined)} extractText   - Text of a complete (non-streamed) response.
+ * @property {(chunk: object) => (string|undefined)} extractDelta - Text added by one streamed chunk.
+ * @property {(data: object) => (TokenCounts|null)} extractUsage
+ *   Token counts of a complete response or streamed chunk; null if it carries none.
+ * @property {(status: number, settings: ProviderSettings) => string} describeHttpError
+ * @property {(errorBody: object|null) => (number|null)} [extractRetryDelay]
+ *   Milliseconds the backend asks to wait before retrying, from the body of a
+ *   429 or 5xx response. Without it only the Retry-After header is honoured.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Converts a message to the chat-completions shape shared by the OpenAI and
+ * Ollama APIs, which call the model's role "assistant".
+ *
+ * @param {ChatMessage} message
+ * @returns {{role: 'user'|'assistant', content: string}}
+ */
+function toChatCompletionMessage({ role, text }) {
+  return { role: role === 'model' ? 'assistant' : 'user', content: text };
+}
+
+// ─── Google Gemini ────────────────────────────────────────────────────────────
+
+/** @type {Provider} */
+const gemini = {
+  label:          'Gemini',
+  requiresKey:    true,
+  defaultModel:   'gemini-2.5-flash-lite',
+  suggestedModels: ['gemini-2.5-flash-lite', 'gemini-2.5-flash', 'gemini-2.5-pro'],
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  streamFormat:   'sse',
+
+  buildRequest(settings, messages, responseSchema) {
+    const body = {
+      contents: messages.map(({ role, text }) => ({ role, parts: [{ text }] })),
+    };
+    const generationConfig = {};
+    if (responseSchema) {
+      generationConfig.response_mime_type = 'application/json';
+      generationConfig.response_schema    = responseSchema;
+    }
+    if (settings.temperature !== null)     generationConfig.temperature       = settings.temperature;
+    if (settings.maxOutputTokens !== null) generationConfig.max_output_tokens = settings.maxOutputTokens;
+    if (Object.keys(generationConfig).length > 0) {
+      body.generationConfig = generationConfig;
+    }
+    return {
+      url:     `${settings.baseUrl}/models/${settings.model}:streamGenerateContent?alt=sse`,
+      headers: {
+        'Content-Type':   'application/json',
+        'x-goog-api-key': settings.apiKey,   // header — not URL (NFR-04)
+      },
+      body,
+    };
+  },
+
+  extractText(data) {
+    return data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  },
+
+  extractDelta(chunk) {
+    // Stream chunks share the generateContent shape; a chunk may carry
+    // several parts, or none at all (e.g. the final usage-only chunk).
+    const parts = chunk?.candidates?.[0]?.content?.parts ?? [];
+    return parts.map((part) => part.text ?? '').join('');
+  },
+
+  extractUsage(data) {
+    // Every streamed chunk repeats the running totals; the last one is final
+    const usage = data?.usageMetadata;
+    if (!usage) return null;
+    const promptTokens = usage.promptTokenCount ?? 0;
+    const outputTokens = usage.candidatesTokenCount ?? 0;
+    return { promptTokens, outputTokens, totalTokens: usage.totalTokenCount ?? promptTokens + outputTokens };
+  },
+
+  describeHttpError(status) {
+    // Gemini reports an unknown or malformed key as 400 INVALID_ARGUMENT.
+    if (status === 400)                   return t(ERROR_INVALID_KEY);
+    if (status === 401 || status === 403) return t(ERROR_UNAUTHORISED);
+    if (status === 429)                   return t(ERROR_RATE_LIMIT);
+    return t('errors.http', { service: 'Gemini API', status });
+  },
+
+  extractRetryDelay(errorBody) {
+    // google.rpc.RetryInfo, e.g. { "@type": "…RetryInfo", "retryDelay": "12s" }
+    const details = errorBody?.error?.details ?? [];
+    const delay   = details.find((detail) => typeof detail?.retryDelay === 'string')?.retryDelay;
+    const seconds = Number.parseFloat(delay);
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+  },
+};
+
+// ─── OpenAI-compatible chat completions ───────────────────────────────────────
+
+/** @type {Provider} */
+const openai = {
+  label:          'OpenAI-compatible API',
+  requiresKey:    false, // self-hosted gateways often run without one
+  defaultModel:   'gpt-4o-mini',
+  suggestedModels: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1'],
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  streamFormat:   'sse',
+
+  buildRequest(settings, messages, responseSchema) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) {
+      headers.Authorization = `Bearer ${settings.apiKey}`; // header — not URL (NFR-04)
+    }
+
+    const body = {
+      model:    settings.model,
+      messages: messages.map(toChatCompletionMessage),
+      stream:   true,
+      // Adds a final chunk with the token usage of the request
+      stream_options: { include_usage: true },
+    };
+    if (settings.temperature !== null)     body.temperature = settings.temperature;
+    if (settings.maxOutputTokens !== null) body.max_tokens  = settings.maxOutputTokens;
+    if (responseSchema) {
+      // json_schema is not supported by every compatible gateway; plain JSON
+      // mode is, and api.js validates the result either way
+      body.response_format = { type: 'json_object' };
+    }
+
+    return { url: `${settings.baseUrl}/chat/completions`, headers, body };
+  },
+
+  extractText(data) {
+    return data?.choices?.[0]?.message?.content;
+  },
+
+  extractDelta(chunk) {
+    return chunk?.choices?.[0]?.delta?.content;
+  },
+
+  extractUsage(data) {
+    const usage = data?.usage;
+    if (!usage) return null;
+    const promptTokens = usage.prompt_tokens ?? 0;
+    const outputTokens = usage.completion_tokens ?? 0;
+    return { promptTokens, outputTokens, totalTokens: usage.total_tokens ?? promptTokens + outputTokens };
+  },
+
+  describeHttpError(status, settings) {
+    if (status === 401) return t(ERROR_INVALID_KEY);
+    if (status === 403) return t(ERROR_UNAUTHORISED);
+    if (status === 429) return t(ERROR_RATE_LIMIT);
+    if (status === 404) {
+      return t('errors.modelNotFound', { model: settings.model, baseUrl: settings.baseUrl });
+    }
+    return t('errors.http', { service: 'OpenAI-compatible API', status });
+  },
+};
+
+// ─── Local Ollama ─────────────────────────────────────────────────────────────
+
+/** @type {Provider} */
+const ollama = {
+  label:          'Ollama',
+  requiresKey:    false,
+  defaultModel:   'llama3.1',
+  suggestedModels: ['llama3.1', 'qwen2.5-coder', 'codellama'],
+  defaultBaseUrl: 'http://localhost:11434',
+  streamFormat:   'ndjson',
+
+  buildRequest(settings, messages, responseSchema) {
+    const body = {
+      model:    settings.model,
+      messages: messages.map(toChatCompletionMessage),
+      stream:   true,
+    };
+    const options = {};
+    if (settings.temperature !== null)     options.temperature = settings.temperature;
+    if (settings.maxOutputTokens !== null) options.num_predict = settings.maxOutputTokens;
+    if (Object.keys(options).length > 0) {
+      body.options = options;
+    }
+    if (responseSchema) {
+      body.format = 'json';
+    }
+    return {
+      url:     `${settings.baseUrl}/api/chat`,
+      headers: { 'Content-Type': 'application/json' },
+      body,
+    };
+  },
+
+  extractText(data) {
+    return data?.message?.content;
+  },
+
+  extractDelta(chunk) {
+    return chunk?.message?.content;
+  },
+
+  extractUsage(data) {
+    // Only the final ("done") object of a response carries the counts
+    if (!data?.done || data.prompt_eval_count === undefined) return null;
+    const promptTokens = data.prompt_eval_count;
+    const outputTokens = data.eval_count ?? 0;
+    return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+  },
+
+  describeHttpError(status, settings) {
+    if (status === 404) {
+      return t('errors.ollamaModel', { model: settings.model });
+    }
+    return t('errors.http', { service: 'Ollama', status });
+  },
+};
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+/** All supported providers, keyed by the `provider` value used in config.json. */
+export const PROVIDERS = Object.freeze({ gemini, openai, ollama });
+
+/**
+ * Looks up a provider by its config.json name.
+ *
+ * @param {string} name - e.g. "gemini", "openai", "ollama".
+ * @returns {Provider|null} Null for unknown names.
+ */
+export function getProvider(name) {
+  return Object.hasOwn(PROVIDERS, name) ? PROVIDERS[name] : null;
+}
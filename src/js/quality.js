@@ -0,0 +1,126 @@
+/**
+ * quality.js — Code-quality score and smell breakdown (FR-03.8)
+ *
+ * Pure functions, no DOM access. "3 smells found" does not say whether that
+ * is good or bad for the code at hand; the quality score does. It is 100
+ * minus the severity-weighted smell count per line of code, as a percentage,
+ * so the same smells weigh less in a longer file. Code shorter than
+ * MIN_LINES counts as MIN_LINES lines, so one Minor smell does not sink a
+ * one-liner.
+ *
+ * The weights come from config.json (`quality_weights`, see
+ * api.resolveSettings()) and default to those of the project ranking.
+ *
+ * Exports:
+ *   DEFAULT_QUALITY_WEIGHTS                 → QualityWeights
+ *   parseQualityWeights(value)              → QualityWeights
+ *   smellCategory(name)                     → string
+ *   qualityScore(smells, code, weights?)    → QualityScore
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** Penalty points of one smell of each severity (FR-03.2 severities). */
+export const DEFAULT_QUALITY_WEIGHTS = Object.freeze({ Critical: 5, Major: 3, Minor: 1 });
+
+/** Shorter code counts as this many lines. */
+const MIN_LINES = 10;
+
+/** Lowest score of each grade, best first; anything lower is an "E". */
+const GRADES = [['A', 90], ['B', 80], ['C', 70], ['D', 50]];
+
+/**
+ * Smell categories after Mäntylä's taxonomy, plus naming and clarity smells.
+ * A name is given the first category whose pattern it matches.
+ */
+const SMELL_CATEGORIES = [
+  ['Couplers',           /feature envy|intimacy|message chain|middle ?man|coupl|global/i],
+  ['Change Preventers',  /divergent|shotgun|parallel inheritance/i],
+  ['OO Abusers',         /switch|refused bequest|temporary field|alternative classes|type (?:code|check)/i],
+  ['Dispensables',       /duplicat|repeated|copy|clone|dead|unused|unreachable|comment|lazy|speculative|redundant|data class/i],
+  ['Naming & Clarity',   /\bnam(?:e|es|ing)\b|identifier|magic|hard-?coded|literal|readab/i],
+  ['Bloaters',           /long|large|god|parameter|argument|primitive|data clump|nest|complex|too many/i],
+];
+
+const OTHER_CATEGORY = 'Other';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} QualityWeights
+ * @property {number} Critical
+ * @property {number} Major
+ * @property {number} Minor
+ */
+
+/**
+ * @typedef  {object} QualityScore
+ * @property {number} score      - 0–100, higher is better.
+ * @property {'A'|'B'|'C'|'D'|'E'} grade
+ * @property {number} lines      - Non-blank lines of the code.
+ * @property {number} penalty    - Sum of the smells' weights.
+ * @property {QualityWeights} weights
+ * @property {{Critical: number, Major: number, Minor: number}} bySeverity - Smell counts.
+ * @property {{category: string, count: number}[]} byCategory - Most frequent first.
+ */
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Reads config.json's `quality_weights`. Every severity whose weight is not
+ * a non-negative number keeps its default.
+ *
+ * @param {*} value - e.g. { "Critical": 10, "Major": 4, "Minor": 1 }
+ * @returns {QualityWeights}
+ */
+export function parseQualityWeights(value) {
+  const weights = { ...DEFAULT_QUALITY_WEIGHTS };
+  if (!value || typeof value !== 'object') return weights;
+  for (const severity of Object.keys(weights)) {
+    const weight = value[severity];
+    if (typeof weight === 'number' && Number.isFinite(weight) && weight >= 0) weights[severity] = weight;
+  }
+  return weights;
+}
+
+/**
+ * @param {string} name - Smell name, e.g. "Long Parameter List".
+ * @returns {string} Its category, e.g. "Bloaters", or "Other".
+ */
+export function smellCategory(name) {
+  return SMELL_CATEGORIES.find(([, pattern]) => pattern.test(name ?? ''))?.[0] ?? OTHER_CATEGORY;
+}
+
+/**
+ * Scores code by its smells. Smells of an unknown severity count as Minor.
+ *
+ * @param {Array}          smells
+ * @param {string}         code
+ * @param {QualityWeights} [weights=DEFAULT_QUALITY_WEIGHTS]
+ * @returns {QualityScore}
+ */
+export function qualityScore(smells, code, weights = DEFAULT_QUALITY_WEIGHTS) {
+  const bySeverity = { Critical: 0, Major: 0, Minor: 0 };
+  const categories = new Map();
+  for (const smell of smells) {
+    bySeverity[smell.severity in bySeverity ? smell.severity : 'Minor']++;
+    const category = smellCategory(smell.name);
+    categories.set(category, (categories.get(category) ?? 0) + 1);
+  }
+
+  const lines   = code.split('\n').filter((line) => line.trim() !== '').length;
+  const penalty = Object.entries(bySeverity).reduce((sum, [severity, count]) => sum + count * weights[severity], 0);
+  const score   = Math.round(100 * Math.max(0, 1 - penalty / Math.max(lines, MIN_LINES)));
+
+  return {
+    score,
+    grade:      GRADES.find(([, lowest]) => score >= lowest)?.[0] ?? 'E',
+    lines,
+    penalty,
+    weights:    { ...weights },
+    bySeverity,
+    byCategory: [...categories]
+      .map(([category, count]) => ({ category, count }))
+      .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category)),
+  };
+}
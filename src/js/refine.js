@@ -0,0 +1,134 @@
+/**
+ * refine.js — "Refactor until clean" rounds (FR-04.7)
+ *
+ * Pure functions, no DOM access. A single pass often leaves smells in the
+ * refactored code; iterative mode feeds each round's refactored code back
+ * into the analysis until no smell at or above a chosen severity remains, or
+ * a round limit is hit. Every round is recorded, so the user can pick any
+ * round's code as the final result.
+ *
+ * The analysis itself is passed in (see app.js), which keeps the loop free
+ * of network, history and rendering concerns.
+ *
+ * Exports:
+ *   MAX_ROUNDS                                       → number
+ *   countBySeverity(smells)                          → SeverityCounts
+ *   countAtOrAbove(smells, threshold)                → number
+ *   roundLimit(maxRounds)                            → number
+ *   refineUntilClean(code, options)                  → Promise<StopReason>
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** Highest round limit accepted; every round is a full analysis request. */
+export const MAX_ROUNDS = 10;
+
+const SEVERITY_RANK = { Critical: 3, Major: 2, Minor: 1 };
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} SeverityCounts
+ * @property {number} Critical
+ * @property {number} Major
+ * @property {number} Minor
+ */
+
+/**
+ * One round: the code it analysed, the analysis, and the code refactored
+ * from it (every edit accepted), which the next round analyses.
+ *
+ * @typedef  {object} Round
+ * @property {number}         number         - 1-based.
+ * @property {string}         code
+ * @property {import('./state.js').AnalysisResult} result
+ * @property {string}         refactoredCode
+ * @property {SeverityCounts} counts         - Smells found in `code`.
+ * @property {number}         remaining      - Of those, at or above the threshold.
+ * @property {number|null}    runId          - History id once saved.
+ */
+
+/**
+ * Why the rounds ended:
+ *   'clean'     — the last round found nothing at or above the threshold;
+ *   'unchanged' — the last round's refactoring left the code as it was, so
+ *                 another round would find the same smells;
+ *   'limit'     — the round limit was reached.
+ *
+ * @typedef {'clean'|'unchanged'|'limit'} StopReason
+ */
+
+/**
+ * @typedef  {object} RefineOptions
+ * @property {'Critical'|'Major'|'Minor'} threshold
+ * @property {number} maxRounds - Clamped by roundLimit().
+ * @property {(code: string, number: number) =>
+ *   Promise<{result: import('./state.js').AnalysisResult, refactoredCode: string}>} analyze
+ * @property {(round: Round) => (void|Promise<void>)} [onRound] - Called as each round completes.
+ */
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {Array} smells
+ * @returns {SeverityCounts} Unknown severities are not counted.
+ */
+export function countBySeverity(smells) {
+  const counts = { Critical: 0, Major: 0, Minor: 0 };
+  for (const smell of smells) {
+    if (smell.severity in counts) counts[smell.severity]++;
+  }
+  return counts;
+}
+
+/**
+ * @param {Array}  smells
+ * @param {string} threshold - "Critical", "Major" or "Minor".
+ * @returns {number} Smells at or above the threshold severity.
+ */
+export function countAtOrAbove(smells, threshold) {
+  const rank = SEVERITY_RANK[threshold] ?? 1;
+  return smells.filter((smell) => (SEVERITY_RANK[smell.severity] ?? 0) >= rank).length;
+}
+
+/**
+ * @param {number} maxRounds - As entered; may be NaN or fractional.
+ * @returns {number} The round limit, an integer in 1..MAX_ROUNDS.
+ */
+export function roundLimit(maxRounds) {
+  return Math.min(Math.max(Math.trunc(maxRounds) || 1, 1), MAX_ROUNDS);
+}
+
+/**
+ * Analyses `code`, then the refactored code of each round in turn, until a
+ * round finds no smell at or above the threshold, its refactoring changes
+ * nothing, or maxRounds rounds have run. Errors from `analyze` (including
+ * cancellation) are thrown as they are; the rounds completed before them
+ * have already been passed to onRound.
+ *
+ * @param {string}        code
+ * @param {RefineOptions} options
+ * @returns {Promise<StopReason>}
+ */
+export async function refineUntilClean(code, { threshold, maxRounds, analyze, onRound }) {
+  const limit = roundLimit(maxRounds);
+
+  for (let number = 1; ; number++) {
+    const { result, refactoredCode } = await analyze(code, number);
+    const round = {
+      number,
+      code,
+      result,
+      refactoredCode,
+      counts:    countBySeverity(result.smells),
+      remaining: countAtOrAbove(result.smells, threshold),
+      runId:     null,
+    };
+    await onRound?.(round);
+
+    if (round.remaining === 0)   return 'clean';
+    if (refactoredCode === code) return 'unchanged';
+    if (number >= limit)         return 'limit';
+    code = refactoredCode;
+  }
+}
@@ -0,0 +1,418 @@
+/**
+ * report.js — Analysis report export
+ *
+ * Pure functions, no DOM access. Serialises the analysis shown in the session
+ * — summary, smells, original and refactored code — into the formats offered
+ * by "Export report": Markdown for pull-request comments, a standalone
+ * printable HTML page, raw JSON, and SARIF 2.1.0 for code-scanning dashboards.
+ * JSON and SARIF also cover several files at once, for the command-line tool.
+ * Every format carries the quality score and smell breakdown (FR-03.8).
+ *
+ * Exports:
+ *   REPORT_FORMATS              → { markdown, html, json, sarif }
+ *   createReport(format, data)  → string
+ *   createMultiFileReport(format, files)  → string  (json and sarif only)
+ */
+
+import { qualityScore } from './quality.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const TOOL_NAME = 'Code Smells Detector & Refactorer';
+const TOOL_URI  = 'https://github.com/ronnrr/Software-proj';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/** SARIF result level of each severity. */
+const SARIF_LEVELS = { Critical: 'error', Major: 'warning', Minor: 'note' };
+
+/** Who found a smell, in the reader's words. */
+const SOURCE_LABELS = { rule: 'local rule', model: 'model', both: 'model + local rule' };
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * Everything a report is built from.
+ *
+ * @typedef  {object} ReportData
+ * @property {import('./state.js').AnalysisResult} result
+ * @property {string} code           - The analysed code.
+ * @property {string} refactoredCode - With the user's edit decisions applied.
+ * @property {string} language       - Language selector value, e.g. "Python" or "auto".
+ * @property {string} path           - File path the smells are reported against.
+ * @property {Date}   createdAt
+ * @property {import('./quality.js').QualityWeights} [weights] - Of the quality score; default weights if omitted.
+ */
+
+/**
+ * @typedef  {object} ReportFormat
+ * @property {string} label     - Shown in the format selector.
+ * @property {string} extension - File extension of the download.
+ * @property {string} mimeType
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Formats a smell's line range ("4", "3–5"), or '' without one.
+ * @param {import('./state.js').Smell} smell
+ * @returns {string}
+ */
+function lineRange(smell) {
+  if (!Number.isInteger(smell.start_line)) return '';
+  const end = smell.end_line ?? smell.start_line;
+  return end === smell.start_line ? `${smell.start_line}` : `${smell.start_line}–${end}`;
+}
+
+/**
+ * Language name for display, or '' when it was auto-detected.
+ * @param {string} language
+ * @returns {string}
+ */
+function languageName(language) {
+  return language === 'auto' || language === 'other' ? '' : language;
+}
+
+/**
+ * Wraps code in a Markdown fence longer than any backtick run inside it.
+ *
+ * @param {string} code
+ * @param {string} language
+ * @returns {string}
+ */
+function fence(code, language) {
+  const longestRun = Math.max(2, ...(code.match(/`+/g) ?? []).map((run) => run.length));
+  const ticks      = '`'.repeat(longestRun + 1);
+  return `${ticks}${languageName(language).toLowerCase()}\n${code.replace(/\n$/, '')}\n${ticks}`;
+}
+
+/**
+ * Escapes a value for a Markdown table cell.
+ * @param {string} text
+ * @returns {string}
+ */
+function tableCell(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Escapes text for HTML content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {import('./quality.js').QualityScore} quality
+ * @returns {string} e.g. "12 lines · Critical 0 · Major 1 · Minor 2".
+ */
+function severityBreakdown(quality) {
+  return [
+    `${quality.lines} line${quality.lines === 1 ? '' : 's'}`,
+    ...Object.entries(quality.bySeverity).map(([severity, count]) => `${severity} ${count}`),
+  ].join(' · ');
+}
+
+/**
+ * @param {import('./quality.js').QualityScore} quality
+ * @returns {string} e.g. "Bloaters 2 · Dispensables 1", or "none".
+ */
+function categoryBreakdown(quality) {
+  return quality.byCategory.map(({ category, count }) => `${category} ${count}`).join(' · ') || 'none';
+}
+
+/**
+ * The quality score in the snake_case shape of the JSON and SARIF reports.
+ *
+ * @param {import('./quality.js').QualityScore} quality
+ * @returns {object}
+ */
+function qualityJson({ score, grade, lines, penalty, weights, bySeverity, byCategory }) {
+  return { score, grade, lines, penalty, weights, by_severity: bySeverity, by_category: byCategory };
+}
+
+/**
+ * Stable SARIF rule id for a smell name, e.g. "Long Parameter List" →
+ * "long-parameter-list".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function toRuleId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'code-smell';
+}
+
+// ─── Serialisers ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {ReportData} data
+ * @returns {string}
+ */
+function toMarkdown({ result, code, refactoredCode, language, path, createdAt, weights }) {
+  const quality = qualityScore(result.smells, code, weights);
+  const out = [
+    '## Code smell report',
+    '',
+    `**File:** \`${path}\` · **Language:** ${languageName(language) || 'auto-detected'} · **Generated:** ${createdAt.toISOString()}`,
+    '',
+    `**Quality score:** ${quality.score}/100 (grade ${quality.grade}) · ${severityBreakdown(quality)}`,
+    '',
+    `**By category:** ${categoryBreakdown(quality)}`,
+    '',
+    result.summary,
+    '',
+  ];
+
+  if (result.smells.length === 0) {
+    out.push('No code smells were found.', '');
+  } else {
+    out.push(
+      '| Severity | Smell | Lines | Location | Explanation |',
+      '|----------|-------|-------|----------|-------------|',
+      ...result.smells.map((smell) =>
+        `| ${smell.severity} | ${tableCell(smell.name)} | ${lineRange(smell)} | ${tableCell(smell.location)} | ${tableCell(smell.explanation)} |`),
+      '',
+    );
+  }
+
+  out.push(
+    '<details>',
+    '<summary>Original code</summary>',
+    '',
+    fence(code, language),
+    '',
+    '</details>',
+    '',
+    '<details>',
+    '<summary>Refactored code</summary>',
+    '',
+    fence(refactoredCode, language),
+    '',
+    '</details>',
+    '',
+  );
+
+  return out.join('\n');
+}
+
+/**
+ * @param {ReportData} data
+ * @returns {string}
+ */
+function toHtml({ result, code, refactoredCode, language, path, createdAt, weights }) {
+  const quality = qualityScore(result.smells, code, weights);
+  const rows = result.smells.map((smell) => `
+      <tr class="${smell.severity.toLowerCase()}">
+        <td>${escapeHtml(smell.severity)}</td>
+        <td>${escapeHtml(smell.name)}</td>
+        <td>${lineRange(smell)}</td>
+        <td>${escapeHtml(smell.location)}</td>
+        <td>${escapeHtml(smell.explanation)}</td>
+      </tr>`).join('');
+
+  const smells = result.smells.length === 0
+    ? '<p>No code smells were found.</p>'
+    : `<table>
+      <thead>
+        <tr><th>Severity</th><th>Smell</th><th>Lines</th><th>Location</th><th>Explanation</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Code smell report — ${escapeHtml(path)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2330; line-height: 1.5; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    .meta { color: #5a6072; font-size: 0.875rem; }
+    table { width: 100%; border-collapse: collapse; margin: 1rem 0; font-size: 0.875rem; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #d9dce6; }
+    tr.critical td:first-child { color: #c62828; font-weight: 600; }
+    tr.major td:first-child    { color: #b26a00; font-weight: 600; }
+    tr.minor td:first-child    { color: #1565c0; font-weight: 600; }
+    pre { background: #f5f6fa; border: 1px solid #d9dce6; border-radius: 4px; padding: 0.75rem; overflow-x: auto; font-size: 0.8125rem; }
+    @media print { pre { white-space: pre-wrap; } section { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>Code smell report</h1>
+  <p class="meta">${escapeHtml(path)} · ${escapeHtml(languageName(language) || 'auto-detected')} · generated ${createdAt.toISOString()} by ${escapeHtml(TOOL_NAME)}</p>
+
+  <section>
+    <h2>Quality score: ${quality.score}/100 (grade ${quality.grade})</h2>
+    <p>${severityBreakdown(quality)}<br>By category: ${escapeHtml(categoryBreakdown(quality))}</p>
+  </section>
+
+  <section>
+    <h2>Summary</h2>
+    <p>${escapeHtml(result.summary)}</p>
+  </section>
+
+  <section>
+    <h2>Smells (${result.smells.length})</h2>
+    ${smells}
+  </section>
+
+  <section>
+    <h2>Original code</h2>
+    <pre><code>${escapeHtml(code)}</code></pre>
+  </section>
+
+  <section>
+    <h2>Refactored code</h2>
+    <pre><code>${escapeHtml(refactoredCode)}</code></pre>
+  </section>
+</body>
+</html>
+`;
+}
+
+/**
+ * The JSON form of one analysed file.
+ *
+ * @param {ReportData} data
+ * @returns {object}
+ */
+function jsonEntry({ result, code, refactoredCode, language, path, weights }) {
+  return {
+    path,
+    language,
+    quality:         qualityJson(qualityScore(result.smells, code, weights)),
+    summary:         result.summary,
+    smells:          result.smells,
+    original_code:   code,
+    refactored_code: refactoredCode,
+  };
+}
+
+/**
+ * @param {ReportData[]} files
+ * @returns {string} One object per file, or a single object for one file.
+ */
+function toJson(files) {
+  const generatedAt = files[0].createdAt.toISOString();
+  const report = files.length === 1
+    ? { generated_at: generatedAt, ...jsonEntry(files[0]) }
+    : { generated_at: generatedAt, files: files.map(jsonEntry) };
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+/**
+ * One SARIF run with a rule per distinct smell name and a result per smell.
+ * Smells without a line range are reported against the whole file.
+ *
+ * @param {ReportData[]} files
+ * @returns {string}
+ */
+function toSarif(files) {
+  const rules = new Map();
+  for (const smell of files.flatMap((file) => file.result.smells)) {
+    const id = toRuleId(smell.name);
+    if (!rules.has(id)) {
+      rules.set(id, {
+        id,
+        name:             smell.name,
+        shortDescription: { text: smell.name },
+      });
+    }
+  }
+  const ruleIds = [...rules.keys()];
+
+  const results = files.flatMap(({ result, path }) => result.smells.map((smell) => {
+    const id               = toRuleId(smell.name);
+    const physicalLocation = { artifactLocation: { uri: path } };
+    if (Number.isInteger(smell.start_line)) {
+      physicalLocation.region = {
+        startLine: smell.start_line,
+        endLine:   smell.end_line ?? smell.start_line,
+      };
+    }
+    return {
+      ruleId:     id,
+      ruleIndex:  ruleIds.indexOf(id),
+      level:      SARIF_LEVELS[smell.severity] ?? 'note',
+      message:    { text: `${smell.name}: ${smell.explanation}` },
+      locations:  [{ physicalLocation }],
+      properties: {
+        severity: smell.severity,
+        location: smell.location,
+        ...(smell.source ? { source: SOURCE_LABELS[smell.source] ?? smell.source } : {}),
+      },
+    };
+  }));
+
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name:           TOOL_NAME,
+          informationUri: TOOL_URI,
+          rules:          [...rules.values()],
+        },
+      },
+      invocations: [{ executionSuccessful: true, endTimeUtc: files[0].createdAt.toISOString() }],
+      artifacts:   files.map(({ result, code, path, weights }) => ({
+        location:   { uri: path },
+        properties: { quality: qualityJson(qualityScore(result.smells, code, weights)) },
+      })),
+      results,
+    }],
+  }, null, 2) + '\n';
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/** @type {Readonly<Record<'markdown'|'html'|'json'|'sarif', ReportFormat>>} */
+export const REPORT_FORMATS = Object.freeze({
+  markdown: { label: 'Markdown',    extension: 'md',    mimeType: 'text/markdown;charset=utf-8' },
+  html:     { label: 'HTML',        extension: 'html',  mimeType: 'text/html;charset=utf-8' },
+  json:     { label: 'JSON',        extension: 'json',  mimeType: 'application/json' },
+  sarif:    { label: 'SARIF 2.1.0', extension: 'sarif', mimeType: 'application/sarif+json' },
+});
+
+const SERIALISERS = { markdown: toMarkdown, html: toHtml, json: toJson, sarif: toSarif };
+
+/** Formats that can hold several files in one report. */
+const MULTI_FILE_FORMATS = new Set(['json', 'sarif']);
+
+/**
+ * Serialises an analysis in one of the REPORT_FORMATS.
+ *
+ * @param {keyof REPORT_FORMATS} format
+ * @param {ReportData}           data
+ * @returns {string}
+ * @throws  {Error} For an unknown format.
+ */
+export function createReport(format, data) {
+  const serialise = SERIALISERS[format];
+  if (!serialise) throw new Error(`Unknown report format "${format}".`);
+  return MULTI_FILE_FORMATS.has(format) ? serialise([data]) : serialise(data);
+}
+
+/**
+ * Serialises the analyses of several files as one JSON or SARIF report, as
+ * the command-line tool prints them.
+ *
+ * @param {'json'|'sarif'} format
+ * @param {ReportData[]}   files - At least one.
+ * @returns {string}
+ * @throws  {Error} For a format that holds a single file only.
+ */
+export function createMultiFileReport(format, files) {
+  if (!MULTI_FILE_FORMATS.has(format)) {
+    throw new Error(`The ${format} report format holds a single file only.`);
+  }
+  return SERIALISERS[format](files);
+}
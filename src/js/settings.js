@@ -0,0 +1,161 @@
+/**
+ * settings.js — Settings entered in the app (FR-02.10)
+ *
+ * config.json stays the default source of the provider settings. Values the
+ * user enters in the Settings dialog are stored in the browser and applied
+ * on top of it by api.loadConfig(), so the app also works without a
+ * config.json at all.
+ *
+ * The settings — including the API key — go to sessionStorage, which is
+ * cleared when the tab closes. Only if the user ticks "Remember on this
+ * device" are they written to localStorage instead (NFR-04).
+ *
+ * Exports:
+ *   loadStoredSettings()                  → StoredSettings|null
+ *   saveStoredSettings(settings, remember) → void
+ *   clearStoredSettings()                 → void
+ *   isRemembered()                        → boolean
+ *   validateSettings(settings)            → string|null
+ *   applyStoredSettings(config, stored)   → object  (config.json shape)
+ *   SETTING_LIMITS                        → accepted number ranges
+ */
+
+import { t } from './i18n.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const STORAGE_KEY = 'code-smell-detector.settings';
+
+/**
+ * Accepted ranges of the numeric settings, shared with api.resolveSettings()
+ * so config.json is held to the same limits as the dialog.
+ */
+export const SETTING_LIMITS = Object.freeze({
+  temperature:     { min: 0, max: 2 },
+  maxOutputTokens: { min: 1, max: 1_000_000 },
+  timeoutSeconds:  { min: 5, max: 600 },
+});
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * The values of the Settings dialog. Empty or null fields fall back to
+ * config.json, then to the provider defaults.
+ *
+ * @typedef  {object} StoredSettings
+ * @property {string}      provider        - A key of providers.PROVIDERS.
+ * @property {string}      apiKey
+ * @property {string}      model
+ * @property {number|null} temperature
+ * @property {number|null} maxOutputTokens
+ * @property {number|null} timeoutSeconds
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Reads one storage area. Storage can be unavailable (e.g. blocked cookies),
+ * which counts as empty.
+ *
+ * @param {'sessionStorage'|'localStorage'} area
+ * @returns {StoredSettings|null}
+ */
+function read(area) {
+  try {
+    const json = globalThis[area]?.getItem(STORAGE_KEY);
+    return json ? JSON.parse(json) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * @returns {StoredSettings|null} The settings saved in this tab or on this
+ *   device, or null if the user never saved any.
+ */
+export function loadStoredSettings() {
+  return read('sessionStorage') ?? read('localStorage');
+}
+
+/**
+ * Saves the dialog's values, replacing any saved before.
+ *
+ * @param {StoredSettings} settings
+ * @param {boolean}        remember - Keep them after the tab closes (localStorage).
+ * @throws {Error} If the browser refuses to store them.
+ */
+export function saveStoredSettings(settings, remember) {
+  clearStoredSettings();
+  try {
+    (remember ? localStorage : sessionStorage).setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    throw new Error(t('settings.storageUnavailable'));
+  }
+}
+
+/** Forgets the saved settings, so config.json applies unchanged. */
+export function clearStoredSettings() {
+  for (const area of ['sessionStorage', 'localStorage']) {
+    try {
+      globalThis[area]?.removeItem(STORAGE_KEY);
+    } catch {
+      // Unavailable storage holds nothing to clear
+    }
+  }
+}
+
+/** @returns {boolean} Whether the saved settings are kept on this device. */
+export function isRemembered() {
+  return read('sessionStorage') === null && read('localStorage') !== null;
+}
+
+/**
+ * Checks the dialog's numbers against SETTING_LIMITS. Null means "use the
+ * default" and is always valid.
+ *
+ * @param {StoredSettings} settings
+ * @returns {string|null} A message naming the first invalid field, or null.
+ */
+export function validateSettings(settings) {
+  const labels = {
+    temperature:     'html.temperature',
+    maxOutputTokens: 'html.maxTokens',
+    timeoutSeconds:  'html.timeout',
+  };
+  for (const [field, { min, max }] of Object.entries(SETTING_LIMITS)) {
+    const value = settings[field];
+    if (value === null) continue;
+    if (!Number.isFinite(value) || value < min || value > max
+        || (field !== 'temperature' && !Number.isInteger(value))) {
+      return t(field === 'temperature' ? 'settings.invalidNumber' : 'settings.invalidWholeNumber', {
+        field: t(labels[field]), min, max: max.toLocaleString('en'),
+      });
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies stored settings on top of a parsed config.json. The result has the
+ * config.json shape that api.resolveSettings() reads.
+ *
+ * @param {object}              config - Parsed config.json, or {} without one.
+ * @param {StoredSettings|null} stored
+ * @returns {object}
+ */
+export function applyStoredSettings(config, stored) {
+  if (!stored) return config;
+
+  const provider = stored.provider || config.provider || 'gemini';
+  const section  = { ...config[provider] };
+  if (stored.apiKey)                  section.api_key           = stored.apiKey;
+  if (stored.model)                   section.model             = stored.model;
+  if (stored.temperature != null)     section.temperature       = stored.temperature;
+  if (stored.maxOutputTokens != null) section.max_output_tokens = stored.maxOutputTokens;
+
+  const merged = { ...config, provider, [provider]: section };
+  if (stored.timeoutSeconds != null) merged.timeout_seconds = stored.timeoutSeconds;
+  return merged;
+}
@@ -0,0 +1,240 @@
+/**
+ * share.js — Shareable links to an analysis (FR-06.4)
+ *
+ * Pure functions, no DOM access. "Share link" packs the code, language,
+ * analysis result, edit decisions and (optionally) the chat into the URL
+ * fragment — JSON, deflate-compressed, base64url-encoded. Browsers never
+ * send the fragment to a server, so a shared analysis stays between the
+ * people holding the link. Opening the link restores the results view
+ * read-only, without any API call.
+ *
+ * Links longer than MAX_LINK_LENGTH get truncated by chat tools, trackers
+ * and servers with URL limits; those are offered as a small HTML file
+ * instead. The file carries the same encoded analysis in a <meta> tag, not
+ * in a link, and is opened by dropping or picking it in the app like any
+ * other file; opened on its own, it says so and links to the app.
+ *
+ * Exports:
+ *   MAX_LINK_LENGTH                    → number
+ *   createShareFragment(shared)        → Promise<string>
+ *   readShareFragment(hash)            → Promise<SharedAnalysis|null>
+ *   createShareFile(fragment, appUrl)  → string (HTML)
+ *   readShareFile(html)                → Promise<SharedAnalysis|null>
+ */
+
+import { countLines } from './prompt.js';
+import { normaliseEdit, normaliseLineRange } from './edits.js';
+import { LOCALES, getLocale, t } from './i18n.js';
+import { validateAnalysisResult } from './validate.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** Longest link offered as a link; longer ones are downloaded as a file. */
+export const MAX_LINK_LENGTH = 8_000;
+
+/** Fragment prefix, including the format version. */
+const PREFIX = 'share=1.';
+
+/** Largest decompressed payload accepted from a link. */
+const MAX_PAYLOAD_BYTES = 5_000_000;
+
+/** Name of the <meta> tag that holds the analysis in a share file. */
+const FILE_META = 'code-smell-share';
+
+/** Message key of the error for a link that cannot be read. */
+const DAMAGED_MESSAGE = 'share.damaged';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} SharedAnalysis
+ * @property {string}   code
+ * @property {string}   language      - Language selector value.
+ * @property {import('./state.js').AnalysisResult} result
+ * @property {number[]} rejectedEdits - Indexes of rejected per-smell edits.
+ * @property {import('./state.js').ChatEntry[]} chat - Empty when not shared.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} base64url, without padding.
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text - base64url.
+ * @returns {Uint8Array}
+ * @throws  {Error} If the text is not base64url.
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Runs bytes through a compression or decompression stream, giving up once
+ * the output exceeds `limit` bytes.
+ *
+ * @param {Uint8Array}  bytes
+ * @param {CompressionStream|DecompressionStream} transform
+ * @param {number}      [limit=Infinity]
+ * @returns {Promise<Uint8Array>}
+ * @throws  {Error} If the input is corrupt or the output too large.
+ */
+async function pipe(bytes, transform, limit = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > limit) {
+      await reader.cancel();
+      throw new Error(t('share.tooLarge'));
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text with HTML's special characters escaped.
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Checks a decoded payload and brings it into the shape the app renders:
+ * the result must be a valid analysis, and line ranges and edits that do
+ * not fit the code are dropped, as for a fresh analysis.
+ *
+ * @param {*} value
+ * @returns {SharedAnalysis}
+ * @throws  {Error} If anything is missing or malformed.
+ */
+function checkShared(value) {
+  const valid = typeof value?.code === 'string'
+    && typeof value.language === 'string'
+    && validateAnalysisResult(value.result).length === 0
+    && Array.isArray(value.rejectedEdits) && value.rejectedEdits.every(Number.isInteger)
+    && Array.isArray(value.chat)
+    && value.chat.every((entry) => (entry?.role === 'user' || entry?.role === 'gemini') && typeof entry.text === 'string');
+  if (!valid) throw new Error(t(DAMAGED_MESSAGE));
+
+  const lineCount = countLines(value.code);
+  const smells    = value.result.smells.map((smell) => {
+    const normalised = { ...smell, edit: normaliseEdit(smell.edit, lineCount) };
+    normaliseLineRange(normalised, lineCount);
+    return normalised;
+  });
+  return {
+    code:          value.code,
+    language:      value.language,
+    result:        { ...value.result, smells },
+    rejectedEdits: value.rejectedEdits,
+    chat:          value.chat.map(({ role, text }) => ({ role, text })),
+  };
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Encodes an analysis for the fragment of a share link. Token usage and the
+ * cache flag are left out: they describe the sharer's session.
+ *
+ * @param {SharedAnalysis} shared
+ * @returns {Promise<string>} e.g. "share=1.…", without the "#".
+ */
+export async function createShareFragment({ code, language, result, rejectedEdits, chat }) {
+  const { usage, cached, ...analysis } = result;
+  const json = JSON.stringify({
+    code,
+    language,
+    result: analysis,
+    rejectedEdits,
+    chat: chat.map(({ role, text }) => ({ role, text })),
+  });
+  const compressed = await pipe(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return PREFIX + toBase64Url(compressed);
+}
+
+/**
+ * Decodes the analysis in a share link's fragment.
+ *
+ * @param {string} hash - location.hash, with or without the "#".
+ * @returns {Promise<SharedAnalysis|null>} Null if the fragment is not a share link.
+ * @throws  {Error} With a human-readable message if the link is damaged.
+ */
+export async function readShareFragment(hash) {
+  const fragment = hash.replace(/^#/, '');
+  if (!fragment.startsWith(PREFIX)) return null;
+
+  let value;
+  try {
+    const bytes = await pipe(
+      fromBase64Url(fragment.slice(PREFIX.length)), new DecompressionStream('deflate-raw'), MAX_PAYLOAD_BYTES
+    );
+    value = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error(t(DAMAGED_MESSAGE));
+  }
+  return checkShared(value);
+}
+
+/**
+ * A standalone HTML page holding an encoded analysis — the download offered
+ * instead of links over MAX_LINK_LENGTH. The app opens it with
+ * readShareFile(); the page itself only explains how.
+ *
+ * @param {string} fragment - From createShareFragment().
+ * @param {string} appUrl   - The app's address, without a fragment.
+ * @returns {string}
+ */
+export function createShareFile(fragment, appUrl) {
+  const locale = getLocale();
+  const title  = escapeHtml(t('share.fileTitle'));
+  const app    = `<a href="${escapeHtml(appUrl)}">${escapeHtml(t('html.title'))}</a>`;
+  return `<!DOCTYPE html>
+<html lang="${locale}" dir="${LOCALES[locale].dir}">
+<head>
+<meta charset="utf-8">
+<meta name="${FILE_META}" content="${escapeHtml(fragment)}">
+<title>${title}</title>
+</head>
+<body>
+<h1>${title}</h1>
+<p>${escapeHtml(t('share.fileHowTo')).replace('{app}', app)}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Decodes the analysis in a file from createShareFile().
+ *
+ * @param {string} html - The file's text.
+ * @returns {Promise<SharedAnalysis|null>} Null if it is not a share file.
+ * @throws  {Error} With a human-readable message if the analysis is damaged.
+ */
+export function readShareFile(html) {
+  const match = html.match(new RegExp(`<meta name="${FILE_META}" content="([^"]*)">`));
+  return match ? readShareFragment(match[1]) : Promise.resolve(null);
+}
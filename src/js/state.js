@@ -6,14 +6,35 @@
  * modules call explicit setter functions, which keeps state transitions easy
  * to follow and debug.
  *
- * The API key is preserved across reset() calls so it does not need to be
- * re-fetched from config.json every time the user clears the UI.
+ * The provider settings (including the API key) and the smell catalogue are
+ * preserved across reset() calls so they do not need to be re-fetched every
+ * time the user clears the UI. So is the session's token usage, which counts
+ * everything sent since the page loaded.
+ *
+ * Nothing here outlives the page. Completed analyses are persisted separately
+ * by history.js (FR-06.3); restoreRun() loads one of them back into the
+ * session, and currentRunId links the session to its saved run so later chat
+ * messages and edit decisions are saved with it.
  */
 
+import { addUsage } from './usage.js';
+
 // ─── Private state ────────────────────────────────────────────────────────────
 
-/** @type {string|null} */
-let apiKey = null;
+/** @type {import('./providers.js').ProviderSettings|null} */
+let providerSettings = null;
+
+/**
+ * The team's smell catalogue, or null when the project has none.
+ * @type {import('./catalogue.js').Catalogue|null}
+ */
+let catalogue = null;
+
+/**
+ * Token usage of every request sent this session, or null before the first.
+ * @type {import('./usage.js').Usage|null}
+ */
+let sessionUsage = null;
 
 /** @type {string} */
 let currentCode = '';
@@ -26,7 +47,11 @@ let currentLanguage = 'auto';
  * @property {string}                    name
  * @property {'Critical'|'Major'|'Minor'} severity
  * @property {string}                    location
+ * @property {number|null}               [start_line] - First affected line (1-based).
+ * @property {number|null}               [end_line]   - Last affected line (inclusive).
  * @property {string}                    explanation
+ * @property {'rule'|'model'|'both'}     [source] - Local rule check, the model, or both.
+ * @property {import('./edits.js').Edit|null} [edit] - The model's fix for this smell alone.
  */
 
 /**
@@ -34,16 +59,59 @@ let currentLanguage = 'auto';
  * @property {string}  summary
  * @property {Smell[]} smells
  * @property {string}  refactored_code
+ * @property {import('./usage.js').Usage|null} [usage] - Tokens the model analysis used.
  */
 
 /** @type {AnalysisResult|null} */
 let analysisResult = null;
 
+/**
+ * Indexes (into analysisResult.smells) of the edits the user has rejected.
+ * Every edit starts out accepted.
+ * @type {Set<number>}
+ */
+let rejectedEdits = new Set();
+
+/**
+ * History id of the run shown in the session, or null if it has not been
+ * saved (yet).
+ * @type {number|null}
+ */
+let currentRunId = null;
+
+/**
+ * Files of the current multi-file analysis, or null when none is open.
+ * @type {import('./project.js').ProjectFile[]|null}
+ */
+let projectFiles = null;
+
+/**
+ * Path of the project file whose results are shown in the session, if any.
+ * @type {string|null}
+ */
+let currentProjectPath = null;
+
+/**
+ * Rounds of the current "refactor until clean" run, or null when none is
+ * open (FR-04.7). stopReason is null while rounds are running, and
+ * 'stopped' after a cancellation or error.
+ * @type {{rounds: import('./refine.js').Round[], language: string, threshold: string,
+ *         stopReason: import('./refine.js').StopReason|'stopped'|null}|null}
+ */
+let refinement = null;
+
+/**
+ * Index of the refinement round whose results are shown in the session, if any.
+ * @type {number|null}
+ */
+let currentRound = null;
+
 /**
  * @typedef  {object} ChatEntry
  * @property {'user'|'gemini'} role
  * @property {string}          text
  * @property {Date}            timestamp
+ * @property {import('./usage.js').Usage|null} [usage] - Tokens of a reply (whole request).
  */
 
 /** @type {ChatEntry[]} */
@@ -51,12 +119,27 @@ let chatHistory = [];
 
 // ─── Getters ──────────────────────────────────────────────────────────────────
 
-export const getApiKey         = () => apiKey;
+export const getProviderSettings = () => providerSettings;
+export const getCatalogue      = () => catalogue;
+export const getSessionUsage   = () => sessionUsage;
 export const getCurrentCode    = () => currentCode;
 export const getCurrentLanguage = () => currentLanguage;
 export const getAnalysisResult = () => analysisResult;
 export const hasAnalysis       = () => analysisResult !== null;
 
+/**
+ * Returns a copy of the rejected-edit indexes so callers cannot accidentally
+ * mutate internal state.
+ * @returns {Set<number>}
+ */
+export const getRejectedEdits = () => new Set(rejectedEdits);
+
+export const getCurrentRunId = () => currentRunId;
+export const getProjectFiles = () => projectFiles;
+export const getCurrentProjectPath = () => currentProjectPath;
+export const getRefinement = () => refinement;
+export const getCurrentRound = () => currentRound;
+
 /**
  * Returns a shallow copy of the chat history array so callers cannot
  * accidentally mutate internal state.
@@ -66,9 +149,22 @@ export const getChatHistory = () => [...chatHistory];
 
 // ─── Setters ──────────────────────────────────────────────────────────────────
 
-/** @param {string} key */
-export function setApiKey(key) {
-  apiKey = key;
+/** @param {import('./providers.js').ProviderSettings} settings */
+export function setProviderSettings(settings) {
+  providerSettings = settings;
+}
+
+/** @param {import('./catalogue.js').Catalogue|null} value */
+export function setCatalogue(value) {
+  catalogue = value;
+}
+
+/**
+ * Adds the usage of one request to the session total.
+ * @param {import('./usage.js').Usage} usage
+ */
+export function addSessionUsage(usage) {
+  sessionUsage = addUsage(sessionUsage, usage);
 }
 
 /** @param {string} code */
@@ -81,18 +177,96 @@ export function setCurrentLanguage(language) {
   currentLanguage = language;
 }
 
-/** @param {AnalysisResult} result */
+/**
+ * Stores a new analysis result. Edit decisions, the chat and the history
+ * link belong to the previous result, so every edit of the new one starts
+ * out accepted, there is no chat about it yet and it is not yet saved.
+ * @param {AnalysisResult} result
+ */
 export function setAnalysisResult(result) {
   analysisResult = result;
+  rejectedEdits  = new Set();
+  chatHistory    = [];
+  currentRunId   = null;
+}
+
+/** @param {number} id - History id of the current analysis once saved. */
+export function setCurrentRunId(id) {
+  currentRunId = id;
+}
+
+/**
+ * Starts a new multi-file analysis.
+ * @param {import('./project.js').ProjectFile[]} files
+ */
+export function setProjectFiles(files) {
+  projectFiles       = files;
+  currentProjectPath = null;
+}
+
+/**
+ * Updates one file of the current project.
+ * @param {string} path
+ * @param {Partial<import('./project.js').ProjectFile>} changes
+ */
+export function updateProjectFile(path, changes) {
+  const file = projectFiles?.find((candidate) => candidate.path === path);
+  if (file) Object.assign(file, changes);
+}
+
+/** @param {string|null} path - Project file now shown in the session. */
+export function setCurrentProjectPath(path) {
+  currentProjectPath = path;
+}
+
+/**
+ * Starts a new "refactor until clean" run, or closes it with null.
+ * @param {{rounds: import('./refine.js').Round[], language: string, threshold: string,
+ *          stopReason: import('./refine.js').StopReason|'stopped'|null}|null} run
+ */
+export function setRefinement(run) {
+  refinement   = run;
+  currentRound = null;
+}
+
+/** @param {number|null} index - Refinement round now shown in the session. */
+export function setCurrentRound(index) {
+  currentRound = index;
+}
+
+/**
+ * Replaces the session with a run reopened from history, including its edit
+ * decisions and chat.
+ *
+ * @param {import('./history.js').HistoryRun} run
+ */
+export function restoreRun(run) {
+  currentCode     = run.code;
+  currentLanguage = run.language;
+  analysisResult  = run.result;
+  rejectedEdits   = new Set(run.rejectedEdits);
+  chatHistory     = run.chat.map((entry) => ({ ...entry }));
+  currentRunId    = run.id;
+}
+
+/**
+ * Records whether the user accepts the edit of one smell.
+ * @param {number}  index    - Index into analysisResult.smells.
+ * @param {boolean} accepted
+ */
+export function setEditAccepted(index, accepted) {
+  if (accepted) rejectedEdits.delete(index);
+  else          rejectedEdits.add(index);
 }
 
 /**
  * Appends one message to the chat history.
  * @param {'user'|'gemini'} role
  * @param {string}          text
+ * @param {import('./usage.js').Usage|null} [usage=null] - For replies.
  */
-export function appendChat(role, text) {
-  chatHistory.push({ role, text, timestamp: new Date() });
+export function appendChat(role, text, usage = null) {
+  chatHistory.push({ role, text, timestamp: new Date(), usage });
 }
 
 // ─── Utilities ────────────────────────────────────────────────────────────────
@@ -125,12 +299,19 @@ export function getChatLog() {
 
 /**
  * Resets all mutable state to its initial values (FR-06.2).
- * The API key is intentionally preserved — it was loaded once at startup
- * and does not change during a session.
+ * The provider settings are intentionally preserved — they were loaded once
+ * at startup and do not change during a session — and so is the session's
+ * token usage.
  */
 export function reset() {
-  currentCode     = '';
-  currentLanguage = 'auto';
-  analysisResult  = null;
-  chatHistory     = [];
+  currentCode        = '';
+  currentLanguage    = 'auto';
+  analysisResult     = null;
+  rejectedEdits      = new Set();
+  currentRunId       = null;
+  chatHistory        = [];
+  projectFiles       = null;
+  currentProjectPath = null;
+  refinement         = null;
+  currentRound       = null;
 }
@@ -0,0 +1,409 @@
+/**
+ * syntax.js — Syntax check of refactored code (FR-04.6)
+ *
+ * Pure functions, no DOM access. Refactored code sometimes comes back with
+ * unbalanced braces or broken Python indentation. checkSyntax() scans it
+ * for exactly that kind of breakage and reports the first problem with its
+ * line and column; api.analyzeCode() sends it back to the model once, and
+ * the UI shows whatever remains in the refactored pane.
+ *
+ * This is a structural scan, not a compiler: it tracks strings, comments,
+ * template literals and regular expressions so that brackets inside them
+ * are ignored, then checks that every bracket is closed by its partner —
+ * and for Python, that the indentation is consistent. Code it accepts may
+ * still fail to compile for other reasons.
+ *
+ * Supported: JavaScript, TypeScript, Python, Java, C++ and Go. JSX and TSX
+ * are not checked: text between tags is not a string, so an apostrophe in
+ * `<p>Don't panic</p>` would look like an unterminated one.
+ *
+ * Exports:
+ *   checkSyntax(code, language)   → SyntaxProblem|null
+ *   formatSyntaxProblem(problem)  → string
+ */
+
+import { resolveLanguage } from './detectors.js';
+import { t } from './i18n.js';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} SyntaxProblem
+ * @property {number} line    - 1-based.
+ * @property {number} column  - 1-based.
+ * @property {string} code    - One of PROBLEM_MESSAGES, e.g. 'unexpected'.
+ * @property {object} params  - The message's placeholders, e.g. { found: '}' }.
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const CLOSERS = { '(': ')', '[': ']', '{': '}' };
+
+/** Message keys of the problem codes. */
+const PROBLEM_MESSAGES = {
+  unterminatedString:   'syntax.unterminatedString',
+  unterminatedTemplate: 'syntax.unterminatedTemplate',
+  unterminatedComment:  'syntax.unterminatedComment',
+  unexpected:           'syntax.unexpected',
+  mismatched:           'syntax.mismatched',
+  neverClosed:          'syntax.neverClosed',
+  mixedIndent:          'syntax.mixedIndent',
+  expectedIndent:       'syntax.expectedIndent',
+  unexpectedIndent:     'syntax.unexpectedIndent',
+  unindentMismatch:     'syntax.unindentMismatch',
+};
+
+/** Tokens after which a "/" starts a regular expression rather than a division. */
+const REGEX_PRECEDERS = new Set([
+  '', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^',
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else',
+  'yield', 'await',
+]);
+
+/**
+ * A JSX closing tag (`</p>`, `</>`) or self-closing element (`<Foo />`);
+ * type arguments and comparisons have neither.
+ */
+const JSX_TAG = /<\/[A-Za-z]?[\w.:-]*\s*>|<[A-Za-z][\w.:-]*(?:\s[^<>]*)?\/>/;
+
+// ─── Scanner ──────────────────────────────────────────────────────────────────
+
+/**
+ * A cursor over the code that keeps track of line and column.
+ */
+class Cursor {
+  /** @param {string} code */
+  constructor(code) {
+    this.code   = code;
+    this.index  = 0;
+    this.line   = 1;
+    this.column = 1;
+  }
+
+  get done() { return this.index >= this.code.length; }
+
+  /** @param {number} [offset=0] */
+  peek(offset = 0) { return this.code[this.index + offset] ?? ''; }
+
+  /** @param {string} text */
+  startsWith(text) { return this.code.startsWith(text, this.index); }
+
+  /** @param {number} [count=1] */
+  advance(count = 1) {
+    for (let n = 0; n < count && !this.done; n++) {
+      if (this.code[this.index] === '\n') {
+        this.line  += 1;
+        this.column = 1;
+      } else {
+        this.column += 1;
+      }
+      this.index += 1;
+    }
+  }
+
+  /** @returns {{line: number, column: number}} */
+  position() { return { line: this.line, column: this.column }; }
+}
+
+/**
+ * @param {{line: number, column: number}} position
+ * @param {string} code     - One of PROBLEM_MESSAGES.
+ * @param {object} [params]
+ * @returns {SyntaxProblem}
+ */
+function problem({ line, column }, code, params = {}) {
+  return { line, column, code, params };
+}
+
+/**
+ * Skips a quoted string starting at the cursor. Unless `multiline`, the
+ * string must end on its line; a backslash escapes the next character.
+ *
+ * @param {Cursor}  cursor
+ * @param {string}  quote     - The closing delimiter, e.g. '"' or '"""'.
+ * @param {boolean} multiline
+ * @param {boolean} [escapes=true]
+ * @returns {SyntaxProblem|null}
+ */
+function skipString(cursor, quote, multiline, escapes = true) {
+  const start = cursor.position();
+  cursor.advance(quote.length);
+  while (!cursor.done) {
+    if (escapes && cursor.peek() === '\\') {
+      cursor.advance(2);
+    } else if (cursor.startsWith(quote)) {
+      cursor.advance(quote.length);
+      return null;
+    } else if (cursor.peek() === '\n' && !multiline) {
+      break;
+    } else {
+      cursor.advance();
+    }
+  }
+  return problem(start, 'unterminatedString');
+}
+
+/**
+ * Skips a regular expression literal if one starts at the cursor. Returns
+ * false, without moving, if the "/" has no closing "/" on its line — it is
+ * then a division after all.
+ *
+ * @param {Cursor} cursor
+ * @returns {boolean}
+ */
+function skipRegex(cursor) {
+  let offset  = 1;
+  let inClass = false;
+  for (;;) {
+    const char = cursor.peek(offset);
+    if (char === '' || char === '\n') return false;
+    if (char === '\\') offset += 1;
+    else if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) break;
+    offset += 1;
+  }
+  cursor.advance(offset + 1);
+  while (/[a-z]/i.test(cursor.peek())) cursor.advance();
+  return true;
+}
+
+/**
+ * Checks the brackets, strings and comments of a C-family language.
+ *
+ * @param {string} code
+ * @param {'javascript'|'java'|'c++'|'go'} dialect
+ * @returns {SyntaxProblem|null}
+ */
+function checkBraceLanguage(code, dialect) {
+  const cursor = new Cursor(code);
+  /** @type {{char: string, line: number, column: number}[]} */
+  const stack  = [];
+  let previous = '';  // Last token, for telling regular expressions from divisions
+
+  /** Skips template text up to its end or its next "${". */
+  const skipTemplate = (start) => {
+    while (!cursor.done) {
+      const char = cursor.peek();
+      if (char === '\\') {
+        cursor.advance(2);
+      } else if (char === '`') {
+        cursor.advance();
+        return null;
+      } else if (cursor.startsWith('${')) {
+        stack.push({ char: '${', ...cursor.position() });
+        cursor.advance(2);
+        return null;
+      } else {
+        cursor.advance();
+      }
+    }
+    return problem(start, 'unterminatedTemplate');
+  };
+
+  while (!cursor.done) {
+    const char  = cursor.peek();
+    const start = cursor.position();
+    let error   = null;
+
+    if (/\s/.test(char)) {
+      cursor.advance();
+      continue;
+    }
+    if (cursor.startsWith('//')) {
+      while (!cursor.done && cursor.peek() !== '\n') cursor.advance();
+      continue;
+    }
+    if (cursor.startsWith('/*')) {
+      const end = code.indexOf('*/', cursor.index + 2);
+      if (end === -1) return problem(start, 'unterminatedComment');
+      cursor.advance(end + 2 - cursor.index);
+      continue;
+    }
+
+    if (/[\w$]/.test(char)) {
+      let word = '';
+      while (!cursor.done && /[\w$]/.test(cursor.peek())) {
+        word += cursor.peek();
+        cursor.advance();
+      }
+      previous = /^\d/.test(word) ? '0' : word;
+      continue;
+    }
+
+    if (char === '"' && dialect === 'java' && cursor.startsWith('"""')) {
+      error = skipString(cursor, '"""', true);
+    } else if (char === '"' || char === "'") {
+      error = skipString(cursor, char, false);
+    } else if (char === '`' && dialect === 'go') {
+      error = skipString(cursor, '`', true, false);
+    } else if (char === '`' && dialect === 'javascript') {
+      cursor.advance();
+      error = skipTemplate(start);
+    } else if (char === '/' && dialect === 'javascript' && REGEX_PRECEDERS.has(previous) && skipRegex(cursor)) {
+      previous = '0';
+      continue;
+    } else if (CLOSERS[char]) {
+      stack.push({ char, ...start });
+      cursor.advance();
+    } else if (char === ')' || char === ']' || char === '}') {
+      const open = stack.pop();
+      if (!open) return problem(start, 'unexpected', { found: char });
+      const expected = open.char === '${' ? '}' : CLOSERS[open.char];
+      if (char !== expected) {
+        return problem(start, 'mismatched', { expected, open: open.char, openLine: open.line, found: char });
+      }
+      cursor.advance();
+      if (open.char === '${') {
+        // Back inside the template literal
+        error = skipTemplate(open);
+      }
+    } else {
+      cursor.advance();
+    }
+
+    if (error) return error;
+    previous = char === '"' || char === "'" || char === '`' ? '0' : char;
+  }
+
+  const open = stack.pop();
+  if (!open) return null;
+  return open.char === '${'
+    ? problem(open, 'unterminatedTemplate')
+    : problem(open, 'neverClosed', { open: open.char });
+}
+
+/**
+ * Compares two indentation strings.
+ *
+ * @param {string} indent
+ * @param {string} current - The innermost block's indentation.
+ * @returns {'same'|'deeper'|'shallower'|'inconsistent'}
+ */
+function compareIndent(indent, current) {
+  if (indent === current) return 'same';
+  if (indent.startsWith(current)) return 'deeper';
+  if (current.startsWith(indent)) return 'shallower';
+  return 'inconsistent';
+}
+
+/**
+ * Checks the brackets, strings and indentation of Python code.
+ *
+ * @param {string} code
+ * @returns {SyntaxProblem|null}
+ */
+function checkPython(code) {
+  const cursor  = new Cursor(code);
+  const stack   = [];
+  const indents = [''];
+  let blockLine    = 0;     // Line of the ":" that requires an indented block, or 0
+  let continuation = false; // The previous line ended in a backslash
+  let lastToken    = '';    // Last token of the logical line
+
+  while (!cursor.done) {
+    // Indentation of a new logical line
+    if (cursor.column === 1 && stack.length === 0 && !continuation) {
+      let indent = '';
+      while (cursor.peek() === ' ' || cursor.peek() === '\t') {
+        indent += cursor.peek();
+        cursor.advance();
+      }
+      const rest = cursor.peek();
+      if (rest !== '\n' && rest !== '#' && rest !== '' && !cursor.startsWith('\r\n')) {
+        const at       = cursor.position();
+        const relation = compareIndent(indent, indents.at(-1));
+        if (relation === 'inconsistent') {
+          return problem(at, 'mixedIndent');
+        }
+        if (blockLine) {
+          if (relation !== 'deeper') return problem(at, 'expectedIndent', { blockLine });
+          indents.push(indent);
+          blockLine = 0;
+        } else if (relation === 'deeper') {
+          return problem(at, 'unexpectedIndent');
+        } else if (relation === 'shallower') {
+          while (compareIndent(indent, indents.at(-1)) === 'shallower') indents.pop();
+          if (indents.at(-1) !== indent) {
+            return problem(at, 'unindentMismatch');
+          }
+        }
+      }
+    }
+    continuation = false;
+
+    const char  = cursor.peek();
+    const start = cursor.position();
+
+    if (char === '\n') {
+      if (stack.length === 0 && lastToken === ':') blockLine = start.line;
+      if (stack.length === 0) lastToken = '';
+      cursor.advance();
+    } else if (char === ' ' || char === '\t' || char === '\r') {
+      cursor.advance();
+    } else if (char === '#') {
+      while (!cursor.done && cursor.peek() !== '\n') cursor.advance();
+    } else if (char === '\\' && (cursor.peek(1) === '\n' || cursor.startsWith('\\\r\n'))) {
+      cursor.advance(cursor.peek(1) === '\n' ? 2 : 3);
+      continuation = true;
+    } else if (char === '"' || char === "'") {
+      const triple = cursor.startsWith(char.repeat(3));
+      const error  = skipString(cursor, triple ? char.repeat(3) : char, triple);
+      if (error) return error;
+      lastToken = '0';
+    } else if (CLOSERS[char]) {
+      stack.push({ char, ...start });
+      cursor.advance();
+      lastToken = char;
+    } else if (char === ')' || char === ']' || char === '}') {
+      const open = stack.pop();
+      if (!open) return problem(start, 'unexpected', { found: char });
+      if (char !== CLOSERS[open.char]) {
+        return problem(start, 'mismatched', {
+          expected: CLOSERS[open.char], open: open.char, openLine: open.line, found: char,
+        });
+      }
+      cursor.advance();
+      lastToken = char;
+    } else {
+      cursor.advance();
+      lastToken = char;
+    }
+  }
+
+  const open = stack.pop();
+  if (open) return problem(open, 'neverClosed', { open: open.char });
+  if (lastToken === ':') blockLine = cursor.line;
+  if (blockLine) return problem(cursor.position(), 'expectedIndent', { blockLine });
+  return null;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Checks code for structural syntax errors.
+ *
+ * @param {string} code
+ * @param {string} language - Language selector value, e.g. "Python" or "auto".
+ *   Auto-detected code is checked as JavaScript or Python if it looks like one.
+ * @returns {SyntaxProblem|null} The first problem found, or null if none was
+ *   found or the language (or JSX) is not supported.
+ */
+export function checkSyntax(code, language) {
+  const key = language.toLowerCase();
+  if (key === 'java' || key === 'c++' || key === 'go') return checkBraceLanguage(code, key);
+
+  const detected = resolveLanguage(code, language);
+  if (detected === 'python') return checkPython(code);
+  if (detected === 'javascript' && !JSX_TAG.test(code)) return checkBraceLanguage(code, 'javascript');
+  return null;
+}
+
+/**
+ * Words a problem in the interface language.
+ * @param {SyntaxProblem} syntaxProblem
+ * @returns {string} e.g. "line 3, column 5: Unexpected '}'"
+ */
+export function formatSyntaxProblem({ line, column, code, params }) {
+  return t('syntax.position', { line, column, problem: t(PROBLEM_MESSAGES[code], params) });
+}
@@ -0,0 +1,369 @@
+/**
+ * transport.js — Recording and replaying LLM traffic (FR-02.14)
+ *
+ * api.callProvider() sends every request to the provider through
+ * sendRequest(). In the default 'live' mode that is a plain fetch(). In
+ * 'record' mode each request and its response are also kept, so they can be
+ * saved as a fixtures file; in 'replay' mode nothing goes over the network —
+ * the answer is the recorded response whose request has the same prompt hash
+ * (a SHA-256 of the request body, which holds the prompt and schema). That
+ * runs the app and its tests fully offline, without an API key.
+ *
+ * Recordings never contain the API key: request headers are not kept, and
+ * the key is blanked wherever else it appears.
+ *
+ * A fixtures file:
+ *   {
+ *     "version": 1,
+ *     "exchanges": [{
+ *       "hash": "…",                                    // optional; computed from request.body
+ *       "request": { "url": "…", "body": { … } },
+ *       "responses": [
+ *         { "status": 429, "headers": { "retry-after": "1" } },
+ *         { "status": 200, "headers": { "content-type": "text/event-stream" }, "body": "data: …" }
+ *       ]
+ *     }]
+ *   }
+ * A request repeated during a session (e.g. a retry) gets the exchange's next
+ * response, and the last one from then on. Besides real responses, a response
+ * may simulate the failures of FR-02.7: { "timeout": true } never answers, so
+ * the request runs into the idle timeout; any status (429, 503, …) is
+ * replayed as it is; and a body that is not what the provider sends is a
+ * malformed response. "delay_ms" holds back any response.
+ *
+ * Exports:
+ *   TRANSPORT_MODES                          → string[]
+ *   DEFAULT_FIXTURES                         → string
+ *   parseTransport(value)                    → TransportSettings
+ *   transportFromQuery(search)               → object|null
+ *   configureTransport(transport, readFile)  → Promise<void>
+ *   getTransportMode()                       → TransportMode
+ *   sendRequest(url, init, secret)           → Promise<Response>
+ *   getRecording()                           → Promise<FixtureFile>
+ */
+
+import { cacheKey } from './cache.js';
+import { t } from './i18n.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+/** Fixtures file used when config.json names none, relative to the project root. */
+export const DEFAULT_FIXTURES = 'fixtures/recording.json';
+
+const FIXTURES_VERSION = 1;
+
+/** Response headers worth keeping; the others describe the recording session. */
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+/** Stands in for the API key in recordings. */
+const REDACTED = '[redacted]';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/** @typedef {'live'|'record'|'replay'} TransportMode */
+
+/**
+ * @typedef  {object} TransportSettings
+ * @property {TransportMode} mode
+ * @property {string}        fixtures - Fixtures file, relative to the project root.
+ */
+
+/**
+ * @typedef  {object} FixtureResponse
+ * @property {number}                 [status=200]
+ * @property {Record<string, string>} [headers]
+ * @property {string}                 [body='']
+ * @property {boolean}                [timeout]  - Never answer.
+ * @property {number}                 [delay_ms] - Wait this long before answering.
+ */
+
+/**
+ * @typedef  {object} FixtureExchange
+ * @property {string} hash - Prompt hash of the request.
+ * @property {{url: string, body: object}} request
+ * @property {FixtureResponse[]} responses - In the order they are replayed.
+ */
+
+/**
+ * @typedef  {object} FixtureFile
+ * @property {number}            version
+ * @property {FixtureExchange[]} exchanges
+ */
+
+// ─── State ────────────────────────────────────────────────────────────────────
+
+/** @type {TransportMode} */
+let mode = 'live';
+
+/** Replay: the fixtures by prompt hash, with how many responses were served. */
+let replays = new Map();
+
+/** Record: the exchanges so far by prompt hash, in the order first seen. */
+let recorded = new Map();
+
+/** Record: response bodies still being read. */
+let pending = new Set();
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} body - A request body, parsed.
+ * @returns {Promise<string>} Its prompt hash.
+ * @throws  {Error} Without crypto.subtle (an insecure origin).
+ */
+async function promptHash(body) {
+  const hash = await cacheKey([body]);
+  if (!hash) throw new Error(t('transport.needsCrypto'));
+  return hash;
+}
+
+/**
+ * @param {string}      text
+ * @param {string|null} secret
+ * @returns {string} The text with every occurrence of the secret blanked.
+ */
+function redact(text, secret) {
+  return secret ? text.split(secret).join(REDACTED) : text;
+}
+
+/**
+ * Waits, unless the request is aborted first.
+ *
+ * @param {number}      ms     - Infinity waits for the abort.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ * @throws  {*} The signal's reason once it aborts.
+ */
+function pause(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = Number.isFinite(ms)
+      ? setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms)
+      : null;
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Checks one recorded response.
+ * @param {*} response
+ * @returns {string|null} What is wrong with it, or null.
+ */
+function responseProblem(response) {
+  if (!response || typeof response !== 'object') return t('transport.notObject');
+  if (response.timeout === true) return null;
+  const { status = 200, headers = {}, body = '', delay_ms: delay = 0 } = response;
+  if (!Number.isInteger(status) || status < 200 || status > 599) return t('transport.badStatus', { status });
+  if (!headers || typeof headers !== 'object' || Object.values(headers).some((value) => typeof value !== 'string')) {
+    return t('transport.badHeaders');
+  }
+  if (typeof body !== 'string') return t('transport.badBody');
+  if (!Number.isFinite(delay) || delay < 0) return t('transport.badDelay');
+  return null;
+}
+
+/**
+ * Indexes a fixtures file by prompt hash.
+ *
+ * @param {*} data - Parsed fixtures file.
+ * @returns {Promise<Map<string, {responses: FixtureResponse[], served: number}>>}
+ * @throws  {Error} Naming the first problem.
+ */
+async function indexFixtures(data) {
+  if (data?.version !== FIXTURES_VERSION || !Array.isArray(data.exchanges)) {
+    throw new Error(t('transport.badFile', { version: FIXTURES_VERSION }));
+  }
+
+  const index = new Map();
+  for (const [i, exchange] of data.exchanges.entries()) {
+    const number = i + 1;
+    if (!Array.isArray(exchange?.responses) || exchange.responses.length === 0) {
+      throw new Error(t('transport.noResponses', { number }));
+    }
+    const problem = exchange.responses.map(responseProblem).find(Boolean);
+    if (problem) throw new Error(t('transport.badExchange', { number, problem }));
+
+    let hash = exchange.hash;
+    if (typeof hash !== 'string' || hash === '') {
+      if (!exchange.request?.body || typeof exchange.request.body !== 'object') {
+        throw new Error(t('transport.needsHash', { number }));
+      }
+      hash = await promptHash(exchange.request.body);
+    }
+    index.set(hash, { responses: exchange.responses, served: 0 });
+  }
+  return index;
+}
+
+/**
+ * Answers a request from the fixtures.
+ *
+ * @param {object}      body   - The request body, parsed.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Response>}
+ * @throws  {Error} If no exchange was recorded for the request.
+ */
+async function replay(body, signal) {
+  const hash     = await promptHash(body);
+  const exchange = replays.get(hash);
+  if (!exchange) {
+    throw new Error(t('transport.notRecorded', { hash: hash.slice(0, 12) }));
+  }
+
+  const { responses } = exchange;
+  const response = responses[Math.min(exchange.served, responses.length - 1)];
+  exchange.served += 1;
+
+  await pause(response.timeout ? Infinity : response.delay_ms ?? 0, signal);
+  return new Response(response.body ?? '', { status: response.status ?? 200, headers: response.headers ?? {} });
+}
+
+/**
+ * Sends a request and keeps it with its response.
+ *
+ * @param {string}      url
+ * @param {RequestInit} init
+ * @param {object}      body   - init.body, parsed.
+ * @param {string|null} secret - The API key.
+ * @returns {Promise<Response>}
+ */
+async function record(url, init, body, secret) {
+  const hash     = await promptHash(body);
+  const response = await fetch(url, init);
+
+  if (!recorded.has(hash)) {
+    recorded.set(hash, {
+      hash,
+      request:   { url: redact(url, secret), body: JSON.parse(redact(init.body, secret)) },
+      responses: [],
+    });
+  }
+  const entry = {
+    status:  response.status,
+    headers: Object.fromEntries(RECORDED_HEADERS
+      .filter((name) => response.headers.has(name))
+      .map((name) => [name, response.headers.get(name)])),
+    body:    '',
+  };
+  const { responses } = recorded.get(hash);
+  responses.push(entry);
+
+  // Read a copy, so the caller streams the response as usual. A response cut
+  // off by a timeout or cancellation is not kept.
+  const reading = response.clone().text()
+    .then((text) => { entry.body = redact(text, secret); })
+    .catch(() => { responses.splice(responses.indexOf(entry), 1); })
+    .finally(() => pending.delete(reading));
+  pending.add(reading);
+
+  return response;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Reads config.json's `transport`.
+ *
+ * @param {*} value - e.g. { "mode": "replay", "fixtures": "fixtures/demo.json" }
+ * @returns {TransportSettings}
+ * @throws  {Error} With a human-readable message if the mode is unknown.
+ */
+export function parseTransport(value) {
+  const name = value?.mode ?? 'live';
+  if (!TRANSPORT_MODES.includes(name)) {
+    throw new Error(t('transport.unknownMode', { name, modes: TRANSPORT_MODES.join(', ') }));
+  }
+  const fixtures = typeof value?.fixtures === 'string' && value.fixtures.trim() !== ''
+    ? value.fixtures.trim()
+    : DEFAULT_FIXTURES;
+  return { mode: name, fixtures };
+}
+
+/**
+ * Reads the transport chosen in the page URL, e.g.
+ * "?transport=replay&fixtures=fixtures/demo.json".
+ *
+ * @param {string} search - location.search.
+ * @returns {{mode: string, fixtures?: string}|null} In config.json's shape, or null if the URL names none.
+ */
+export function transportFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const mode   = params.get('transport');
+  if (!mode) return null;
+  const fixtures = params.get('fixtures');
+  return fixtures ? { mode, fixtures } : { mode };
+}
+
+/**
+ * Switches to the given transport. Replay loads and checks the fixtures
+ * first; switching to record starts an empty recording, while staying in
+ * record mode keeps the one in progress.
+ *
+ * @param {TransportSettings} transport
+ * @param {(path: string) => Promise<*>} readFile - Reads and parses a JSON file below the project root.
+ * @returns {Promise<void>}
+ * @throws  {Error} With a human-readable message if the fixtures cannot be used.
+ */
+export async function configureTransport(transport, readFile) {
+  if (transport.mode === 'replay') {
+    let data;
+    try {
+      data = await readFile(transport.fixtures);
+    } catch (err) {
+      throw new Error(t('transport.loadFailed', { fixtures: transport.fixtures, error: err.message }));
+    }
+    try {
+      replays = await indexFixtures(data);
+    } catch (err) {
+      throw new Error(t('transport.invalid', { fixtures: transport.fixtures, error: err.message }));
+    }
+  }
+  if (transport.mode === 'record' && mode !== 'record') {
+    recorded = new Map();
+    pending  = new Set();
+  }
+  mode = transport.mode;
+}
+
+/** @returns {TransportMode} */
+export function getTransportMode() {
+  return mode;
+}
+
+/**
+ * Sends a provider request with the current transport.
+ *
+ * @param {string}      url
+ * @param {RequestInit} init   - With a JSON string body.
+ * @param {string|null} secret - The API key, kept out of recordings.
+ * @returns {Promise<Response>}
+ * @throws  {Error} As fetch() does; in replay mode, with a human-readable
+ *   message if nothing was recorded for the request, or the signal's reason
+ *   once it aborts.
+ */
+export function sendRequest(url, init, secret) {
+  if (mode === 'live') return fetch(url, init);
+  const body = JSON.parse(init.body);
+  return mode === 'replay' ? replay(body, init.signal) : record(url, init, body, secret);
+}
+
+/**
+ * The exchanges recorded so far, once their responses have been read.
+ * @returns {Promise<FixtureFile>}
+ */
+export async function getRecording() {
+  await Promise.all(pending);
+  return { version: FIXTURES_VERSION, exchanges: [...recorded.values()] };
+}
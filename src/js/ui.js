@@ -9,28 +9,116 @@
  * ES module scripts execute after the document has been parsed).
  */
 
+import { resolveLanguage } from './detectors.js';
+import { computeDiff, diffBlocks, diffStats } from './diff.js';
+import { editorMarkers } from './editor.js';
+import { canCheckEquivalence, findFunctionNames } from './equivalence.js';
+import { LOCALES, getLocale, t } from './i18n.js';
+import { severityScore } from './project.js';
+import { PROVIDERS, getProvider } from './providers.js';
+import { DEFAULT_QUALITY_WEIGHTS, qualityScore } from './quality.js';
+import { checkSyntax, formatSyntaxProblem } from './syntax.js';
+import { formatCost, formatTokens, formatUsage } from './usage.js';
+
 // ─── Element map ──────────────────────────────────────────────────────────────
 
 const el = {
   analyzeBtn:       document.getElementById('analyze-btn'),
   clearBtn:         document.getElementById('clear-btn'),
+  openFilesBtn:     document.getElementById('open-files-btn'),
+  openFolderBtn:    document.getElementById('open-folder-btn'),
   codeInput:        document.getElementById('code-input'),
+  editorGutter:     document.getElementById('code-editor-gutter'),
+  editorBackdrop:   document.querySelector('.code-editor-backdrop'),
+  editorCode:       document.getElementById('code-editor-code'),
   languageSelect:   document.getElementById('language-select'),
   charCount:        document.getElementById('char-count'),
   errorBanner:      document.getElementById('error-banner'),
   errorMessage:     document.getElementById('error-message'),
   loadingIndicator: document.getElementById('loading-indicator'),
+  loadingText:      document.getElementById('loading-text'),
   resultsSection:   document.getElementById('results-section'),
   summaryText:      document.getElementById('summary-text'),
+  qualityDashboard: document.getElementById('quality-dashboard'),
+  qualityValue:     document.getElementById('quality-score-value'),
+  qualityGrade:     document.getElementById('quality-grade'),
+  qualityDetail:    document.getElementById('quality-score-detail'),
+  severityChart:    document.getElementById('quality-severity-chart'),
+  categoryChart:    document.getElementById('quality-category-chart'),
+  qualityTrend:     document.getElementById('quality-trend'),
+  trendCaption:     document.getElementById('quality-trend-caption'),
+  trendChart:       document.getElementById('quality-trend-chart'),
   smellCountBadge:  document.getElementById('smell-count-badge'),
   smellsList:       document.getElementById('smells-list'),
   originalCode:     document.getElementById('original-code'),
   refactoredCode:   document.getElementById('refactored-code'),
   copyBtn:          document.getElementById('copy-btn'),
+  viewToggle:       document.getElementById('view-toggle'),
+  diffStats:        document.getElementById('diff-stats'),
+  diffView:         document.getElementById('diff-view'),
+  syntaxError:      document.getElementById('syntax-error'),
+  filesView:        document.getElementById('files-view'),
+  reportFormat:     document.getElementById('report-format'),
+  shareBtn:         document.getElementById('share-btn'),
+  shareIncludeChat: document.getElementById('share-include-chat'),
+  shareOutput:      document.getElementById('share-output'),
+  shareLink:        document.getElementById('share-link'),
+  shareStatus:      document.getElementById('share-status'),
+  sharedBanner:     document.getElementById('shared-banner'),
   chatPanel:        document.getElementById('chat-panel'),
   chatLog:          document.getElementById('chat-log'),
+  chatCondensed:    document.getElementById('chat-condensed-note'),
   chatInput:        document.getElementById('chat-input'),
   chatSendBtn:      document.getElementById('chat-send-btn'),
+  chatCancelBtn:    document.getElementById('chat-cancel-btn'),
+  historyToggleBtn: document.getElementById('history-toggle-btn'),
+  historyPanel:     document.getElementById('history-panel'),
+  historySearch:    document.getElementById('history-search'),
+  historyList:      document.getElementById('history-list'),
+  modelLabel:       document.getElementById('model-label'),
+  localeSelect:     document.getElementById('locale-select'),
+  sessionUsage:     document.getElementById('session-usage'),
+  transportStatus:  document.getElementById('transport-status'),
+  transportLabel:   document.getElementById('transport-label'),
+  downloadRecordingBtn: document.getElementById('download-recording-btn'),
+  usageBadge:       document.getElementById('usage-badge'),
+  cachedBadge:      document.getElementById('cached-badge'),
+  rerunFreshBtn:    document.getElementById('rerun-fresh-btn'),
+  settingsDialog:   document.getElementById('settings-dialog'),
+  settingsProvider: document.getElementById('settings-provider'),
+  settingsApiKey:   document.getElementById('settings-api-key'),
+  settingsModel:    document.getElementById('settings-model'),
+  settingsModels:   document.getElementById('settings-model-options'),
+  settingsTemperature: document.getElementById('settings-temperature'),
+  settingsMaxTokens:   document.getElementById('settings-max-tokens'),
+  settingsTimeout:     document.getElementById('settings-timeout'),
+  settingsRemember:    document.getElementById('settings-remember'),
+  settingsError:       document.getElementById('settings-error'),
+  inputPanel:       document.querySelector('.input-panel'),
+  fileInput:        document.getElementById('file-input'),
+  folderInput:      document.getElementById('folder-input'),
+  projectPanel:     document.getElementById('project-panel'),
+  projectProgress:  document.getElementById('project-progress'),
+  projectFileList:  document.getElementById('project-file-list'),
+  projectSkipped:   document.getElementById('project-skipped'),
+  skippedSummary:   document.getElementById('project-skipped-summary'),
+  skippedList:      document.getElementById('project-skipped-list'),
+  refineBtn:        document.getElementById('refine-btn'),
+  refineThreshold:  document.getElementById('refine-threshold'),
+  refineMaxRounds:  document.getElementById('refine-max-rounds'),
+  roundsPanel:      document.getElementById('rounds-panel'),
+  roundsStatus:     document.getElementById('rounds-status'),
+  roundsList:       document.getElementById('rounds-list'),
+  equivalencePanel:     document.getElementById('equivalence-panel'),
+  equivalenceStatus:    document.getElementById('equivalence-status'),
+  equivalenceFlag:      document.getElementById('equivalence-flag'),
+  equivalenceFunction:  document.getElementById('equivalence-function'),
+  equivalenceFunctions: document.getElementById('equivalence-function-options'),
+  equivalenceInputs:    document.getElementById('equivalence-inputs'),
+  equivalenceSuggestBtn: document.getElementById('equivalence-suggest-btn'),
+  equivalenceRunBtn:    document.getElementById('equivalence-run-btn'),
+  equivalenceResults:   document.getElementById('equivalence-results'),
+  equivalenceBody:      document.getElementById('equivalence-results-body'),
 };
 
 // ─── Character counter ────────────────────────────────────────────────────────
@@ -52,6 +140,105 @@ export function updateCharCount(count) {
   }
 }
 
+/**
+ * Puts code and its language back into the input panel, e.g. when a run is
+ * reopened from history.
+ *
+ * @param {string} code
+ * @param {string} language
+ */
+export function restoreInput(code, language) {
+  el.codeInput.value      = code;
+  el.languageSelect.value = language;
+  updateCharCount(code.length);
+  setAnalyzeButtonEnabled(code.length >= 10);
+  renderEditor();
+}
+
+// ─── Code editor (FR-01.9) ────────────────────────────────────────────────────
+
+/**
+ * The smells of the last analysis by line, and the code they were found in.
+ * They are shown only while the editor holds exactly that code, since any
+ * edit may move the lines.
+ */
+let editorMarks = { code: null, markers: new Map() };
+
+/**
+ * Redraws the editor behind the code input: the highlighted copy of its
+ * text (in the selected language, or the detected one), the line numbers,
+ * and the smell markers and squiggles.
+ */
+export function renderEditor() {
+  const code     = el.codeInput.value;
+  const selected = el.languageSelect.value;
+  const language = selected === 'auto' ? resolveLanguage(code, selected) ?? 'plaintext' : selected;
+
+  // The trailing space keeps a final empty line, which splitIntoLines() drops
+  applyHighlight(el.editorCode, `${code} `, language);
+
+  const markers   = code === editorMarks.code ? editorMarks.markers : new Map();
+  const lineCount = code.split('\n').length;
+  const gutter    = [];
+  for (let line = 1; line <= lineCount; line++) {
+    const number  = document.createElement('span');
+    const marker  = markers.get(line);
+    number.className   = 'gutter-line';
+    number.textContent = String(line);
+    if (marker) {
+      number.classList.add('marker', `marker-${marker.severity.toLowerCase()}`);
+      number.title = marker.names.join(', ');
+    }
+    gutter.push(number);
+  }
+  el.editorGutter.replaceChildren(...gutter);
+
+  for (const [line, marker] of markers) {
+    el.editorCode.children[line - 1]?.classList.add('squiggle', `squiggle-${marker.severity.toLowerCase()}`);
+  }
+  syncEditorScroll();
+}
+
+/**
+ * Marks the lines an analysis found smells on, in the gutter and with
+ * squiggles, until the code is edited.
+ *
+ * @param {string} code   - The analysed code.
+ * @param {Array}  smells
+ */
+function setEditorMarkers(code, smells) {
+  editorMarks = { code, markers: editorMarkers(smells) };
+  renderEditor();
+}
+
+/** Scrolls the highlighted copy and the gutter along with the code input. */
+export function syncEditorScroll() {
+  el.editorBackdrop.scrollTop  = el.codeInput.scrollTop;
+  el.editorBackdrop.scrollLeft = el.codeInput.scrollLeft;
+  el.editorGutter.scrollTop    = el.codeInput.scrollTop;
+}
+
+/**
+ * Applies an edit computed by editor.js to the code input. It goes through
+ * the browser's editing commands where available, so it can be undone and
+ * fires the usual 'input' event.
+ *
+ * @param {import('./editor.js').Change} change
+ */
+export function applyEditorChange({ from, to, text, selectionStart, selectionEnd }) {
+  const input = el.codeInput;
+  input.focus();
+  input.setSelectionRange(from, to);
+  const applied = text === ''
+    ? document.execCommand('delete')
+    : document.execCommand('insertText', false, text);
+  if (!applied) {
+    input.setRangeText(text, from, to);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+  input.setSelectionRange(selectionStart, selectionEnd);
+}
+
 // ─── Button / input state ─────────────────────────────────────────────────────
 
 /**
@@ -60,6 +247,7 @@ export function updateCharCount(count) {
  */
 export function setAnalyzeButtonEnabled(enabled) {
   el.analyzeBtn.disabled = !enabled;
+  el.refineBtn.disabled  = !enabled;
 }
 
 /**
@@ -69,11 +257,56 @@ export function setAnalyzeButtonEnabled(enabled) {
  * @param {boolean} loading
  */
 export function setLoading(loading) {
+  if (loading) streamedSmellCount = null;
+  stopRetryCountdown();
+  el.loadingText.textContent = t('loading.text');
   el.loadingIndicator.classList.toggle('hidden', !loading);
   el.analyzeBtn.disabled     = loading;
+  el.refineBtn.disabled      = loading;
   el.codeInput.disabled      = loading;
   el.languageSelect.disabled = loading;
   el.clearBtn.disabled       = loading;
+  el.openFilesBtn.disabled   = loading;
+  el.openFolderBtn.disabled  = loading;
+  el.rerunFreshBtn.disabled  = loading;
+}
+
+/** @returns {boolean} Whether an analysis is in flight. */
+export function isLoading() {
+  return !el.loadingIndicator.classList.contains('hidden');
+}
+
+/** Interval that counts down to the next retry, or null. */
+let retryCountdown = null;
+
+/** Stops the countdown to the next retry, if one is running. */
+function stopRetryCountdown() {
+  clearInterval(retryCountdown);
+  retryCountdown = null;
+}
+
+/**
+ * Shows in the loading indicator that a request failed transiently and when
+ * it is retried, counting down the seconds.
+ *
+ * @param {import('./api.js').RetryInfo} info
+ */
+export function showRetry({ retry, maxRetries, delayMs, status }) {
+  stopRetryCountdown();
+  const reason = status === 429 ? t('retry.rateLimited') : t('retry.serverError', { status });
+  const due    = Date.now() + delayMs;
+
+  const update = () => {
+    const seconds = Math.ceil((due - Date.now()) / 1000);
+    if (seconds > 0) {
+      el.loadingText.textContent = t('retry.countdown', { reason, retry, maxRetries, seconds });
+    } else {
+      el.loadingText.textContent = t('retry.now', { reason, retry, maxRetries });
+      stopRetryCountdown();
+    }
+  };
+  update();
+  if (delayMs > 0) retryCountdown = setInterval(update, 250);
 }
 
 // ─── Error display ────────────────────────────────────────────────────────────
@@ -100,7 +333,135 @@ export function hideError() {
  * @param {string} summary
  */
 function renderSummary(summary) {
-  el.summaryText.textContent = summary?.trim() || 'No summary was provided.';
+  el.summaryText.textContent = summary?.trim() || t('summary.none');
+}
+
+// ─── Quality score (FR-03.8) ──────────────────────────────────────────────────
+
+/** Severity weights of the quality score; see setQualityWeights(). */
+let qualityWeights = DEFAULT_QUALITY_WEIGHTS;
+
+/** Code and smells of the shown quality score, to re-score on new weights. */
+let scoredAnalysis = null;
+
+/**
+ * Creates one bar of a breakdown chart.
+ *
+ * @param {string} label
+ * @param {number} count
+ * @param {number} max       - Count of the longest bar.
+ * @param {string} [variant] - Extra class of the bar, e.g. a severity.
+ * @returns {HTMLLIElement}
+ */
+function createQualityBar(label, count, max, variant = '') {
+  const bar = document.createElement('li');
+  bar.className = 'quality-bar';
+  bar.setAttribute('aria-label', `${label}: ${count}`);
+
+  const name = document.createElement('span');
+  name.className = 'quality-bar-label';
+  name.textContent = label;
+
+  const track = document.createElement('span');
+  track.className = 'quality-bar-track';
+  const fill = document.createElement('span');
+  fill.className = `quality-bar-fill ${variant}`.trim();
+  fill.style.width = `${max === 0 ? 0 : (count / max) * 100}%`;
+  track.append(fill);
+
+  const value = document.createElement('span');
+  value.className = 'quality-bar-count';
+  value.textContent = String(count);
+
+  bar.append(name, track, value);
+  return bar;
+}
+
+/**
+ * Renders the quality score of the analysis and its smells broken down by
+ * severity and by category, next to the summary.
+ *
+ * @param {string} code
+ * @param {Array}  smells
+ */
+function renderQuality(code, smells) {
+  scoredAnalysis = { code, smells };
+  const quality  = qualityScore(smells, code, qualityWeights);
+
+  el.qualityValue.textContent = String(quality.score);
+  el.qualityGrade.textContent = t('quality.grade', { grade: quality.grade });
+  el.qualityGrade.className   = `quality-grade grade-${quality.grade.toLowerCase()}`;
+  el.qualityDetail.textContent = t('quality.detail', {
+    points: t('quality.points', { count: quality.penalty }),
+    lines:  t('quality.lines', { count: quality.lines }),
+  });
+
+  const severityMax = Math.max(...Object.values(quality.bySeverity));
+  el.severityChart.replaceChildren(...Object.entries(quality.bySeverity).map(([severity, count]) =>
+    createQualityBar(t(`severity.${severity}`), count, severityMax, normaliseSeverity(severity))));
+
+  const categoryMax = Math.max(0, ...quality.byCategory.map(({ count }) => count));
+  el.categoryChart.replaceChildren(...quality.byCategory.map(({ category, count }) =>
+    createQualityBar(t(`category.${category}`), count, categoryMax)));
+  if (quality.byCategory.length === 0) {
+    const none = document.createElement('li');
+    none.className = 'quality-none';
+    none.textContent = t('quality.noSmells');
+    el.categoryChart.append(none);
+  }
+
+  el.qualityDashboard.classList.remove('hidden');
+}
+
+/**
+ * Sets the severity weights of the quality score (config.json
+ * `quality_weights`) and re-scores the shown analysis with them.
+ *
+ * @param {import('./quality.js').QualityWeights} weights
+ */
+export function setQualityWeights(weights) {
+  qualityWeights = weights;
+  if (scoredAnalysis && !el.qualityDashboard.classList.contains('hidden')) {
+    renderQuality(scoredAnalysis.code, scoredAnalysis.smells);
+  }
+}
+
+/**
+ * Shows how the quality score developed — over the rounds of a "refactor
+ * until clean" run or the saved analyses of the same file — or hides the
+ * trend with null. A single point is no trend and is hidden too.
+ *
+ * @param {{label: string, score: number}[]|null} points - Oldest first.
+ * @param {string}      [caption]      - e.g. "Trend over 3 rounds".
+ * @param {number|null} [currentIndex] - The point of the shown analysis.
+ */
+export function renderQualityTrend(points, caption = t('quality.trend'), currentIndex = null) {
+  if (!points || points.length < 2) {
+    el.qualityTrend.classList.add('hidden');
+    el.trendChart.replaceChildren();
+    return;
+  }
+
+  el.trendCaption.textContent = caption;
+  el.trendChart.replaceChildren(...points.map(({ label, score }, index) => {
+    const point = document.createElement('li');
+    point.className = `quality-trend-point${index === currentIndex ? ' current' : ''}`;
+    point.title = `${label}: ${score} / 100`;
+    point.setAttribute('aria-label', point.title);
+    if (index === currentIndex) point.setAttribute('aria-current', 'true');
+
+    const column = document.createElement('span');
+    column.className = 'quality-trend-column';
+    column.style.height = `${Math.max(score, 2)}%`;
+
+    const value = document.createElement('span');
+    value.className = 'quality-trend-score';
+    value.textContent = String(score);
+
+    point.append(value, column);
+    return point;
+  }));
+  el.qualityTrend.classList.remove('hidden');
 }
 
 /**
@@ -119,20 +480,118 @@ function normaliseSeverity(severity) {
   }
 }
 
+/**
+ * @param {string} severity - Raw, as for normaliseSeverity().
+ * @returns {string} Its name in the current locale, e.g. "Major".
+ */
+function severityLabel(severity) {
+  const key = normaliseSeverity(severity);
+  return t(`severity.${key[0].toUpperCase()}${key.slice(1)}`);
+}
+
+/**
+ * @param {number} count
+ * @param {string} severity - Raw, as for normaliseSeverity().
+ * @returns {string} A severity count chip, e.g. "2 major".
+ */
+function severityChip(count, severity) {
+  return t('severityChip', { count, severity: severityLabel(severity).toLocaleLowerCase(getLocale()) });
+}
+
+/**
+ * Formats a smell's line range for display ("line 4" / "lines 3–5").
+ * @param {number}      start
+ * @param {number|null} end
+ * @returns {string}
+ */
+function formatLineRange(start, end) {
+  return end == null || end === start ? t('lineRange.one', { start }) : t('lineRange.many', { start, end });
+}
+
+/** Smell sources that get a tag; see the source.* messages. */
+const SMELL_SOURCES = ['rule', 'model', 'both'];
+
+/**
+ * Creates the small tag that shows where a smell came from.
+ *
+ * @param {'rule'|'model'|'both'|undefined} source
+ * @returns {HTMLElement|null} Null for smells without a known source.
+ */
+function createSourceTag(source) {
+  if (!SMELL_SOURCES.includes(source)) return null;
+  const description = t(`source.${source}Description`);
+
+  const tag = document.createElement('span');
+  tag.className = `smell-source source-${source}`;
+  tag.textContent = t(`source.${source}`);
+  tag.title = description;
+  tag.setAttribute('aria-label', description);
+  return tag;
+}
+
+/**
+ * Creates the Accept/Reject toggle and conflict note for a smell that carries
+ * its own edit. Every edit starts out accepted; updateEditControls() keeps
+ * the controls in sync with the user's decisions afterwards.
+ *
+ * @param {object} smell
+ * @param {number} index - Position of the smell in the rendered list.
+ * @returns {HTMLElement}
+ */
+function createEditControls(smell, index) {
+  const controls = document.createElement('div');
+  controls.className = 'smell-edit';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'edit-toggle';
+  toggle.dataset.smellIndex = index;
+  toggle.setAttribute('aria-pressed', 'true');
+  toggle.setAttribute('aria-label', t('edit.applyLabel', { name: smell.name ?? t('edit.thisSmell') }));
+  toggle.textContent = t('edit.accepted');
+
+  const range = document.createElement('span');
+  range.className = 'smell-edit-range';
+  range.textContent = smell.edit.end_line < smell.edit.start_line
+    ? t('edit.inserts', { line: smell.edit.start_line })
+    : t('edit.replaces', { range: formatLineRange(smell.edit.start_line, smell.edit.end_line) });
+
+  const conflict = document.createElement('span');
+  conflict.className = 'smell-conflict hidden';
+  conflict.setAttribute('role', 'status');
+
+  controls.append(toggle, range, conflict);
+  return controls;
+}
+
 /**
  * Creates a smell card article element.
  *
- * @param {object} smell - A single smell object from Gemini's response.
+ * @param {object} smell   - A single smell object from Gemini's response.
+ * @param {number} [index] - Position in the final result; cards rendered with
+ *                           one get Accept/Reject controls for their edit.
  * @returns {HTMLElement}
  */
-function createSmellCard(smell) {
+function createSmellCard(smell, index) {
   const severity = normaliseSeverity(smell.severity);
 
   const card = document.createElement('article');
   card.className = `smell-card severity-${severity}`;
   card.setAttribute('role', 'listitem');
-  card.setAttribute('aria-label',
-    `${smell.name ?? 'Code smell'} — severity ${smell.severity ?? 'Minor'}`);
+  card.setAttribute('aria-label', t('smell.cardLabel', {
+    name: smell.name ?? t('smell.unnamed'), severity: severityLabel(smell.severity),
+  }));
+
+  // Cards with a line range can be clicked (or activated from the keyboard)
+  // to highlight those lines in the original code pane.
+  if (Number.isInteger(smell.start_line)) {
+    card.dataset.startLine = smell.start_line;
+    card.dataset.endLine   = smell.end_line ?? smell.start_line;
+    card.classList.add('has-lines');
+    card.tabIndex = 0;
+    card.setAttribute('aria-label', t('smell.cardLocated', {
+      label: card.getAttribute('aria-label'), range: formatLineRange(smell.start_line, smell.end_line),
+    }));
+  }
 
   // Header row: name + severity badge + location
   const header = document.createElement('div');
@@ -140,13 +599,13 @@ function createSmellCard(smell) {
 
   const name = document.createElement('span');
   name.className = 'smell-name';
-  name.textContent = smell.name ?? 'Unknown Smell';
+  name.textContent = smell.name ?? t('smell.unknown');
 
   // NFR-03: severity uses both a colour class AND a visible text label
   const badge = document.createElement('span');
   badge.className = `severity-badge ${severity}`;
-  badge.textContent = smell.severity ?? 'Minor';
-  badge.setAttribute('aria-label', `Severity: ${smell.severity ?? 'Minor'}`);
+  badge.textContent = severityLabel(smell.severity);
+  badge.setAttribute('aria-label', t('smell.severityLabel', { severity: severityLabel(smell.severity) }));
 
   const location = document.createElement('span');
   location.className = 'smell-location';
@@ -154,13 +613,25 @@ function createSmellCard(smell) {
     location.textContent = `📍 ${smell.location}`;
   }
 
-  header.append(name, badge, location);
+  header.append(name, badge);
+  const source = createSourceTag(smell.source);
+  if (source) header.append(source);
+  header.append(location);
+
+  if (card.dataset.startLine) {
+    const lines = document.createElement('span');
+    lines.className = 'smell-lines';
+    lines.textContent = formatLineRange(smell.start_line, smell.end_line);
+    header.append(lines);
+  }
 
   const explanation = document.createElement('p');
   explanation.className = 'smell-explanation';
   explanation.textContent = smell.explanation ?? '';
+  explanation.dir = 'auto'; // older analyses may be in another language than the page
 
   card.append(header, explanation);
+  if (smell.edit && index !== undefined) card.append(createEditControls(smell, index));
   return card;
 }
 
@@ -173,9 +644,7 @@ function createSmellCard(smell) {
 function renderSmells(smells) {
   const count = smells.length;
   el.smellCountBadge.textContent =
-    count === 0 ? '0 smells found'
-    : count === 1 ? '1 smell found'
-    : `${count} smells found`;
+t('smells.found', { count });
 
   // replaceChildren() clears children without touching innerHTML (avoids XSS pattern)
   el.smellsList.replaceChildren();
@@ -183,13 +652,118 @@ function renderSmells(smells) {
   if (count === 0) {
     const msg = document.createElement('p');
     msg.className = 'no-smells-message';
-    msg.textContent = '✓ No code smells detected.';
+    msg.textContent = t('smells.none');
     el.smellsList.appendChild(msg);
     return;
   }
 
+  smells.forEach((smell, index) => {
+    el.smellsList.appendChild(createSmellCard(smell, index));
+  });
+}
+
+/**
+ * Syncs each smell card's Accept/Reject toggle with the user's decisions and
+ * flags accepted edits that could not be applied because they overlap another
+ * accepted edit.
+ *
+ * @param {Set<number>}         rejected  - Indexes of rejected edits.
+ * @param {Map<number, number>} conflicts - Index of each skipped edit → index of the edit it overlaps.
+ */
+export function updateEditControls(rejected, conflicts) {
+  for (const toggle of el.smellsList.querySelectorAll('.edit-toggle')) {
+    const index    = Number(toggle.dataset.smellIndex);
+    const accepted = !rejected.has(index);
+    const card     = toggle.closest('.smell-card');
+    const note     = card.querySelector('.smell-conflict');
+
+    toggle.setAttribute('aria-pressed', String(accepted));
+    toggle.textContent = accepted ? t('edit.accepted') : t('edit.rejected');
+    card.classList.toggle('edit-rejected', !accepted);
+
+    const other = conflicts.get(index);
+    card.classList.toggle('edit-conflict', other !== undefined);
+    note.classList.toggle('hidden', other === undefined);
+    if (other !== undefined) {
+      const otherName = el.smellsList
+        .querySelector(`.edit-toggle[data-smell-index="${other}"]`)
+        ?.closest('.smell-card').querySelector('.smell-name').textContent;
+      note.textContent = t('edit.conflict', { name: otherName ?? t('edit.anotherSmell') });
+    }
+  }
+}
+
+/**
+ * Returns the smell index of the Accept/Reject toggle containing `target`.
+ * @param {EventTarget} target
+ * @returns {number|null} Null when the target is not an edit toggle.
+ */
+export function editIndexAt(target) {
+  const toggle = target?.closest?.('.edit-toggle');
+  return toggle ? Number(toggle.dataset.smellIndex) : null;
+}
+
+/**
+ * Rewrites a (possibly highlighted) code element so that every source line is
+ * its own `.code-line` element carrying a `data-line` number, which CSS shows
+ * as a line-number gutter. highlight.js token spans that cross a newline are
+ * split, so each line keeps its own highlighting. Uses DOM APIs only — no
+ * innerHTML.
+ *
+ * @param {HTMLElement} codeEl
+ */
+function splitIntoLines(codeEl) {
+  const lines = [document.createDocumentFragment()];
+
+  // Wraps a text node in shallow clones of its highlight.js ancestor spans
+  const wrap = (text, wrappers) => wrappers.reduceRight((inner, wrapper) => {
+    const clone = wrapper.cloneNode(false);
+    clone.append(inner);
+    return clone;
+  }, document.createTextNode(text));
+
+  const walk = (node, wrappers) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        child.textContent.split('\n').forEach((part, index) => {
+          if (index > 0) lines.push(document.createDocumentFragment());
+          if (part) lines.at(-1).append(wrap(part, wrappers));
+        });
+      } else {
+        walk(child, [...wrappers, child]);
+      }
+    }
+  };
+  walk(codeEl, []);
+
+  // A trailing newline does not start a new line (matches prompt.countLines)
+  if (lines.length > 1 && !lines.at(-1).hasChildNodes()) lines.pop();
+
+  codeEl.replaceChildren(...lines.map((fragment, index) => {
+    const line = document.createElement('span');
+    line.className = 'code-line';
+    line.dataset.line = index + 1;
+    line.append(fragment);
+    return line;
+  }));
+}
+
+/**
+ * Marks the lines of the original code pane that at least one smell touches,
+ * so the user can see where hovering will highlight smell cards.
+ *
+ * @param {Array} smells
+ */
+function markSmellLines(smells) {
+  const touched = new Set();
   for (const smell of smells) {
-    el.smellsList.appendChild(createSmellCard(smell));
+    if (!Number.isInteger(smell.start_line)) continue;
+    for (let n = smell.start_line; n <= (smell.end_line ?? smell.start_line); n++) {
+      touched.add(n);
+    }
+  }
+  for (const line of el.originalCode.children) {
+    line.classList.toggle('has-smell', touched.has(Number(line.dataset.line)));
   }
 }
 
@@ -213,20 +787,107 @@ const HL_LANG_MAP = {
 };
 
 function renderCode(originalCode, refactoredCode, language) {
+  applyHighlight(el.originalCode,   originalCode,   language);
+  applyHighlight(el.refactoredCode, refactoredCode, language);
+}
+
+/**
+ * Fills a code element with highlighted source, split into numbered lines.
+ *
+ * @param {HTMLElement} codeEl
+ * @param {string}      source
+ * @param {string}      language - Language identifier for highlight.js.
+ */
+function applyHighlight(codeEl, source, language) {
   const key    = (language ?? '').toLowerCase();
   const hlLang = HL_LANG_MAP[key] ?? (key && key !== 'auto' && key !== 'other' ? key : 'plaintext');
 
-  function applyHighlight(codeEl, source) {
-    codeEl.removeAttribute('class');
-    codeEl.textContent = source;
-    if (window.hljs) {
-      codeEl.className = `language-${hlLang}`;
-      window.hljs.highlightElement(codeEl);
-    }
+  codeEl.removeAttribute('class');
+  codeEl.textContent = source;
+  if (window.hljs) {
+    codeEl.className = `language-${hlLang}`;
+    window.hljs.highlightElement(codeEl);
+  }
+  splitIntoLines(codeEl);
+}
+
+/**
+ * Re-renders only the refactored side — the refactored pane and the diff —
+ * after the user accepts or rejects an edit. The original pane, and any line
+ * highlighted in it, is left alone; behaviour check results, which no longer
+ * apply, are cleared.
+ *
+ * @param {string} originalCode
+ * @param {string} refactoredCode - Composed from the accepted edits.
+ * @param {string} language
+ */
+export function renderRefactoredCode(originalCode, refactoredCode, language) {
+  applyHighlight(el.refactoredCode, refactoredCode, language);
+  renderDiff(originalCode, refactoredCode);
+  renderSyntaxCheck(originalCode, refactoredCode, language);
+  clearEquivalenceResults();
+}
+
+/**
+ * Reports the first syntax error in the refactored code above the comparison
+ * and marks its line in the refactored pane (FR-04.6). Results without a
+ * refactoring are not checked: their code is the user's own.
+ *
+ * @param {string} originalCode
+ * @param {string} refactoredCode
+ * @param {string} language
+ */
+function renderSyntaxCheck(originalCode, refactoredCode, language) {
+  const problem = refactoredCode === originalCode ? null : checkSyntax(refactoredCode, language);
+  el.syntaxError.textContent = problem
+    ? t('syntax.error', { problem: formatSyntaxProblem(problem) })
+    : '';
+  el.syntaxError.classList.toggle('hidden', !problem);
+  if (problem) {
+    el.refactoredCode.querySelector(`.code-line[data-line="${problem.line}"]`)
+      ?.classList.add('syntax-error-line');
+  }
+}
+
+/**
+ * Number of smell cards shown so far for the analysis currently streaming
+ * in, or null before its first chunk has been rendered.
+ * @type {number|null}
+ */
+let streamedSmellCount = null;
+
+/**
+ * Renders a partially streamed analysis (summary so far plus every smell that
+ * has fully arrived) and makes the results section visible. Smell cards are
+ * appended as they complete; the code panes stay empty until renderResults()
+ * receives the complete result.
+ *
+ * @param {{summary: string, smells: Array}} partial - From api.analyzeCode()'s onProgress.
+ */
+export function renderPartialResults(partial) {
+  if (streamedSmellCount === null) {
+    // First chunk of a new analysis — clear whatever the previous one left
+    streamedSmellCount = 0;
+    el.smellsList.replaceChildren();
+    el.originalCode.textContent   = '';
+    el.refactoredCode.textContent = '';
+    el.originalCode.removeAttribute('class');
+    el.refactoredCode.removeAttribute('class');
+    el.diffView.replaceChildren();
+    el.diffStats.textContent = '';
+    el.syntaxError.classList.add('hidden');
+    el.qualityDashboard.classList.add('hidden');
+    el.resultsSection.classList.remove('hidden');
   }
 
-  applyHighlight(el.originalCode,   originalCode);
-  applyHighlight(el.refactoredCode, refactoredCode);
+  el.summaryText.textContent = partial.summary;
+
+  for (const smell of partial.smells.slice(streamedSmellCount)) {
+    el.smellsList.appendChild(createSmellCard(smell));
+  }
+  streamedSmellCount = partial.smells.length;
+  el.smellCountBadge.textContent =
+    t('smells.soFar', { count: streamedSmellCount });
 }
 
 /**
@@ -238,132 +899,1240 @@ function renderCode(originalCode, refactoredCode, language) {
  */
 export function renderResults(result, code, language) {
   renderSummary(result.summary);
+  renderQuality(code, result.smells);
+  renderQualityTrend(null);
   renderSmells(result.smells);
   renderCode(code, result.refactored_code, language);
+  renderDiff(code, result.refactored_code);
+  renderSyntaxCheck(code, result.refactored_code, language);
+  markSmellLines(result.smells);
+  setEditorMarkers(code, result.smells);
+  setAnalysisUsage(result.usage);
+  setCached(Boolean(result.cached));
+  setEquivalenceAvailable(code, language, result.refactored_code !== code);
+  el.shareOutput.classList.add('hidden');
   el.resultsSection.classList.remove('hidden');
 }
 
-// ─── Clipboard ────────────────────────────────────────────────────────────────
-
 /**
- * Copies text to the clipboard and shows "Copied!" feedback on the button
- * for 2 seconds before reverting (FR-04.2, FR-04.3).
+ * Labels a result that came from the response cache and offers to run the
+ * analysis again without it (FR-02.13).
  *
- * @param {string} text - The text to copy.
+ * @param {boolean} cached
  */
-export async function copyToClipboard(text) {
-  try {
-    await navigator.clipboard.writeText(text);
-    el.copyBtn.textContent = 'Copied!';
-    el.copyBtn.setAttribute('aria-label', 'Code copied to clipboard');
-    setTimeout(() => {
-      el.copyBtn.textContent = 'Copy to Clipboard';
-      el.copyBtn.setAttribute('aria-label', 'Copy refactored code to clipboard');
-    }, 2000);
-  } catch {
-    showError('Could not copy to clipboard. Please select and copy the code manually.');
-  }
-}
-
-// ─── Chat ─────────────────────────────────────────────────────────────────────
-
-/** Makes the follow-up chat panel visible after a successful analysis (FR-05.1). */
-export function showChatPanel() {
-  el.chatPanel.classList.remove('hidden');
+function setCached(cached) {
+  el.cachedBadge.classList.toggle('hidden', !cached);
+  el.rerunFreshBtn.classList.toggle('hidden', !cached);
 }
 
 /**
- * Creates a chat message wrapper element with label and bubble.
+ * Shows the tokens and estimated cost of the analysis in the Summary panel
+ * (FR-02.12). Results without usage — rule checks, older history — hide it.
  *
- * @param {'user'|'gemini'} role
- * @param {string}          text
- * @returns {HTMLElement}
+ * @param {import('./usage.js').Usage|null|undefined} usage
  */
-function createChatMessage(role, text) {
-  const wrapper = document.createElement('div');
-  wrapper.className = `chat-message ${role}`;
-  wrapper.setAttribute('aria-label', `${role === 'user' ? 'You' : 'Gemini'}: ${text}`);
+function setAnalysisUsage(usage) {
+  el.usageBadge.textContent = usage ? formatUsage(usage) : '';
+  el.usageBadge.classList.toggle('hidden', !usage);
+}
 
-  const label = document.createElement('span');
-  label.className = 'chat-message-label';
-  label.textContent = role === 'user' ? 'You' : 'Gemini';
-  label.setAttribute('aria-hidden', 'true');
+// ─── Diff view ────────────────────────────────────────────────────────────────
 
-  const bubble = document.createElement('div');
-  bubble.className = 'chat-message-bubble';
-  bubble.textContent = text;
+/** @type {'split'|'unified'|'files'} */
+let comparisonView = 'split';
 
-  wrapper.append(label, bubble);
-  return wrapper;
+/** Display blocks of the current diff, kept so the view can be re-rendered. */
+let currentDiffBlocks = [];
+
+/** Collapsed unchanged lines behind each "Show N unchanged lines" button. */
+const gapLines = new WeakMap();
+
+/**
+ * Creates a table cell.
+ * @param {string} className
+ * @param {string|number} [text]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(className, text = '') {
+  const cell = document.createElement('td');
+  cell.className = className;
+  cell.textContent = text;
+  return cell;
 }
 
 /**
- * Appends a message bubble to the chat log (FR-05.3, FR-05.4).
- *
- * @param {'user'|'gemini'} role - Message author.
- * @param {string}          text - Message content.
+ * Creates the rows for unchanged lines in the current view mode.
+ * @param {{old: {number: number, text: string}, new: {number: number, text: string}}[]} lines
+ * @returns {HTMLTableRowElement[]}
  */
-export function appendChatMessage(role, text) {
-  el.chatLog.appendChild(createChatMessage(role, text));
-  // Scroll the newest message into view
-  el.chatLog.scrollTop = el.chatLog.scrollHeight;
+function createContextRows(lines) {
+  return lines.map(({ old, new: next }) => {
+    const row = document.createElement('tr');
+    row.className = 'diff-row context';
+    if (comparisonView === 'split') {
+      row.append(
+        createCell('diff-num', old.number), createCell('diff-code', old.text),
+        createCell('diff-num', next.number), createCell('diff-code', next.text),
+      );
+    } else {
+      row.append(
+        createCell('diff-num', old.number), createCell('diff-num', next.number),
+        createCell('diff-sign', ' '), createCell('diff-code', old.text),
+      );
+    }
+    return row;
+  });
 }
 
 /**
- * Enables or disables the chat send button and input while a request is
- * in flight.
+ * Creates the rows for one block of removed/added lines. The split view pairs
+ * removed and added lines side by side ("changed" rows); the unified view
+ * lists all removals before all additions.
  *
- * @param {boolean} sending
+ * @param {{removed: Array, added: Array}} block
+ * @returns {HTMLTableRowElement[]}
  */
-export function setChatSending(sending) {
-  el.chatSendBtn.disabled    = sending;
-  el.chatInput.disabled      = sending;
-  el.chatSendBtn.textContent = sending ? '…' : 'Send';
-}
+function createChangeRows({ removed, added }) {
+  const rows = [];
 
-/** Clears the chat question input field. */
-export function clearChatInput() {
-  el.chatInput.value = '';
-}
+  if (comparisonView === 'split') {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      const before = removed[i];
+      const after  = added[i];
+      const row = document.createElement('tr');
+      row.className = `diff-row ${before && after ? 'changed' : before ? 'removed' : 'added'}`;
+      row.append(
+        createCell('diff-num', before?.number ?? ''),
+        createCell(before ? 'diff-code removed' : 'diff-code empty', before?.text ?? ''),
+        createCell('diff-num', after?.number ?? ''),
+        createCell(after ? 'diff-code added' : 'diff-code empty', after?.text ?? ''),
+      );
+      rows.push(row);
+    }
+    return rows;
+  }
 
-// ─── Full reset ───────────────────────────────────────────────────────────────
+  for (const line of removed) {
+    const row = document.createElement('tr');
+    row.className = 'diff-row removed';
+    row.append(
+      createCell('diff-num', line.number), createCell('diff-num'),
+      createCell('diff-sign', '−'), createCell('diff-code removed', line.text),
+    );
+    rows.push(row);
+  }
+  for (const line of added) {
+    const row = document.createElement('tr');
+    row.className = 'diff-row added';
+    row.append(
+      createCell('diff-num'), createCell('diff-num', line.number),
+      createCell('diff-sign', '+'), createCell('diff-code added', line.text),
+    );
+    rows.push(row);
+  }
+  return rows;
+}
 
 /**
- * Resets the entire UI to its initial empty state (FR-06.2, AC-01.3).
- * Called when the user clicks "Clear".
+ * Creates the row standing in for a collapsed run of unchanged lines.
+ * @param {Array} lines - The hidden lines, revealed by expandDiffGapAt().
+ * @returns {HTMLTableRowElement}
  */
-export function reset() {
-  // Input
-  el.codeInput.value         = '';
-  el.languageSelect.value    = 'auto';
-  el.codeInput.disabled      = false;
-  el.languageSelect.disabled = false;
-  updateCharCount(0);
-  setAnalyzeButtonEnabled(false);
+function createGapRow(lines) {
+  const button = document.createElement('button');
+  button.className = 'diff-expand';
+  button.textContent = t('diff.showUnchanged', { count: lines.length });
+  gapLines.set(button, lines);
 
-  // Error & loading
-  hideError();
-  el.loadingIndicator.classList.add('hidden');
+  const cell = createCell('diff-gap');
+  cell.colSpan = 4;
+  cell.append(button);
 
-  // Results — use replaceChildren() to clear safely (no innerHTML)
+  const row = document.createElement('tr');
+  row.className = 'diff-row gap';
+  row.append(cell);
+  return row;
+}
+
+/** Renders currentDiffBlocks into the diff view in the current view mode. */
+function renderDiffTable() {
+  const table = document.createElement('table');
+  table.className = `diff-table ${comparisonView}`;
+
+  // Column widths come from the <colgroup> (the table uses a fixed layout, and
+  // the first row may be a full-width gap row)
+  const columns = comparisonView === 'split'
+    ? ['diff-col-num', 'diff-col-code', 'diff-col-num', 'diff-col-code']
+    : ['diff-col-num', 'diff-col-num', 'diff-col-sign', 'diff-col-code'];
+  const colgroup = document.createElement('colgroup');
+  for (const className of columns) {
+    const col = document.createElement('col');
+    col.className = className;
+    colgroup.append(col);
+  }
+
+  const body = document.createElement('tbody');
+
+  if (!currentDiffBlocks.some((block) => block.kind === 'change')) {
+    const row = document.createElement('tr');
+    row.append(createCell('diff-identical', t('diff.identical')));
+    row.firstChild.colSpan = 4;
+    body.append(row);
+  }
+
+  for (const block of currentDiffBlocks) {
+    if (block.kind === 'equal')  body.append(...createContextRows(block.lines));
+    if (block.kind === 'change') body.append(...createChangeRows(block));
+    if (block.kind === 'gap')    body.append(createGapRow(block.lines));
+  }
+
+  table.append(colgroup, body);
+  el.diffView.replaceChildren(table);
+}
+
+/**
+ * Computes and renders the line diff between the two sources, plus the
+ * "+added −removed" summary in the panel header.
+ *
+ * @param {string} originalCode
+ * @param {string} refactoredCode
+ */
+function renderDiff(originalCode, refactoredCode) {
+  const ops = computeDiff(originalCode, refactoredCode);
+  const { added, removed } = diffStats(ops);
+
+  currentDiffBlocks = diffBlocks(ops);
+  el.diffStats.textContent = `+${added} −${removed}`;
+  el.diffStats.setAttribute('aria-label', t('diff.statsLabel', { added, removed }));
+  renderDiffTable();
+}
+
+/**
+ * Switches the comparison panel between the split diff, the unified diff and
+ * the full side-by-side files (FR-04.4).
+ *
+ * @param {'split'|'unified'|'files'} view
+ */
+export function setComparisonView(view) {
+  if (!['split', 'unified', 'files'].includes(view)) return;
+  comparisonView = view;
+
+  for (const button of el.viewToggle.querySelectorAll('[data-view]')) {
+    button.setAttribute('aria-pressed', String(button.dataset.view === view));
+  }
+  el.diffView.classList.toggle('hidden', view === 'files');
+  el.filesView.classList.toggle('hidden', view !== 'files');
+  if (view !== 'files') renderDiffTable();
+}
+
+/**
+ * Switches view when one of the view-toggle buttons is the event target.
+ * @param {EventTarget} target
+ */
+export function setComparisonViewAt(target) {
+  const view = target?.closest?.('[data-view]')?.dataset.view;
+  if (view) setComparisonView(view);
+}
+
+/**
+ * Expands a collapsed run of unchanged lines when its button is the event
+ * target.
+ *
+ * @param {EventTarget} target
+ */
+export function expandDiffGapAt(target) {
+  const button = target?.closest?.('.diff-expand');
+  const lines  = button && gapLines.get(button);
+  if (!lines) return;
+  button.closest('tr').replaceWith(...createContextRows(lines));
+}
+
+// ─── Behaviour check (FR-04.5) ────────────────────────────────────────────────
+
+/**
+ * Shows the behaviour check for refactored JavaScript, offering the
+ * functions the original code declares. The function chosen earlier is kept
+ * while the code still declares it.
+ *
+ * @param {string}  code       - The original code.
+ * @param {string}  language
+ * @param {boolean} refactored - Whether there is a refactoring to check.
+ */
+function setEquivalenceAvailable(code, language, refactored) {
+  const available = refactored && canCheckEquivalence(code, language);
+  el.equivalencePanel.classList.toggle('hidden', !available);
+  clearEquivalenceResults();
+  if (!available) return;
+
+  const names = findFunctionNames(code);
+  el.equivalenceFunctions.replaceChildren(...names.map((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    return option;
+  }));
+  if (!names.includes(el.equivalenceFunction.value.trim())) {
+    el.equivalenceFunction.value = names[0] ?? '';
+  }
+}
+
+/**
+ * @returns {{functionName: string, inputs: string}} The function to call and
+ *   the sample inputs, as entered.
+ */
+export function getEquivalenceInput() {
+  return {
+    functionName: el.equivalenceFunction.value.trim(),
+    inputs:       el.equivalenceInputs.value,
+  };
+}
+
+/**
+ * Fills in the function and sample inputs, e.g. as proposed by the model.
+ *
+ * @param {string}   functionName
+ * @param {string[]} inputs - One JSON array of arguments each.
+ */
+export function setEquivalenceInput(functionName, inputs) {
+  el.equivalenceFunction.value = functionName;
+  el.equivalenceInputs.value   = inputs.join('\n');
+}
+
+/**
+ * Disables the check's buttons while inputs are suggested or the check runs.
+ *
+ * @param {boolean} busy
+ * @param {string}  [status] - Shown in the panel header meanwhile. When done,
+ *   it is replaced by the results, or cleared if there are none.
+ */
+export function setEquivalenceBusy(busy, status = '') {
+  el.equivalenceSuggestBtn.disabled = busy;
+  el.equivalenceRunBtn.disabled     = busy;
+  el.equivalencePanel.setAttribute('aria-busy', String(busy));
+  if (busy || el.equivalenceResults.classList.contains('hidden')) {
+    el.equivalenceStatus.textContent = status;
+    el.equivalenceStatus.classList.toggle('hidden', !status);
+  }
+}
+
+/**
+ * @param {import('./equivalence.js').Outcome} outcome
+ * @returns {string} e.g. "3", "throws TypeError: bad", "timed out after 2 s"
+ */
+function formatOutcome({ kind, value }) {
+  if (kind === 'throw')   return t('equivalence.throws', { value });
+  if (kind === 'timeout') return t('equivalence.timedOut', { value });
+  return value;
+}
+
+/**
+ * Renders the pass/fail table, and flags a divergence next to the refactored
+ * code.
+ *
+ * @param {import('./equivalence.js').CaseResult[]} results
+ */
+export function renderEquivalenceResults(results) {
+  el.equivalenceBody.replaceChildren(...results.map((result) => {
+    const row = document.createElement('tr');
+    row.classList.toggle('different', !result.same);
+
+    const cells = [result.input, formatOutcome(result.original), formatOutcome(result.refactored)]
+      .map((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        return cell;
+      });
+    const verdict = document.createElement('td');
+    verdict.className   = result.same ? 'same' : 'different';
+    verdict.textContent = result.same ? t('equivalence.same') : t('equivalence.differs');
+
+    row.append(...cells, verdict);
+    return row;
+  }));
+  el.equivalenceResults.classList.remove('hidden');
+
+  const differing = results.filter((result) => !result.same).length;
+  const cases     = t('equivalence.cases', { count: results.length });
+  el.equivalenceStatus.textContent = differing === 0
+    ? t('equivalence.allSame', { cases })
+    : t('equivalence.someDiffer', { differing, cases });
+  el.equivalenceStatus.classList.remove('hidden');
+
+  el.equivalenceFlag.textContent = t('equivalence.flag', { differing, cases });
+  el.equivalenceFlag.classList.toggle('hidden', differing === 0);
+}
+
+/** Removes the results of an earlier check. The inputs are kept. */
+export function clearEquivalenceResults() {
+  el.equivalenceBody.replaceChildren();
+  el.equivalenceResults.classList.add('hidden');
+  el.equivalenceStatus.textContent = '';
+  el.equivalenceStatus.classList.add('hidden');
+  el.equivalenceFlag.textContent = '';
+  el.equivalenceFlag.classList.add('hidden');
+}
+
+// ─── Smell ↔ code linking ─────────────────────────────────────────────────────
+
+/**
+ * Selects the smell card containing `target` (a click or key event target):
+ * highlights its lines in the original code pane and scrolls them into view.
+ * Does nothing for cards without a line range, or when `target` is one of
+ * the card's own buttons.
+ *
+ * @param {EventTarget} target
+ * @returns {boolean} Whether a card was selected.
+ */
+export function selectSmellAt(target) {
+  if (target?.closest?.('button')) return false;
+  const card = target?.closest?.('.smell-card');
+  if (!card?.dataset.startLine) return false;
+
+  const start = Number(card.dataset.startLine);
+  const end   = Number(card.dataset.endLine);
+
+  // Line highlighting lives in the full original file
+  if (comparisonView !== 'files') setComparisonView('files');
+
+  for (const other of el.smellsList.children) {
+    other.classList.toggle('selected', other === card);
+  }
+  for (const line of el.originalCode.children) {
+    const n = Number(line.dataset.line);
+    line.classList.toggle('highlighted', n >= start && n <= end);
+  }
+
+  el.originalCode.querySelector(`.code-line[data-line="${start}"]`)
+    ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  return true;
+}
+
+/**
+ * Highlights every smell card whose line range touches the code line
+ * containing `target` (a hover target in the original code pane). Passing a
+ * target outside any line clears the highlight.
+ *
+ * @param {EventTarget|null} target
+ */
+export function linkSmellsToLineAt(target) {
+  const line = Number(target?.closest?.('.code-line')?.dataset.line) || null;
+
+  for (const card of el.smellsList.children) {
+    const start = Number(card.dataset.startLine);
+    const end   = Number(card.dataset.endLine);
+    card.classList.toggle('linked', line !== null && start <= line && line <= end);
+  }
+}
+
+// ─── Clipboard ────────────────────────────────────────────────────────────────
+
+/**
+ * Copies text to the clipboard and shows "Copied!" feedback on the button
+ * for 2 seconds before reverting (FR-04.2, FR-04.3).
+ *
+ * @param {string} text - The text to copy.
+ */
+export async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    el.copyBtn.textContent = t('copy.copied');
+    el.copyBtn.setAttribute('aria-label', t('copy.copiedLabel'));
+    setTimeout(() => {
+      el.copyBtn.textContent = t('copy.button');
+      el.copyBtn.setAttribute('aria-label', t('copy.buttonLabel'));
+    }, 2000);
+  } catch {
+    showError(t('copy.failed'));
+  }
+}
+
+// ─── Downloads ────────────────────────────────────────────────────────────────
+
+/**
+ * Offers text content as a file via the browser's download dialog.
+ *
+ * @param {string} content  - File contents.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} mimeType - e.g. "text/plain;charset=utf-8".
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const blob   = new Blob([content], { type: mimeType });
+  const url    = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+
+  anchor.href     = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+  URL.revokeObjectURL(url);
+}
+
+/** @returns {string} The report format chosen for "Export Report" (see report.js). */
+export function getReportFormat() {
+  return el.reportFormat.value;
+}
+
+// ─── Share links (FR-06.4) ────────────────────────────────────────────────────
+
+/** @returns {boolean} Whether a share link should include the chat. */
+export function getShareIncludesChat() {
+  return el.shareIncludeChat.checked;
+}
+
+/**
+ * Shows a new share link below the summary and copies it to the clipboard.
+ *
+ * @param {string|null} link - Null when the analysis was too large for a link
+ *   and was downloaded as a file instead.
+ */
+export async function showShareLink(link) {
+  el.shareOutput.classList.remove('hidden');
+  el.shareLink.classList.toggle('hidden', !link);
+  el.shareLink.value = link ?? '';
+  if (!link) {
+    el.shareStatus.textContent = t('share.downloaded');
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(link);
+    el.shareStatus.textContent = t('share.copied');
+  } catch {
+    el.shareStatus.textContent = t('share.copyManually');
+    el.shareLink.select();
+  }
+}
+
+/**
+ * Switches the read-only view of an analysis opened from a share link on or
+ * off: a banner explains it, and the code, the edit decisions and the chat
+ * cannot be changed.
+ *
+ * @param {boolean} shared
+ */
+export function setSharedView(shared) {
+  el.sharedBanner.classList.toggle('hidden', !shared);
+  el.codeInput.readOnly      = shared;
+  el.languageSelect.disabled = shared;
+  el.openFilesBtn.disabled   = shared;
+  el.openFolderBtn.disabled  = shared;
+  el.chatInput.disabled      = shared;
+  el.chatSendBtn.disabled    = shared;
+  for (const toggle of el.smellsList.querySelectorAll('.edit-toggle')) toggle.disabled = shared;
+  setAnalyzeButtonEnabled(!shared && el.codeInput.value.length >= 10);
+}
+
+// ─── Chat ─────────────────────────────────────────────────────────────────────
+
+/** Makes the follow-up chat panel visible after a successful analysis (FR-05.1). */
+export function showChatPanel() {
+  el.chatPanel.classList.remove('hidden');
+}
+
+/**
+ * @param {'user'|'gemini'} role
+ * @returns {string} The label of a chat message's author.
+ */
+function chatAuthor(role) {
+  return role === 'user' ? t('chat.you') : t('chat.model');
+}
+
+/**
+ * Creates a chat message wrapper element with label and bubble.
+ *
+ * @param {'user'|'gemini'} role
+ * @param {string}          text
+ * @param {import('./usage.js').Usage|null} [usage] - Shown below a reply.
+ * @returns {HTMLElement}
+ */
+function createChatMessage(role, text, usage = null) {
+  const wrapper = document.createElement('div');
+  wrapper.className = `chat-message ${role}`;
+  wrapper.setAttribute('aria-label', t('chat.messageLabel', { author: chatAuthor(role), text }));
+
+  const label = document.createElement('span');
+  label.className = 'chat-message-label';
+  label.textContent = chatAuthor(role);
+  label.setAttribute('aria-hidden', 'true');
+
+  const bubble = document.createElement('div');
+  bubble.className = 'chat-message-bubble';
+  bubble.dir = 'auto';
+  bubble.textContent = text;
+
+  wrapper.append(label, bubble);
+  if (usage) wrapper.appendChild(createChatUsage(usage));
+  return wrapper;
+}
+
+/**
+ * @param {import('./usage.js').Usage} usage
+ * @returns {HTMLElement} The tokens and estimated cost of a reply (FR-02.12).
+ */
+function createChatUsage(usage) {
+  const meta = document.createElement('span');
+  meta.className = 'chat-usage';
+  meta.textContent = formatUsage(usage);
+  return meta;
+}
+
+/**
+ * Appends a message bubble to the chat log (FR-05.3, FR-05.4).
+ *
+ * The returned handle lets the caller grow the bubble while a reply is still
+ * streaming in, show what the finished reply used, or drop it again if the
+ * request fails.
+ *
+ * @param {'user'|'gemini'} role - Message author.
+ * @param {string}          text - Message content.
+ * @returns {{update: (text: string) => void, setUsage: (usage: import('./usage.js').Usage|null) => void, remove: () => void}}
+ */
+export function appendChatMessage(role, text) {
+  const message = createChatMessage(role, text);
+  el.chatLog.appendChild(message);
+  // Scroll the newest message into view
+  el.chatLog.scrollTop = el.chatLog.scrollHeight;
+
+  return {
+    update(newText) {
+      message.querySelector('.chat-message-bubble').textContent = newText;
+      message.setAttribute('aria-label', t('chat.messageLabel', { author: chatAuthor(role), text: newText }));
+      el.chatLog.scrollTop = el.chatLog.scrollHeight;
+    },
+    setUsage(usage) {
+      if (usage) message.appendChild(createChatUsage(usage));
+    },
+    remove() {
+      message.remove();
+    },
+  };
+}
+
+/**
+ * Replaces the chat log with previously saved messages.
+ * @param {import('./state.js').ChatEntry[]} entries
+ */
+export function renderChatHistory(entries) {
+  el.chatLog.replaceChildren(...entries.map(({ role, text, usage }) => createChatMessage(role, text, usage)));
+  el.chatLog.scrollTop = el.chatLog.scrollHeight;
+  setChatCondensed(0);
+}
+
+/**
+ * Marks the oldest `count` chat messages as condensed — sent to the model
+ * only as a short summary — and says so above the chat log. 0 clears it.
+ *
+ * @param {number} count
+ */
+export function setChatCondensed(count) {
+  [...el.chatLog.children].forEach((message, index) =>
+    message.classList.toggle('condensed', index < count));
+
+  el.chatCondensed.textContent = count > 0
+    ? t('chat.condensed', { count })
+    : '';
+  el.chatCondensed.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Enables or disables the chat send button and input while a request is
+ * in flight.
+ *
+ * @param {boolean} sending
+ */
+export function setChatSending(sending) {
+  // aria-busy holds back screen-reader announcements until the reply is complete
+  el.chatLog.setAttribute('aria-busy', String(sending));
+  el.chatSendBtn.disabled    = sending;
+  el.chatInput.disabled      = sending;
+  el.chatSendBtn.textContent = sending ? t('chat.sending') : t('chat.send');
+  el.chatCancelBtn.classList.toggle('hidden', !sending);
+}
+
+/** Clears the chat question input field. */
+export function clearChatInput() {
+  el.chatInput.value = '';
+}
+
+// ─── History sidebar ──────────────────────────────────────────────────────────
+
+/**
+ * Opens or closes the history sidebar.
+ * @param {boolean} open
+ */
+export function setHistoryPanelOpen(open) {
+  el.historyPanel.classList.toggle('hidden', !open);
+  el.historyToggleBtn.setAttribute('aria-expanded', String(open));
+  if (open) el.historySearch.focus();
+  else      el.historyToggleBtn.focus();
+}
+
+/** @returns {boolean} Whether the history sidebar is open. */
+export function isHistoryPanelOpen() {
+  return !el.historyPanel.classList.contains('hidden');
+}
+
+/** @returns {string} The current history search query. */
+export function getHistoryQuery() {
+  return el.historySearch.value.trim();
+}
+
+/**
+ * Creates one entry of the history list: a button that reopens the run, and
+ * one that deletes it.
+ *
+ * @param {import('./history.js').HistoryRun} run
+ * @param {boolean} current - Whether the run is the one shown in the session.
+ * @returns {HTMLLIElement}
+ */
+function createHistoryItem(run, current) {
+  const item = document.createElement('li');
+  item.className = current ? 'history-item current' : 'history-item';
+
+  const firstLine = run.code.split('\n').find((line) => line.trim()) ?? '';
+  const count     = run.result.smells.length;
+  const language  = run.language === 'auto' ? t('html.autoDetect') : run.language;
+  const when      = run.createdAt.toLocaleString(getLocale());
+  const smells    = t('smellCount', { count });
+
+  const open = document.createElement('button');
+  open.className = 'history-open';
+  open.dataset.runId = run.id;
+  open.setAttribute('aria-label', t('history.reopenLabel', { when, smells }));
+  if (current) open.setAttribute('aria-current', 'true');
+
+  const meta = document.createElement('span');
+  meta.className = 'history-meta';
+  meta.textContent = `${when} · ${language} · ${smells}`;
+
+  const snippet = document.createElement('span');
+  snippet.className = 'history-snippet';
+  snippet.textContent = run.path ?? firstLine.trim();
+
+  const names = document.createElement('span');
+  names.className = 'history-smells';
+  names.textContent = run.result.smells.map((smell) => smell.name).join(', ');
+
+  open.append(meta, snippet, names);
+
+  const remove = document.createElement('button');
+  remove.className = 'history-delete';
+  remove.dataset.runId = run.id;
+  remove.setAttribute('aria-label', t('history.deleteLabel', { when }));
+  remove.textContent = '🗑';
+
+  item.append(open, remove);
+  return item;
+}
+
+/**
+ * Renders the list of saved runs in the history sidebar.
+ *
+ * @param {import('./history.js').HistoryRun[]} runs      - Newest first.
+ * @param {number|null}                         currentId - Run shown in the session.
+ */
+export function renderHistory(runs, currentId) {
+  if (runs.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = getHistoryQuery()
+      ? t('history.noMatches')
+      : t('history.empty');
+    el.historyList.replaceChildren(empty);
+    return;
+  }
+  el.historyList.replaceChildren(...runs.map((run) => createHistoryItem(run, run.id === currentId)));
+}
+
+/**
+ * Identifies the history action whose button contains `target`.
+ * @param {EventTarget} target
+ * @returns {{action: 'open'|'delete', id: number}|null}
+ */
+export function historyActionAt(target) {
+  const button = target?.closest?.('.history-open, .history-delete');
+  if (!button) return null;
+  return {
+    action: button.classList.contains('history-open') ? 'open' : 'delete',
+    id:     Number(button.dataset.runId),
+  };
+}
+
+// ─── Settings dialog ──────────────────────────────────────────────────────────
+
+/**
+ * Shows the provider and model in use in the page header.
+ * @param {import('./providers.js').ProviderSettings} settings
+ */
+export function setModelLabel(settings) {
+  el.modelLabel.textContent = `${getProvider(settings.provider).label} (${settings.model})`;
+}
+
+/**
+ * Shows the running token and cost total of the session in the page header
+ * (FR-02.12). Hidden until the first request reports usage.
+ *
+ * @param {import('./usage.js').Usage|null} usage
+ */
+export function setSessionUsage(usage) {
+  el.sessionUsage.classList.toggle('hidden', !usage);
+  if (!usage) return;
+  el.sessionUsage.textContent = usage.cost === null
+    ? t('session.usage', { tokens: formatTokens(usage.totalTokens) })
+    : t('session.usageCost', { tokens: formatTokens(usage.totalTokens), cost: formatCost(usage.cost) });
+}
+
+/**
+ * Shows in the page header that requests are being recorded or replayed
+ * (FR-02.14), with a download for the recording. Hidden for live traffic.
+ *
+ * @param {import('./transport.js').TransportSettings|null} transport
+ */
+export function setTransportStatus(transport) {
+  const mode = transport?.mode ?? 'live';
+  el.transportStatus.classList.toggle('hidden', mode === 'live');
+  el.downloadRecordingBtn.classList.toggle('hidden', mode !== 'record');
+  if (mode === 'live') return;
+  el.transportLabel.textContent = mode === 'replay'
+    ? t('transport.replaying', { fixtures: transport.fixtures })
+    : t('transport.recording', { fixtures: transport.fixtures });
+}
+
+/**
+ * Offers the chosen provider's models and shows its defaults as placeholders.
+ * @param {string} name - A key of PROVIDERS.
+ */
+export function setSettingsProvider(name) {
+  const provider = getProvider(name) ?? PROVIDERS.gemini;
+  el.settingsProvider.value = name;
+  el.settingsModels.replaceChildren(...provider.suggestedModels.map((model) => {
+    const option = document.createElement('option');
+    option.value = model;
+    return option;
+  }));
+  el.settingsModel.placeholder  = provider.defaultModel;
+  el.settingsApiKey.placeholder = provider.requiresKey ? t('settings.keyFromConfig') : t('settings.keyNotRequired');
+}
+
+/**
+ * Opens the Settings dialog filled with the saved settings.
+ *
+ * @param {import('./settings.js').StoredSettings|null} stored
+ * @param {string}  provider   - Provider shown when nothing is saved.
+ * @param {boolean} remembered - Whether the saved settings are kept on this device.
+ */
+export function openSettings(stored, provider, remembered) {
+  const number = (value) => (value === null || value === undefined ? '' : String(value));
+
+  setSettingsProvider(stored?.provider || provider);
+  el.settingsApiKey.value      = stored?.apiKey ?? '';
+  el.settingsModel.value       = stored?.model ?? '';
+  el.settingsTemperature.value = number(stored?.temperature);
+  el.settingsMaxTokens.value   = number(stored?.maxOutputTokens);
+  el.settingsTimeout.value     = number(stored?.timeoutSeconds);
+  el.settingsRemember.checked  = remembered;
+  setSettingsError(null);
+  el.settingsDialog.showModal();
+}
+
+/** Closes the Settings dialog. */
+export function closeSettings() {
+  el.settingsDialog.close();
+}
+
+/**
+ * Reads the Settings dialog. Empty number fields are null; fields that are
+ * not numbers at all are NaN, which settings.validateSettings() rejects.
+ *
+ * @returns {{settings: import('./settings.js').StoredSettings, remember: boolean}}
+ */
+export function getSettingsForm() {
+  const number = (input) => {
+    if (input.validity.badInput) return NaN;
+    return input.value.trim() === '' ? null : Number(input.value);
+  };
+  return {
+    settings: {
+      provider:        el.settingsProvider.value,
+      apiKey:          el.settingsApiKey.value.trim(),
+      model:           el.settingsModel.value.trim(),
+      temperature:     number(el.settingsTemperature),
+      maxOutputTokens: number(el.settingsMaxTokens),
+      timeoutSeconds:  number(el.settingsTimeout),
+    },
+    remember: el.settingsRemember.checked,
+  };
+}
+
+/**
+ * Shows a problem with the entered settings inside the dialog.
+ * @param {string|null} message - Null hides it.
+ */
+export function setSettingsError(message) {
+  el.settingsError.textContent = message ?? '';
+  el.settingsError.classList.toggle('hidden', !message);
+}
+
+// ─── Project (multi-file) analysis ────────────────────────────────────────────
+
+/**
+ * Opens the browser's file picker.
+ * @param {'files'|'folder'} kind - Individual files, or a whole folder.
+ */
+export function openFilePicker(kind) {
+  const input = kind === 'folder' ? el.folderInput : el.fileInput;
+  input.value = ''; // picking the same selection again must still fire 'change'
+  input.click();
+}
+
+/**
+ * Shows whether files dragged over the input panel will be accepted.
+ * @param {boolean} active
+ */
+export function setDropTargetActive(active) {
+  el.inputPanel.classList.toggle('drag-over', active);
+}
+
+/**
+ * Creates one row of the project report: a button that opens the file's
+ * smell/refactor view, showing its score and smells per severity.
+ *
+ * @param {import('./project.js').ProjectFile} file
+ * @param {number}  rank
+ * @param {boolean} current - Whether the file is the one shown below.
+ * @returns {HTMLLIElement}
+ */
+function createProjectFileRow(file, rank, current) {
+  const row = document.createElement('li');
+  row.className = `project-file status-${file.status}${current ? ' current' : ''}`;
+
+  const open = document.createElement('button');
+  open.className = 'project-file-open';
+  open.dataset.path = file.path;
+  open.disabled = !file.result;
+  if (current) open.setAttribute('aria-current', 'true');
+
+  const path = document.createElement('span');
+  path.className = 'project-file-path';
+  path.textContent = file.path;
+
+  const details = document.createElement('span');
+  details.className = 'project-file-details';
+
+  if (!file.result) {
+    details.textContent = t(file.status === 'running' ? 'project.analysing' : 'project.queued', { language: file.language });
+  } else {
+    const counts = { critical: 0, major: 0, minor: 0 };
+    for (const smell of file.result.smells) counts[normaliseSeverity(smell.severity)]++;
+
+    const score = document.createElement('span');
+    score.className = 'project-file-score';
+    score.textContent = t('project.score', { score: severityScore(file.result.smells) });
+    details.append(`${file.language} · `, score);
+
+    for (const [severity, count] of Object.entries(counts)) {
+      if (count === 0) continue;
+      const chip = document.createElement('span');
+      chip.className = `severity-badge ${severity}`;
+      chip.textContent = severityChip(count, severity);
+      details.append(' ', chip);
+    }
+    if (file.result.smells.length === 0) details.append(` · ${t('project.noSmells')}`);
+  }
+
+  open.append(`${rank}. `, path, details);
+  open.setAttribute('aria-label', `${file.path}: ${details.textContent}`);
+
+  if (file.error) {
+    const error = document.createElement('span');
+    error.className = 'project-file-error';
+    error.textContent = t('project.fileError', { error: file.error });
+    open.append(error);
+  }
+
+  row.append(open);
+  return row;
+}
+
+/**
+ * Renders the project report: files ranked worst first, progress, and the
+ * files that were skipped.
+ *
+ * @param {import('./project.js').ProjectFile[]} files - Ranked, worst first.
+ * @param {{path: string, reason: string}[]} skipped
+ * @param {string|null} currentPath - File whose results are shown below.
+ */
+export function renderProjectReport(files, skipped, currentPath) {
+  const finished = files.filter((file) => file.status === 'done' || file.status === 'error').length;
+  const smells   = files.reduce((sum, file) => sum + (file.result?.smells.length ?? 0), 0);
+
+  el.projectProgress.textContent = finished < files.length
+    ? t('project.progress', { finished, total: files.length })
+    : t('project.summary', {
+      files:  t('fileCount', { count: files.length }),
+      smells: t('smellCount', { count: smells }),
+    });
+
+  el.projectFileList.replaceChildren(
+    ...files.map((file, index) => createProjectFileRow(file, index + 1, file.path === currentPath)));
+
+  el.projectSkipped.classList.toggle('hidden', skipped.length === 0);
+  el.skippedSummary.textContent = t('project.skipped', { count: skipped.length });
+  el.skippedList.replaceChildren(...skipped.map(({ path, reason }) => {
+    const item = document.createElement('li');
+    item.textContent = `${path} — ${reason}`;
+    return item;
+  }));
+
+  el.projectPanel.classList.remove('hidden');
+}
+
+/**
+ * Returns the path of the project file whose row contains `target`.
+ * @param {EventTarget} target
+ * @returns {string|null}
+ */
+export function projectPathAt(target) {
+  const button = target?.closest?.('.project-file-open');
+  return button && !button.disabled ? button.dataset.path : null;
+}
+
+/** Scrolls the results of the selected project file into view. */
+export function scrollToResults() {
+  el.resultsSection.scrollIntoView({ block: 'start', behavior: 'smooth' });
+}
+
+// ─── Refactoring rounds (FR-04.7) ─────────────────────────────────────────────
+
+/**
+ * Reads the "Refactor until clean" options.
+ * @returns {{threshold: 'Critical'|'Major'|'Minor', maxRounds: number}}
+ */
+export function getRefineOptions() {
+  return {
+    threshold: el.refineThreshold.value,
+    maxRounds: el.refineMaxRounds.valueAsNumber,
+  };
+}
+
+/**
+ * Shows in the loading indicator which round is being analysed.
+ * @param {number} number    - 1-based.
+ * @param {number} maxRounds
+ */
+export function showRoundProgress(number, maxRounds) {
+  stopRetryCountdown();
+  el.loadingText.textContent = t('rounds.progress', { number, max: maxRounds });
+}
+
+/**
+ * Creates one row of the rounds timeline: the smells the round found in its
+ * code, by severity, as a button that makes the round the shown result.
+ * Rounds can be picked once the run has ended.
+ *
+ * @param {import('./refine.js').Round} round
+ * @param {number}  index
+ * @param {boolean} current
+ * @param {boolean} running
+ * @returns {HTMLLIElement}
+ */
+function createRoundRow(round, index, current, running) {
+  const row = document.createElement('li');
+  row.className = `round${current ? ' current' : ''}`;
+
+  const open = document.createElement('button');
+  open.className = 'round-open';
+  open.dataset.index = String(index);
+  open.disabled = running;
+  if (current) open.setAttribute('aria-current', 'true');
+
+  const title = document.createElement('span');
+  title.className = 'round-title';
+  title.textContent = t('rounds.round', { number: round.number });
+
+  const counts = document.createElement('span');
+  counts.className = 'round-counts';
+  for (const [severity, count] of Object.entries(round.counts)) {
+    const chip = document.createElement('span');
+    chip.className = `severity-badge ${normaliseSeverity(severity)}${count === 0 ? ' zero' : ''}`;
+    chip.textContent = severityChip(count, severity);
+    counts.append(chip, ' ');
+  }
+
+  const action = document.createElement('span');
+  action.className = 'round-action';
+  action.textContent = running ? '' : current ? t('rounds.shown') : t('rounds.use');
+
+  open.append(title, counts, action);
+  open.setAttribute('aria-label', t('rounds.rowLabel', {
+    number: round.number, counts: counts.textContent.trim(), action: action.textContent,
+  }).trim());
+  row.append(open);
+  return row;
+}
+
+/**
+ * @param {{rounds: Array, threshold: string, stopReason: string|null}} refinement
+ * @returns {string} The timeline's status badge.
+ */
+function describeRefinement({ rounds, threshold, stopReason }) {
+  const params = {
+    rounds:    t('rounds.count', { count: rounds.length }),
+    threshold: t(`severity.${threshold}`),
+    remaining: rounds.at(-1)?.remaining,
+  };
+  switch (stopReason) {
+    case 'clean':     return t('rounds.clean', params);
+    case 'unchanged': return t('rounds.unchanged', params);
+    case 'limit':     return t('rounds.limit', params);
+    case 'stopped':   return t('rounds.stopped', params);
+    default:          return t('rounds.running', params);
+  }
+}
+
+/**
+ * Renders the timeline of a "refactor until clean" run, or hides it.
+ *
+ * @param {{rounds: import('./refine.js').Round[], threshold: string, stopReason: string|null}|null} refinement
+ * @param {number|null} currentIndex - Round shown in the results.
+ */
+export function renderRounds(refinement, currentIndex) {
+  if (!refinement) {
+    el.roundsPanel.classList.add('hidden');
+    el.roundsStatus.textContent = '';
+    el.roundsList.replaceChildren();
+    return;
+  }
+
+  el.roundsStatus.textContent = describeRefinement(refinement);
+  el.roundsList.replaceChildren(
+    ...refinement.rounds.map((round, index) =>
+      createRoundRow(round, index, index === currentIndex, refinement.stopReason === null)));
+  el.roundsPanel.classList.remove('hidden');
+}
+
+/**
+ * Returns the index of the round whose timeline row contains `target`.
+ * @param {EventTarget} target
+ * @returns {number|null}
+ */
+export function roundIndexAt(target) {
+  const button = target?.closest?.('.round-open');
+  return button && !button.disabled ? Number(button.dataset.index) : null;
+}
+
+// ─── Interface language (FR-06.5) ────────────────────────────────────────────
+
+/**
+ * Attributes that mark static text of index.html as a message key, and the
+ * attribute each one translates (null for the element's text).
+ */
+const I18N_ATTRIBUTES = [
+  ['data-i18n',             null],
+  ['data-i18n-placeholder', 'placeholder'],
+  ['data-i18n-label',       'aria-label'],
+  ['data-i18n-title',       'title'],
+];
+
+/**
+ * Shows the page in the current locale: translates the static text of
+ * index.html, sets the page's language and text direction, and fills the
+ * language switcher. Rendered results are redrawn by their own functions.
+ */
+export function applyLocale() {
+  const locale = getLocale();
+  document.documentElement.lang = locale;
+  document.documentElement.dir  = LOCALES[locale].dir;
+  document.title = t('html.pageTitle');
+
+  for (const [marker, attribute] of I18N_ATTRIBUTES) {
+    for (const node of document.querySelectorAll(`[${marker}]`)) {
+      const text = t(node.getAttribute(marker));
+      if (attribute) node.setAttribute(attribute, text);
+      else           node.textContent = text;
+    }
+  }
+
+  el.localeSelect.replaceChildren(...Object.entries(LOCALES).map(([code, { nativeName, dir }]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang  = code;
+    option.dir   = dir;
+    option.textContent = nativeName;
+    return option;
+  }));
+  el.localeSelect.value = locale;
+}
+
+// ─── Full reset ───────────────────────────────────────────────────────────────
+
+/**
+ * Resets the entire UI to its initial empty state (FR-06.2, AC-01.3).
+ * Called when the user clicks "Clear".
+ */
+export function reset() {
+  // Input
+  el.codeInput.value         = '';
+  el.languageSelect.value    = 'auto';
+  el.codeInput.disabled      = false;
+  el.languageSelect.disabled = false;
+  updateCharCount(0);
+  setAnalyzeButtonEnabled(false);
+  setEditorMarkers(null, []);
+  setSharedView(false);
+
+  // Error & loading
+  hideError();
+  el.loadingIndicator.classList.add('hidden');
+
+  // Results — use replaceChildren() to clear safely (no innerHTML)
   el.resultsSection.classList.add('hidden');
   el.summaryText.textContent     = '';
   el.smellCountBadge.textContent = '';
+  el.qualityDashboard.classList.add('hidden');
+  scoredAnalysis = null;
+  renderQualityTrend(null);
+  setAnalysisUsage(null);
+  setCached(false);
+  el.shareOutput.classList.add('hidden');
   el.smellsList.replaceChildren();
   el.originalCode.textContent    = '';
   el.refactoredCode.textContent  = '';
   el.originalCode.removeAttribute('class');
   el.refactoredCode.removeAttribute('class');
+  currentDiffBlocks = [];
+  el.diffView.replaceChildren();
+  el.diffStats.textContent = '';
+  el.syntaxError.textContent = '';
+  el.syntaxError.classList.add('hidden');
+  setComparisonView('split');
+
+  // Behaviour check
+  el.equivalencePanel.classList.add('hidden');
+  el.equivalenceFunction.value = '';
+  el.equivalenceInputs.value   = '';
+  clearEquivalenceResults();
+
+  // Project report
+  el.projectPanel.classList.add('hidden');
+  el.projectFileList.replaceChildren();
+  renderRounds(null, null);
+  el.skippedList.replaceChildren();
+  el.projectProgress.textContent = '';
 
   // Chat
   el.chatPanel.classList.add('hidden');
   el.chatLog.replaceChildren();
+  el.chatLog.setAttribute('aria-busy', 'false');
+  setChatCondensed(0);
   el.chatInput.value             = '';
   el.chatInput.disabled          = false;
   el.chatSendBtn.disabled        = false;
-  el.chatSendBtn.textContent     = 'Send';
+  el.chatSendBtn.textContent     = t('chat.send');
 
   // Buttons
-  el.analyzeBtn.disabled = true;
-  el.clearBtn.disabled   = false;
+  el.analyzeBtn.disabled    = true;
+  el.clearBtn.disabled      = false;
+  el.openFilesBtn.disabled  = false;
+  el.openFolderBtn.disabled = false;
 }
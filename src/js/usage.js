@@ -0,0 +1,135 @@
+/**
+ * usage.js — Token usage and cost estimates (FR-02.12)
+ *
+ * Pure functions, no DOM access. Every provider reports how many tokens a
+ * request used; api.js turns that into a Usage with an estimated cost from
+ * the price table, and the app adds the analyses and chat replies of a
+ * session into a running total.
+ *
+ * Prices are list prices in US dollars per million tokens and only an
+ * estimate: config.json `prices` overrides or extends DEFAULT_PRICES, e.g.
+ * for negotiated rates or new models. A model without a price has no cost.
+ *
+ * Exports:
+ *   DEFAULT_PRICES                   → Record<string, Price>
+ *   createUsage(prompt, output, total?, price?) → Usage
+ *   addUsage(a, b)                   → Usage|null
+ *   estimateInputCost(tokens, price) → number|null
+ *   formatTokens(count)              → string
+ *   formatCost(cost)                 → string
+ *   formatUsage(usage)               → string
+ */
+
+import { t } from './i18n.js';
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef  {object} Price
+ * @property {number} input  - USD per million prompt tokens.
+ * @property {number} output - USD per million output tokens.
+ */
+
+/**
+ * Tokens used by one or more requests.
+ *
+ * @typedef  {object} Usage
+ * @property {number}      promptTokens
+ * @property {number}      outputTokens
+ * @property {number}      totalTokens
+ * @property {number|null} cost - Estimated USD, or null if no price is known.
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/** List prices of the suggested models (USD per million tokens). */
+export const DEFAULT_PRICES = Object.freeze({
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash':      { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro':        { input: 1.25, output: 10.00 },
+  'gpt-4o-mini':           { input: 0.15, output: 0.60 },
+  'gpt-4o':                { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini':          { input: 0.40, output: 1.60 },
+  'gpt-4.1':               { input: 2.00, output: 8.00 },
+});
+
+const PER_MILLION = 1_000_000;
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Builds a Usage from a provider's token counts.
+ *
+ * @param {number}     promptTokens
+ * @param {number}     outputTokens
+ * @param {number}     [totalTokens] - Defaults to prompt + output. Some
+ *   backends count extra tokens (e.g. Gemini's thinking) in the total only.
+ * @param {Price|null} [price]
+ * @returns {Usage}
+ */
+export function createUsage(promptTokens, outputTokens, totalTokens = promptTokens + outputTokens, price = null) {
+  // Tokens in the total but in neither part are billed as output
+  const billedOutput = Math.max(outputTokens, totalTokens - promptTokens);
+  return {
+    promptTokens,
+    outputTokens,
+    totalTokens,
+    cost: price ? (promptTokens * price.input + billedOutput * price.output) / PER_MILLION : null,
+  };
+}
+
+/**
+ * Adds two usages, either of which may be missing.
+ *
+ * @param {Usage|null} a
+ * @param {Usage|null} b
+ * @returns {Usage|null} Null only if both are. The cost is null only if
+ *   neither has one.
+ */
+export function addUsage(a, b) {
+  if (!a || !b) return a ?? b ?? null;
+  return {
+    promptTokens: a.promptTokens + b.promptTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    totalTokens:  a.totalTokens + b.totalTokens,
+    cost:         a.cost === null && b.cost === null ? null : (a.cost ?? 0) + (b.cost ?? 0),
+  };
+}
+
+/**
+ * @param {number}     tokens - Estimated prompt tokens.
+ * @param {Price|null} price
+ * @returns {number|null} Estimated USD for sending them, or null without a price.
+ */
+export function estimateInputCost(tokens, price) {
+  return price ? (tokens * price.input) / PER_MILLION : null;
+}
+
+/**
+ * @param {number} count
+ * @returns {string} e.g. "1,234 tokens"
+ */
+export function formatTokens(count) {
+  return t('usage.tokens', { count, tokens: count.toLocaleString('en') });
+}
+
+/**
+ * @param {number} cost - USD.
+ * @returns {string} e.g. "$0.0012", "$1.25"
+ */
+export function formatCost(cost) {
+  return `$${cost.toFixed(cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * @param {Usage} usage
+ * @returns {string} e.g. "1,234 tokens (1,000 in · 234 out) · ~$0.0002"
+ */
+export function formatUsage(usage) {
+  const tokens = t('usage.split', {
+    total:  formatTokens(usage.totalTokens),
+    input:  usage.promptTokens.toLocaleString('en'),
+    output: usage.outputTokens.toLocaleString('en'),
+  });
+  return usage.cost === null ? tokens : `${tokens} · ~${formatCost(usage.cost)}`;
+}
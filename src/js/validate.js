@@ -0,0 +1,132 @@
+/**
+ * validate.js — Strict validation of analysis responses
+ *
+ * Checks a parsed model response against the AnalysisResult and Smell types
+ * documented in state.js, before anything reaches the UI. Every error names
+ * the exact offending field (e.g. `smells[2].severity`), so it can be shown
+ * to the user and fed back to the model in a repair request.
+ *
+ * Only what the model is asked to produce is checked; fields added locally
+ * (such as a smell's `source`) and unknown extra fields are ignored. Line
+ * numbers are type-checked here — whether they fall inside the code is
+ * api.js's concern, which drops out-of-range ones rather than failing.
+ *
+ * The messages are in the interface language (i18n.js), since they are
+ * shown to the user as well as sent to the model.
+ *
+ * Exports:
+ *   validateAnalysisResult(value)  → string[]  (empty when valid)
+ */
+
+import { t } from './i18n.js';
+import { SEVERITIES } from './prompt.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Describes a value for an error message.
+ * @param {*} value
+ * @returns {string} e.g. `"High"`, `42`, `null`, `an array`
+ */
+function describe(value) {
+  if (value === undefined)     return t('validation.nothing');
+  if (Array.isArray(value))    return t('validation.anArray');
+  if (typeof value === 'object' && value !== null) return t('validation.anObject');
+  return JSON.stringify(value);
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Records an error unless `value` is a string (optionally non-empty).
+ *
+ * @param {string[]} errors
+ * @param {string}   path
+ * @param {*}        value
+ * @param {boolean}  [nonEmpty=false]
+ */
+function checkString(errors, path, value, nonEmpty = false) {
+  if (typeof value !== 'string') {
+    errors.push(t('validation.notString', { path, value: describe(value) }));
+  } else if (nonEmpty && value.trim() === '') {
+    errors.push(t('validation.empty', { path }));
+  }
+}
+
+/**
+ * Records an error unless `value` is an integer (or null/absent when allowed).
+ *
+ * @param {string[]} errors
+ * @param {string}   path
+ * @param {*}        value
+ * @param {boolean}  [optional=false]
+ */
+function checkInteger(errors, path, value, optional = false) {
+  if (optional && value == null) return;
+  if (!Number.isInteger(value)) {
+    errors.push(t(optional ? 'validation.notIntegerOrNull' : 'validation.notInteger', { path, value: describe(value) }));
+  }
+}
+
+/**
+ * Validates one smell.
+ *
+ * @param {string[]} errors
+ * @param {string}   path  - e.g. "smells[2]".
+ * @param {*}        smell
+ */
+function checkSmell(errors, path, smell) {
+  if (!isObject(smell)) {
+    errors.push(t('validation.notObject', { path, value: describe(smell) }));
+    return;
+  }
+
+  checkString(errors, `${path}.name`, smell.name, true);
+  if (!SEVERITIES.includes(smell.severity)) {
+    errors.push(t('validation.notOneOf', {
+      path: `${path}.severity`, allowed: SEVERITIES.join(', '), value: describe(smell.severity),
+    }));
+  }
+  checkString(errors, `${path}.location`, smell.location);
+  checkInteger(errors, `${path}.start_line`, smell.start_line, true);
+  checkInteger(errors, `${path}.end_line`, smell.end_line, true);
+  checkString(errors, `${path}.explanation`, smell.explanation, true);
+
+  if (smell.edit == null) return;
+  if (!isObject(smell.edit)) {
+    errors.push(t('validation.notObjectOrNull', { path: `${path}.edit`, value: describe(smell.edit) }));
+    return;
+  }
+  checkInteger(errors, `${path}.edit.start_line`, smell.edit.start_line);
+  checkInteger(errors, `${path}.edit.end_line`, smell.edit.end_line);
+  checkString(errors, `${path}.edit.replacement`, smell.edit.replacement);
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Validates a parsed analysis response.
+ *
+ * @param {*} value - The JSON-parsed response.
+ * @returns {string[]} One message per problem, each naming the offending
+ *   field; empty when the response is a valid AnalysisResult.
+ */
+export function validateAnalysisResult(value) {
+  const errors = [];
+
+  if (!isObject(value)) {
+    return [t('validation.notJsonObject', { value: describe(value) })];
+  }
+
+  checkString(errors, 'summary', value.summary);
+
+  if (!Array.isArray(value.smells)) {
+    errors.push(t('validation.notArray', { path: 'smells', value: describe(value.smells) }));
+  } else {
+    value.smells.forEach((smell, index) => checkSmell(errors, `smells[${index}]`, smell));
+  }
+
+  checkString(errors, 'refactored_code', value.refactored_code);
+
+  return errors;
+}
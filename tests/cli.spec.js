@@ -0,0 +1,175 @@
+import { test, expect } from '@playwright/test';
+import { execFile } from 'node:child_process';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// ─── Command-line tool ─────────────────────────────────────────────────────
+// Runs `node index.js` against a temporary project, with a local HTTP server
+// standing in for the Gemini API (config.json's base_url points at it).
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url));
+
+const GREET_PY = 'def greet(name):\n    return "Hello " + name\n';
+
+const GREET_ANALYSIS = {
+  summary: 'One smell.',
+  smells: [
+    {
+      name: 'String Concatenation',
+      severity: 'Major',
+      location: 'line 2',
+      start_line: 2,
+      end_line: 2,
+      explanation: 'Use an f-string.',
+      edit: { start_line: 2, end_line: 2, replacement: '    return f"Hello {name}"' },
+    },
+  ],
+  refactored_code: 'def greet(name):\n    return f"Hello {name}"\n',
+};
+
+/**
+ * Runs the CLI and resolves with its exit code and output.
+ * @param {string[]} args
+ * @param {string}   cwd
+ * @param {object}   [env]
+ */
+function runCli(args, cwd, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { cwd, env: { ...process.env, ...env } },
+      (error, stdout, stderr) => resolve({ code: error?.code ?? 0, stdout, stderr }));
+  });
+}
+
+test('cli: analyses files, prints SARIF, writes refactored files and fails on the given severity', async () => {
+  const requests = [];
+  const server   = createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      requests.push({ url: request.url, key: request.headers['x-goog-api-key'], body: JSON.parse(body) });
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({
+        candidates: [{ content: { parts: [{ text: JSON.stringify(GREET_ANALYSIS) }] } }],
+      }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const dir = await mkdtemp(join(tmpdir(), 'code-smells-cli-'));
+  try {
+    await mkdir(join(dir, 'src'));
+    await writeFile(join(dir, 'src', 'greet.py'), GREET_PY);
+    await writeFile(join(dir, 'notes.txt'), 'not source code');
+    await writeFile(join(dir, 'config.json'), JSON.stringify({
+      gemini: { api_key: 'PASTE_YOUR_GEMINI_API_KEY_HERE', base_url: `http://127.0.0.1:${server.address().port}` },
+    }));
+
+    // The key comes from the environment; a Major smell passes --fail-on Critical
+    const sarifRun = await runCli(
+      ['--format', 'sarif', '--fail-on', 'Critical', '--out-dir', 'fixed', 'src/**/*.py', 'notes.txt'],
+      dir, { GEMINI_API_KEY: 'env-key' });
+    expect(sarifRun.code).toBe(0);
+    expect(requests[0].key).toBe('env-key');
+    expect(requests[0].body.contents[0].parts[0].text).toContain('def greet(name):');
+
+    const sarif = JSON.parse(sarifRun.stdout);
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs[0].results[0]).toMatchObject({
+      ruleId: 'string-concatenation',
+      level:  'warning',
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/greet.py' }, region: { startLine: 2 } } }],
+    });
+    expect(sarifRun.stderr).toContain('skipped notes.txt — unsupported file type');
+    expect(await readFile(join(dir, 'fixed', 'src', 'greet.py'), 'utf8'))
+      .toBe('def greet(name):\n    return f"Hello {name}"\n');
+
+    // --fail-on Major turns the same finding into a failing exit status
+    const textRun = await runCli(['--fail-on', 'major', 'src'], dir, { GEMINI_API_KEY: 'env-key' });
+    expect(textRun.code).toBe(1);
+    expect(textRun.stdout).toContain('src/greet.py');
+    expect(textRun.stdout).toContain('Major');
+    expect(textRun.stdout).toContain('1 file analysed · 1 smell (1 Major)');
+
+    // Without a key the run is an error, not a pass
+    const noKeyRun = await runCli(['src'], dir, { GEMINI_API_KEY: '' });
+    expect(noKeyRun.code).toBe(2);
+    expect(noKeyRun.stderr).toContain('Invalid or missing API key');
+  } finally {
+    server.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('cli: records requests without the key and replays them offline, including simulated failures', async () => {
+  const server = createServer((request, response) => {
+    request.resume();
+    request.on('end', () => {
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({
+        candidates: [{ content: { parts: [{ text: JSON.stringify(GREET_ANALYSIS) }] } }],
+      }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const dir = await mkdtemp(join(tmpdir(), 'code-smells-cli-'));
+  const writeConfig = (transport, extra = {}) => writeFile(join(dir, 'config.json'), JSON.stringify({
+    gemini: { base_url: baseUrl }, transport, ...extra,
+  }));
+  try {
+    await writeFile(join(dir, 'greet.py'), GREET_PY);
+
+    // Record against the stand-in server
+    await writeConfig({ mode: 'record', fixtures: 'fixtures/greet.json' });
+    const recordRun = await runCli(['--format', 'json', 'greet.py'], dir, { GEMINI_API_KEY: 'secret-key-123' });
+    expect(recordRun.code).toBe(0);
+    expect(recordRun.stderr).toContain('recorded 1 exchange to fixtures/greet.json');
+    const fixturesText = await readFile(join(dir, 'fixtures', 'greet.json'), 'utf8');
+    expect(fixturesText).not.toContain('secret-key-123');
+    const fixtures = JSON.parse(fixturesText);
+    expect(fixtures.exchanges[0].request.body.contents[0].parts[0].text).toContain('def greet(name):');
+
+    // Replay with the server gone and no key
+    server.close();
+    await writeConfig({ mode: 'replay', fixtures: 'fixtures/greet.json' });
+    const replayRun = await runCli(['--format', 'json', 'greet.py'], dir, { GEMINI_API_KEY: '' });
+    expect(replayRun.code).toBe(0);
+    const { generated_at: recordedAt, ...recorded } = JSON.parse(recordRun.stdout);
+    const { generated_at: replayedAt, ...replayed } = JSON.parse(replayRun.stdout);
+    expect(replayed).toEqual(recorded);
+
+    // A rate limit is retried before the recorded answer
+    const [exchange] = fixtures.exchanges;
+    const answer     = exchange.responses[0];
+    const simulate   = (responses) => writeFile(join(dir, 'fixtures', 'greet.json'),
+      JSON.stringify({ version: 1, exchanges: [{ request: exchange.request, responses }] }));
+    await simulate([{ status: 429, headers: { 'retry-after': '0' } }, answer]);
+    const retryRun = await runCli(['greet.py'], dir, { GEMINI_API_KEY: '' });
+    expect(retryRun.code).toBe(0);
+    expect(retryRun.stderr).toContain('HTTP 429, retry 1 of 3');
+
+    // A malformed body, a timeout and an unrecorded prompt each fail with their own message
+    await simulate([{ status: 200, headers: { 'content-type': 'application/json' }, body: '{"candidates": [' }]);
+    const malformedRun = await runCli(['greet.py'], dir, { GEMINI_API_KEY: '' });
+    expect(malformedRun.code).toBe(2);
+    expect(malformedRun.stdout).toContain('Malformed response from Gemini.');
+
+    await simulate([{ timeout: true }]);
+    await writeConfig({ mode: 'replay', fixtures: 'fixtures/greet.json' }, { timeout_seconds: 5 });
+    const timeoutRun = await runCli(['greet.py'], dir, { GEMINI_API_KEY: '' });
+    expect(timeoutRun.code).toBe(2);
+    expect(timeoutRun.stdout).toContain('Request timed out.');
+
+    await writeFile(join(dir, 'greet.py'), `${GREET_PY}\nprint(greet("you"))\n`);
+    const missRun = await runCli(['greet.py'], dir, { GEMINI_API_KEY: '' });
+    expect(missRun.code).toBe(2);
+    expect(missRun.stdout).toContain('No recorded response matches this request');
+  } finally {
+    server.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
